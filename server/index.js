@@ -2,12 +2,16 @@
  * server/index.js — Бекенд-сервер LexiLevel
  * 
  * Express-сервер, який обробляє запити від мобільного додатка:
- * - /api/translate — переклад слова + оцінка складності
+ * - /api/translate — переклад слова + оцінка складності (JWT + денна квота)
  * - /api/lists — управління списками
  * - /api/practice — дані для повторення
+ * - /api/glossaries — глосарії користувача (закріплені переклади термінів)
+ * - /api/usage — витрати DeepL / LLM і бюджети (адміністратори)
+ * - /api/metrics — лічильники процесу: кеш, обʼєднані запити, черга (адміністратори)
  * 
  * Запуск: node server/index.js
  * Або:   npm run server
+ * Тести:  cd server && npm test (node:test, tests/ — без Supabase, DeepL і Anthropic)
  */
 
 const express = require('express');
@@ -23,15 +27,28 @@ const translateRoutes = require('./routes/translate');
 const listsRoutes = require('./routes/lists');
 const practiceRoutes = require('./routes/practice');
 const languagesRoutes = require('./routes/languages');
+const usageRoutes = require('./routes/usage');
+const glossariesRoutes = require('./routes/glossaries');
 
 const errorHandler = require("./middleware/error");
+const requireAdmin = require('./middleware/requireAdmin');
+const metrics = require('./lib/metrics');
+const { startReenrichmentJob } = require('./services/reenrichment');
+const { startUsageTracking } = require('./services/usage');
+const { requestContextMiddleware } = require('./lib/requestContext');
+const { circuitHealth } = require('./lib/resilience');
+const translator = require('./services/translator');
+const llm = require('./services/llm');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // === Middleware (обробка кожного запиту) ===
-app.use(cors());              // дозволяє запити з мобільного додатка
+app.use(cors({                // дозволяє запити з мобільного додатка
+  exposedHeaders: ['X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset', 'Retry-After'],
+}));
 app.use(express.json());      // парсить JSON у тілі запитів
+app.use(requestContextMiddleware); // користувач запиту для обліку витрат (services/usage.js)
 
 // === Latency logging ===
 app.use((req, res, next) => {
@@ -43,11 +60,15 @@ app.use((req, res, next) => {
 });
 
 // === Rate limit (protect paid APIs) ===
+// Грубий IP-ліміт; основний захист — JWT + денна квота користувача (services/quota.js)
+// TRANSLATE_RATE_LIMIT — POST-запитів на хвилину з однієї IP (за замовчуванням 20)
 const translateLimiter = rateLimit({
   windowMs: 60 * 1000,
-  max: 20,
+  max: parseInt(process.env.TRANSLATE_RATE_LIMIT, 10) || 20,
   standardHeaders: true,
   legacyHeaders: false,
+  // опитування статусу збагачення (GET /api/translate/enrichment/:id) — не платні виклики
+  skip: (req) => req.method === 'GET',
 });
 app.use('/api/translate', translateLimiter);
 
@@ -56,16 +77,36 @@ app.use('/api', translateRoutes);
 app.use('/api', listsRoutes);
 app.use('/api', practiceRoutes);
 app.use('/api', languagesRoutes);
+app.use('/api', usageRoutes);
+app.use('/api', glossariesRoutes);
 
 // === Health check (перевірка що сервер працює) ===
+// Сервер відповідає 200, навіть коли провайдер недоступний: status "degraded" —
+// переклад / AI-збагачення тимчасово не працюють (circuit breaker, lib/resilience.js)
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  const providers = circuitHealth([translator.getProviderName(), llm.getProviderName()]);
+  const degraded = Object.values(providers).some((p) => p.state !== 'closed');
+  res.json({ status: degraded ? 'degraded' : 'ok', timestamp: new Date().toISOString(), providers });
+});
+
+// === Метрики процесу (кеш слів, обʼєднані запити, черга збагачення) — лише адміністратори ===
+app.get('/api/metrics', requireAdmin, (req, res) => {
+  res.json(metrics.snapshot());
 });
 
 app.use(errorHandler);
 
 // === Запуск сервера ===
-app.listen(PORT, () => {
-  console.log(`🚀 LexiLevel server running on http://localhost:${PORT}`);
-  console.log(`📡 Health check: http://localhost:${PORT}/api/health`);
-});
\ No newline at end of file
+// require('./index') (тести, tests/helpers/app.js) отримує app без listen і фонових задач
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 LexiLevel server running on http://localhost:${PORT}`);
+    console.log(`📡 Health check: http://localhost:${PORT}/api/health`);
+    // облік витрат провайдерів: суми за місяць із бази + періодичний запис нових
+    startUsageTracking().catch((e) => console.warn('⚠️ Usage tracking not started:', e?.message || e));
+    // фонове перезбагачення застарілих рядків words (REENRICH_ENABLED=1)
+    startReenrichmentJob();
+  });
+}
+
+module.exports = app;
\ No newline at end of file
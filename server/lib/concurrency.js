@@ -0,0 +1,25 @@
+/**
+ * lib/concurrency.js — Обмежена паралельність для async-задач
+ *
+ * mapWithConcurrency(items, limit, fn) — як Promise.all(items.map(fn)),
+ * але одночасно виконується не більше `limit` викликів fn.
+ * Порядок результатів відповідає порядку items.
+ */
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await fn(items[idx], idx);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
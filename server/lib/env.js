@@ -4,13 +4,28 @@ function required(name) {
   return val;
 }
 
+function optional(name) {
+  return (process.env[name] || "").trim();
+}
+
+const TRANSLATION_PROVIDER = (process.env.TRANSLATION_PROVIDER || "deepl").trim().toLowerCase();
+const DATA_BACKEND = (process.env.DATA_BACKEND || "supabase").trim().toLowerCase();
+// memory — без бази: ключі Supabase необовʼязкові, JWT перевіряється лише локально (middleware/requireAuth.js)
+const supabaseEnv = DATA_BACKEND === "memory" ? optional : required;
+
 module.exports = {
   PORT: process.env.PORT || 3001,
-  SUPABASE_URL: required("SUPABASE_URL"),
-  SUPABASE_ANON_KEY: required("SUPABASE_ANON_KEY"),
+  SUPABASE_URL: supabaseEnv("SUPABASE_URL"),
+  SUPABASE_ANON_KEY: supabaseEnv("SUPABASE_ANON_KEY"),
   // потрібен для server-side запису в words (кеш перекладів) після ввімкнення RLS
-  SUPABASE_SERVICE_ROLE_KEY: required("SUPABASE_SERVICE_ROLE_KEY"),
-  DEEPL_API_KEY: required("DEEPL_API_KEY"),
-  // якщо використовуєш Anthropic у difficulty:
-  // ANTHROPIC_API_KEY: required("ANTHROPIC_API_KEY"),
+  SUPABASE_SERVICE_ROLE_KEY: supabaseEnv("SUPABASE_SERVICE_ROLE_KEY"),
+  // провайдер перекладу: deepl | local (див. services/translator.js)
+  TRANSLATION_PROVIDER: TRANSLATION_PROVIDER,
+  // DeepL-ключ потрібен лише коли активний провайдер — deepl
+  DEEPL_API_KEY: TRANSLATION_PROVIDER === "deepl" ? required("DEEPL_API_KEY") : optional("DEEPL_API_KEY"),
+  // LLM для збагачення слів: anthropic | openai | mock (див. services/llm.js).
+  // ANTHROPIC_API_KEY необовʼязковий: без нього AI-збагачення вимкнене (алгоритмічні fallback-и)
+  LLM_PROVIDER: (process.env.LLM_PROVIDER || "anthropic").trim().toLowerCase(),
+  // сховище даних: supabase | memory (див. repositories/index.js); memory — без бази, для локального запуску й тестів
+  DATA_BACKEND: DATA_BACKEND,
 };
\ No newline at end of file
@@ -0,0 +1,34 @@
+/**
+ * lib/inflight.js — Обʼєднання однакових паралельних async-задач
+ *
+ * const inflight = createInflight();
+ * const { value, shared } = await inflight.run(key, () => expensive());
+ *
+ * Поки задача з цим key виконується, наступні виклики чекають на той самий Promise
+ * (shared = true) замість запуску ще одного. Після завершення (успіх чи помилка) key звільняється.
+ */
+
+function createInflight() {
+  const pending = new Map(); // key → Promise
+
+  async function run(key, fn) {
+    if (pending.has(key)) {
+      return { value: await pending.get(key), shared: true };
+    }
+
+    const promise = Promise.resolve().then(fn);
+    pending.set(key, promise);
+    try {
+      return { value: await promise, shared: false };
+    } finally {
+      pending.delete(key);
+    }
+  }
+
+  return {
+    run,
+    size: () => pending.size,
+  };
+}
+
+module.exports = { createInflight };
@@ -0,0 +1,206 @@
+/**
+ * lib/jwt.js — Локальна перевірка access token-ів Supabase Auth (без запиту до Auth API)
+ *
+ * const claims = await verifySupabaseJwt(token);   // кидає JwtError, якщо токен невалідний
+ *
+ * Підпис:
+ *   HS256        — спільний секрет проєкту SUPABASE_JWT_SECRET (Settings → API → JWT Secret)
+ *   RS256 / ES256 — асиметричні ключі з JWKS: SUPABASE_JWKS_URL
+ *                   (за замовчуванням ${SUPABASE_URL}/auth/v1/.well-known/jwks.json)
+ *   JWKS кешується на JWKS_CACHE_MS (10 хв); невідомий kid — перечитуємо, але не частіше ніж раз на 30 с.
+ *
+ * Перевірки: alg зі списку (ніякого "none"), exp / nbf (допуск JWT_CLOCK_SKEW_S секунд),
+ * aud = SUPABASE_JWT_AUDIENCE (за замовчуванням "authenticated"), iss — Auth цього проєкту, sub є.
+ *
+ * Лише node:crypto — без зовнішніх бібліотек.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const JWKS_REFRESH_MIN_MS = 30 * 1000;
+const JWKS_TIMEOUT_MS = 5000;
+
+const ALGORITHMS = {
+  HS256: { kind: 'hmac', hash: 'sha256' },
+  RS256: { kind: 'rsa', hash: 'sha256' },
+  ES256: { kind: 'ec', hash: 'sha256' },
+};
+
+class JwtError extends Error {
+  constructor(reason, message) {
+    super(message || reason);
+    this.name = 'JwtError';
+    this.reason = reason;
+  }
+}
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function supabaseUrl() {
+  return (process.env.SUPABASE_URL || '').trim().replace(/\/+$/, '');
+}
+
+function settings() {
+  const url = supabaseUrl();
+  return {
+    secret: (process.env.SUPABASE_JWT_SECRET || '').trim(),
+    jwksUrl: (process.env.SUPABASE_JWKS_URL || '').trim() || (url ? `${url}/auth/v1/.well-known/jwks.json` : ''),
+    audience: (process.env.SUPABASE_JWT_AUDIENCE || 'authenticated').trim(),
+    issuer: url ? `${url}/auth/v1` : '',
+    clockSkewS: envInt('JWT_CLOCK_SKEW_S', 30),
+    jwksCacheMs: envInt('JWKS_CACHE_MS', 10 * 60 * 1000),
+  };
+}
+
+function decodePart(part, what) {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new JwtError('malformed', `JWT ${what} is not valid JSON`);
+  }
+}
+
+/**
+ * Розібрати токен без перевірки підпису
+ * @returns {{ header: Object, payload: Object, signingInput: string, signature: Buffer }}
+ */
+function decodeJwt(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3 || parts.some((p) => !p)) throw new JwtError('malformed', 'JWT must have 3 parts');
+  return {
+    header: decodePart(parts[0], 'header'),
+    payload: decodePart(parts[1], 'payload'),
+    signingInput: `${parts[0]}.${parts[1]}`,
+    signature: Buffer.from(parts[2], 'base64url'),
+  };
+}
+
+// --- JWKS ---
+
+let jwks = { keys: new Map(), fetchedAt: 0, url: '' };
+let jwksLoading = null;
+
+async function loadJwks(url) {
+  const { data } = await axios.get(url, { timeout: JWKS_TIMEOUT_MS });
+  const keys = new Map();
+  for (const jwk of Array.isArray(data?.keys) ? data.keys : []) {
+    if (!jwk.kid || (jwk.use && jwk.use !== 'sig')) continue;
+    try {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    } catch (e) {
+      console.warn(`⚠️ JWKS key ${jwk.kid} skipped:`, e.message);
+    }
+  }
+  jwks = { keys, fetchedAt: Date.now(), url };
+  return keys;
+}
+
+/**
+ * Публічний ключ за kid; JWKS перечитується, коли кеш застарів або kid невідомий
+ */
+async function publicKeyFor(kid, { jwksUrl, jwksCacheMs }) {
+  if (!jwksUrl) throw new JwtError('no_key', 'JWKS URL is not configured');
+
+  const age = Date.now() - jwks.fetchedAt;
+  const stale = jwks.url !== jwksUrl || age > jwksCacheMs;
+  const unknownKid = !jwks.keys.has(kid) && age > JWKS_REFRESH_MIN_MS;
+  if (stale || unknownKid) {
+    // паралельні запити чекають одне завантаження
+    jwksLoading = jwksLoading || loadJwks(jwksUrl).finally(() => { jwksLoading = null; });
+    try {
+      await jwksLoading;
+    } catch (e) {
+      if (jwks.keys.size === 0) throw new JwtError('no_key', `JWKS fetch failed: ${e.message}`);
+      console.warn('⚠️ JWKS refresh failed, using cached keys:', e.message);
+    }
+  }
+
+  const key = jwks.keys.get(kid);
+  if (!key) throw new JwtError('no_key', `Unknown JWT key id: ${kid}`);
+  return key;
+}
+
+// --- Перевірка ---
+
+function verifySignature({ signingInput, signature }, algorithm, key) {
+  const input = Buffer.from(signingInput);
+  if (algorithm.kind === 'hmac') {
+    const expected = crypto.createHmac(algorithm.hash, key).update(input).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+  // alg із заголовка має відповідати типу ключа (RS256 не перевіряємо EC-ключем і навпаки)
+  if (key.asymmetricKeyType !== algorithm.kind) return false;
+  // ES256 у JWT — підпис r||s (IEEE P1363), а не DER
+  const options = algorithm.kind === 'ec' ? { key, dsaEncoding: 'ieee-p1363' } : key;
+  try {
+    return crypto.verify(algorithm.hash, input, options, signature);
+  } catch (e) {
+    return false;
+  }
+}
+
+function checkClaims(payload, { audience, issuer, clockSkewS }) {
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number') throw new JwtError('no_exp', 'JWT has no exp');
+  if (payload.exp + clockSkewS < now) throw new JwtError('expired', 'JWT expired');
+  if (typeof payload.nbf === 'number' && payload.nbf - clockSkewS > now) throw new JwtError('not_yet_valid', 'JWT not yet valid');
+
+  const aud = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (audience && !aud.includes(audience)) throw new JwtError('audience', `JWT audience is not ${audience}`);
+  if (issuer && payload.iss !== issuer) throw new JwtError('issuer', 'JWT issuer mismatch');
+  if (!payload.sub) throw new JwtError('no_sub', 'JWT has no sub');
+}
+
+/**
+ * Чи можна перевірити токен локально: HS256 — лише із секретом, асиметричні — через JWKS.
+ * false — перевіряти віддалено (supabase.auth.getUser).
+ */
+function canVerifyLocally(token) {
+  let header;
+  try {
+    ({ header } = decodeJwt(token));
+  } catch (e) {
+    return true; // зламаний токен відхилимо локально
+  }
+  const config = settings();
+  if (!ALGORITHMS[header.alg]) return true; // "none" та інші — відхиляємо локально
+  if (header.alg === 'HS256') return !!config.secret;
+  return !!config.jwksUrl;
+}
+
+/**
+ * Перевірити підпис і claims access token-а Supabase.
+ *
+ * @param {string} token
+ * @returns {Promise<Object>} — claims (sub, email, role, aud, exp, is_anonymous, app_metadata...)
+ * @throws {JwtError}
+ */
+async function verifySupabaseJwt(token) {
+  const config = settings();
+  const decoded = decodeJwt(token);
+  const algorithm = ALGORITHMS[decoded.header.alg];
+  if (!algorithm) throw new JwtError('algorithm', `Unsupported JWT alg: ${decoded.header.alg}`);
+
+  let key;
+  if (algorithm.kind === 'hmac') {
+    if (!config.secret) throw new JwtError('no_key', 'SUPABASE_JWT_SECRET is not configured');
+    key = config.secret;
+  } else {
+    key = await publicKeyFor(decoded.header.kid, config);
+  }
+
+  if (!verifySignature(decoded, algorithm, key)) throw new JwtError('signature', 'JWT signature is invalid');
+  checkClaims(decoded.payload, config);
+  return decoded.payload;
+}
+
+module.exports = {
+  JwtError,
+  decodeJwt,
+  canVerifyLocally,
+  verifySupabaseJwt,
+};
@@ -0,0 +1,45 @@
+/**
+ * lib/languageNames.js — Англійські назви мов за DeepL-кодом
+ *
+ * Потрібні там, де мову треба назвати словами: промпти для Claude,
+ * списки мов локального провайдера.
+ */
+
+const LANGUAGE_NAMES = {
+  EN: 'English',
+  'EN-GB': 'English (UK)',
+  'EN-US': 'English (US)',
+  UK: 'Ukrainian',
+  PL: 'Polish',
+  DE: 'German',
+  FR: 'French',
+  IT: 'Italian',
+  ES: 'Spanish',
+  'ES-419': 'Spanish (LatAm)',
+  RO: 'Romanian',
+  CS: 'Czech',
+  HU: 'Hungarian',
+  SV: 'Swedish',
+  ET: 'Estonian',
+  LV: 'Latvian',
+  LT: 'Lithuanian',
+};
+
+function normalizeLang(code) {
+  return (code || '').trim().toUpperCase();
+}
+
+function baseLang(code) {
+  // ES-419 -> ES, EN-GB -> EN
+  return normalizeLang(code).split('-')[0];
+}
+
+/**
+ * Назва мови: точний код → базовий код → сам код
+ */
+function languageName(code) {
+  const c = normalizeLang(code);
+  return LANGUAGE_NAMES[c] || LANGUAGE_NAMES[baseLang(c)] || c;
+}
+
+module.exports = { LANGUAGE_NAMES, languageName, baseLang };
@@ -0,0 +1,42 @@
+/**
+ * lib/lru.js — Невеликий LRU-кеш у памʼяті процесу
+ *
+ * createLru({ max, ttlMs }) → { get, set, delete, clear, size }
+ * - Map зберігає порядок вставки: get переносить запис у кінець, set витісняє найстаріший
+ * - ttlMs — записи старші за нього вважаються відсутніми (інші інстанси сервера
+ *   можуть змінити рядок у базі, тож довго тримати копію не можна)
+ */
+
+function createLru({ max = 1000, ttlMs = 0 } = {}) {
+  const entries = new Map(); // key → { value, expiresAt }
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: ttlMs > 0 ? Date.now() + ttlMs : 0 });
+    while (entries.size > max) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return {
+    get,
+    set,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    size: () => entries.size,
+  };
+}
+
+module.exports = { createLru };
@@ -0,0 +1,45 @@
+/**
+ * lib/metrics.js — Лічильники процесу для GET /api/metrics (лише адміністратори, middleware/requireAdmin.js)
+ *
+ * increment('word_cache.lru_hit') — назва з крапкою: "<підсистема>.<подія>"
+ * registerGauge('enrichment_queue', () => ({ waiting, running })) — значення, яке рахується під час читання
+ *
+ * Лічильники живуть у памʼяті процесу і скидаються при перезапуску.
+ */
+
+const counters = new Map();
+const gauges = new Map();
+const startedAt = new Date().toISOString();
+
+function increment(name, by = 1) {
+  counters.set(name, (counters.get(name) || 0) + by);
+}
+
+function registerGauge(name, read) {
+  gauges.set(name, read);
+}
+
+/**
+ * { started_at, counters: { "word_cache.lru_hit": 12, ... }, gauges: { ... } }
+ */
+function snapshot() {
+  const gaugeValues = {};
+  for (const [name, read] of gauges.entries()) {
+    try {
+      gaugeValues[name] = read();
+    } catch (e) {
+      gaugeValues[name] = null;
+    }
+  }
+  return {
+    started_at: startedAt,
+    counters: Object.fromEntries(Array.from(counters.entries()).sort(([a], [b]) => a.localeCompare(b))),
+    gauges: gaugeValues,
+  };
+}
+
+function resetMetrics() {
+  counters.clear();
+}
+
+module.exports = { increment, registerGauge, snapshot, resetMetrics };
@@ -0,0 +1,32 @@
+/**
+ * lib/requestContext.js — Контекст поточного HTTP-запиту для глибоких викликів
+ *
+ * Облік витрат (services/usage.js) викликається з провайдерів (DeepL, LLM), куди
+ * користувач запиту не передається. AsyncLocalStorage несе req через усі await:
+ *
+ *   app.use(requestContextMiddleware);        // index.js, до маршрутів
+ *   currentUserId();                          // будь-де нижче: req.user?.id (після requireAuth) або null
+ *
+ * Фонові задачі, поставлені під час запиту, зберігають його контекст через bindToCurrentContext.
+ */
+
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+function requestContextMiddleware(req, res, next) {
+  storage.run({ req }, next);
+}
+
+function currentUserId() {
+  return storage.getStore()?.req?.user?.id || null;
+}
+
+/**
+ * Функція, яка виконається в контексті поточного запиту, навіть якщо її викличуть пізніше (черга)
+ */
+function bindToCurrentContext(fn) {
+  return AsyncResource.bind(fn);
+}
+
+module.exports = { requestContextMiddleware, currentUserId, bindToCurrentContext };
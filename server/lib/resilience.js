@@ -0,0 +1,255 @@
+/**
+ * lib/resilience.js — Повтори з backoff і circuit breaker для зовнішніх провайдерів
+ *
+ * const value = await callWithResilience('deepl', () => axios.post(...));
+ *
+ * Повтори:
+ * - лише для тимчасових збоїв: 408 / 429 / 5xx / 529 і мережевих помилок (timeout, ECONNRESET...);
+ *   400 / 403 / 456 і невалідна відповідь моделі — одразу помилка
+ * - пауза — експоненційна з повним jitter; якщо провайдер надіслав Retry-After — чекаємо скільки просить
+ *   (але не довше RETRY_AFTER_MAX_MS, інакше не повторюємо)
+ * - загальний час виклику з повторами обмежений RESILIENCE_MAX_ELAPSED_MS
+ *
+ * Circuit breaker (окремий на кожного провайдера):
+ *   closed    — звичайна робота; CIRCUIT_FAILURE_THRESHOLD тимчасових збоїв поспіль → open
+ *   open      — виклики одразу падають з CircuitOpenError (не чекаємо таймаутів), CIRCUIT_COOLDOWN_MS
+ *   half_open — після cooldown пропускаємо один пробний виклик: успіх → closed, збій → знову open
+ *
+ * Стан провайдерів — circuitHealth() для GET /api/health і gauge "circuits" у /api/metrics.
+ *
+ * Налаштування (env, мс):
+ *   RESILIENCE_RETRIES=2  RESILIENCE_BASE_DELAY_MS=250  RESILIENCE_MAX_DELAY_MS=4000
+ *   RESILIENCE_MAX_ELAPSED_MS=30000  RETRY_AFTER_MAX_MS=10000
+ *   CIRCUIT_FAILURE_THRESHOLD=5  CIRCUIT_COOLDOWN_MS=30000
+ */
+
+const metrics = require('./metrics');
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+const RETRYABLE_CODES = new Set([
+  'ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'ERR_NETWORK',
+]);
+
+class CircuitOpenError extends Error {
+  constructor(provider, retryInMs) {
+    super(`${provider} тимчасово недоступний — спробуйте пізніше`);
+    this.name = 'CircuitOpenError';
+    this.provider = provider;
+    this.retryInMs = retryInMs;
+  }
+}
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function settings() {
+  return {
+    retries: envInt('RESILIENCE_RETRIES', 2),
+    baseDelayMs: envInt('RESILIENCE_BASE_DELAY_MS', 250),
+    maxDelayMs: envInt('RESILIENCE_MAX_DELAY_MS', 4000),
+    maxElapsedMs: envInt('RESILIENCE_MAX_ELAPSED_MS', 30000),
+    retryAfterMaxMs: envInt('RETRY_AFTER_MAX_MS', 10000),
+    failureThreshold: Math.max(1, envInt('CIRCUIT_FAILURE_THRESHOLD', 5)),
+    cooldownMs: envInt('CIRCUIT_COOLDOWN_MS', 30000),
+  };
+}
+
+/**
+ * HTTP-статус помилки: axios (error.response.status) або Anthropic SDK / наші обгортки (error.status)
+ */
+function statusOf(error) {
+  return error?.response?.status ?? error?.status ?? null;
+}
+
+/**
+ * Тимчасовий збій, який має сенс повторити (і який рахується для circuit breaker)
+ */
+function isRetryable(error) {
+  if (!error || error instanceof CircuitOpenError) return false;
+  const status = statusOf(error);
+  if (status) return RETRYABLE_STATUSES.has(Number(status));
+  if (RETRYABLE_CODES.has(error.code)) return true;
+  // Anthropic SDK: APIConnectionError / APIConnectionTimeoutError (без status)
+  return /Connection|Timeout/.test(error.name || '');
+}
+
+/**
+ * Retry-After у мс (секунди або HTTP-дата) або null
+ */
+function retryAfterMs(error) {
+  const headers = error?.response?.headers || error?.headers;
+  const raw = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (raw == null || raw === '') return null;
+
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(raw);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function backoffMs(attempt, { baseDelayMs, maxDelayMs }) {
+  // повний jitter: випадкова пауза від 0 до експоненційної межі
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// provider → стан breaker-а
+const circuits = new Map();
+
+function getCircuit(provider) {
+  if (!circuits.has(provider)) {
+    circuits.set(provider, {
+      state: 'closed',
+      failures: 0,
+      openedAt: null,
+      probing: false,
+      lastError: null,
+      lastFailureAt: null,
+    });
+  }
+  return circuits.get(provider);
+}
+
+/**
+ * Поточний стан з урахуванням cooldown (open → half_open, коли час вийшов)
+ */
+function circuitState(provider) {
+  const circuit = circuits.get(provider);
+  if (!circuit) return 'closed';
+  if (circuit.state === 'open' && Date.now() - circuit.openedAt >= settings().cooldownMs) {
+    circuit.state = 'half_open';
+    circuit.probing = false;
+  }
+  return circuit.state;
+}
+
+/**
+ * false — провайдер зараз вважається недоступним (breaker відкритий), виклик одразу впаде
+ */
+function isCircuitClosed(provider) {
+  return circuitState(provider) !== 'open';
+}
+
+function onSuccess(provider) {
+  const circuit = getCircuit(provider);
+  if (circuit.state !== 'closed') console.log(`✅ ${provider}: провайдер знову доступний`);
+  circuit.state = 'closed';
+  circuit.failures = 0;
+  circuit.openedAt = null;
+  circuit.probing = false;
+}
+
+function onFailure(provider, error) {
+  const circuit = getCircuit(provider);
+  circuit.lastError = error?.message || String(error);
+  circuit.lastFailureAt = new Date().toISOString();
+  if (!isRetryable(error)) {
+    // 4xx / невалідна відповідь — провайдер працює, breaker не чіпаємо
+    circuit.probing = false;
+    return;
+  }
+
+  circuit.failures++;
+  metrics.increment(`resilience.${provider}.failure`);
+  if (circuit.state === 'half_open' || circuit.failures >= settings().failureThreshold) {
+    if (circuit.state !== 'open') {
+      console.warn(`🔌 ${provider}: circuit open після ${circuit.failures} збоїв (${circuit.lastError})`);
+      metrics.increment(`resilience.${provider}.opened`);
+    }
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+    circuit.probing = false;
+  }
+}
+
+/**
+ * Дозвіл на спробу: кидає CircuitOpenError, якщо breaker відкритий
+ * або в half_open вже йде пробний виклик
+ */
+function acquire(provider) {
+  const state = circuitState(provider);
+  const circuit = getCircuit(provider);
+  if (state === 'closed') return;
+  if (state === 'half_open' && !circuit.probing) {
+    circuit.probing = true;
+    return;
+  }
+  metrics.increment(`resilience.${provider}.short_circuit`);
+  const retryInMs = Math.max(0, settings().cooldownMs - (Date.now() - (circuit.openedAt || Date.now())));
+  throw new CircuitOpenError(provider, retryInMs);
+}
+
+/**
+ * Виконати виклик провайдера з повторами і circuit breaker.
+ *
+ * @template T
+ * @param {string} provider — імʼя breaker-а (deepl, anthropic, openai...)
+ * @param {(attempt: number) => Promise<T>} fn — один запит; помилку кидати як є (зі status / code)
+ * @returns {Promise<T>}
+ * @throws {CircuitOpenError} — провайдер недоступний (breaker відкритий)
+ */
+async function callWithResilience(provider, fn) {
+  const config = settings();
+  const startedAt = Date.now();
+
+  for (let attempt = 0; ; attempt++) {
+    acquire(provider);
+    try {
+      const value = await fn(attempt);
+      onSuccess(provider);
+      return value;
+    } catch (error) {
+      onFailure(provider, error);
+      if (!isRetryable(error) || attempt >= config.retries || !isCircuitClosed(provider)) throw error;
+
+      const requested = retryAfterMs(error);
+      if (requested != null && requested > config.retryAfterMaxMs) throw error;
+      const delay = requested ?? backoffMs(attempt, config);
+      if (Date.now() - startedAt + delay > config.maxElapsedMs) throw error;
+
+      metrics.increment(`resilience.${provider}.retry`);
+      console.warn(`🔁 ${provider}: повтор ${attempt + 1}/${config.retries} через ${delay}ms (${error?.message || error})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Стан провайдерів для /api/health.
+ * @param {string[]} [providers] — додати провайдерів, яких ще не викликали (стан closed)
+ */
+function circuitHealth(providers = []) {
+  for (const provider of providers) getCircuit(provider);
+  const result = {};
+  for (const [provider, circuit] of circuits.entries()) {
+    const state = circuitState(provider);
+    result[provider] = {
+      state,
+      failures: circuit.failures,
+      last_error: circuit.lastError,
+      last_failure_at: circuit.lastFailureAt,
+      ...(state === 'open' ? { retry_in_ms: Math.max(0, settings().cooldownMs - (Date.now() - circuit.openedAt)) } : {}),
+    };
+  }
+  return result;
+}
+
+function resetCircuits() {
+  circuits.clear();
+}
+
+metrics.registerGauge('circuits', () => Object.fromEntries(
+  Array.from(circuits.keys()).map((provider) => [provider, circuitState(provider)])
+));
+
+module.exports = {
+  CircuitOpenError,
+  callWithResilience,
+  isCircuitClosed,
+  isRetryable,
+  circuitHealth,
+  resetCircuits,
+};
@@ -0,0 +1,215 @@
+/**
+ * server/lib/structuredOutput.js — Структурована відповідь LLM через tool use
+ *
+ * Замість "поверни JSON" + вирізання ```json ... ``` з тексту модель змушена викликати
+ * інструмент (tool_choice) зі схемою входу. Схему і валідацію будуємо з одного опису полів:
+ *
+ *   const SPEC = object({
+ *     cefr_level: enumOf(['A1', 'A2', ...]),
+ *     difficulty_score: integer(1, 100),
+ *     note: string({ maxLength: 140, nullable: true }),
+ *   });
+ *   const { value, issues } = await llm.callTool('difficulty', { prompt, tool: { name, description, spec: SPEC } });
+ *
+ * Сам виклик моделі — у services/llm.js (бекенди: Anthropic / OpenAI-сумісний / mock);
+ * тут лише опис полів, JSON Schema і validate().
+ *
+ * validate():
+ * - значення поза діапазоном / задовгі рядки — обрізаються, причина йде в issues
+ * - невалідне обовʼязкове поле (cefr_level: "Z9", score: "hard") — StructuredOutputError:
+ *   такі відповіді не повинні потрапити в спільний кеш words
+ */
+
+class StructuredOutputError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.issues = issues;
+  }
+}
+
+// ─── Опис полів ───
+
+function enumOf(values, { required = true } = {}) {
+  return { type: 'enum', values, required };
+}
+
+function integer(min, max, { required = true } = {}) {
+  return { type: 'integer', min, max, required };
+}
+
+function boolean({ required = true } = {}) {
+  return { type: 'boolean', required };
+}
+
+function string({ maxLength = 200, nullable = false, required = !nullable } = {}) {
+  return { type: 'string', maxLength, nullable, required };
+}
+
+function array(items, { maxItems = 10, required = true } = {}) {
+  return { type: 'array', items, maxItems, required };
+}
+
+function object(properties, { required = true } = {}) {
+  return { type: 'object', properties, required };
+}
+
+// ─── JSON Schema для input_schema інструмента ───
+
+function toJsonSchema(spec) {
+  switch (spec.type) {
+    case 'enum':
+      return { type: 'string', enum: spec.values };
+    case 'integer':
+      return { type: 'integer', minimum: spec.min, maximum: spec.max };
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'string':
+      return spec.nullable
+        ? { type: ['string', 'null'], maxLength: spec.maxLength }
+        : { type: 'string', maxLength: spec.maxLength };
+    case 'array':
+      return { type: 'array', items: toJsonSchema(spec.items), maxItems: spec.maxItems };
+    case 'object': {
+      const properties = {};
+      const required = [];
+      for (const [key, field] of Object.entries(spec.properties)) {
+        properties[key] = toJsonSchema(field);
+        if (field.required) required.push(key);
+      }
+      return { type: 'object', properties, required };
+    }
+    default:
+      throw new Error(`Unknown spec type: ${spec.type}`);
+  }
+}
+
+// ─── Валідація ───
+
+function validateField(raw, spec, path, issues) {
+  const missing = raw === undefined || raw === null;
+
+  if (missing) {
+    if (spec.required) throw new StructuredOutputError(`${path}: missing`, issues);
+    return null;
+  }
+
+  switch (spec.type) {
+    case 'enum': {
+      const v = typeof raw === 'string' ? raw.trim().toUpperCase() : raw;
+      const match = spec.values.find((x) => String(x).toUpperCase() === v);
+      if (match === undefined) {
+        if (spec.required) throw new StructuredOutputError(`${path}: "${raw}" is not one of ${spec.values.join('/')}`, issues);
+        issues.push(`${path}: "${raw}" is not one of ${spec.values.join('/')} → null`);
+        return null;
+      }
+      if (match !== raw) issues.push(`${path}: "${raw}" → "${match}"`);
+      return match;
+    }
+
+    case 'integer': {
+      const n = typeof raw === 'number' ? raw : (typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN);
+      if (!Number.isFinite(n)) {
+        if (spec.required) throw new StructuredOutputError(`${path}: "${raw}" is not a number`, issues);
+        issues.push(`${path}: "${raw}" is not a number → null`);
+        return null;
+      }
+      let v = Math.round(n);
+      if (v !== raw) issues.push(`${path}: ${JSON.stringify(raw)} → ${v}`);
+      if (v < spec.min || v > spec.max) {
+        const clamped = Math.min(spec.max, Math.max(spec.min, v));
+        issues.push(`${path}: ${v} out of range ${spec.min}-${spec.max} → clamped to ${clamped}`);
+        v = clamped;
+      }
+      return v;
+    }
+
+    case 'boolean': {
+      if (typeof raw === 'boolean') return raw;
+      if (raw === 'true' || raw === 'false') {
+        issues.push(`${path}: "${raw}" → ${raw === 'true'}`);
+        return raw === 'true';
+      }
+      if (spec.required) throw new StructuredOutputError(`${path}: "${raw}" is not a boolean`, issues);
+      issues.push(`${path}: "${raw}" is not a boolean → null`);
+      return null;
+    }
+
+    case 'string': {
+      if (typeof raw !== 'string') {
+        if (spec.required) throw new StructuredOutputError(`${path}: expected string`, issues);
+        issues.push(`${path}: expected string → null`);
+        return null;
+      }
+      const v = raw.trim();
+      if (!v) {
+        if (spec.required) throw new StructuredOutputError(`${path}: empty`, issues);
+        return null;
+      }
+      if (v.length > spec.maxLength) {
+        issues.push(`${path}: truncated to ${spec.maxLength} chars`);
+        return v.slice(0, spec.maxLength);
+      }
+      return v;
+    }
+
+    case 'array': {
+      if (!Array.isArray(raw)) {
+        if (spec.required) throw new StructuredOutputError(`${path}: expected array`, issues);
+        issues.push(`${path}: expected array → []`);
+        return [];
+      }
+      const items = raw.slice(0, spec.maxItems);
+      if (raw.length > spec.maxItems) issues.push(`${path}: ${raw.length} items → first ${spec.maxItems}`);
+      const out = [];
+      items.forEach((item, i) => {
+        // Невалідний елемент відкидаємо, а не весь масив
+        try {
+          out.push(validateField(item, { ...spec.items, required: true }, `${path}[${i}]`, issues));
+        } catch (e) {
+          if (!(e instanceof StructuredOutputError)) throw e;
+          issues.push(`${e.message} → dropped`);
+        }
+      });
+      return out;
+    }
+
+    case 'object': {
+      if (typeof raw !== 'object' || Array.isArray(raw)) {
+        if (spec.required) throw new StructuredOutputError(`${path}: expected object`, issues);
+        issues.push(`${path}: expected object → null`);
+        return null;
+      }
+      const out = {};
+      for (const [key, field] of Object.entries(spec.properties)) {
+        out[key] = validateField(raw[key], field, path ? `${path}.${key}` : key, issues);
+      }
+      return out;
+    }
+
+    default:
+      throw new Error(`Unknown spec type: ${spec.type}`);
+  }
+}
+
+/**
+ * @returns {{ value: Object, issues: string[] }} — issues: що виправлено (обрізано / нормалізовано)
+ * @throws {StructuredOutputError} — якщо обовʼязкове поле невалідне
+ */
+function validate(input, spec) {
+  const issues = [];
+  const value = validateField(input, spec, '', issues);
+  return { value, issues };
+}
+
+module.exports = {
+  StructuredOutputError,
+  enumOf,
+  integer,
+  boolean,
+  string,
+  array,
+  object,
+  toJsonSchema,
+  validate,
+};
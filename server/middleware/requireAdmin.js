@@ -0,0 +1,28 @@
+/**
+ * middleware/requireAdmin.js — Доступ лише для адміністраторів (звіти витрат тощо).
+ *
+ * Спершу requireAuth.remote (Bearer JWT + перевірка в Supabase Auth, що доступ не відкликано),
+ * потім email користувача має бути в ADMIN_EMAILS
+ * (через кому, без урахування регістру). Порожній ADMIN_EMAILS — адмінів немає.
+ */
+
+const requireAuth = require("./requireAuth");
+
+function adminEmails() {
+  return new Set(
+    (process.env.ADMIN_EMAILS || "")
+      .split(",")
+      .map((x) => x.trim().toLowerCase())
+      .filter(Boolean)
+  );
+}
+
+module.exports = function requireAdmin(req, res, next) {
+  return requireAuth.remote(req, res, () => {
+    const email = (req.user?.email || "").toLowerCase();
+    if (!email || !adminEmails().has(email)) {
+      return res.status(403).json({ error: "Доступ заборонено" });
+    }
+    return next();
+  });
+};
@@ -3,49 +3,199 @@
  *
  * Очікує заголовок: Authorization: Bearer <access_token>
  * Додає:
- *   - req.user      (Supabase user)
+ *   - req.user      (користувач: id, email, role, is_anonymous, app_metadata, user_metadata)
  *   - req.supabase  (Supabase client з підставленим токеном, щоб працював RLS через auth.uid())
+ *
+ * Перевірка локальна (lib/jwt.js): підпис секретом проєкту або ключем з JWKS, exp, aud, iss —
+ * без запиту до Supabase Auth. Результат кешується на AUTH_CACHE_TTL_MS (60 с), але не довше exp.
+ * Якщо ключа для локальної перевірки немає (HS256-токен без SUPABASE_JWT_SECRET) —
+ * як раніше, supabase.auth.getUser().
+ *
+ * requireAuth.remote — завжди питає Supabase Auth (видалений / заблокований користувач,
+ * завершена сесія) для чутливих маршрутів: видалення, адмінські звіти.
+ * Токен, який Auth відхилив, до свого exp не проходить і локальну перевірку.
+ * AUTH_REMOTE_CHECK=1 — віддалена перевірка для всіх маршрутів.
+ *
+ * DATA_BACKEND=memory без SUPABASE_URL / SUPABASE_ANON_KEY — Supabase Auth немає, req.supabase = null.
+ * Тоді й remote перевіряє локально: підпис і claims заново (без кешу перевірених токенів)
+ * плюс список відкликаних (requireAuth.revokeToken). Без ключа для локальної перевірки — 401.
  */
 
+const crypto = require("crypto");
 const { createClient } = require("@supabase/supabase-js");
+const { canVerifyLocally, decodeJwt, verifySupabaseJwt } = require("../lib/jwt");
+const { createLru } = require("../lib/lru");
+const metrics = require("../lib/metrics");
+const { getBackendName } = require("../repositories");
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
 
-module.exports = async function requireAuth(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization || "";
-    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
 
-    if (!token) {
-      return res.status(401).json({ error: "Не авторизовано" });
-    }
+// sha256(token) → { user, exp } — перевірені токени
+const verified = createLru({ max: 5000, ttlMs: envInt("AUTH_CACHE_TTL_MS", 60 * 1000) });
+// sha256(token) → exp — токени, які відхилив Supabase Auth (відкликані)
+const revoked = createLru({ max: 5000 });
 
-    if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
-      return res.status(500).json({ error: "Server misconfigured: SUPABASE_* env missing" });
-    }
+function forceRemote() {
+  return ["1", "true", "yes"].includes((process.env.AUTH_REMOTE_CHECK || "").trim().toLowerCase());
+}
 
-    // Supabase client "під користувача" (RLS працює через JWT)
-    const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
-      global: {
-        headers: { Authorization: `Bearer ${token}` },
-      },
-      auth: {
-        persistSession: false,
-        autoRefreshToken: false,
-        detectSessionInUrl: false,
-      },
-    });
-
-    const { data, error } = await supabase.auth.getUser();
-    if (error || !data?.user) {
-      return res.status(401).json({ error: "Не авторизовано" });
+// Без Supabase Auth можна працювати лише з даними в памʼяті
+function localOnly() {
+  return (!SUPABASE_URL || !SUPABASE_ANON_KEY) && getBackendName() === "memory";
+}
+
+function tokenKey(token) {
+  return crypto.createHash("sha256").update(token).digest("base64url");
+}
+
+function userFromClaims(claims) {
+  return {
+    id: claims.sub,
+    aud: claims.aud,
+    role: claims.role,
+    email: claims.email || null,
+    phone: claims.phone || null,
+    is_anonymous: !!claims.is_anonymous,
+    app_metadata: claims.app_metadata || {},
+    user_metadata: claims.user_metadata || {},
+  };
+}
+
+function isRevoked(key) {
+  const exp = revoked.get(key);
+  if (exp === undefined) return false;
+  if (exp * 1000 > Date.now()) return true;
+  revoked.delete(key);
+  return false;
+}
+
+/**
+ * Локальна перевірка з кешем → user, null (токен невалідний)
+ * або undefined — ключа немає (JWKS недоступний), треба перевірити віддалено
+ */
+async function verifyLocally(token, key, { fresh = false } = {}) {
+  if (isRevoked(key)) return null;
+
+  const cached = fresh ? null : verified.get(key);
+  if (cached && cached.exp * 1000 > Date.now()) {
+    metrics.increment("auth.cache_hit");
+    return cached.user;
+  }
+
+  try {
+    const claims = await verifySupabaseJwt(token);
+    const user = userFromClaims(claims);
+    verified.set(key, { user, exp: claims.exp });
+    metrics.increment("auth.local");
+    return user;
+  } catch (e) {
+    if (e.reason === "no_key") {
+      console.warn("⚠️ JWT local verification unavailable, using Supabase Auth:", e.message);
+      return undefined;
     }
+    metrics.increment("auth.rejected");
+    return null;
+  }
+}
 
-    req.user = data.user;
-    req.supabase = supabase;
-    return next();
+// Токен не проходить жодну перевірку до свого exp
+function rememberRevoked(token, key) {
+  verified.delete(key);
+  let exp = 0;
+  try {
+    exp = decodeJwt(token).payload.exp || 0;
   } catch (e) {
-    return res.status(401).json({ error: "Не авторизовано" });
+    // зламаний токен — запамʼятовувати нічого
   }
-};
+  if (exp * 1000 > Date.now()) revoked.set(key, exp);
+}
+
+/**
+ * Відкликати токен (DATA_BACKEND=memory без Supabase Auth: вихід, блокування)
+ */
+function revokeToken(token) {
+  rememberRevoked(token, tokenKey(token));
+}
+
+/**
+ * Supabase Auth API → user або null
+ */
+async function verifyRemotely(supabase, token, key) {
+  metrics.increment("auth.remote");
+  const { data, error } = await supabase.auth.getUser();
+  if (data?.user && !error) return data.user;
+
+  // Auth відповів "ні" (а не мережевий збій) — токен відкликано
+  if (!error || error.status === 401 || error.status === 403) {
+    rememberRevoked(token, key);
+  }
+  metrics.increment("auth.rejected");
+  return null;
+}
+
+function createAuthMiddleware({ remote = false } = {}) {
+  return async function requireAuth(req, res, next) {
+    try {
+      const authHeader = req.headers.authorization || "";
+      const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+
+      if (!token) {
+        return res.status(401).json({ error: "Не авторизовано" });
+      }
+
+      const key = tokenKey(token);
+
+      if (localOnly()) {
+        // remote — та сама локальна перевірка, але заново; "ключа немає" (undefined) — теж відмова
+        const user = await verifyLocally(token, key, { fresh: remote || forceRemote() });
+        if (!user) {
+          return res.status(401).json({ error: "Не авторизовано" });
+        }
+        req.user = user;
+        req.supabase = null;
+        return next();
+      }
+
+      if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+        return res.status(500).json({ error: "Server misconfigured: SUPABASE_* env missing" });
+      }
+
+      // Supabase client "під користувача" (RLS працює через JWT)
+      const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+        global: {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+        auth: {
+          persistSession: false,
+          autoRefreshToken: false,
+          detectSessionInUrl: false,
+        },
+      });
+
+      let user = remote || forceRemote() || !canVerifyLocally(token)
+        ? undefined
+        : await verifyLocally(token, key);
+      if (user === undefined) user = await verifyRemotely(supabase, token, key);
+
+      if (!user) {
+        return res.status(401).json({ error: "Не авторизовано" });
+      }
+
+      req.user = user;
+      req.supabase = supabase;
+      return next();
+    } catch (e) {
+      return res.status(401).json({ error: "Не авторизовано" });
+    }
+  };
+}
+
+module.exports = createAuthMiddleware();
+module.exports.remote = createAuthMiddleware({ remote: true });
+module.exports.revokeToken = revokeToken;
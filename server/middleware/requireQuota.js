@@ -0,0 +1,71 @@
+/**
+ * middleware/requireQuota.js — Денна квота перекладів (services/quota.js).
+ *
+ * Ставиться після requireAuth: router.post("/translate", requireAuth, requireQuota(amountOf), ...)
+ * amountOf(req) — скільки одиниць списати (слів × мов перекладу), за замовчуванням 1.
+ *
+ * Квоту вичерпано → 429:
+ *   { error, code: "quota_exceeded", quota: { limit, used, remaining: 0, reset_at, anonymous } }
+ *   + Retry-After (секунди до reset_at).
+ * Відповідь з помилкою (4xx / 5xx) повертає списане: квота — за переклади, а не за спроби.
+ * Так само й відповідь 200, у якій частина результатів — помилки (слово відхилено фільтром,
+ * "немає у словнику", збій провайдера): маршрут перед відповіддю викликає
+ * requireQuota.settle(res, used) з кількістю успішних перекладів, решта повертається.
+ * Стан квоти — у заголовках X-Quota-Limit / X-Quota-Remaining / X-Quota-Reset.
+ */
+
+const { consumeQuota, refundQuota } = require("../services/quota");
+
+function setQuotaHeaders(res, quota) {
+  if (!quota.limit) return;
+  res.set("X-Quota-Limit", String(quota.limit));
+  if (quota.remaining != null) res.set("X-Quota-Remaining", String(quota.remaining));
+  res.set("X-Quota-Reset", quota.reset_at);
+}
+
+function requireQuota(amountOf = () => 1) {
+  return async function quotaMiddleware(req, res, next) {
+    try {
+      const amount = Math.max(1, amountOf(req) || 1);
+      const { allowed, quota } = await consumeQuota(req.user, amount);
+      setQuotaHeaders(res, quota);
+
+      if (!allowed) {
+        const retryAfter = Math.max(1, Math.ceil((Date.parse(quota.reset_at) - Date.now()) / 1000));
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          error: "Денний ліміт перекладів вичерпано",
+          code: "quota_exceeded",
+          quota: { ...quota, remaining: 0 },
+        });
+      }
+
+      res.locals.quotaCharge = { amount, used: amount, quota };
+      res.on("finish", () => {
+        const used = res.statusCode >= 400 ? 0 : res.locals.quotaCharge.used;
+        if (used < amount) refundQuota(req.user, amount - used).catch(() => {});
+      });
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  };
+}
+
+/**
+ * Скільки одиниць зі списаних справді використано (успішні переклади); решту повернемо
+ * після відповіді. Викликати до res.json — заголовок X-Quota-Remaining враховує повернення.
+ */
+function settle(res, used) {
+  const charge = res.locals.quotaCharge;
+  if (!charge) return;
+  charge.used = Math.max(0, Math.min(charge.amount, used));
+  const { quota } = charge;
+  if (quota.limit && quota.remaining != null) {
+    res.set("X-Quota-Remaining", String(Math.min(quota.limit, quota.remaining + charge.amount - charge.used)));
+  }
+}
+
+requireQuota.settle = settle;
+
+module.exports = requireQuota;
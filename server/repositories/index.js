@@ -0,0 +1,112 @@
+/**
+ * server/repositories/index.js — Доступ до даних: слова, списки, слова у списках, прогрес,
+ * глосарії, квоти, витрати провайдерів і карантин LLM
+ *
+ * Маршрути й сервіси не будують запити до Supabase самі, а працюють через репозиторій.
+ * Бекенд задається змінною середовища:
+ *
+ *   DATA_BACKEND=supabase  (за замовчуванням) — repositories/supabase.js: RLS-клієнт користувача
+ *                          (req.supabase) для його даних, service role — для words і службових таблиць
+ *   DATA_BACKEND=memory    — repositories/memory.js: усе в памʼяті процесу, без мережі;
+ *                          ті самі правила власності, що й RLS (локальний запуск, тести)
+ *
+ * wordsRepository() — спільний кеш перекладів words (без власника, пише лише сервер):
+ *   getWord(id) → рядок | null
+ *   findWord(original, srcLang, tgtLang) → рядок | null
+ *   findWords(originals, srcLang, tgtLang) → рядки (лише знайдені)
+ *   upsertWords(rows) → збережені рядки (ключ original + source_lang + target_lang)
+ *   updateWord(id, fields)
+ *   findStale({ versions: { difficulty, idiom }, afterId, limit }) → рядки з оцінкою без AI
+ *     або старою версією промпту, за зростанням id після afterId (services/reenrichment.js)
+ *
+ * quotaRepository() — денні лічильники перекладів (services/quota.js):
+ *   consume(userId, day, amount, limit) → { allowed, total }; атомарно, відʼємний amount — повернення
+ *   used(userId, day) → скільки використано
+ *
+ * usageRepository() — витрати провайдерів по днях і користувачах (services/usage.js):
+ *   add({ day, user_id, provider, characters, input_tokens, output_tokens, calls }) — інкремент
+ *   list({ from, to }) → рядки за днями (to необовʼязковий)
+ *
+ * quarantineRepository() — відповіді LLM, що не пройшли перевірку (services/outputGuard.js):
+ *   add({ task, input, source_lang, target_lang, prompt_version, output, reasons })
+ *
+ * glossariesRepository() — глосарії для перекладу, поза запитом власника (services/glossaries.js):
+ *   listByUser(userId) → усі глосарії користувача з entries і provider_glossary_id
+ *
+ * repositoryFor(req) — дані користувача запиту (після requireAuth); чужі рядки "не існують":
+ *   listLists() → списки з word_count, нові першими
+ *   listsWithWords() → списки з words (рядки words усіх слів списку)
+ *   getList(id) → список | null
+ *   createList({ name, emoji, description }) / updateList(id, fields) / deleteList(id)
+ *   listEntries(listId, { limit }) → [{ word_id, sense_index, user_example, added_at, word }], нові першими
+ *   findEntries(listId, wordIds) → записи списку без word
+ *   addEntry({ listId, wordId, senseIndex, userExample }) → запис
+ *   upsertEntries(rows) — ключ list_id + word_id
+ *   removeEntries(listId, wordIds)
+ *   userWordIds() → унікальні word_id з усіх списків користувача
+ *   progressFor(wordIds) → рядки user_word_progress
+ *   saveProgress(fields) → рядок (ключ user_id + word_id)
+ *   listGlossaries() → глосарії, нові першими
+ *   getGlossary(id) / findGlossary(sourceLang, targetLang) → глосарій | null
+ *   createGlossary({ name, source_lang, target_lang, entries, provider, provider_glossary_id }) → глосарій
+ *   updateGlossary(id, fields) → глосарій | null
+ *   deleteGlossary(id)
+ *   (глосарій — id, name, source_lang, target_lang, entries, provider, provider_glossary_id,
+ *    created_at, updated_at; UNIQUE user_id + source_lang + target_lang)
+ *
+ * Помилки бази кидаються як є (маршрути передають їх у next → 500).
+ */
+
+const BACKENDS = {
+  supabase: () => require('./supabase'),
+  memory: () => require('./memory'),
+};
+
+function getBackendName() {
+  const name = (process.env.DATA_BACKEND || 'supabase').trim().toLowerCase();
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown DATA_BACKEND: ${name} (expected: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return name;
+}
+
+function getBackend() {
+  return BACKENDS[getBackendName()]();
+}
+
+function wordsRepository() {
+  return getBackend().words;
+}
+
+function quotaRepository() {
+  return getBackend().quota;
+}
+
+function usageRepository() {
+  return getBackend().usage;
+}
+
+function quarantineRepository() {
+  return getBackend().quarantine;
+}
+
+function glossariesRepository() {
+  return getBackend().glossaries;
+}
+
+/**
+ * @param {Object} req — запит після requireAuth (req.user, req.supabase)
+ */
+function repositoryFor(req) {
+  return getBackend().forUser(req);
+}
+
+module.exports = {
+  getBackendName,
+  wordsRepository,
+  quotaRepository,
+  usageRepository,
+  quarantineRepository,
+  glossariesRepository,
+  repositoryFor,
+};
@@ -0,0 +1,394 @@
+/**
+ * server/repositories/memory.js — Репозиторій у памʼяті процесу (DATA_BACKEND=memory)
+ *
+ * Для локального запуску й тестів без Supabase. Дані живуть до перезапуску (reset() — очистити).
+ *
+ * Правила власності — ті самі, що дає RLS у Supabase:
+ *   lists              — лише свої (user_id = користувач запиту)
+ *   list_words         — лише у своїх списках; вставка в чужий список — помилка RLS
+ *   user_word_progress — лише свій (user_id)
+ *   glossaries         — лише свої (user_id); один на пару мов
+ *   words              — читають усі, пише лише сервер
+ * Чужий рядок для читання / зміни / видалення просто "не існує" (як у PostgREST).
+ * Обмеження таблиць теж перевіряються: унікальні ключі, зовнішні ключі, каскадне видалення
+ * list_words разом зі списком. Помилки мають code Postgres (42501, 23505, 23503).
+ *
+ * Службові таблиці (квота, витрати провайдерів, карантин LLM) — як RPC / insert у Supabase;
+ * rows(table) — їхній вміст для тестів.
+ */
+
+const crypto = require('crypto');
+
+const WORD_KEY = (w) => `${w.source_lang}>${w.target_lang}:${w.original}`;
+const ENTRY_KEY = (listId, wordId) => `${listId}:${wordId}`;
+const PROGRESS_KEY = (userId, wordId) => `${userId}:${wordId}`;
+
+let tables;
+
+function reset() {
+  tables = {
+    words: new Map(), // id → рядок
+    wordIdByKey: new Map(), // original + пара → id
+    lists: new Map(), // id → рядок
+    listWords: new Map(), // list_id:word_id → рядок
+    progress: new Map(), // user_id:word_id → рядок
+    glossaries: new Map(), // id → рядок
+    translate_quota: new Map(), // user_id|day → рядок
+    provider_usage: new Map(), // day|user_id|provider → рядок
+    llm_quarantine: [],
+  };
+}
+
+reset();
+
+function dbError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function rlsError(table) {
+  return dbError('42501', `new row violates row-level security policy for table "${table}"`);
+}
+
+// Копії: зміни в обʼєкті відповіді не мають потрапляти в "базу"
+function copy(row) {
+  return row ? structuredClone(row) : null;
+}
+
+// Мітки часу строго зростають — порядок "нові першими" однозначний навіть у межах мілісекунди
+let lastTimestamp = 0;
+function now() {
+  lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+  return new Date(lastTimestamp).toISOString();
+}
+
+function newestFirst(rows, field) {
+  return [...rows].sort((a, b) => b[field].localeCompare(a[field]));
+}
+
+// Глосарій без user_id — як select GLOSSARY_FIELDS у repositories/supabase.js
+function glossaryRow({ user_id, ...glossary }) {
+  return copy(glossary);
+}
+
+const words = {
+  async getWord(id) {
+    return copy(tables.words.get(id));
+  },
+
+  async findWord(original, srcLang, tgtLang) {
+    const id = tables.wordIdByKey.get(WORD_KEY({ original, source_lang: srcLang, target_lang: tgtLang }));
+    return copy(tables.words.get(id));
+  },
+
+  async findWords(originals, srcLang, tgtLang) {
+    const found = [];
+    for (const original of new Set(originals)) {
+      const row = await words.findWord(original, srcLang, tgtLang);
+      if (row) found.push(row);
+    }
+    return found;
+  },
+
+  async upsertWords(rows) {
+    return rows.map((row) => {
+      const id = tables.wordIdByKey.get(WORD_KEY(row));
+      const saved = id
+        ? { ...tables.words.get(id), ...row, id }
+        : { id: crypto.randomUUID(), created_at: now(), ...row };
+      tables.words.set(saved.id, saved);
+      tables.wordIdByKey.set(WORD_KEY(saved), saved.id);
+      return copy(saved);
+    });
+  },
+
+  async updateWord(id, fields) {
+    const row = tables.words.get(id);
+    if (!row) return;
+    const updated = { ...row, ...fields, id };
+    if (WORD_KEY(updated) !== WORD_KEY(row)) {
+      if (tables.wordIdByKey.has(WORD_KEY(updated))) {
+        throw dbError('23505', 'duplicate key value violates unique constraint "words_original_source_lang_target_lang_key"');
+      }
+      tables.wordIdByKey.delete(WORD_KEY(row));
+      tables.wordIdByKey.set(WORD_KEY(updated), id);
+    }
+    tables.words.set(id, updated);
+  },
+
+  async findStale({ versions, afterId = null, limit }) {
+    // як фільтр PostgREST: ->> на відсутньому ключі — null, а null.neq.x не збігається
+    const isStale = ({ prompt_versions: pv }) => pv?.difficulty == null
+      || pv.difficulty !== versions.difficulty
+      || (pv.idiom != null && pv.idiom !== versions.idiom);
+    return Array.from(tables.words.values())
+      .filter((w) => (!afterId || w.id > afterId) && isStale(w))
+      .sort((a, b) => a.id.localeCompare(b.id))
+      .slice(0, limit)
+      .map(copy);
+  },
+};
+
+const quota = {
+  // як consume_translate_quota: відʼємний amount — повернення, limit 0 — без ліміту
+  async consume(userId, day, amount, limit) {
+    const key = `${userId}|${day}`;
+    const row = tables.translate_quota.get(key) || { user_id: userId, day, used: 0 };
+    tables.translate_quota.set(key, row);
+    if (amount > 0 && limit > 0 && row.used + amount > limit) {
+      return { allowed: false, total: row.used };
+    }
+    row.used = Math.max(0, row.used + amount);
+    row.updated_at = now();
+    return { allowed: true, total: row.used };
+  },
+
+  async used(userId, day) {
+    return tables.translate_quota.get(`${userId}|${day}`)?.used ?? 0;
+  },
+};
+
+const USAGE_FIELDS = ['characters', 'input_tokens', 'output_tokens', 'calls'];
+
+const usage = {
+  // як record_provider_usage: інкремент рядка (day, user_id, provider)
+  async add(row) {
+    const key = `${row.day}|${row.user_id || ''}|${row.provider}`;
+    const current = tables.provider_usage.get(key)
+      || { day: row.day, user_id: row.user_id || null, provider: row.provider, characters: 0, input_tokens: 0, output_tokens: 0, calls: 0 };
+    for (const field of USAGE_FIELDS) current[field] += row[field] || 0;
+    tables.provider_usage.set(key, current);
+  },
+
+  async list({ from, to = null }) {
+    return Array.from(tables.provider_usage.values())
+      .filter((r) => r.day >= from && (!to || r.day <= to))
+      .sort((a, b) => a.day.localeCompare(b.day))
+      .map(copy);
+  },
+};
+
+const quarantine = {
+  async add(row) {
+    tables.llm_quarantine.push({ id: tables.llm_quarantine.length + 1, created_at: now(), ...copy(row) });
+  },
+};
+
+const glossaries = {
+  async listByUser(userId) {
+    return Array.from(tables.glossaries.values()).filter((g) => g.user_id === userId).map(glossaryRow);
+  },
+};
+
+/**
+ * Вміст таблиці (translate_quota, provider_usage, llm_quarantine, glossaries) — для тестів
+ */
+function rows(table) {
+  return Array.from(tables[table].values()).map(copy);
+}
+
+function forUser(req) {
+  const userId = req.user.id;
+
+  const ownList = (id) => {
+    const list = tables.lists.get(id);
+    return list && list.user_id === userId ? list : null;
+  };
+  const ownEntries = (listId) => (ownList(listId)
+    ? Array.from(tables.listWords.values()).filter((lw) => lw.list_id === listId)
+    : []);
+
+  const ownGlossary = (id) => {
+    const glossary = tables.glossaries.get(id);
+    return glossary && glossary.user_id === userId ? glossary : null;
+  };
+  // UNIQUE (user_id, source_lang, target_lang) і check (source_lang <> target_lang)
+  const checkGlossary = (row) => {
+    if (row.source_lang === row.target_lang) {
+      throw dbError('23514', 'new row for relation "glossaries" violates check constraint "glossaries_check"');
+    }
+    const taken = Array.from(tables.glossaries.values()).some((g) => g.id !== row.id && g.user_id === row.user_id
+      && g.source_lang === row.source_lang && g.target_lang === row.target_lang);
+    if (taken) {
+      throw dbError('23505', 'duplicate key value violates unique constraint "glossaries_user_id_source_lang_target_lang_key"');
+    }
+  };
+
+  // Вставка / upsert запису списку: список має бути свій, слово — існувати
+  const checkEntry = (row) => {
+    if (!ownList(row.list_id)) throw rlsError('list_words');
+    if (!tables.words.has(row.word_id)) {
+      throw dbError('23503', 'insert or update on table "list_words" violates foreign key constraint "list_words_word_id_fkey"');
+    }
+  };
+
+  return {
+    async listLists() {
+      const lists = Array.from(tables.lists.values()).filter((l) => l.user_id === userId);
+      return newestFirst(lists, 'created_at').map((list) => ({
+        ...copy(list),
+        word_count: ownEntries(list.id).length,
+      }));
+    },
+
+    async listsWithWords() {
+      return Array.from(tables.lists.values())
+        .filter((l) => l.user_id === userId)
+        .map((list) => ({
+          ...copy(list),
+          words: ownEntries(list.id).map((lw) => copy(tables.words.get(lw.word_id))).filter(Boolean),
+        }));
+    },
+
+    async getList(id) {
+      return copy(ownList(id));
+    },
+
+    async createList({ name, emoji, description }) {
+      const list = {
+        id: crypto.randomUUID(),
+        user_id: userId,
+        name,
+        emoji,
+        description,
+        language_mix_policy: 'ASK',
+        created_at: now(),
+      };
+      tables.lists.set(list.id, list);
+      return copy(list);
+    },
+
+    async updateList(id, fields) {
+      const list = ownList(id);
+      if (!list) return;
+      if (fields.user_id && fields.user_id !== userId) throw rlsError('lists');
+      tables.lists.set(id, { ...list, ...fields, id });
+    },
+
+    async deleteList(id) {
+      if (!ownList(id)) return;
+      tables.lists.delete(id);
+      for (const [key, lw] of tables.listWords) {
+        if (lw.list_id === id) tables.listWords.delete(key);
+      }
+    },
+
+    async listEntries(listId, { limit = null } = {}) {
+      return newestFirst(ownEntries(listId), 'added_at')
+        .slice(0, limit || undefined)
+        .map((lw) => ({
+          word_id: lw.word_id,
+          sense_index: lw.sense_index,
+          user_example: lw.user_example,
+          added_at: lw.added_at,
+          word: copy(tables.words.get(lw.word_id)),
+        }));
+    },
+
+    async findEntries(listId, wordIds) {
+      const ids = new Set(wordIds);
+      return ownEntries(listId).filter((lw) => ids.has(lw.word_id)).map(copy);
+    },
+
+    async addEntry({ listId, wordId, senseIndex = null, userExample = null }) {
+      const row = { list_id: listId, word_id: wordId, sense_index: senseIndex, user_example: userExample };
+      checkEntry(row);
+      if (tables.listWords.has(ENTRY_KEY(listId, wordId))) {
+        throw dbError('23505', 'duplicate key value violates unique constraint "list_words_pkey"');
+      }
+      const saved = { ...row, added_at: now() };
+      tables.listWords.set(ENTRY_KEY(listId, wordId), saved);
+      return copy(saved);
+    },
+
+    async upsertEntries(rows) {
+      // як і в Postgres, запит або виконується повністю, або не змінює нічого
+      rows.forEach(checkEntry);
+      for (const row of rows) {
+        const key = ENTRY_KEY(row.list_id, row.word_id);
+        const current = tables.listWords.get(key);
+        tables.listWords.set(key, current ? { ...current, ...row } : { added_at: now(), ...row });
+      }
+    },
+
+    async removeEntries(listId, wordIds) {
+      if (!ownList(listId)) return;
+      for (const wordId of wordIds) tables.listWords.delete(ENTRY_KEY(listId, wordId));
+    },
+
+    async userWordIds() {
+      const ids = new Set();
+      for (const list of tables.lists.values()) {
+        if (list.user_id !== userId) continue;
+        for (const lw of ownEntries(list.id)) ids.add(lw.word_id);
+      }
+      return Array.from(ids);
+    },
+
+    async progressFor(wordIds) {
+      return wordIds
+        .map((wordId) => copy(tables.progress.get(PROGRESS_KEY(userId, wordId))))
+        .filter(Boolean);
+    },
+
+    async saveProgress(fields) {
+      if (fields.user_id && fields.user_id !== userId) throw rlsError('user_word_progress');
+      if (!tables.words.has(fields.word_id)) {
+        throw dbError('23503', 'insert or update on table "user_word_progress" violates foreign key constraint "user_word_progress_word_id_fkey"');
+      }
+      const key = PROGRESS_KEY(userId, fields.word_id);
+      const saved = { ...tables.progress.get(key), ...fields, user_id: userId };
+      tables.progress.set(key, saved);
+      return copy(saved);
+    },
+
+    async listGlossaries() {
+      const own = Array.from(tables.glossaries.values()).filter((g) => g.user_id === userId);
+      return newestFirst(own, 'created_at').map(glossaryRow);
+    },
+
+    async getGlossary(id) {
+      const glossary = ownGlossary(id);
+      return glossary ? glossaryRow(glossary) : null;
+    },
+
+    async findGlossary(sourceLang, targetLang) {
+      const glossary = Array.from(tables.glossaries.values())
+        .find((g) => g.user_id === userId && g.source_lang === sourceLang && g.target_lang === targetLang);
+      return glossary ? glossaryRow(glossary) : null;
+    },
+
+    async createGlossary(fields) {
+      if (fields.user_id && fields.user_id !== userId) throw rlsError('glossaries');
+      const createdAt = now();
+      const glossary = {
+        provider: null,
+        provider_glossary_id: null,
+        ...copy(fields),
+        id: crypto.randomUUID(),
+        user_id: userId,
+        created_at: createdAt,
+        updated_at: createdAt,
+      };
+      checkGlossary(glossary);
+      tables.glossaries.set(glossary.id, glossary);
+      return glossaryRow(glossary);
+    },
+
+    async updateGlossary(id, fields) {
+      const glossary = ownGlossary(id);
+      if (!glossary) return null;
+      const updated = { ...glossary, ...copy(fields), id, user_id: userId };
+      checkGlossary(updated);
+      tables.glossaries.set(id, updated);
+      return glossaryRow(updated);
+    },
+
+    async deleteGlossary(id) {
+      if (ownGlossary(id)) tables.glossaries.delete(id);
+    },
+  };
+}
+
+module.exports = { words, quota, usage, quarantine, glossaries, forUser, reset, rows };
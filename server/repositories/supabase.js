@@ -0,0 +1,350 @@
+/**
+ * server/repositories/supabase.js — Репозиторій на Supabase (DATA_BACKEND=supabase)
+ *
+ * Дані користувача — через req.supabase: клієнт з його JWT, власність перевіряє RLS
+ * (lists.user_id = auth.uid(), list_words — через список, user_word_progress.user_id).
+ * words читаються публічним клієнтом, пишуться service role (RLS дозволяє лише читання).
+ * glossaries: маршрути — через req.supabase (RLS), переклад читає глосарії власника service role.
+ * Службові таблиці без політик (translate_quota, provider_usage, llm_quarantine) — лише service role;
+ * лічильники змінюються RPC (consume_translate_quota, record_provider_usage) — атомарно,
+ * без гонок між інстансами сервера.
+ */
+
+// public (anon) client: читання words
+const supabase = require('../lib/supabase.server.cjs');
+// service role: запис у words
+const supabaseAdmin = require('../lib/supabase.admin.cjs');
+
+const WORD_KEY = 'original,source_lang,target_lang';
+
+// Поля words для перезбагачення (services/reenrichment.js)
+const STALE_FIELDS = 'id, original, source_lang, target_lang, translation, translation_provider, alt_translations, case_sensitive, senses, difficulty_factors, assessment_variant, prompt_versions, enrichment_status';
+
+// Поля glossaries (без user_id — власника визначає RLS / запит)
+const GLOSSARY_FIELDS = 'id, name, source_lang, target_lang, entries, provider, provider_glossary_id, created_at, updated_at';
+
+/**
+ * PostgREST-фільтр застарілих рядків для поточних версій промптів
+ */
+function staleFilter({ difficulty, idiom }) {
+  return [
+    'prompt_versions->>difficulty.is.null',
+    `prompt_versions->>difficulty.neq.${difficulty}`,
+    `prompt_versions->>idiom.neq.${idiom}`,
+  ].join(',');
+}
+
+function toEntry({ words, ...entry }) {
+  return { ...entry, word: words || null };
+}
+
+const words = {
+  async getWord(id) {
+    const { data, error } = await supabase.from('words').select('*').eq('id', id).maybeSingle();
+    if (error) throw error;
+    return data;
+  },
+
+  async findWord(original, srcLang, tgtLang) {
+    const { data, error } = await supabase
+      .from('words')
+      .select('*')
+      .eq('original', original)
+      .eq('source_lang', srcLang)
+      .eq('target_lang', tgtLang)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  },
+
+  async findWords(originals, srcLang, tgtLang) {
+    const { data, error } = await supabase
+      .from('words')
+      .select('*')
+      .in('original', originals)
+      .eq('source_lang', srcLang)
+      .eq('target_lang', tgtLang);
+    if (error) throw error;
+    return data || [];
+  },
+
+  async upsertWords(rows) {
+    const { data, error } = await supabaseAdmin
+      .from('words')
+      .upsert(rows, { onConflict: WORD_KEY })
+      .select();
+    if (error) throw error;
+    return data || [];
+  },
+
+  async updateWord(id, fields) {
+    const { error } = await supabaseAdmin.from('words').update(fields).eq('id', id);
+    if (error) throw error;
+  },
+
+  async findStale({ versions, afterId = null, limit }) {
+    let query = supabaseAdmin
+      .from('words')
+      .select(STALE_FIELDS)
+      .or(staleFilter(versions))
+      .order('id', { ascending: true })
+      .limit(limit);
+    if (afterId) query = query.gt('id', afterId);
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  },
+};
+
+const quota = {
+  async consume(userId, day, amount, limit) {
+    const { data, error } = await supabaseAdmin.rpc('consume_translate_quota', {
+      p_user_id: userId,
+      p_day: day,
+      p_amount: amount,
+      p_limit: limit,
+    });
+    if (error) throw error;
+    const row = Array.isArray(data) ? data[0] : data;
+    return { allowed: row?.allowed !== false, total: row?.total ?? null };
+  },
+
+  async used(userId, day) {
+    const { data, error } = await supabaseAdmin
+      .from('translate_quota')
+      .select('used')
+      .eq('user_id', userId)
+      .eq('day', day)
+      .maybeSingle();
+    if (error) throw error;
+    return data?.used ?? 0;
+  },
+};
+
+const usage = {
+  async add(row) {
+    const { error } = await supabaseAdmin.rpc('record_provider_usage', {
+      p_day: row.day,
+      p_user_id: row.user_id,
+      p_provider: row.provider,
+      p_characters: row.characters,
+      p_input_tokens: row.input_tokens,
+      p_output_tokens: row.output_tokens,
+      p_calls: row.calls,
+    });
+    if (error) throw error;
+  },
+
+  async list({ from, to = null }) {
+    let query = supabaseAdmin
+      .from('provider_usage')
+      .select('day, user_id, provider, characters, input_tokens, output_tokens, calls')
+      .gte('day', from)
+      .order('day', { ascending: true });
+    if (to) query = query.lte('day', to);
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  },
+};
+
+const quarantine = {
+  async add(row) {
+    const { error } = await supabaseAdmin.from('llm_quarantine').insert(row);
+    if (error) throw error;
+  },
+};
+
+const glossaries = {
+  async listByUser(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('glossaries')
+      .select(GLOSSARY_FIELDS)
+      .eq('user_id', userId);
+    if (error) throw error;
+    return data || [];
+  },
+};
+
+function forUser(req) {
+  const db = req.supabase;
+  const userId = req.user.id;
+
+  return {
+    async listLists() {
+      const { data, error } = await db
+        .from('lists')
+        .select('*, list_words(count)')
+        .order('created_at', { ascending: false });
+      if (error) throw error;
+      return (data || []).map(({ list_words, ...list }) => ({
+        ...list,
+        word_count: list_words?.[0]?.count || 0,
+      }));
+    },
+
+    async listsWithWords() {
+      const { data, error } = await db.from('lists').select('*, list_words(word_id, words(*))');
+      if (error) throw error;
+      return (data || []).map(({ list_words, ...list }) => ({
+        ...list,
+        words: (list_words || []).map((lw) => lw.words).filter(Boolean),
+      }));
+    },
+
+    async getList(id) {
+      const { data, error } = await db.from('lists').select('*').eq('id', id).maybeSingle();
+      if (error) throw error;
+      return data;
+    },
+
+    async createList({ name, emoji, description }) {
+      const { data, error } = await db
+        .from('lists')
+        .insert({ user_id: userId, name, emoji, description })
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    },
+
+    async updateList(id, fields) {
+      const { error } = await db.from('lists').update(fields).eq('id', id);
+      if (error) throw error;
+    },
+
+    async deleteList(id) {
+      const { error } = await db.from('lists').delete().eq('id', id);
+      if (error) throw error;
+    },
+
+    async listEntries(listId, { limit = null } = {}) {
+      let query = db
+        .from('list_words')
+        .select('word_id, sense_index, user_example, added_at, words(*)')
+        .eq('list_id', listId)
+        .order('added_at', { ascending: false });
+      if (limit) query = query.limit(limit);
+      const { data, error } = await query;
+      if (error) throw error;
+      return (data || []).map(toEntry);
+    },
+
+    async findEntries(listId, wordIds) {
+      const { data, error } = await db
+        .from('list_words')
+        .select('list_id, word_id, sense_index, user_example, added_at')
+        .eq('list_id', listId)
+        .in('word_id', wordIds);
+      if (error) throw error;
+      return data || [];
+    },
+
+    async addEntry({ listId, wordId, senseIndex = null, userExample = null }) {
+      const { data, error } = await db
+        .from('list_words')
+        .insert({ list_id: listId, word_id: wordId, sense_index: senseIndex, user_example: userExample })
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    },
+
+    async upsertEntries(rows) {
+      const { error } = await db.from('list_words').upsert(rows, { onConflict: 'list_id,word_id' });
+      if (error) throw error;
+    },
+
+    async removeEntries(listId, wordIds) {
+      const { error } = await db
+        .from('list_words')
+        .delete()
+        .eq('list_id', listId)
+        .in('word_id', wordIds);
+      if (error) throw error;
+    },
+
+    async userWordIds() {
+      const { data: lists, error: listsError } = await db.from('lists').select('id').eq('user_id', userId);
+      if (listsError) throw listsError;
+
+      const listIds = (lists || []).map((l) => l.id);
+      if (listIds.length === 0) return [];
+
+      const { data, error } = await db.from('list_words').select('word_id').in('list_id', listIds);
+      if (error) throw error;
+      return [...new Set((data || []).map((lw) => lw.word_id))];
+    },
+
+    async progressFor(wordIds) {
+      if (wordIds.length === 0) return [];
+      const { data, error } = await db.from('user_word_progress').select('*').in('word_id', wordIds);
+      if (error) throw error;
+      return data || [];
+    },
+
+    async saveProgress(fields) {
+      const { data, error } = await db
+        .from('user_word_progress')
+        .upsert({ ...fields, user_id: userId }, { onConflict: 'user_id,word_id' })
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    },
+
+    async listGlossaries() {
+      const { data, error } = await db
+        .from('glossaries')
+        .select(GLOSSARY_FIELDS)
+        .order('created_at', { ascending: false });
+      if (error) throw error;
+      return data || [];
+    },
+
+    async getGlossary(id) {
+      const { data, error } = await db.from('glossaries').select(GLOSSARY_FIELDS).eq('id', id).maybeSingle();
+      if (error) throw error;
+      return data;
+    },
+
+    async findGlossary(sourceLang, targetLang) {
+      const { data, error } = await db
+        .from('glossaries')
+        .select(GLOSSARY_FIELDS)
+        .eq('source_lang', sourceLang)
+        .eq('target_lang', targetLang)
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    },
+
+    async createGlossary(fields) {
+      const { data, error } = await db
+        .from('glossaries')
+        .insert({ ...fields, user_id: userId })
+        .select(GLOSSARY_FIELDS)
+        .single();
+      if (error) throw error;
+      return data;
+    },
+
+    async updateGlossary(id, fields) {
+      const { data, error } = await db
+        .from('glossaries')
+        .update(fields)
+        .eq('id', id)
+        .select(GLOSSARY_FIELDS)
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    },
+
+    async deleteGlossary(id) {
+      const { error } = await db.from('glossaries').delete().eq('id', id);
+      if (error) throw error;
+    },
+  };
+}
+
+module.exports = { words, quota, usage, quarantine, glossaries, forUser };
@@ -0,0 +1,198 @@
+/**
+ * server/routes/glossaries.js — Глосарії користувача (закріплені переклади термінів)
+ *
+ * Supabase Auth JWT + RLS (як lists.js): користувач бачить і змінює лише свої глосарії.
+ * Дані — через repositoryFor(req) (repositories/index.js), як у lists.js.
+ * Один глосарій на пару мов; мови — базові коди (EN-GB → EN).
+ * Копія глосарію створюється в активному провайдері перекладу (DeepL), щоб застосовувати
+ * його до фраз і речень-контексту; див. services/glossaries.js.
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const requireAuth = require("../middleware/requireAuth");
+const { repositoryFor } = require("../repositories");
+const {
+  glossaryLang,
+  normalizeEntries,
+  forgetGlossaries,
+  createProviderGlossary,
+  dropProviderGlossary,
+} = require("../services/glossaries");
+
+const MAX_NAME_LENGTH = 100;
+
+function summary(glossary) {
+  const { entries, provider_glossary_id, ...rest } = glossary;
+  return { ...rest, entry_count: Array.isArray(entries) ? entries.length : 0 };
+}
+
+// Id копії у провайдера — службове поле, клієнту не віддаємо
+function withEntries(glossary) {
+  const { provider_glossary_id, ...rest } = glossary;
+  return rest;
+}
+
+function normalizeName(name) {
+  return typeof name === "string" ? name.trim().replace(/\s+/g, " ") : "";
+}
+
+// Копія у провайдера не створилась — 502, глосарій не зберігаємо
+function providerError(res, error) {
+  console.error("❌ Glossary provider error:", error?.message || error);
+  return res.status(502).json({ error: `Провайдер перекладу не прийняв глосарій: ${error?.message || error}` });
+}
+
+// GET /api/glossaries — глосарії поточного користувача (без термінів, з entry_count)
+router.get("/glossaries", requireAuth, async (req, res, next) => {
+  try {
+    const glossaries = await repositoryFor(req).listGlossaries();
+    return res.json(glossaries.map(summary));
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// GET /api/glossaries/:id — глосарій з термінами
+router.get("/glossaries/:id", requireAuth, async (req, res, next) => {
+  try {
+    const glossary = await repositoryFor(req).getGlossary(req.params.id);
+    if (!glossary) return res.status(404).json({ error: "Глосарій не знайдено" });
+    return res.json(withEntries(glossary));
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// POST /api/glossaries — створити глосарій
+// body: { name, source_lang, target_lang, entries: [{ source, target }] }
+router.post("/glossaries", requireAuth, async (req, res, next) => {
+  try {
+    const name = normalizeName(req.body.name);
+    const sourceLang = glossaryLang(req.body.source_lang);
+    const targetLang = glossaryLang(req.body.target_lang);
+
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return res.status(400).json({ error: `Назва обов'язкова (до ${MAX_NAME_LENGTH} символів)` });
+    }
+    if (!sourceLang || !targetLang) {
+      return res.status(400).json({ error: "source_lang і target_lang обов'язкові" });
+    }
+    if (sourceLang === targetLang) {
+      return res.status(400).json({ error: "Мови глосарію мають відрізнятися" });
+    }
+    const { entries, error: entriesError } = normalizeEntries(req.body.entries);
+    if (entriesError) return res.status(400).json({ error: entriesError });
+
+    const repo = repositoryFor(req);
+    const existing = await repo.findGlossary(sourceLang, targetLang);
+    if (existing) {
+      return res.status(409).json({
+        error: `Глосарій для ${sourceLang}→${targetLang} вже є — змініть його`,
+        glossary_id: existing.id,
+      });
+    }
+
+    let providerFields;
+    try {
+      providerFields = await createProviderGlossary({ name, source_lang: sourceLang, target_lang: targetLang, entries });
+    } catch (e) {
+      return providerError(res, e);
+    }
+
+    let created;
+    try {
+      created = await repo.createGlossary({
+        name,
+        source_lang: sourceLang,
+        target_lang: targetLang,
+        entries,
+        ...providerFields,
+      });
+    } catch (error) {
+      await dropProviderGlossary(providerFields);
+      throw error;
+    }
+
+    forgetGlossaries(req.user.id);
+    return res.status(201).json({ ...summary(created), entries: created.entries });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// PUT /api/glossaries/:id — перейменувати і/або замінити терміни
+// body: { name?, entries? }
+router.put("/glossaries/:id", requireAuth, async (req, res, next) => {
+  try {
+    const repo = repositoryFor(req);
+    const current = await repo.getGlossary(req.params.id);
+    if (!current) return res.status(404).json({ error: "Глосарій не знайдено" });
+
+    const update = {};
+    if (req.body.name !== undefined) {
+      const name = normalizeName(req.body.name);
+      if (!name || name.length > MAX_NAME_LENGTH) {
+        return res.status(400).json({ error: `Назва обов'язкова (до ${MAX_NAME_LENGTH} символів)` });
+      }
+      update.name = name;
+    }
+    if (req.body.entries !== undefined) {
+      const { entries, error: entriesError } = normalizeEntries(req.body.entries);
+      if (entriesError) return res.status(400).json({ error: entriesError });
+      update.entries = entries;
+    }
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ error: "Нічого змінювати: передайте name або entries" });
+    }
+
+    // Глосарії DeepL незмінні: нові терміни — новий глосарій у провайдера, старий видаляємо після збереження
+    const replacesProviderGlossary = !!update.entries;
+    if (replacesProviderGlossary) {
+      try {
+        Object.assign(update, await createProviderGlossary({ ...current, ...update }));
+      } catch (e) {
+        return providerError(res, e);
+      }
+    }
+
+    let updated;
+    try {
+      updated = await repo.updateGlossary(current.id, { ...update, updated_at: new Date().toISOString() });
+    } catch (error) {
+      if (replacesProviderGlossary) await dropProviderGlossary(update);
+      throw error;
+    }
+    if (!updated) {
+      // глосарій видалили між читанням і записом
+      if (replacesProviderGlossary) await dropProviderGlossary(update);
+      return res.status(404).json({ error: "Глосарій не знайдено" });
+    }
+    if (replacesProviderGlossary) await dropProviderGlossary(current);
+
+    forgetGlossaries(req.user.id);
+    return res.json({ ...summary(updated), entries: updated.entries });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// DELETE /api/glossaries/:id — видалити глосарій (з перевіркою токена в Supabase Auth)
+router.delete("/glossaries/:id", requireAuth.remote, async (req, res, next) => {
+  try {
+    const repo = repositoryFor(req);
+    const current = await repo.getGlossary(req.params.id);
+    if (!current) return res.status(404).json({ error: "Глосарій не знайдено" });
+
+    await repo.deleteGlossary(current.id);
+
+    await dropProviderGlossary(current);
+    forgetGlossaries(req.user.id);
+    return res.json({ success: true });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,14 @@
 /**
- * server/routes/languages.js — Мови перекладу (DeepL)
+ * server/routes/languages.js — Мови перекладу
  *
  * GET /api/languages
- * Повертає source/target мовні коди + назви (з DeepL), відфільтровані під продукт.
+ * Повертає source/target мовні коди + назви (з активного провайдера перекладу),
+ * відфільтровані під продукт. target[i].supports_formality — чи можна обрати формальність.
  */
 
 const express = require('express');
 const router = express.Router();
-const { getLanguages } = require('../services/deepl');
+const { getLanguages, getProviderName, supportsFormality } = require('../services/translator');
 
 // Білий список мов продукту (Європа + EN). Можна розширювати без зміни клієнта.
 const ALLOWED = new Set([
@@ -42,9 +43,10 @@ router.get('/languages', async (req, res) => {
     // а регіональні (EN-GB/EN-US/ES-419) — як target. Ми просто відфільтровуємо по ALLOWED.
     return res.json({
       source: filterAllowed(source),
-      target: filterAllowed(target),
+      target: filterAllowed(target).map((x) => ({ ...x, supports_formality: supportsFormality(x.language) })),
       // корисно для клієнта
       allowed: Array.from(ALLOWED),
+      provider: getProviderName(),
       fetched_at: new Date().toISOString(),
     });
   } catch (e) {
@@ -2,33 +2,28 @@
  * server/routes/lists.js — Маршрути управління списками
  *
  * ВАЖЛИВО:
- * - Використовує Supabase Auth JWT (Bearer token) + RLS політики.
+ * - Використовує Supabase Auth JWT (Bearer token); дані — через репозиторій користувача
+ *   (repositories/): у Supabase власність перевіряє RLS, у DATA_BACKEND=memory — ті самі правила.
  * - user_id береться з токена (req.user.id), не з x-user-id / query param.
+ * - Усе, що прибирає слова або списки (видалення, перенесення), — requireAuth.remote: токен
+ *   додатково перевіряється в Supabase Auth (сесію могли завершити, а JWT ще не прострочений).
  */
 
 const express = require("express");
 const router = express.Router();
 
 const requireAuth = require("../middleware/requireAuth");
+const { repositoryFor, wordsRepository } = require("../repositories");
+const { applyListEntry } = require("../services/senses");
+
+// Власний приклад користувача (речення-контекст) — обрізаємо до розумної довжини
+const MAX_USER_EXAMPLE_LENGTH = 500;
 
 // GET /api/lists — отримати списки поточного користувача
 router.get("/lists", requireAuth, async (req, res, next) => {
   try {
-    const supabase = req.supabase;
-
-    const { data, error } = await supabase
-      .from("lists")
-      .select("*, list_words(count)")
-      .order("created_at", { ascending: false });
-
-    if (error) throw error;
-
-    return res.json(
-      (data || []).map((l) => ({
-        ...l,
-        word_count: l.list_words?.[0]?.count || 0,
-      }))
-    );
+    const lists = await repositoryFor(req).listLists();
+    return res.json(lists);
   } catch (error) {
     return next(error);
   }
@@ -37,72 +32,69 @@ router.get("/lists", requireAuth, async (req, res, next) => {
 // POST /api/lists — створити список
 router.post("/lists", requireAuth, async (req, res, next) => {
   try {
-    const supabase = req.supabase;
-
     const { name, emoji = "📚", description = "" } = req.body;
 
     if (!name || typeof name !== "string" || name.trim().length === 0) {
       return res.status(400).json({ error: "Назва обов'язкова" });
     }
 
-    const { data, error } = await supabase
-      .from("lists")
-      .insert({
-        user_id: req.user.id,
-        name: name.trim(),
-        emoji,
-        description,
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
+    const list = await repositoryFor(req).createList({
+      name: name.trim(),
+      emoji,
+      description,
+    });
 
-    return res.status(201).json(data);
+    return res.status(201).json(list);
   } catch (error) {
     return next(error);
   }
 });
 
 // POST /api/lists/:id/words — додати слово до списку
+// body: { wordId, senseIndex?, userExample?, forceMix?, rememberChoice? }
+//   senseIndex — індекс обраного значення у words.senses (null — основний переклад)
+//   userExample — речення, у якому користувач зустрів слово (лише для цього запису списку)
 router.post("/lists/:id/words", requireAuth, async (req, res, next) => {
   try {
-    const supabase = req.supabase;
-    const { wordId, forceMix = false, rememberChoice = false } = req.body;
+    const repo = repositoryFor(req);
+    const { wordId, senseIndex = null, userExample = null, forceMix = false, rememberChoice = false } = req.body;
 
     if (!wordId) {
       return res.status(400).json({ error: "wordId обов'язковий" });
     }
+    if (senseIndex !== null && (!Number.isInteger(senseIndex) || senseIndex < 0)) {
+      return res.status(400).json({ error: "senseIndex має бути невід'ємним цілим числом" });
+    }
+    if (userExample !== null && typeof userExample !== "string") {
+      return res.status(400).json({ error: "userExample має бути рядком" });
+    }
+    const example = (userExample || "").trim().slice(0, MAX_USER_EXAMPLE_LENGTH) || null;
 
     // 1) Fetch list settings
-    const { data: list, error: listError } = await supabase
-      .from('lists')
-      .select('id, language_mix_policy')
-      .eq('id', req.params.id)
-      .single();
-    if (listError) throw listError;
+    const list = await repo.getList(req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: "Список не знайдено" });
+    }
 
     // 2) Fetch the word being added (language pair)
-    const { data: word, error: wordError } = await supabase
-      .from('words')
-      .select('id, source_lang, target_lang')
-      .eq('id', wordId)
-      .single();
-    if (wordError) throw wordError;
+    const word = await wordsRepository().getWord(wordId);
+    if (!word) {
+      return res.status(404).json({ error: "Слово не знайдено" });
+    }
+
+    if (senseIndex !== null && !(Array.isArray(word.senses) && senseIndex < word.senses.length)) {
+      return res.status(400).json({ error: "Такого значення у слова немає" });
+    }
 
     const listPolicy = (list?.language_mix_policy || 'ASK').toUpperCase();
 
     // 3) If policy is ASK and not forcing, check if list already has a single language pair and it mismatches
     if (listPolicy === 'ASK' && !forceMix) {
-      const { data: existingPairs, error: pairsError } = await supabase
-        .from('list_words')
-        .select('words(source_lang, target_lang)')
-        .eq('list_id', req.params.id)
-        .limit(30); // we only need a sample to detect pair; lists typically consistent
-      if (pairsError) throw pairsError;
-
-      const pairs = (existingPairs || [])
-        .map((x) => x.words)
+      // we only need a sample to detect pair; lists typically consistent
+      const existing = await repo.listEntries(req.params.id, { limit: 30 });
+
+      const pairs = existing
+        .map((x) => x.word)
         .filter(Boolean)
         .map((w) => `${String(w.source_lang || '').toUpperCase()}→${String(w.target_lang || '').toUpperCase()}`);
 
@@ -122,35 +114,27 @@ router.post("/lists/:id/words", requireAuth, async (req, res, next) => {
 
     // 4) If user decided to remember, set policy to ALLOW (only for this list)
     if (forceMix && rememberChoice) {
-      const { error: updateError } = await supabase
-        .from('lists')
-        .update({ language_mix_policy: 'ALLOW' })
-        .eq('id', req.params.id);
-      if (updateError) throw updateError;
+      await repo.updateList(req.params.id, { language_mix_policy: 'ALLOW' });
     }
 
     // 5) Insert word to list
-    const { data, error } = await supabase
-      .from("list_words")
-      .insert({ list_id: req.params.id, word_id: wordId })
-      .select()
-      .single();
-
-    if (error) throw error;
+    const entry = await repo.addEntry({
+      listId: req.params.id,
+      wordId,
+      senseIndex,
+      userExample: example,
+    });
 
-    return res.status(201).json(data);
+    return res.status(201).json(entry);
   } catch (error) {
     return next(error);
   }
 });
 
 // DELETE /api/lists/:id — видалити список
-router.delete("/lists/:id", requireAuth, async (req, res, next) => {
+router.delete("/lists/:id", requireAuth.remote, async (req, res, next) => {
   try {
-    const supabase = req.supabase;
-
-    const { error } = await supabase.from("lists").delete().eq("id", req.params.id);
-    if (error) throw error;
+    await repositoryFor(req).deleteList(req.params.id);
 
     return res.json({ success: true });
   } catch (error) {
@@ -161,7 +145,6 @@ router.delete("/lists/:id", requireAuth, async (req, res, next) => {
 // GET /api/suggest-list?wordId=... — рекомендація списку (без userId у query)
 router.get("/suggest-list", requireAuth, async (req, res, next) => {
   try {
-    const supabase = req.supabase;
     const { wordId } = req.query;
 
     if (!wordId) {
@@ -169,27 +152,25 @@ router.get("/suggest-list", requireAuth, async (req, res, next) => {
     }
 
     // Отримуємо слово та списки користувача зі словами
-    const [wordRes, listsRes] = await Promise.all([
-      supabase.from("words").select("*").eq("id", wordId).single(),
-      supabase.from("lists").select("*, list_words(word_id, words(*))"),
+    const [word, lists] = await Promise.all([
+      wordsRepository().getWord(wordId),
+      repositoryFor(req).listsWithWords(),
     ]);
 
-    if (wordRes.error || listsRes.error) throw wordRes.error || listsRes.error;
-
-    const word = wordRes.data;
-    const lists = listsRes.data || [];
+    if (!word) {
+      return res.status(404).json({ error: "Слово не знайдено" });
+    }
 
     // Евристика: рекомендуємо список з найбільш схожими словами за CEFR/частиною мови
     let bestList = null;
     let bestScore = -1;
 
     for (const list of lists) {
-      const listWords = list.list_words?.map((lw) => lw.words) || [];
       let score = 0;
 
-      for (const lw of listWords) {
-        if (lw && lw.cefr_level === word.cefr_level) score += 2;
-        if (lw && lw.part_of_speech === word.part_of_speech) score += 1;
+      for (const lw of list.words) {
+        if (lw.cefr_level === word.cefr_level) score += 2;
+        if (lw.part_of_speech === word.part_of_speech) score += 1;
       }
 
       if (score > bestScore) {
@@ -212,30 +193,25 @@ router.get("/suggest-list", requireAuth, async (req, res, next) => {
 // GET /api/lists/:id — отримати один список + слова (join до words)
 router.get("/lists/:id", requireAuth, async (req, res, next) => {
   try {
-    const supabase = req.supabase;
+    const repo = repositoryFor(req);
 
-    const { data: list, error: listError } = await supabase
-      .from("lists")
-      .select("id, name, emoji, created_at")
-      .eq("id", req.params.id)
-      .single();
-
-    if (listError) throw listError;
-
-    const { data: items, error: itemsError } = await supabase
-      .from("list_words")
-      .select("added_at, words(*)")
-      .eq("list_id", req.params.id)
-      .order("added_at", { ascending: false });
+    const list = await repo.getList(req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: "Список не знайдено" });
+    }
 
-    if (itemsError) throw itemsError;
+    const items = await repo.listEntries(req.params.id);
 
-    const words = (items || [])
-      .map((lw) => lw.words)
-      .filter(Boolean);
+    // Показуємо те значення слова, яке користувач обрав при додаванні, і його власний приклад
+    const words = items
+      .filter((lw) => lw.word)
+      .map((lw) => applyListEntry(lw.word, lw));
 
     return res.json({
-      ...list,
+      id: list.id,
+      name: list.name,
+      emoji: list.emoji,
+      created_at: list.created_at,
       word_count: words.length,
       words,
     });
@@ -245,18 +221,11 @@ router.get("/lists/:id", requireAuth, async (req, res, next) => {
 });
 
 // DELETE /api/lists/:id/words/:wordId — видалити слово зі списку
-router.delete("/lists/:id/words/:wordId", requireAuth, async (req, res, next) => {
+router.delete("/lists/:id/words/:wordId", requireAuth.remote, async (req, res, next) => {
   try {
-    const supabase = req.supabase;
     const { id, wordId } = req.params;
 
-    const { error } = await supabase
-      .from("list_words")
-      .delete()
-      .eq("list_id", id)
-      .eq("word_id", wordId);
-
-    if (error) throw error;
+    await repositoryFor(req).removeEntries(id, [wordId]);
 
     return res.json({ success: true });
   } catch (error) {
@@ -266,9 +235,8 @@ router.delete("/lists/:id/words/:wordId", requireAuth, async (req, res, next) =>
 
 // POST /api/lists/:id/words/bulk-delete — видалити кілька слів зі списку
 // body: { wordIds: [uuid, ...] }
-router.post("/lists/:id/words/bulk-delete", requireAuth, async (req, res, next) => {
+router.post("/lists/:id/words/bulk-delete", requireAuth.remote, async (req, res, next) => {
   try {
-    const supabase = req.supabase;
     const { id } = req.params;
     const { wordIds } = req.body;
 
@@ -276,13 +244,7 @@ router.post("/lists/:id/words/bulk-delete", requireAuth, async (req, res, next)
       return res.status(400).json({ error: "wordIds обов'язковий" });
     }
 
-    const { error } = await supabase
-      .from("list_words")
-      .delete()
-      .eq("list_id", id)
-      .in("word_id", wordIds);
-
-    if (error) throw error;
+    await repositoryFor(req).removeEntries(id, wordIds);
     return res.json({ success: true, deleted: wordIds.length });
   } catch (error) {
     return next(error);
@@ -291,9 +253,9 @@ router.post("/lists/:id/words/bulk-delete", requireAuth, async (req, res, next)
 
 // POST /api/lists/move-words — перенести слова між списками
 // body: { fromListId, toListId, wordIds }
-router.post("/lists/move-words", requireAuth, async (req, res, next) => {
+router.post("/lists/move-words", requireAuth.remote, async (req, res, next) => {
   try {
-    const supabase = req.supabase;
+    const repo = repositoryFor(req);
     const { fromListId, toListId, wordIds } = req.body;
 
     if (!fromListId || !toListId) {
@@ -306,20 +268,20 @@ router.post("/lists/move-words", requireAuth, async (req, res, next) => {
       return res.status(400).json({ error: "wordIds обов'язковий" });
     }
 
-    // 1) Додаємо в новий список (upsert щоб не падати на дублі)
-    const rows = wordIds.map((wordId) => ({ list_id: toListId, word_id: wordId }));
-    const { error: insertError } = await supabase
-      .from("list_words")
-      .upsert(rows, { onConflict: "list_id,word_id" });
-    if (insertError) throw insertError;
+    // 1) Додаємо в новий список (upsert щоб не падати на дублі), зберігаючи обране значення і приклад
+    const fromRows = await repo.findEntries(fromListId, wordIds);
+
+    const entryByWord = new Map(fromRows.map((r) => [r.word_id, r]));
+    const rows = wordIds.map((wordId) => ({
+      list_id: toListId,
+      word_id: wordId,
+      sense_index: entryByWord.get(wordId)?.sense_index ?? null,
+      user_example: entryByWord.get(wordId)?.user_example ?? null,
+    }));
+    await repo.upsertEntries(rows);
 
     // 2) Видаляємо зі старого
-    const { error: deleteError } = await supabase
-      .from("list_words")
-      .delete()
-      .eq("list_id", fromListId)
-      .in("word_id", wordIds);
-    if (deleteError) throw deleteError;
+    await repo.removeEntries(fromListId, wordIds);
 
     return res.json({ success: true, moved: wordIds.length });
   } catch (error) {
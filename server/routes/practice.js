@@ -1,57 +1,34 @@
 /**
  * server/routes/practice.js — Маршрути для повторення слів
  *
- * Працює через Supabase Auth JWT (Bearer token) + RLS.
+ * Працює через Supabase Auth JWT (Bearer token); дані — через репозиторій користувача
+ * (repositories/), тож бачить лише власні списки і прогрес.
  */
 
 const express = require("express");
 const router = express.Router();
 
 const requireAuth = require("../middleware/requireAuth");
+const { repositoryFor } = require("../repositories");
+const { applyListEntry } = require("../services/senses");
 
 // GET /api/practice/stats — загальна статистика для головного екрану
 // ВАЖЛИВО: цей маршрут ПЕРЕД /:listId, щоб "stats" не матчився як listId
 router.get("/practice/stats", requireAuth, async (req, res, next) => {
   try {
-    const supabase = req.supabase;
-    const userId = req.user.id;
+    const repo = repositoryFor(req);
 
-    // Отримуємо всі списки користувача
-    const { data: lists, error: listsErr } = await supabase
-      .from("lists")
-      .select("id")
-      .eq("user_id", userId);
-
-    if (listsErr) throw listsErr;
-
-    const listIds = (lists || []).map((l) => l.id);
-    if (listIds.length === 0) {
-      return res.json({ due: 0, mastered: 0, total: 0 });
-    }
-
-    // Отримуємо всі унікальні word_id з усіх списків
-    const { data: listWords, error: lwErr } = await supabase
-      .from("list_words")
-      .select("word_id")
-      .in("list_id", listIds);
-
-    if (lwErr) throw lwErr;
-
-    const wordIds = [...new Set((listWords || []).map((lw) => lw.word_id))];
+    // Усі унікальні word_id з усіх списків користувача
+    const wordIds = await repo.userWordIds();
     if (wordIds.length === 0) {
       return res.json({ due: 0, mastered: 0, total: 0 });
     }
 
     // Отримуємо прогрес для всіх слів
-    const { data: progress, error: progErr } = await supabase
-      .from("user_word_progress")
-      .select("word_id, next_review, repetitions, ease_factor")
-      .in("word_id", wordIds);
-
-    if (progErr) throw progErr;
+    const progress = await repo.progressFor(wordIds);
 
     const now = new Date();
-    const progressMap = new Map((progress || []).map((p) => [p.word_id, p]));
+    const progressMap = new Map(progress.map((p) => [p.word_id, p]));
 
     let due = 0;
     let mastered = 0;
@@ -76,17 +53,9 @@ router.get("/practice/stats", requireAuth, async (req, res, next) => {
 // ВАЖЛИВО: цей маршрут ПЕРЕД загальним /:listId
 router.get("/practice/:listId/all", requireAuth, async (req, res, next) => {
   try {
-    const supabase = req.supabase;
-    const { listId } = req.params;
+    const entries = await repositoryFor(req).listEntries(req.params.listId);
 
-    const { data, error } = await supabase
-      .from("list_words")
-      .select("word_id, words(*)")
-      .eq("list_id", listId);
-
-    if (error) throw error;
-
-    const words = (data || []).map((d) => d.words);
+    const words = entries.filter((d) => d.word).map((d) => applyListEntry(d.word, d));
 
     return res.json({ words });
   } catch (error) {
@@ -97,37 +66,26 @@ router.get("/practice/:listId/all", requireAuth, async (req, res, next) => {
 // GET /api/practice/:listId — слова для повторення зі списку
 router.get("/practice/:listId", requireAuth, async (req, res, next) => {
   try {
-    const supabase = req.supabase;
-    const { listId } = req.params;
+    const repo = repositoryFor(req);
 
-    // Отримуємо слова зі списку разом з даними слова
-    // RLS на list_words гарантує, що користувач бачить тільки свої списки
-    const { data, error } = await supabase
-      .from("list_words")
-      .select("word_id, words(*)")
-      .eq("list_id", listId);
+    // Отримуємо слова зі списку разом з даними слова та обраним значенням / власним прикладом
+    // Репозиторій віддає лише записи власних списків користувача
+    const entries = (await repo.listEntries(req.params.listId)).filter((d) => d.word);
 
-    if (error) throw error;
-
-    const wordIds = (data || []).map((d) => d.word_id);
+    const wordIds = entries.map((d) => d.word_id);
     if (wordIds.length === 0) {
       return res.json({ total: 0, due: 0, words: [] });
     }
 
-    // Отримуємо прогрес для кожного слова (RLS на user_word_progress)
-    const { data: progress, error: progressError } = await supabase
-      .from("user_word_progress")
-      .select("*")
-      .in("word_id", wordIds);
-
-    if (progressError) throw progressError;
+    // Отримуємо прогрес для кожного слова (лише власний прогрес користувача)
+    const progress = await repo.progressFor(wordIds);
 
     const now = new Date();
 
-    const words = (data || []).map((d) => {
-      const p = (progress || []).find((pr) => pr.word_id === d.word_id) || null;
+    const words = entries.map((d) => {
+      const p = progress.find((pr) => pr.word_id === d.word_id) || null;
       return {
-        ...d.words,
+        ...applyListEntry(d.word, d),
         progress: p,
         is_due: !p || new Date(p.next_review) <= now,
       };
@@ -148,32 +106,22 @@ router.get("/practice/:listId", requireAuth, async (req, res, next) => {
 // POST /api/practice/result — зберегти результат повторення
 router.post("/practice/result", requireAuth, async (req, res, next) => {
   try {
-    const supabase = req.supabase;
     const { wordId, quality, newProgress } = req.body;
 
     if (!wordId || !quality || !newProgress) {
       return res.status(400).json({ error: "wordId, quality та newProgress обов'язкові" });
     }
 
-    const payload = {
-      user_id: req.user.id,
+    const saved = await repositoryFor(req).saveProgress({
       word_id: wordId,
       ease_factor: newProgress.ease_factor,
       interval_days: newProgress.interval_days,
       repetitions: newProgress.repetitions,
       next_review: newProgress.next_review,
       last_result: quality,
-    };
-
-    const { data, error } = await supabase
-      .from("user_word_progress")
-      .upsert(payload, { onConflict: "user_id,word_id" })
-      .select()
-      .single();
-
-    if (error) throw error;
+    });
 
-    return res.json(data);
+    return res.json(saved);
   } catch (error) {
     return next(error);
   }
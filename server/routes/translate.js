@@ -2,14 +2,65 @@
  * server/routes/translate.js — Маршрут перекладу
  *
  * POST /api/translate
- * Тіло запиту: { word: "serendipity" }
+ * Тіло запиту: { word: "serendipity", source_lang?, target_lang?, native_lang?, context?, enrichment?, formality? }
+ *   source_lang: "AUTO" — мову визначає сервер (провайдер або локальна евристика);
+ *             запис кешується під визначеною парою, у відповіді — detected_source_lang
+ *   native_lang — рідна мова студента для оцінки складності (за замовчуванням = target_lang)
+ *   context — речення, у якому користувач зустрів слово. Впливає лише на відповідь
+ *             (context_translation, suggested_sense), а не на спільний кеш words;
+ *             клієнт зберігає його як власний приклад у list_words.user_example
+ *   enrichment: "sync" — чекати на збагачення (ідіоми + AI-оцінка) перед відповіддю;
+ *             за замовчуванням нове слово повертається одразу після перекладу з
+ *             enrichment: "pending", а збагачення виконує черга (services/enrichmentQueue.js)
+ *   formality: "more" | "less" — формальність перекладу речення-контексту і фраз із глосарієм,
+ *             якщо мова перекладу її підтримує (клієнт зберігає вибір для кожної пари мов)
+ *
+ * Потрібен JWT Supabase (middleware/requireAuth.js): акаунт або анонімна сесія.
+ * Кожен запит списує денну квоту користувача (services/quota.js): слово × мови перекладу,
+ * для batch — кількість різних слів. Результати з помилкою (фільтр, "немає у словнику",
+ * збій провайдера, не визначено мову) квоту не витрачають — списане повертається.
+ * Квоту вичерпано → 429 { error, code: "quota_exceeded", quota }.
+ * GET /api/translate/quota — { limit, used, remaining, reset_at, anonymous } без списання.
+ *
+ * Застосовується глосарій користувача для пари мов (services/glossaries.js): точний збіг терміна →
+ * translation із глосарію + поле glossary; фраза з терміном → переклад провайдера з glossary_id.
+ * Як і context, це лише персональна частина відповіді — спільний кеш words не змінюється.
  *
  * Логіка:
- * 1. Перевіряємо чи слово вже є в базі (кеш)
- * 2. Якщо ні — перекладаємо через DeepL
- * 3. Оцінюємо складність через Claude AI
- * 4. Зберігаємо в базу для майбутніх запитів
- * 5. Повертаємо результат
+ * 0. Зводимо словоформу до леми ("running" → "run"), далі працюємо з лемою.
+ *    Регістр: німецькі іменники лишаються з великої (Haus), а "Polish" зберігається
+ *    окремо від "polish", якщо переклади відрізняються (case_sensitive = true); однакове
+ *    значення ("Bank" = "bank") запамʼятовується на рядку в нижньому регістрі (capitalized_same)
+ * 1. Перевіряємо чи слово вже є в базі (кеш; гарячі слова — з LRU у памʼяті, services/wordCache.js)
+ * 2. Якщо ні — перекладаємо через активний провайдер (DeepL або локальний словник).
+ *    Однакові паралельні промахи (слово + пара) обʼєднуються: один переклад, одне збагачення
+ * 3. Зберігаємо переклад + алгоритмічну оцінку в базу і ставимо збагачення
+ *    (ідіоми, AI-оцінка, senses) у чергу — або виконуємо одразу (enrichment: "sync")
+ * 4. Відповідь: поле enrichment — "pending" | "done" | "failed" (words.enrichment_status)
+ * 5. Повертаємо результат: запис леми + surface_form (що ввів користувач)
+ * 6. Якщо є context — контекстний переклад і підказка, яке значення (senses) вжито
+ *
+ * GET /api/translate/enrichment/:id[?context=...] — рядок words + enrichment (для опитування; JWT,
+ *   бо context перекладається провайдером)
+ * GET /api/translate/enrichment/:id/events — те саме через server-sent events (теж JWT: pending-рядок
+ *   знову ставиться в чергу збагачення): одна подія "enrichment", коли збагачення завершено
+ *   (або одразу, якщо вже не pending)
+ *
+ * Кілька мов перекладу: { word, target_langs: ["UK", "PL"], ... } замість target_lang →
+ *   { source_lang, target_langs, results: [{ target_lang, ...результат для пари } | { target_lang, error }] }
+ *
+ * POST /api/translate/batch
+ * Тіло запиту: { words: ["apple", "serendipity", ...], source_lang, target_lang, native_lang? }
+ *   source_lang: "AUTO" — одна мова на весь список, визначена за першими словами
+ *   глосарій користувача — лише точні збіги слів
+ *
+ * Для вставки цілого списку слів (50–200 штук): один запит до кешу,
+ * промахи — групами в DeepL, результат/помилка окремо для кожного слова.
+ * Нові слова повертаються одразу після перекладу (enrichment: "pending", як у POST /api/translate),
+ * збагачення кожного — у черзі services/enrichmentQueue.js.
+ *
+ * Жорсткий бюджет провайдера перекладу вичерпано (services/usage.js) — лише кеш:
+ * промахи отримують { error, _source: "budget" }, контекстний переклад пропускається.
  */
 
 const express = require('express');
@@ -25,45 +76,58 @@ router.get('/languages', async (req, res, next) => {
   }
 });
 
-const { translateText, getLanguages } = require('../services/deepl');
-const { assessDifficulty } = require('../services/difficulty');
-const { detectIdioms } = require('../services/idioms');
-// public (anon) client: можна читати words, але писати в words після RLS — ні
-const supabase = require('../lib/supabase.server.cjs');
-// admin (service role) client: пишемо кеш words (bypasses RLS)
-const supabaseAdmin = require('../lib/supabase.admin.cjs');
+const { translateText, translateBatch, detectLanguage, getLanguages, getProviderName, isTranslationAvailable, supportsFormality } = require('../services/translator');
+const { findGlossary, lookupTerm, containsTerm, providerGlossaryId } = require('../services/glossaries');
+const requireAuth = require('../middleware/requireAuth');
+const requireQuota = require('../middleware/requireQuota');
+const { quotaStatus } = require('../services/quota');
+const { enrichWord, provisionalWord, enrichSavedWord } = require('../services/enrichment');
+const { enqueueEnrichment, getJobStatus, onEnrichmentDone } = require('../services/enrichmentQueue');
+const { readCachedWord, readCachedWords, rememberWord, forgetWord } = require('../services/wordCache');
+const { createInflight } = require('../lib/inflight');
+const metrics = require('../lib/metrics');
+const { baseLang } = require('../lib/languageNames');
+const { chooseSenseForContext } = require('../services/senses');
+// кеш words: читання і запис (у Supabase — service role, repositories/supabase.js)
+const { wordsRepository } = require('../repositories');
+
+const { mapWithConcurrency } = require('../lib/concurrency');
+const { CircuitOpenError } = require('../lib/resilience');
+const { looksLikeWord } = require('../services/wordValidation');
+const { lemmatize } = require('../services/lemmatizer');
+const { canonicalForm, caseVariantCandidate } = require('../services/casing');
 
 const NOT_FOUND_MSG = 'Цього слова немає у словнику';
 
+// Речення-контекст: довші тексти обрізаємо
+const MAX_CONTEXT_LENGTH = 500;
 
-function normalizeLang(code) {
-  return (code || '').trim().toUpperCase();
-}
+const FORMALITY_VALUES = ['default', 'more', 'less'];
 
-function baseLang(code) {
-  // ES-419 -> ES, EN-GB -> EN
-  return normalizeLang(code).split('-')[0];
-}
-function normalize(s) {
-  return (s || '').trim().replace(/\s+/g, ' ');
-}
+// source_lang для автовизначення мови
+const AUTO_LANG = 'AUTO';
+const DETECT_FAILED_MSG = 'Не вдалося визначити мову';
+const SAME_LANG_MSG = 'Слово вже мовою перекладу';
+const BUDGET_MSG = 'Ліміт перекладів вичерпано — доступні лише слова з кешу';
+// Скільки слів списку беремо для визначення мови в batch
+const BATCH_DETECT_SAMPLE = 20;
 
-function looksLikeWord(input) {
-  const s = normalize(input);
-  if (s.length < 2 || s.length > 40) return false;
+// target_langs: кілька мов перекладу за один запит
+const MAX_TARGET_LANGS = 5;
+const MULTI_TARGET_CONCURRENCY = 3;
 
-  // Дозволяємо: латиниця/кирилиця + пробіли + апострофи + дефіси
-  const ok = /^[a-zA-Z\u0400-\u04FF\s'’-]+$/.test(s);
-  if (!ok) return false;
+// Однакові паралельні промахи кешу → один запуск translateMiss
+const inflight = createInflight();
+metrics.registerGauge('translate.inflight', () => inflight.size());
 
-  // Відсікаємо латиницю без голосних (типу xqzvprm)
-  const isLatin = /^[a-zA-Z\s'’-]+$/.test(s);
-  if (isLatin) {
-    const hasVowel = /[aeiouy]/i.test(s);
-    if (!hasVowel) return false;
-  }
+// SSE: скільки тримаємо зʼєднання і як часто шлемо keep-alive
+const ENRICHMENT_SSE_TIMEOUT_MS = 60 * 1000;
+const ENRICHMENT_SSE_HEARTBEAT_MS = 15 * 1000;
 
-  return true;
+// Batch: максимум слів в одному запиті
+const BATCH_MAX_WORDS = 200;
+function normalize(s) {
+  return (s || '').trim().replace(/\s+/g, ' ');
 }
 
 function isIdentityTranslation(original, translation) {
@@ -72,127 +136,757 @@ function isIdentityTranslation(original, translation) {
   return a === b;
 }
 
-router.post('/translate', async (req, res) => {
+/**
+ * Регістрозалежний варіант ("Polish"): повертає
+ * - { cached } — такий рядок уже є в кеші;
+ * - { translation } — переклад відрізняється від перекладу в нижньому регістрі, треба зберегти окремо;
+ * - { sameMeaning: true, lowerTranslation } — значення те саме, працюємо з нижнім регістром як зазвичай
+ *   (рядка в нижньому регістрі ще немає — lowerTranslation уже перекладено, позначку ставить
+ *   translateForTarget після збереження);
+ * - null — порівняти не вдалось (провайдер недоступний / помилка).
+ *
+ * Спершу кеш: рядок у нижньому регістрі з capitalized_same — уже порівнювали, провайдера не кличемо;
+ * без позначки — перекладаємо лише варіант з великої і порівнюємо з перекладом із кешу.
+ */
+async function resolveCaseVariant({ variant, srcLang, tgtLang }) {
+  const cached = await readCachedWord(variant, srcLang, tgtLang);
+  if (cached) return { cached };
+
+  const lowerWord = variant.toLowerCase();
+  const lowerRow = await readCachedWord(lowerWord, srcLang, tgtLang);
+  if (lowerRow?.capitalized_same) return { sameMeaning: true };
+  if (!isTranslationAvailable()) return null;
+
+  // Рядок у нижньому регістрі є — перекладаємо лише варіант; немає — обидва одним запитом
+  const [cased, lower] = lowerRow
+    ? [...(await translateBatch([variant], srcLang, tgtLang)), { translation: lowerRow.translation }]
+    : await translateBatch([variant, lowerWord], srcLang, tgtLang);
+
+  if (cased.error || !cased.translation) return null;
+  if (lower.error || !lower.translation) return null;
+  if (isIdentityTranslation(variant, cased.translation) || isIdentityTranslation(cased.translation, lower.translation)) {
+    if (lowerRow) {
+      await rememberSameMeaning(lowerRow);
+      return { sameMeaning: true };
+    }
+    return { sameMeaning: true, lowerTranslation: lower.translation };
+  }
+
+  console.log(`🔠 Case-sensitive: "${variant}" → "${cased.translation}" ≠ "${lower.translation}"`);
+  return { translation: cased.translation };
+}
+
+/**
+ * Позначка на рядку в нижньому регістрі: з великої літери слово означає те саме,
+ * наступні запити "Bank" не порівнюють переклади вдруге. Збій запису — не помилка запиту.
+ */
+async function rememberSameMeaning(row) {
+  if (!row?.id || row.capitalized_same) return;
   try {
-    const { word, source_lang, target_lang } = req.body;
+    await wordsRepository().updateWord(row.id, { capitalized_same: true });
+    forgetWord(row);
+  } catch (e) {
+    console.warn(`⚠️ Не вдалось позначити "${row.original}" (capitalized_same):`, e.message);
+  }
+}
 
-    // Валідація
-    if (!word || typeof word !== 'string' || word.trim().length === 0) {
-      return res.status(400).json({ error: 'Слово не може бути порожнім' });
+/**
+ * source_lang → реальна мова оригіналу.
+ * Для "AUTO" визначаємо мову за sample (слово / речення / початок списку):
+ *   { srcLang, detectionInfo: { detected_source_lang, detection_method, detection_confidence }, sampleTranslation }
+ * або { error, detectionInfo }, якщо визначити не вдалось.
+ * sampleTranslation — переклад sample на tgtLang, якщо провайдер визначив мову перекладом (DeepL),
+ * інакше null (евристика / мову задано явно).
+ * Збіг із мовою перекладу перевіряє вже translateForTarget / batch.
+ */
+async function resolveSourceLang({ requested, sample, tgtLang }) {
+  const srcLang = String(requested || 'EN').trim().toUpperCase();
+  if (srcLang !== AUTO_LANG) return { srcLang, detectionInfo: {}, sampleTranslation: null };
+
+  const detected = await detectLanguage(sample, tgtLang);
+  if (!detected?.language) return { error: DETECT_FAILED_MSG, detectionInfo: {} };
+
+  const lang = baseLang(detected.language);
+  const detectionInfo = {
+    detected_source_lang: lang,
+    detection_method: detected.method || null,
+    detection_confidence: detected.confidence ?? null,
+  };
+  console.log(`🌐 Мова: "${sample.slice(0, 40)}" → ${lang} (${detected.method})`);
+
+  return { srcLang: lang, detectionInfo, sampleTranslation: detected.translation || null };
+}
+
+/**
+ * Контекстна частина відповіді для запиту з context.
+ * Рядок words з кешу не змінюється: контекстний переклад і обране значення —
+ * лише для цього користувача і цього речення.
+ */
+async function contextInfo({ row, context, srcLang, tgtLang, prefs = {} }) {
+  if (!context) return {};
+
+  let contextTranslation = null;
+  // бюджет вичерпано — значення обирає лише LLM (або ніхто)
+  if (isTranslationAvailable()) {
+    try {
+      ({ translation: contextTranslation } = await translateText(row.original, srcLang, tgtLang, {
+        context,
+        formality: prefs.formality,
+        glossaryId: providerGlossaryId(prefs.glossary),
+      }));
+    } catch (e) {
+      console.warn('⚠️ Context translation error:', e?.message || e);
     }
+  }
 
-    const cleanWordRaw = normalize(word);
-    const cleanWord = cleanWordRaw.toLowerCase();
+  const suggestedSense = await chooseSenseForContext({
+    word: row.original,
+    context,
+    senses: row.senses,
+    contextTranslation,
+    sourceLang: srcLang,
+    targetLang: tgtLang,
+  });
+
+  return {
+    context,
+    context_translation: contextTranslation || null,
+    suggested_sense: suggestedSense,
+  };
+}
 
-    const srcLang = String(source_lang || 'EN').trim().toUpperCase();
-    const tgtLang = String(target_lang || 'UK').trim().toUpperCase();
+/**
+ * Персональні налаштування перекладу для пари: formality (якщо мова підтримує) і глосарій користувача
+ */
+async function translationPrefs({ userId, formality, srcLang, tgtLang }) {
+  return {
+    formality: formality && formality !== 'default' && supportsFormality(tgtLang) ? formality : null,
+    glossary: await findGlossary(userId, srcLang, tgtLang),
+  };
+}
 
-    // Евристичний фільтр: не викликаємо DeepL і не кешуємо сміття
-    if (!looksLikeWord(cleanWordRaw)) {
-      console.log(`🧹 Reject (not a word): "${cleanWordRaw}"`);
-      return res.json({
-        error: NOT_FOUND_MSG,
-        _source: 'guard',
-      });
+/**
+ * Поля відповіді, коли переклад узято з глосарію (provider_translation — переклад зі спільного кешу)
+ */
+function glossaryFields({ row, glossary, term, translation }) {
+  return {
+    translation,
+    provider_translation: row.translation,
+    glossary: { id: glossary.id, name: glossary.name, term },
+  };
+}
+
+/**
+ * Глосарій користувача для рядка words: точний збіг терміна → переклад із глосарію;
+ * фраза, що містить термін, → переклад провайдера з glossary_id. Інакше {}.
+ */
+async function glossaryInfo({ row, surfaceRaw, srcLang, tgtLang, prefs = {} }) {
+  const { glossary } = prefs;
+  if (!glossary) return {};
+
+  const match = lookupTerm(glossary, row.original) || lookupTerm(glossary, surfaceRaw);
+  if (match) return glossaryFields({ row, glossary, term: match.source, translation: match.target });
+
+  const glossaryId = providerGlossaryId(glossary);
+  if (!glossaryId || !isTranslationAvailable() || !containsTerm(glossary, row.original)) return {};
+  try {
+    const { translation } = await translateText(row.original, srcLang, tgtLang, { formality: prefs.formality, glossaryId });
+    if (translation && !isIdentityTranslation(translation, row.translation)) {
+      return glossaryFields({ row, glossary, term: null, translation });
     }
+  } catch (e) {
+    console.warn('⚠️ Glossary translation error:', e?.message || e);
+  }
+  return {};
+}
+
+/**
+ * Персональна частина відповіді: контекст + глосарій
+ */
+async function personalInfo({ row, surfaceRaw, context, srcLang, tgtLang, prefs }) {
+  const [contextFields, glossaryOverride] = await Promise.all([
+    contextInfo({ row, context, srcLang, tgtLang, prefs }),
+    glossaryInfo({ row, surfaceRaw, srcLang, tgtLang, prefs }),
+  ]);
+  return { ...contextFields, ...glossaryOverride };
+}
+
+/**
+ * words.enrichment_status → поле enrichment відповіді (рядки до міграції — "done")
+ */
+function enrichmentState(row) {
+  return row?.enrichment_status || 'done';
+}
 
-    // Крок 1: Перевіряємо кеш (чи вже перекладали це слово)
-    const { data: cached, error: cacheError } = await supabase
-      .from('words')
-      .select('*')
-      .eq('original', cleanWord)
-      .eq('source_lang', srcLang)
-      .eq('target_lang', tgtLang)
-      .maybeSingle();
+/**
+ * Зберегти попередній рядок (переклад + алгоритмічна оцінка) і поставити збагачення в чергу.
+ * Повертає збережений рядок або null, якщо зберегти не вдалось.
+ */
+async function startEnrichment({ cleanWord, cleanWordRaw, srcLang, tgtLang, nativeLang, deeplTranslation, caseSensitive }) {
+  const wordData = await provisionalWord({ cleanWord, srcLang, tgtLang, nativeLang, deeplTranslation, caseSensitive });
+
+  let saved = null;
+  try {
+    [saved] = await wordsRepository().upsertWords([wordData]);
+  } catch (e) {
+    console.warn('⚠️ Не вдалось зберегти попередній рядок:', e.message);
+  }
+  if (!saved) return null;
+
+  enqueueEnrichment(saved.id, () => enrichSavedWord(saved, { cleanWordRaw, nativeLang }));
+  console.log(`⏳ Збережено переклад, збагачення в черзі: "${cleanWord}"`);
+  return saved;
+}
+
+/**
+ * Рядок words за id для опитування / SSE. Рядок "pending", для якого немає задачі
+ * (сервер перезапускався), знову ставимо в чергу.
+ */
+async function loadEnrichmentRow(id) {
+  const row = await wordsRepository().getWord(id);
+  if (row && enrichmentState(row) === 'pending' && !getJobStatus(row.id)) {
+    enqueueEnrichment(row.id, () => enrichSavedWord(row));
+  }
+  return row;
+}
+
+/**
+ * Повний цикл для однієї цільової мови: фільтр → лема → кеш → провайдер → збагачення → збереження.
+ * Повертає тіло відповіді (рядок words + surface_form / lemma / context... + enrichment) або { error, _source }.
+ * asyncEnrichment — зберегти попередній рядок і збагачувати у фоні (див. startEnrichment)
+ */
+async function translateForTarget({ surfaceRaw, srcLang, tgtLang, nativeLang, context, asyncEnrichment = false, userId = null, formality = null, detectedTranslation = null }) {
+  if (baseLang(srcLang) === baseLang(tgtLang)) {
+    return { error: SAME_LANG_MSG, _source: 'same_lang' };
+  }
 
-    if (cacheError) {
-      console.warn('⚠️ Cache read error:', cacheError.message);
+  // Евристичний фільтр: не викликаємо DeepL і не кешуємо сміття
+  if (!looksLikeWord(surfaceRaw, srcLang)) {
+    console.log(`🧹 Reject (not a word): "${surfaceRaw}"`);
+    return {
+      error: NOT_FOUND_MSG,
+      _source: 'guard',
+    };
+  }
+
+  const surfaceLower = surfaceRaw.toLowerCase();
+  const prefs = await translationPrefs({ userId, formality, srcLang, tgtLang });
+
+  // Крок 0а: слово з великої може мати окреме значення (Polish ≠ polish)
+  const variant = caseVariantCandidate(surfaceRaw, srcLang);
+  const caseResult = variant ? await resolveCaseVariant({ variant, srcLang, tgtLang }) : null;
+
+  if (caseResult?.cached) {
+    console.log(`📦 Кеш: "${variant}" вже є в базі`);
+    return {
+      ...caseResult.cached,
+      surface_form: surfaceRaw,
+      lemma: variant,
+      lemma_method: 'none',
+      ...(await personalInfo({ row: caseResult.cached, surfaceRaw, context, srcLang, tgtLang, prefs })),
+      enrichment: enrichmentState(caseResult.cached),
+      _source: 'cache',
+    };
+  }
+
+  let cleanWord;
+  let cleanWordRaw;
+  let lemmaInfo;
+  let deeplTranslation = caseResult?.translation || null;
+  const caseSensitive = !!caseResult?.translation;
+
+  if (caseSensitive) {
+    // Регістрозалежні слова (переважно власні назви) не лематизуємо
+    cleanWord = variant;
+    cleanWordRaw = variant;
+    lemmaInfo = { surface_form: surfaceRaw, lemma: variant, lemma_method: 'none' };
+  } else {
+    // Крок 0б: лема — ключ кешу і те, що перекладаємо / оцінюємо / додаємо у списки
+    const { lemma, method: lemmaMethod } = await lemmatize(surfaceLower, srcLang);
+    // канонічне написання (для DE — іменники з великої)
+    cleanWord = canonicalForm(lemma, surfaceRaw, srcLang);
+    cleanWordRaw = lemma === surfaceLower ? surfaceRaw : cleanWord;
+    lemmaInfo = { surface_form: surfaceRaw, lemma: cleanWord, lemma_method: lemmaMethod };
+    // "Cat" → "cat": переклад нижнього регістру вже є з порівняння варіантів
+    if (caseResult?.lowerTranslation && cleanWord === surfaceLower) deeplTranslation = caseResult.lowerTranslation;
+    // source_lang=AUTO: слово вже перекладено під час визначення мови (лема та сама)
+    if (!deeplTranslation && detectedTranslation && lemma === surfaceLower) deeplTranslation = detectedTranslation;
+    if (lemma !== surfaceLower) {
+      console.log(`🔎 Lemma: "${surfaceRaw}" → "${cleanWord}" (${lemmaMethod})`);
     }
 
+    // Крок 1: Перевіряємо кеш (LRU у памʼяті, далі Supabase)
+    const cached = await readCachedWord(cleanWord, srcLang, tgtLang);
+
     if (cached) {
       console.log(`📦 Кеш: "${cleanWord}" вже є в базі`);
-      return res.json({ ...cached, _source: 'cache' });
+      return {
+        ...cached,
+        ...lemmaInfo,
+        ...(await personalInfo({ row: cached, surfaceRaw, context, srcLang, tgtLang, prefs })),
+        enrichment: enrichmentState(cached),
+        _source: 'cache',
+      };
     }
+  }
 
-    // Крок 2: Переклад через DeepL
+  // Кроки 2–3 для промаху; однакові паралельні промахи (те саме слово й пара) чекають
+  // на один запуск: один виклик провайдера / LLM і один upsert замість гонки
+  const { value: miss, shared } = await inflight.run(
+    `${srcLang}>${tgtLang}:${cleanWord}:${asyncEnrichment ? 'async' : 'sync'}`,
+    () => translateMiss({
+      cleanWord,
+      cleanWordRaw,
+      srcLang,
+      tgtLang,
+      nativeLang,
+      deeplTranslation,
+      caseSensitive,
+      asyncEnrichment,
+    })
+  );
+  if (shared) metrics.increment('translate.coalesced');
+
+  if (miss.error) return miss;
+  // "Bank" означає те саме, що й щойно збережений "bank" — більше не порівнюємо
+  if (caseResult?.sameMeaning && miss.row.original === variant.toLowerCase()) {
+    await rememberSameMeaning(miss.row);
+  }
+
+  // Контекст і глосарій рахуємо вже після збереження: у кеш words вони не потрапляють
+  const personalFields = await personalInfo({ row: miss.row, surfaceRaw, context, srcLang, tgtLang, prefs });
+  return {
+    ...miss.row,
+    ...lemmaInfo,
+    ...personalFields,
+    enrichment: miss.enrichment,
+    _source: miss._source,
+    _cacheSaved: miss._cacheSaved,
+    ...(shared ? { _coalesced: true } : {}),
+  };
+}
+
+/**
+ * Промах кешу: переклад (якщо його ще немає) → збереження → збагачення (одразу або в черзі).
+ * Результат спільний для всіх однакових паралельних запитів, тому без lemma / context.
+ *
+ * @returns {Promise<{ row, enrichment, _source, _cacheSaved } | { error, _source }>}
+ */
+async function translateMiss({ cleanWord, cleanWordRaw, srcLang, tgtLang, nativeLang, deeplTranslation, caseSensitive, asyncEnrichment }) {
+  // Крок 2: Переклад через провайдера (регістрозалежний варіант уже перекладено)
+  if (!deeplTranslation) {
+    if (!isTranslationAvailable()) return { error: BUDGET_MSG, _source: 'budget' };
     console.log(`🔤 Перекладаємо: "${cleanWord}"`);
-    const { translation: deeplTranslation } = await translateText(cleanWord, srcLang, tgtLang);
-
-    // Якщо DeepL повернув те саме — вважаємо "немає у словнику" і НЕ кешуємо
-    if (!deeplTranslation || isIdentityTranslation(cleanWord, deeplTranslation)) {
-      console.log(`🧹 Not caching identity/empty translation: "${cleanWord}" -> "${deeplTranslation || ''}"`);
-      return res.json({
-        error: NOT_FOUND_MSG,
-        _source: 'deepl_identity',
+    ({ translation: deeplTranslation } = await translateText(cleanWord, srcLang, tgtLang));
+  }
+
+  // Якщо DeepL повернув те саме — вважаємо "немає у словнику" і НЕ кешуємо
+  if (!deeplTranslation || isIdentityTranslation(cleanWord, deeplTranslation)) {
+    console.log(`🧹 Not caching identity/empty translation: "${cleanWord}" -> "${deeplTranslation || ''}"`);
+    return {
+      error: NOT_FOUND_MSG,
+      _source: 'deepl_identity',
+    };
+  }
+
+  // Крок 3: зберегти переклад одразу, а ідіоми + AI-оцінку — у чергу
+  if (asyncEnrichment) {
+    const pending = await startEnrichment({
+      cleanWord,
+      cleanWordRaw,
+      srcLang,
+      tgtLang,
+      nativeLang,
+      deeplTranslation,
+      caseSensitive,
+    });
+    if (pending) {
+      return { row: pending, enrichment: 'pending', _source: 'provider', _cacheSaved: true };
+    }
+    // попередній рядок не зберігся (немає id для опитування) — збагачуємо одразу, як раніше
+  }
+
+  // Крок 3 (sync): ідіоми + AI-оцінка складності
+  const wordData = await enrichWord({
+    cleanWord,
+    cleanWordRaw,
+    srcLang,
+    tgtLang,
+    nativeLang,
+    deeplTranslation,
+    caseSensitive,
+  });
+
+  let saved;
+  try {
+    // upsert щоб не падати на UNIQUE(original) у випадку гонки
+    [saved] = await wordsRepository().upsertWords([wordData]);
+  } catch (e) {
+    console.warn('⚠️ Не вдалось зберегти в базу:', e.message);
+    // Все одно повертаємо результат (навіть якщо кеш не спрацював)
+    return { row: wordData, enrichment: 'done', _source: 'ai', _cacheSaved: false };
+  }
+
+  rememberWord(saved);
+  console.log(`✅ Збережено: "${cleanWord}" (${wordData.cefr_level}, ${wordData.difficulty_score}/100)`);
+  return { row: saved, enrichment: 'done', _source: 'ai', _cacheSaved: true };
+}
+
+// Одиниці квоти: одна на кожну мову перекладу / кожне слово списку
+const translateQuota = requireQuota((req) => (
+  Array.isArray(req.body?.target_langs) ? Math.min(req.body.target_langs.length, MAX_TARGET_LANGS) : 1
+));
+// batch: дублікати (без урахування регістру) — одна одиниця; словоформи однієї леми
+// і відхилені слова повертаються вже після перекладу (requireQuota.settle)
+const batchQuota = requireQuota((req) => {
+  if (!Array.isArray(req.body?.words)) return 1;
+  const unique = new Set(req.body.words
+    .filter((w) => typeof w === 'string')
+    .map((w) => normalize(w).toLowerCase())
+    .filter(Boolean));
+  return Math.min(unique.size, BATCH_MAX_WORDS);
+});
+
+/**
+ * Скільки одиниць квоти використано: лише результати без error
+ */
+function succeeded(results) {
+  return results.filter((r) => r && !r.error).length;
+}
+
+router.get('/translate/quota', requireAuth, async (req, res, next) => {
+  try {
+    return res.json(await quotaStatus(req.user));
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.post('/translate', requireAuth, translateQuota, async (req, res) => {
+  try {
+    const { word, source_lang, target_lang, target_langs, native_lang, context: rawContext, enrichment, formality } = req.body;
+
+    // Валідація
+    if (!word || typeof word !== 'string' || word.trim().length === 0) {
+      return res.status(400).json({ error: 'Слово не може бути порожнім' });
+    }
+    if (rawContext != null && typeof rawContext !== 'string') {
+      return res.status(400).json({ error: 'context має бути рядком' });
+    }
+    if (target_langs != null && (!Array.isArray(target_langs) || target_langs.length === 0
+      || !target_langs.every((x) => typeof x === 'string' && x.trim()))) {
+      return res.status(400).json({ error: 'target_langs має бути непорожнім масивом кодів мов' });
+    }
+    if (Array.isArray(target_langs) && target_langs.length > MAX_TARGET_LANGS) {
+      return res.status(400).json({ error: `Максимум ${MAX_TARGET_LANGS} мов перекладу за один запит` });
+    }
+    if (enrichment != null && !['sync', 'async'].includes(enrichment)) {
+      return res.status(400).json({ error: 'enrichment має бути "sync" або "async"' });
+    }
+    if (formality != null && !FORMALITY_VALUES.includes(formality)) {
+      return res.status(400).json({ error: `formality має бути одним із: ${FORMALITY_VALUES.join(', ')}` });
+    }
+    const context = normalize(rawContext || '').slice(0, MAX_CONTEXT_LENGTH) || null;
+    const asyncEnrichment = enrichment !== 'sync';
+    const personal = { userId: req.user.id, formality: formality || null };
+
+    const surfaceRaw = normalize(word);
+
+    // Кілька мов перекладу (target_langs) або одна (target_lang)
+    const tgtLangs = Array.isArray(target_langs)
+      ? Array.from(new Set(target_langs.map((x) => x.trim().toUpperCase())))
+      : [String(target_lang || 'UK').trim().toUpperCase()];
+    const nativeLang = native_lang ? String(native_lang).trim().toUpperCase() : null;
+
+    // source_lang=AUTO: речення-контекст довше за слово, тож визначаємо мову за ним
+    const sample = context || surfaceRaw;
+    const { srcLang, detectionInfo, sampleTranslation, error: detectError } = await resolveSourceLang({
+      requested: source_lang,
+      sample,
+      tgtLang: tgtLangs[0],
+    });
+    if (detectError) {
+      requireQuota.settle(res, 0);
+      return res.json({ error: detectError, ...detectionInfo, _source: 'detect' });
+    }
+    // Визначення мови перекладом (DeepL) без context уже переклало саме слово на першу мову
+    const detectedFor = (tgtLang) => (sample === surfaceRaw && tgtLang === tgtLangs[0] ? sampleTranslation : null);
+
+    if (!Array.isArray(target_langs)) {
+      const result = await translateForTarget({
+        surfaceRaw, srcLang, tgtLang: tgtLangs[0], nativeLang, context, asyncEnrichment, ...personal,
+        detectedTranslation: detectedFor(tgtLangs[0]),
       });
+      requireQuota.settle(res, succeeded([result]));
+      return res.json({ ...result, ...detectionInfo });
     }
 
-    // Крок 2.5: Виявлення ідіом (не ламає потік; при помилці просто пропускаємо)
-    let idiom = null;
+    // Кожна мова — окремий рядок кешу під своєю парою; помилка однієї не валить інші
+    const results = await mapWithConcurrency(tgtLangs, MULTI_TARGET_CONCURRENCY, async (tgtLang) => {
+      try {
+        const result = await translateForTarget({
+          surfaceRaw, srcLang, tgtLang, nativeLang, context, asyncEnrichment, ...personal,
+          detectedTranslation: detectedFor(tgtLang),
+        });
+        return { ...result, target_lang: tgtLang };
+      } catch (e) {
+        console.error(`❌ Помилка перекладу (${srcLang}→${tgtLang}):`, e.message);
+        return { error: e.message, target_lang: tgtLang, _source: e instanceof CircuitOpenError ? 'provider_down' : 'provider_error' };
+      }
+    });
+
+    requireQuota.settle(res, succeeded(results));
+    return res.json({
+      source_lang: srcLang,
+      target_langs: tgtLangs,
+      ...detectionInfo,
+      results,
+    });
+
+  } catch (error) {
+    console.error('❌ Помилка перекладу:', error.message);
+    // провайдер недоступний (circuit breaker) — 503, клієнт може повторити пізніше
+    if (error instanceof CircuitOpenError) {
+      return res.status(503).json({ error: error.message, _source: 'provider_down' });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/translate/enrichment/:id', requireAuth, async (req, res) => {
+  try {
+    const row = await loadEnrichmentRow(req.params.id);
+    if (!row) return res.status(404).json({ error: 'Слово не знайдено' });
+
+    // Підказка значення для речення-контексту — лише коли senses уже є
+    const context = normalize(String(req.query.context || '')).slice(0, MAX_CONTEXT_LENGTH) || null;
+    const state = enrichmentState(row);
+    const contextFields = context && state !== 'pending'
+      ? await contextInfo({ row, context, srcLang: row.source_lang, tgtLang: row.target_lang })
+      : {};
+
+    return res.json({ ...row, ...contextFields, enrichment: state });
+  } catch (error) {
+    console.error('❌ Помилка читання збагачення:', error.message);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/translate/enrichment/:id/events', requireAuth, async (req, res) => {
+  let row;
+  try {
+    row = await loadEnrichmentRow(req.params.id);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  if (!row) return res.status(404).json({ error: 'Слово не знайдено' });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  if (enrichmentState(row) !== 'pending') {
+    send('enrichment', { ...row, enrichment: enrichmentState(row) });
+    return res.end();
+  }
+
+  let finished = false;
+  const finish = () => {
+    if (finished) return false;
+    finished = true;
+    clearInterval(heartbeat);
+    clearTimeout(timeout);
+    unsubscribe();
+    return true;
+  };
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), ENRICHMENT_SSE_HEARTBEAT_MS);
+  const timeout = setTimeout(() => {
+    if (!finish()) return;
+    send('timeout', { id: row.id, enrichment: 'pending' });
+    res.end();
+  }, ENRICHMENT_SSE_TIMEOUT_MS);
+
+  const unsubscribe = onEnrichmentDone(row.id, async () => {
+    if (!finish()) return;
     try {
-      idiom = await detectIdioms({
-        original: cleanWordRaw,
-        sourceLang: srcLang,
-        targetLang: tgtLang,
-        literalTranslation: deeplTranslation,
-      });
+      const fresh = await wordsRepository().getWord(row.id).catch(() => null);
+      const done = fresh || row;
+      send('enrichment', { ...done, enrichment: enrichmentState(done) });
     } catch (e) {
-      console.warn('⚠️ Idiom detect error:', e?.message || e);
-      idiom = null;
+      send('enrichment', { id: row.id, enrichment: 'failed', error: e?.message });
     }
+    res.end();
+  });
 
-    // Якщо це ідіома — основний переклад робимо "idiomatic" (перший варіант),
-    // а DeepL лишаємо як literal у alt_translations
-    const primaryTranslation = (idiom && idiom.is_idiom && Array.isArray(idiom.idiomatic_translations) && idiom.idiomatic_translations[0])
-      ? idiom.idiomatic_translations[0]
-      : deeplTranslation;
+  req.on('close', finish);
+});
 
-    // Крок 3: AI-оцінка складності
-    console.log(`🧠 Оцінюємо складність: "${cleanWord}"`);
-    const difficulty = await assessDifficulty(cleanWord, primaryTranslation);
+router.post('/translate/batch', requireAuth, batchQuota, async (req, res) => {
+  try {
+    const { words, source_lang, target_lang, native_lang } = req.body;
 
-    // Крок 4: Зберігаємо в базу
-    const wordData = {
-      original: cleanWord,
-      source_lang: srcLang,
-      target_lang: tgtLang,
-      translation: primaryTranslation,
-      transcription: difficulty.transcription,
-      difficulty_score: difficulty.difficulty_score,
-      cefr_level: difficulty.cefr_level,
-      difficulty_factors: difficulty.factors,
-      example_sentence: difficulty.example_sentence,
-      part_of_speech: difficulty.part_of_speech,
-
-      // Для ідіом: зберігаємо ідіоматичні варіанти + literal(DeepL) для UI (idiomatic vs literal)
-      alt_translations: (idiom && idiom.is_idiom)
-        ? {
-            idiomatic: idiom.idiomatic_translations,
-            literal: idiom.literal_translation || deeplTranslation,
-          }
-        : null,
-      translation_notes: (idiom && idiom.is_idiom) ? idiom.note : null,
-      translation_kind: (idiom && idiom.is_idiom) ? 'idiom' : null,
-    };
+    if (!Array.isArray(words) || words.length === 0) {
+      return res.status(400).json({ error: 'words має бути непорожнім масивом' });
+    }
+    if (words.length > BATCH_MAX_WORDS) {
+      return res.status(400).json({ error: `Максимум ${BATCH_MAX_WORDS} слів за один запит` });
+    }
 
-    const { data: saved, error: saveError } = await supabaseAdmin
-      .from('words')
-      // upsert щоб не падати на UNIQUE(original) у випадку гонки
-      .upsert(wordData, { onConflict: 'original,source_lang,target_lang' })
-      .select()
-      .single();
+    const tgtLang = String(target_lang || 'UK').trim().toUpperCase();
+    const nativeLang = native_lang ? String(native_lang).trim().toUpperCase() : null;
+
+    // source_lang=AUTO: одна мова на весь список, визначаємо за першими словами
+    const { srcLang, detectionInfo, error: detectError } = await resolveSourceLang({
+      requested: source_lang,
+      sample: words
+        .slice(0, BATCH_DETECT_SAMPLE)
+        .filter((w) => typeof w === 'string')
+        .map(normalize)
+        .filter(Boolean)
+        .join(', '),
+      tgtLang,
+    });
+    if (detectError) {
+      return res.status(422).json({ error: detectError, ...detectionInfo });
+    }
+    if (baseLang(srcLang) === baseLang(tgtLang)) {
+      return res.status(422).json({ error: SAME_LANG_MSG, ...detectionInfo });
+    }
 
-    if (saveError) {
-      console.warn('⚠️ Не вдалось зберегти в базу:', saveError.message);
-      // Все одно повертаємо результат (навіть якщо кеш не спрацював)
-      return res.json({ ...wordData, _source: 'ai', _cacheSaved: false });
+    // Результат для кожної унікальної леми; словоформи однієї леми і дублікати отримують той самий
+    const resultsByWord = new Map();
+    const rawByWord = new Map();
+    // surface (lowercase) → { lemma, method }
+    const lemmaBySurface = new Map();
+
+    for (const input of words) {
+      const surfaceRaw = normalize(typeof input === 'string' ? input : '');
+      const surface = surfaceRaw.toLowerCase();
+      if (!surface || lemmaBySurface.has(surface)) continue;
+
+      if (!looksLikeWord(surfaceRaw, srcLang)) {
+        lemmaBySurface.set(surface, { lemma: surface, method: 'none' });
+        resultsByWord.set(surface, { error: NOT_FOUND_MSG, _source: 'guard' });
+        continue;
+      }
+
+      // У batch регістрозалежні варіанти (Polish) не перевіряємо: вставлені списки часто
+      // з великої літери, і подвійний переклад кожного рядка був би надто дорогим
+      const { lemma, method } = await lemmatize(surface, srcLang);
+      const lemmaResult = { lemma: canonicalForm(lemma, surfaceRaw, srcLang), method };
+      lemmaBySurface.set(surface, lemmaResult);
+      if (!rawByWord.has(lemmaResult.lemma)) {
+        rawByWord.set(lemmaResult.lemma, lemma === surface ? surfaceRaw : lemmaResult.lemma);
+      }
     }
 
-    console.log(`✅ Збережено: "${cleanWord}" (${difficulty.cefr_level}, ${difficulty.difficulty_score}/100)`);
-    return res.json({ ...saved, _source: 'ai', _cacheSaved: true });
+    // Крок 1: кеш — один запит на всі валідні слова
+    const candidates = Array.from(rawByWord.keys());
+    if (candidates.length > 0) {
+      const cachedRows = await readCachedWords(candidates, srcLang, tgtLang);
+      for (const row of cachedRows.values()) {
+        resultsByWord.set(row.original, { ...row, enrichment: enrichmentState(row), _source: 'cache' });
+        rawByWord.delete(row.original);
+      }
+    }
 
+    // Крок 2: промахи — в DeepL групами (якщо бюджет вичерпано — лише кеш)
+    const misses = Array.from(rawByWord.keys());
+    const overBudget = misses.length > 0 && !isTranslationAvailable();
+    console.log(`🔤 Batch: ${candidates.length - misses.length} з кешу, ${misses.length} ${overBudget ? 'поза бюджетом' : 'в DeepL'}`);
+
+    const translations = misses.length > 0 && !overBudget
+      ? await translateBatch(misses, srcLang, tgtLang)
+      : misses.map(() => (overBudget ? { error: BUDGET_MSG, budget: true } : {}));
+
+    const toEnrich = [];
+    misses.forEach((cleanWord, idx) => {
+      const t = translations[idx] || {};
+      if (t.error) {
+        resultsByWord.set(cleanWord, { error: t.error, _source: t.budget ? 'budget' : 'provider_error' });
+        return;
+      }
+      if (!t.translation || isIdentityTranslation(cleanWord, t.translation)) {
+        resultsByWord.set(cleanWord, { error: NOT_FOUND_MSG, _source: 'deepl_identity' });
+        return;
+      }
+      toEnrich.push({ cleanWord, deeplTranslation: t.translation });
+    });
+
+    // Крок 3: зберігаємо переклад + алгоритмічну оцінку одним upsert, а ідіоми + AI-оцінку +
+    // senses для кожного слова ставимо в чергу — як POST /api/translate без enrichment: "sync"
+    const rows = await Promise.all(toEnrich.map(({ cleanWord, deeplTranslation }) => (
+      provisionalWord({ cleanWord, srcLang, tgtLang, nativeLang, deeplTranslation })
+    )));
+    if (rows.length > 0) {
+      let saved = [];
+      try {
+        saved = await wordsRepository().upsertWords(rows);
+      } catch (e) {
+        console.warn('⚠️ Batch: не вдалось зберегти в базу:', e.message);
+      }
+
+      const savedByWord = new Map(saved.map((r) => [r.original, r]));
+      for (const row of rows) {
+        const savedRow = savedByWord.get(row.original);
+        if (!savedRow) {
+          // без id рядок не збагатити і не додати до списку — лишається алгоритмічна оцінка
+          resultsByWord.set(row.original, { ...row, enrichment: 'failed', _source: 'provider', _cacheSaved: false });
+          continue;
+        }
+        const cleanWordRaw = rawByWord.get(row.original);
+        enqueueEnrichment(savedRow.id, () => enrichSavedWord(savedRow, { cleanWordRaw, nativeLang }));
+        resultsByWord.set(row.original, { ...savedRow, enrichment: 'pending', _source: 'provider', _cacheSaved: true });
+      }
+      console.log(`⏳ Batch: ${savedByWord.size} слів збережено, збагачення в черзі`);
+    }
+
+    // Відповідь у порядку вхідного списку; глосарій користувача — лише точні збіги
+    const glossary = await findGlossary(req.user.id, srcLang, tgtLang);
+    const items = words.map((input) => {
+      const surfaceRaw = normalize(typeof input === 'string' ? input : '');
+      const lemmaResult = lemmaBySurface.get(surfaceRaw.toLowerCase());
+      const result = (lemmaResult && resultsByWord.get(lemmaResult.lemma))
+        || { error: 'Слово не може бути порожнім', _source: 'guard' };
+      if (result.error || !lemmaResult) return { input, ...result };
+      const match = lookupTerm(glossary, result.original) || lookupTerm(glossary, surfaceRaw);
+      return {
+        input,
+        ...result,
+        ...(match ? glossaryFields({ row: result, glossary, term: match.source, translation: match.target }) : {}),
+        surface_form: surfaceRaw,
+        lemma: lemmaResult.lemma,
+        lemma_method: lemmaResult.method,
+      };
+    });
+
+    const failed = items.filter((x) => x.error).length;
+    // квота — за різні леми з перекладом; дублікати, словоформи й помилки повертаються
+    requireQuota.settle(res, succeeded(Array.from(resultsByWord.values())));
+
+    return res.json({
+      source_lang: srcLang,
+      target_lang: tgtLang,
+      ...detectionInfo,
+      items,
+      stats: {
+        total: items.length,
+        unique: resultsByWord.size,
+        cached: candidates.length - misses.length,
+        translated: rows.length,
+        failed,
+      },
+    });
   } catch (error) {
-    console.error('❌ Помилка перекладу:', error.message);
+    console.error('❌ Помилка batch-перекладу:', error.message);
     return res.status(500).json({ error: error.message });
   }
 });
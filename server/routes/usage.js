@@ -0,0 +1,43 @@
+/**
+ * server/routes/usage.js — Звіт витрат платних провайдерів (лише адміністратори)
+ *
+ * GET /api/usage?from=YYYY-MM-DD&to=YYYY-MM-DD
+ *   за замовчуванням — поточний місяць (UTC) до сьогодні включно.
+ * Відповідь: { from, to, budgets: { deepl, anthropic }, days: [...], users: [...] }
+ *   budgets — використано за поточний період бюджету і статус ok | soft_limit | hard_limit
+ *   days    — суми по днях і провайдерах
+ *   users   — суми по користувачах (user_id null — фонові задачі), найбільші витрати першими
+ */
+
+const express = require('express');
+const router = express.Router();
+const requireAdmin = require('../middleware/requireAdmin');
+const { usageReport } = require('../services/usage');
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidDay(s) {
+  return DAY_RE.test(s) && !Number.isNaN(Date.parse(`${s}T00:00:00Z`));
+}
+
+router.get('/usage', requireAdmin, async (req, res) => {
+  try {
+    const today = new Date().toISOString().slice(0, 10);
+    const from = String(req.query.from || `${today.slice(0, 7)}-01`);
+    const to = String(req.query.to || today);
+
+    if (!isValidDay(from) || !isValidDay(to)) {
+      return res.status(400).json({ error: 'from / to мають бути датами у форматі YYYY-MM-DD' });
+    }
+    if (from > to) {
+      return res.status(400).json({ error: 'from має бути не пізніше за to' });
+    }
+
+    return res.json(await usageReport({ from, to }));
+  } catch (e) {
+    console.error('Usage route error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+/**
+ * server/services/baseScorers.js — Алгоритмічна (без AI) оцінка складності слова
+ *
+ * Реєстр скорерів за мовою оригіналу (DeepL-код без регіону). Кожна мова задає:
+ * - vowels:        голосні для підрахунку складів
+ * - syllableMode:  'groups' — група голосних підряд = 1 склад (EN, DE, FR, ...)
+ *                  'each'   — кожна голосна = 1 склад (UK, PL, CS, HU, ...)
+ * - syllabic:      regex для складотворчих приголосних (чеські r/l: vlk, krk)
+ * - hardPatterns:  буквосполучення/літери, складні для тих, хто вчить мову
+ * - lengthNorms:   [короткe, середнє, довге] — межі довжини (у німецькій/угорській
+ *                  слова природно довші через композити й аглютинацію)
+ *
+ * Для мов без запису в реєстрі — загальний скорер (generic).
+ * Використовується як єдиний скорер, коли AI недоступний, і як 30% комбінованої оцінки.
+ */
+
+const { baseLang } = require('../lib/languageNames');
+
+const SCORERS = {
+  EN: {
+    vowels: 'aeiouy',
+    syllableMode: 'english',
+    hardPatterns: ['th', 'wh', 'ough', 'tion', 'sion', 'ious', 'eous'],
+    lengthNorms: [4, 7, 10],
+  },
+  DE: {
+    vowels: 'aeiouyäöü',
+    syllableMode: 'groups',
+    hardPatterns: ['sch', 'pf', 'tz', 'chs', 'ß', 'ä', 'ö', 'ü', 'ie', 'ei', 'eu', 'äu'],
+    lengthNorms: [5, 9, 13],
+  },
+  PL: {
+    vowels: 'aeiouyąęó',
+    syllableMode: 'each',
+    // "i" перед голосною лише позначає мʼякість (nie, siedem) — не окремий склад
+    softeningI: true,
+    hardPatterns: ['szcz', 'cz', 'sz', 'rz', 'dż', 'dź', 'ą', 'ę', 'ł', 'ś', 'ź', 'ż', 'ć', 'ń'],
+    lengthNorms: [5, 8, 11],
+  },
+  CS: {
+    vowels: 'aeiouyáéěíóúůý',
+    syllableMode: 'each',
+    syllabic: /(?<![aeiouyáéěíóúůý])[rl](?![aeiouyáéěíóúůý])/g,
+    hardPatterns: ['ř', 'ě', 'ů', 'ch', 'str', 'šť', 'čt'],
+    lengthNorms: [5, 8, 11],
+  },
+  HU: {
+    vowels: 'aeiouáéíóöőúüű',
+    syllableMode: 'each',
+    hardPatterns: ['gy', 'ny', 'ty', 'ly', 'sz', 'zs', 'cs', 'dzs', 'ő', 'ű'],
+    lengthNorms: [5, 9, 13],
+  },
+  RO: {
+    vowels: 'aeiouăâî',
+    syllableMode: 'groups',
+    hardPatterns: ['ă', 'â', 'î', 'ș', 'ț', 'che', 'chi', 'ghe', 'ghi'],
+    lengthNorms: [4, 8, 11],
+  },
+  LV: {
+    vowels: 'aeiouāēīū',
+    syllableMode: 'groups',
+    hardPatterns: ['ā', 'ē', 'ī', 'ū', 'ķ', 'ļ', 'ņ', 'ģ', 'dz', 'dž'],
+    lengthNorms: [5, 8, 11],
+  },
+  LT: {
+    vowels: 'aeiouyąęėįųū',
+    syllableMode: 'groups',
+    hardPatterns: ['ą', 'ę', 'ė', 'į', 'ų', 'ū', 'dž', 'dz'],
+    lengthNorms: [5, 9, 12],
+  },
+  ET: {
+    vowels: 'aeiouõäöü',
+    syllableMode: 'groups',
+    // подвоєні голосні/приголосні — довжина звуку (три ступені кількості)
+    hardPatterns: ['õ', 'ä', 'ö', 'ü', 'aa', 'ee', 'ii', 'oo', 'uu', 'kk', 'pp', 'tt'],
+    lengthNorms: [5, 9, 13],
+  },
+  SV: {
+    vowels: 'aeiouyåäö',
+    syllableMode: 'groups',
+    hardPatterns: ['sj', 'skj', 'stj', 'tj', 'kj', 'å', 'rs'],
+    lengthNorms: [5, 9, 12],
+  },
+  FR: {
+    vowels: 'aeiouyàâæéèêëîïôœùûüÿ',
+    syllableMode: 'groups',
+    // німе -e / -es у кінці не утворює складу
+    silentEnding: /(?<=[^aeiouy])(e|es|ent)$/,
+    hardPatterns: ['eau', 'oi', 'ou', 'ille', 'gn', 'œ', 'aux', 'eux'],
+    lengthNorms: [4, 8, 11],
+  },
+  IT: {
+    vowels: 'aeiouàèéìíîòóùú',
+    syllableMode: 'groups',
+    hardPatterns: ['gli', 'gn', 'sc', 'cch', 'zz', 'ggi'],
+    lengthNorms: [4, 8, 11],
+  },
+  ES: {
+    vowels: 'aeiouáéíóúü',
+    syllableMode: 'groups',
+    hardPatterns: ['ll', 'rr', 'ñ', 'güe', 'güi', 'que', 'qui', 'j'],
+    lengthNorms: [4, 8, 11],
+  },
+  UK: {
+    vowels: 'аеєиіїоуюя',
+    syllableMode: 'each',
+    hardPatterns: ['щ', 'ї', 'є', 'ґ', 'ь', "'", '’'],
+    lengthNorms: [5, 8, 11],
+  },
+};
+
+const GENERIC = {
+  vowels: 'aeiouyàáâãäåæèéêëìíîïòóôõöøœùúûüýÿāăąēėęěīįōőūůűųаеєиіїоуюяыэё',
+  syllableMode: 'groups',
+  hardPatterns: [],
+  lengthNorms: [4, 7, 10],
+};
+
+// Скільки максимум балів можуть дати складні буквосполучення (щоб довгі слова з ß/ł не зашкалювали)
+const HARD_PATTERNS_CAP = 20;
+
+function getScorer(sourceLang) {
+  const lang = baseLang(sourceLang);
+  return SCORERS[lang] ? { lang, ...SCORERS[lang] } : { lang: 'generic', ...GENERIC };
+}
+
+/**
+ * Англійська — оригінальний спрощений алгоритм (німе -e / -es / -ed)
+ */
+function countEnglishSyllables(word) {
+  if (word.length <= 3) return 1;
+  word = word.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '');
+  word = word.replace(/^y/, '');
+  const matches = word.match(/[aeiouy]{1,2}/g);
+  return matches ? matches.length : 1;
+}
+
+/**
+ * Підрахунок складів (спрощений, за правилами мови)
+ */
+function countSyllables(word, sourceLang = 'EN') {
+  const scorer = getScorer(sourceLang);
+  let w = (word || '').toLowerCase().normalize('NFC');
+
+  if (scorer.syllableMode === 'english') return countEnglishSyllables(w);
+
+  if (scorer.silentEnding) w = w.replace(scorer.silentEnding, '');
+  if (scorer.softeningI) w = w.replace(new RegExp(`i(?=[${scorer.vowels}])`, 'g'), '');
+
+  const vowelRe = scorer.syllableMode === 'each'
+    ? new RegExp(`[${scorer.vowels}]`, 'gu')
+    : new RegExp(`[${scorer.vowels}]+`, 'gu');
+
+  let count = (w.match(vowelRe) || []).length;
+  if (scorer.syllabic) count += (w.match(scorer.syllabic) || []).length;
+
+  return Math.max(1, count);
+}
+
+/**
+ * Базова алгоритмічна оцінка (без AI)
+ * Враховує: довжину слова (відносно норм мови), кількість складів, складні буквосполучення
+ *
+ * @param {string} word
+ * @param {string} sourceLang — мова слова
+ * @returns {number} 1..100
+ */
+function getBaseScore(word, sourceLang = 'EN') {
+  const scorer = getScorer(sourceLang);
+  const w = (word || '').toLowerCase().normalize('NFC');
+  const [short, medium, long] = scorer.lengthNorms;
+
+  let score = 30; // базовий бал
+
+  // Довжина слова
+  if (w.length <= short) score -= 10;
+  else if (w.length <= medium) score += 0;
+  else if (w.length <= long) score += 15;
+  else score += 25;
+
+  // Кількість складів
+  const syllables = countSyllables(w, sourceLang);
+  if (syllables <= 1) score -= 5;
+  else if (syllables <= 2) score += 0;
+  else if (syllables <= 3) score += 10;
+  else score += 20;
+
+  // Складні буквосполучення
+  let patternScore = 0;
+  for (const pattern of scorer.hardPatterns) {
+    if (w.includes(pattern)) patternScore += 5;
+  }
+  score += Math.min(HARD_PATTERNS_CAP, patternScore);
+
+  // Обмежуємо діапазон 1-100
+  return Math.min(100, Math.max(1, score));
+}
+
+module.exports = {
+  getBaseScore,
+  countSyllables,
+  getScorer,
+  SUPPORTED_LANGS: Object.keys(SCORERS),
+};
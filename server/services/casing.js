@@ -0,0 +1,63 @@
+/**
+ * server/services/casing.js — Регістр слова як частина запису в кеші words
+ *
+ * Раніше все приводилось до нижнього регістру, через що:
+ * - німецькі іменники втрачали велику літеру (Haus → haus);
+ * - "Polish" (польський) і "polish" (полірувати) злипались в один рядок.
+ *
+ * Правила:
+ * - DE: іменники пишуться з великої. Канонічна форма — написання з лексикону
+ *   (частотний список), інакше — як ввів користувач (з великої → з великої).
+ * - Інші мови: канонічна форма — нижній регістр. Але якщо користувач ввів слово
+ *   з великої літери, воно може бути окремим значенням (Polish, March, Turkey) —
+ *   маршрут перекладає обидва варіанти і зберігає регістрозалежний рядок,
+ *   лише якщо переклади відрізняються (див. caseVariantCandidate).
+ */
+
+const { lexiconForm } = require('./frequency');
+const { baseLang } = require('../lib/languageNames');
+
+// Мови, де регістр є частиною правопису звичайних слів
+const NOUN_CAPITALIZATION = new Set(['DE']);
+
+function capitalize(s) {
+  return s ? s.charAt(0).toLocaleUpperCase() + s.slice(1) : s;
+}
+
+/**
+ * "Polish" / "New York" — так; "polish" / "POLISH" / "pOLISH" — ні
+ */
+function isCapitalized(s) {
+  const first = (s || '').charAt(0);
+  if (!first || first === first.toLocaleLowerCase()) return false;
+  const rest = s.slice(1).replace(/[^\p{L}]/gu, '');
+  return rest.length === 0 || rest !== rest.toLocaleUpperCase();
+}
+
+/**
+ * Канонічне написання леми для кешу і картки слова
+ *
+ * @param {string} lemma — лема в нижньому регістрі
+ * @param {string} surfaceRaw — як ввів користувач
+ * @param {string} sourceLang
+ */
+function canonicalForm(lemma, surfaceRaw, sourceLang) {
+  const lang = baseLang(sourceLang);
+  if (!NOUN_CAPITALIZATION.has(lang)) return lemma;
+
+  const known = lexiconForm(lemma, lang);
+  if (known) return known;
+
+  return isCapitalized(surfaceRaw) ? capitalize(lemma) : lemma;
+}
+
+/**
+ * Регістрозалежний кандидат (Polish), якого варто перевірити окремо, або null
+ */
+function caseVariantCandidate(surfaceRaw, sourceLang) {
+  const lang = baseLang(sourceLang);
+  if (NOUN_CAPITALIZATION.has(lang)) return null; // німецька — через canonicalForm
+  return isCapitalized(surfaceRaw) ? surfaceRaw : null;
+}
+
+module.exports = { canonicalForm, caseVariantCandidate, isCapitalized };
@@ -1,208 +1,199 @@
 /**
- * server/services/difficulty.js — AI-оцінка складності через Claude
+ * server/services/difficulty.js — AI-оцінка складності через LLM (services/llm.js)
  * 
- * Це "серце" LexiLevel — сервіс, який оцінює наскільки складне слово
- * для українськомовного студента. Використовує Claude Haiku (швидко і дешево).
+ * Це "серце" LexiLevel — сервіс, який оцінює наскільки складне слово мови оригіналу
+ * для студента з певною рідною мовою. За замовчуванням — Claude Haiku (швидко і дешево);
+ * для офлайн-розробки і тестів — LLM_PROVIDER=openai (локальна модель) або mock.
+ *
+ * Пара мов — реальна (source_lang → target_lang), а рідна мова студента
+ * береться з налаштування користувача або, за замовчуванням, з target_lang.
  * 
- * Комбінує два підходи:
- * 1. Базовий алгоритмічний (довжина, складність написання)
+ * Комбінує три підходи:
+ * 1. Базовий алгоритмічний (довжина, склади, складні буквосполучення — окремо для кожної мови, див. baseScorers.js)
  * 2. AI-аналіз (контекст, багатозначність, культурні нюанси)
+ * 3. Частотні / CEFR-довідники (frequency.js) — окремий сигнал і межа для AI cefr_level:
+ *    AI-рівень не може відрізнятися від частотного більше ніж на 1 крок
+ *
+ * Відповідь моделі звіряється з входом (services/outputGuard.js): якщо приклад-речення не містить
+ * слова або в полях є посилання / інструкції, відповідь іде в карантин, а в кеш — алгоритмічна оцінка.
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
-
-// Ініціалізація клієнта Claude
-let anthropic;
-try {
-  anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY,
-  });
-} catch (e) {
-  console.warn('⚠️ Anthropic API не налаштовано. AI-оцінка буде недоступна.');
-}
-
+const llm = require('./llm');
+const { renderPrompt, promptVersion } = require('./prompts');
+const { languageName, baseLang } = require('../lib/languageNames');
+const { getBaseScore, getScorer } = require('./baseScorers');
+const { lookupFrequency, clampCefr, CEFR_ORDER } = require('./frequency');
+const { checkDifficulty, quarantine } = require('./outputGuard');
+const {
+  StructuredOutputError, object, enumOf, integer, boolean, string,
+} = require('../lib/structuredOutput');
+
+// Схема відповіді Claude (tool use) — див. lib/structuredOutput.js
+const DIFFICULTY_TOOL = {
+  name: 'record_difficulty',
+  description: 'Record the difficulty assessment of the word for the student.',
+  spec: object({
+    cefr_level: enumOf(CEFR_ORDER),
+    difficulty_score: integer(1, 100),
+    part_of_speech: string({ maxLength: 30, nullable: true }),
+    transcription: string({ maxLength: 80, nullable: true }),
+    example_sentence: string({ maxLength: 300, nullable: true }),
+    factors: object({
+      polysemy: integer(1, 10),
+      false_friends: boolean(),
+      phonetic_difficulty: integer(1, 10),
+      cultural_context: integer(1, 10),
+      morphological_complexity: integer(1, 10),
+    }),
+  }),
+};
 
 /**
- * Claude інколи обгортає JSON у markdown-блоки ```json ... ```
- * або додає зайвий текст. Ця функція робить парсинг "production-safe".
+ * Ідентифікатор варіанту оцінки, який зберігається в words.assessment_variant:
+ *   "pair-v3:EN>UK/UK"  — AI-оцінка для пари EN→UK, рідна мова UK
+ *   "algorithmic:EN"    — лише алгоритмічна (AI недоступний або впав)
  */
-function parseClaudeJson(rawText) {
-  if (!rawText || typeof rawText !== 'string') {
-    throw new Error('Claude returned empty response');
-  }
-
-  let text = rawText.trim();
-
-  // 1) Знімаємо markdown code fences, якщо вони є
-  //    ```json\n{...}\n``` або ```\n{...}\n```
-  // Claude іноді додає текст ДО fence — тоді витягуємо перший fenced-блок.
-  if (text.includes('```')) {
-    const fenceStart = text.indexOf('```');
-    const fenceEnd = text.indexOf('```', fenceStart + 3);
-    if (fenceStart !== -1 && fenceEnd !== -1 && fenceEnd > fenceStart) {
-      let inner = text.slice(fenceStart + 3, fenceEnd).trim();
-      inner = inner.replace(/^json\s*/i, '').trim();
-      text = inner;
-    } else if (text.startsWith('```')) {
-      text = text.replace(/^```(?:json)?\s*/i, '');   // прибираємо відкриваючий fence
-      text = text.replace(/\s*```\s*$/i, '');        // прибираємо закриваючий fence
-      text = text.trim();
-    }
-  }
+function assessmentVariant(kind, { sourceLang, targetLang, nativeLang }) {
+  if (kind === 'algorithmic') return `algorithmic:${sourceLang}`;
+  return `${promptVersion('difficulty')}:${sourceLang}>${targetLang}/${nativeLang}`;
+}
 
-  // 2) Перша спроба — чистий JSON
-  try {
-    return JSON.parse(text);
-  } catch (e1) {
-    // 3) Друга спроба — витягуємо перший JSON-обʼєкт з тексту
-    const start = text.indexOf('{');
-    const end = text.lastIndexOf('}');
-    if (start !== -1 && end !== -1 && end > start) {
-      const candidate = text.slice(start, end + 1);
-      try {
-        return JSON.parse(candidate);
-      } catch (e2) {
-        // fallthrough
-      }
-    }
-    // 4) Повертаємо оригінальну помилку, але з коротким превʼю відповіді для дебагу
-    const preview = text.slice(0, 200).replace(/\s+/g, ' ');
-    throw new Error(`Claude response is not valid JSON: ${e1.message}. Preview: "${preview}"`);
-  }
+function buildPrompt(word, translation, { sourceLang, targetLang, nativeLang }) {
+  return renderPrompt('difficulty', {
+    word,
+    translation,
+    source: languageName(sourceLang),
+    target: languageName(targetLang),
+    native: languageName(nativeLang),
+  });
 }
 
 /**
- * Оцінити складність англійського слова для українськомовного студента
+ * Оцінити складність слова для студента з певною рідною мовою
  * 
- * @param {string} word — англійське слово
- * @param {string} translation — український переклад
- * @returns {Object} — { cefr_level, difficulty_score, factors, example_sentence, part_of_speech, transcription }
+ * @param {string} word — слово мовою оригіналу
+ * @param {string} translation — переклад на target_lang
+ * @param {Object} [pair]
+ * @param {string} [pair.sourceLang="EN"] — мова слова
+ * @param {string} [pair.targetLang="UK"] — мова перекладу
+ * @param {string} [pair.nativeLang] — рідна мова студента (за замовчуванням — базова target_lang)
+ * @param {Object} [options]
+ * @param {boolean} [options.algorithmicOnly=false] — без LLM (попередня оцінка, поки слово збагачується у фоні)
+ * @returns {Object} — { cefr_level, difficulty_score, factors, example_sentence, part_of_speech, transcription, assessment_variant }
  */
-async function assessDifficulty(word, translation) {
-  // Базова оцінка (без AI, працює завжди)
-  const baseScore = getBaseScore(word);
+async function assessDifficulty(word, translation, pair = {}, { algorithmicOnly = false } = {}) {
+  const sourceLang = baseLang(pair.sourceLang || 'EN');
+  const targetLang = (pair.targetLang || 'UK').trim().toUpperCase();
+  const nativeLang = baseLang(pair.nativeLang || targetLang);
+  const langs = { sourceLang, targetLang, nativeLang };
+
+  // Фактори завжди кажуть, для якої пари їх пораховано і який базовий скорер спрацював
+  const pairFactors = {
+    source_lang: sourceLang,
+    target_lang: targetLang,
+    native_lang: nativeLang,
+    base_scorer: getScorer(sourceLang).lang,
+  };
 
-  // Якщо Claude API недоступний — повертаємо базову оцінку
-  if (!anthropic) {
+  // Базова оцінка (без AI, працює завжди)
+  const baseScore = getBaseScore(word, sourceLang);
+
+  // Частотний сигнал (null, якщо слова немає у списку мови)
+  const freq = lookupFrequency(word, sourceLang);
+  const freqFactors = {
+    frequency_rank: freq ? freq.rank : null,
+    frequency_cefr: freq ? freq.cefr : null,
+    frequency_list: freq ? freq.list : null,
+  };
+
+  // Оцінка без AI: базовий скорер + частотний список (якщо слово в ньому є)
+  const algorithmicResult = (factors) => {
+    const score = freq ? Math.round(baseScore * 0.4 + freq.score * 0.6) : baseScore;
+    const level = scoreToCefr(score);
     return {
-      cefr_level: scoreToCefr(baseScore),
-      difficulty_score: baseScore,
-      factors: { source: 'algorithmic' },
+      cefr_level: freq ? clampCefr(level, freq.cefr) : level,
+      difficulty_score: Math.min(100, Math.max(1, score)),
+      factors: { ...factors, ...pairFactors, ...freqFactors },
       example_sentence: null,
       part_of_speech: null,
       transcription: null,
+      assessment_variant: assessmentVariant('algorithmic', langs),
     };
-  }
+  };
 
-  try {
-    // Запит до Claude Haiku
-    const message = await anthropic.messages.create({
-      model: 'claude-haiku-4-5-20251001',  // найшвидша та найдешевша модель
-      max_tokens: 500,
-      messages: [{
-        role: 'user',
-        content: `You are an expert in English language teaching for Ukrainian speakers.
-        
-Assess the difficulty of the English word "${word}" (translated as "${translation}" in Ukrainian) for a Ukrainian-speaking student.
-
-Respond ONLY with a valid JSON object (no markdown, no backticks):
-{
-  "cefr_level": "B2",
-  "difficulty_score": 65,
-  "part_of_speech": "noun",
-  "transcription": "/ˈwɜːrd/",
-  "example_sentence": "A natural sentence using the word.",
-  "factors": {
-    "polysemy": 2,
-    "false_friends": false,
-    "phonetic_difficulty": 5,
-    "cultural_context": 3,
-    "morphological_complexity": 4
+  // Якщо LLM недоступний (або потрібна лише швидка оцінка) — повертаємо алгоритмічну
+  if (algorithmicOnly || !llm.isEnabled()) {
+    return algorithmicResult({ source: freq ? 'algorithmic+frequency' : 'algorithmic' });
   }
-}
 
-Rules:
-- cefr_level: A1, A2, B1, B2, C1, or C2
-- difficulty_score: 1-100 (1=easiest, 100=hardest)
-- All factor values: 1-10
-- polysemy: number of common meanings
-- false_friends: true if similar Ukrainian word exists with different meaning
-- transcription: IPA format`
-      }],
+  try {
+    // Запит до LLM (модель / таймаут — services/llm.js): відповідь — виклик інструмента зі схемою
+    const { value: aiResult, issues } = await llm.callTool('difficulty', {
+      ...buildPrompt(word, translation, langs),
+      tool: DIFFICULTY_TOOL,
+      fixtureKey: `${langs.sourceLang}:${String(word).trim().toLowerCase()}`,
     });
+    if (issues.length > 0) {
+      console.warn(`⚠️ Difficulty output corrected for "${word}":`, issues.join('; '));
+    }
 
-    // Парсимо JSON-відповідь від Claude
-    const responseText = message.content[0].text.trim();
-    const aiResult = parseClaudeJson(responseText);
+    const suspicious = checkDifficulty({ word, sourceLang, output: aiResult });
+    if (suspicious.length > 0) {
+      await quarantine({
+        task: 'difficulty',
+        input: word,
+        sourceLang,
+        targetLang,
+        promptVersion: promptVersion('difficulty'),
+        output: aiResult,
+        reasons: suspicious,
+      });
+      // модель відповіла — повторний запит тим самим промптом дасть те саме (див. enrichment.promptVersions)
+      return algorithmicResult({
+        source: 'algorithmic_fallback',
+        quarantined: true,
+        quarantine_reasons: suspicious,
+      });
+    }
+
+    // Комбінуємо оцінки: 70% AI + 30% базова, або 60% AI + 20% базова + 20% частотна
+    const combinedScore = freq
+      ? Math.round(aiResult.difficulty_score * 0.6 + baseScore * 0.2 + freq.score * 0.2)
+      : Math.round(aiResult.difficulty_score * 0.7 + baseScore * 0.3);
 
-    // Комбінуємо базову та AI оцінку (70% AI, 30% базова)
-    const combinedScore = Math.round(aiResult.difficulty_score * 0.7 + baseScore * 0.3);
+    // Частотний рівень — межа для AI: не далі ніж ±1 крок
+    const cefrLevel = freq ? clampCefr(aiResult.cefr_level, freq.cefr) : aiResult.cefr_level;
+    const boundFactors = cefrLevel !== aiResult.cefr_level
+      ? { cefr_ai: aiResult.cefr_level, cefr_bounded_by: 'frequency' }
+      : {};
 
     return {
-      cefr_level: aiResult.cefr_level,
+      cefr_level: cefrLevel,
       difficulty_score: Math.min(100, Math.max(1, combinedScore)),
-      factors: { ...aiResult.factors, source: 'ai+algorithmic' },
+      factors: {
+        ...aiResult.factors,
+        source: freq ? 'ai+algorithmic+frequency' : 'ai+algorithmic',
+        ...pairFactors,
+        ...freqFactors,
+        ...boundFactors,
+        // що довелось виправити у відповіді Claude (обрізані діапазони тощо)
+        ...(issues.length > 0 ? { validation_issues: issues } : {}),
+      },
       example_sentence: aiResult.example_sentence,
       part_of_speech: aiResult.part_of_speech,
       transcription: aiResult.transcription,
+      assessment_variant: assessmentVariant('ai', langs),
     };
   } catch (error) {
-    console.error('Claude API error:', error.message);
-    // Якщо AI не спрацював — повертаємо базову оцінку
-    return {
-      cefr_level: scoreToCefr(baseScore),
-      difficulty_score: baseScore,
-      factors: { source: 'algorithmic_fallback', error: error.message },
-      example_sentence: null,
-      part_of_speech: null,
-      transcription: null,
-    };
-  }
-}
-
-/**
- * Базова алгоритмічна оцінка (без AI)
- * Враховує: довжину слова, кількість складів, наявність складних буквосполучень
- */
-function getBaseScore(word) {
-  let score = 30; // базовий бал
-
-  // Довжина слова
-  if (word.length <= 4) score -= 10;
-  else if (word.length <= 7) score += 0;
-  else if (word.length <= 10) score += 15;
-  else score += 25;
-
-  // Кількість складів (приблизна оцінка)
-  const syllables = countSyllables(word);
-  if (syllables <= 1) score -= 5;
-  else if (syllables <= 2) score += 0;
-  else if (syllables <= 3) score += 10;
-  else score += 20;
-
-  // Складні буквосполучення для українців
-  const hardPatterns = ['th', 'wh', 'ough', 'tion', 'sion', 'ious', 'eous'];
-  for (const pattern of hardPatterns) {
-    if (word.toLowerCase().includes(pattern)) {
-      score += 5;
-    }
+    // Невалідна відповідь (cefr_level "Z9", score "hard") не йде в кеш — лише алгоритмічна оцінка
+    const rejected = error instanceof StructuredOutputError;
+    console.error(rejected ? 'LLM output rejected:' : 'LLM error:', error.message);
+    return algorithmicResult({
+      source: 'algorithmic_fallback',
+      error: error.message,
+      ...(rejected ? { ai_rejected: true } : {}),
+    });
   }
-
-  // Обмежуємо діапазон 1-100
-  return Math.min(100, Math.max(1, score));
-}
-
-/**
- * Підрахунок складів (спрощений алгоритм)
- */
-function countSyllables(word) {
-  word = word.toLowerCase();
-  if (word.length <= 3) return 1;
-  
-  word = word.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '');
-  word = word.replace(/^y/, '');
-  const matches = word.match(/[aeiouy]{1,2}/g);
-  return matches ? matches.length : 1;
 }
 
 /**
@@ -0,0 +1,208 @@
+/**
+ * server/services/enrichment.js — Збагачення перекладу для кешу words
+ *
+ * Спільне для маршруту перекладу (новий рядок), черги фонового збагачення
+ * (services/enrichmentQueue.js) і перезбагачення (services/reenrichment.js —
+ * рядки з fallback-оцінкою або застарілими промптами).
+ *
+ * words.enrichment_status:
+ *   pending — збережено лише переклад + алгоритмічну оцінку, LLM-частини в черзі
+ *   done    — рядок збагачено (або AI недоступний і оцінка лишилась алгоритмічною)
+ *   failed  — задача черги впала; переклад у рядку є, перезбагачення спробує ще раз
+ */
+
+const { wordsRepository } = require('../repositories');
+
+const { getProviderName } = require('./translator');
+const { assessDifficulty } = require('./difficulty');
+const { detectIdioms } = require('./idioms');
+const { extractSenses } = require('./senses');
+const { promptVersion } = require('./prompts');
+const { forgetWord } = require('./wordCache');
+
+/**
+ * { difficulty, idiom, senses } → версія промпту; лише для частин, які справді дала модель.
+ * Алгоритмічна оцінка (AI вимкнений / впав) версії не має — такий рядок вважається застарілим.
+ * Відповідь у карантині (services/outputGuard.js) версію має: модель відповіла, і той самий
+ * промпт дасть ту саму відповідь — перезбагачення повторить її лише з новою версією промпту.
+ */
+function promptVersions({ difficulty, idiom, senses, existingSenses }) {
+  const versions = {};
+  if (difficulty.assessment_variant?.startsWith(`${promptVersion('difficulty')}:`) || difficulty.factors?.quarantined) {
+    versions.difficulty = promptVersion('difficulty');
+  }
+  if (idiom?.prompt_version) versions.idiom = idiom.prompt_version;
+  if (senses && senses !== existingSenses) versions.senses = promptVersion('senses');
+  return versions;
+}
+
+/**
+ * Збагачення перекладу: ідіоми + AI-оцінка складності + значення багатозначних слів.
+ * Повертає рядок для таблиці words (ще не збережений).
+ *
+ * @param {Object} p
+ * @param {string} p.cleanWord — нормалізоване слово (ключ кешу)
+ * @param {string} p.cleanWordRaw — як ввів користувач (для ідіом)
+ * @param {string} p.deeplTranslation — переклад від провайдера
+ * @param {string} [p.translationProvider] — хто дав переклад (за замовчуванням — активний провайдер)
+ * @param {Array|null} [p.existingSenses] — уже збережені senses: не перезапитуємо, бо на їхні
+ *   індекси посилаються list_words.sense_index
+ */
+async function enrichWord({
+  cleanWord,
+  cleanWordRaw,
+  srcLang,
+  tgtLang,
+  nativeLang,
+  deeplTranslation,
+  caseSensitive = false,
+  translationProvider = getProviderName(),
+  existingSenses = null,
+}) {
+  // Виявлення ідіом (не ламає потік; при помилці просто пропускаємо)
+  let idiom = null;
+  try {
+    idiom = await detectIdioms({
+      original: cleanWordRaw,
+      sourceLang: srcLang,
+      targetLang: tgtLang,
+      literalTranslation: deeplTranslation,
+    });
+  } catch (e) {
+    console.warn('⚠️ Idiom detect error:', e?.message || e);
+    idiom = null;
+  }
+
+  // Якщо це ідіома — основний переклад робимо "idiomatic" (перший варіант),
+  // а DeepL лишаємо як literal у alt_translations
+  const primaryTranslation = (idiom && idiom.is_idiom && Array.isArray(idiom.idiomatic_translations) && idiom.idiomatic_translations[0])
+    ? idiom.idiomatic_translations[0]
+    : deeplTranslation;
+
+  // AI-оцінка складності
+  console.log(`🧠 Оцінюємо складність: "${cleanWord}"`);
+  const difficulty = await assessDifficulty(cleanWord, primaryTranslation, {
+    sourceLang: srcLang,
+    targetLang: tgtLang,
+    nativeLang,
+  });
+
+  // Значення (senses): лише для звичайних слів — у ідіом свої варіанти в alt_translations
+  let senses = null;
+  if (Array.isArray(existingSenses) && existingSenses.length > 0) {
+    senses = existingSenses;
+  } else if (!(idiom && idiom.is_idiom)) {
+    senses = await extractSenses({
+      word: cleanWord,
+      translation: primaryTranslation,
+      sourceLang: srcLang,
+      targetLang: tgtLang,
+      polysemy: difficulty.factors?.polysemy,
+    });
+  }
+
+  return {
+    original: cleanWord,
+    source_lang: srcLang,
+    target_lang: tgtLang,
+    translation: primaryTranslation,
+    // який провайдер дав переклад (deepl | local)
+    translation_provider: translationProvider,
+    transcription: difficulty.transcription,
+    difficulty_score: difficulty.difficulty_score,
+    cefr_level: difficulty.cefr_level,
+    difficulty_factors: difficulty.factors,
+    example_sentence: difficulty.example_sentence,
+    part_of_speech: difficulty.part_of_speech,
+    // яким варіантом оцінки (промпт + пара + рідна мова) пораховано складність
+    assessment_variant: difficulty.assessment_variant,
+
+    // Для ідіом: зберігаємо ідіоматичні варіанти + literal(DeepL) для UI (idiomatic vs literal)
+    alt_translations: (idiom && idiom.is_idiom)
+      ? {
+          idiomatic: idiom.idiomatic_translations,
+          literal: idiom.literal_translation || deeplTranslation,
+        }
+      : null,
+    translation_notes: (idiom && idiom.is_idiom) ? idiom.note : null,
+    translation_kind: (idiom && idiom.is_idiom) ? 'idiom' : null,
+    // true — рядок існує саме в цьому регістрі (Polish ≠ polish)
+    case_sensitive: caseSensitive,
+    // [{ part_of_speech, translation, example }] або null (див. services/senses.js)
+    senses,
+    // версії промптів, якими отримано AI-частини рядка (services/prompts.js)
+    prompt_versions: promptVersions({ difficulty, idiom, senses, existingSenses }),
+    enrichment_status: 'done',
+  };
+}
+
+/**
+ * Попередній рядок words: переклад + алгоритмічна оцінка, без LLM.
+ * Зберігається одразу (enrichment_status = pending), щоб у слова був id для списків,
+ * поки черга його збагачує.
+ */
+async function provisionalWord({ cleanWord, srcLang, tgtLang, nativeLang, deeplTranslation, caseSensitive = false }) {
+  const difficulty = await assessDifficulty(cleanWord, deeplTranslation, {
+    sourceLang: srcLang,
+    targetLang: tgtLang,
+    nativeLang,
+  }, { algorithmicOnly: true });
+
+  return {
+    original: cleanWord,
+    source_lang: srcLang,
+    target_lang: tgtLang,
+    translation: deeplTranslation,
+    translation_provider: getProviderName(),
+    transcription: null,
+    difficulty_score: difficulty.difficulty_score,
+    cefr_level: difficulty.cefr_level,
+    difficulty_factors: difficulty.factors,
+    example_sentence: null,
+    part_of_speech: null,
+    assessment_variant: difficulty.assessment_variant,
+    alt_translations: null,
+    translation_notes: null,
+    translation_kind: null,
+    case_sensitive: caseSensitive,
+    senses: null,
+    prompt_versions: {},
+    enrichment_status: 'pending',
+  };
+}
+
+/**
+ * Задача черги: збагатити збережений попередній рядок і оновити його в words.
+ *
+ * @param {Object} row — рядок words (enrichment_status = pending)
+ * @param {Object} [opts]
+ * @param {string} [opts.cleanWordRaw] — як ввів користувач (для ідіом); за замовчуванням row.original
+ * @param {string} [opts.nativeLang] — за замовчуванням та, для якої рахували попередню оцінку
+ */
+async function enrichSavedWord(row, { cleanWordRaw = row.original, nativeLang = row.difficulty_factors?.native_lang } = {}) {
+  try {
+    const enriched = await enrichWord({
+      cleanWord: row.original,
+      cleanWordRaw,
+      srcLang: row.source_lang,
+      tgtLang: row.target_lang,
+      nativeLang,
+      // у попередньому рядку translation — ще переклад провайдера
+      deeplTranslation: row.translation,
+      caseSensitive: row.case_sensitive,
+      translationProvider: row.translation_provider,
+    });
+
+    // original / мовна пара / регістр — ключ кешу, їх не змінюємо
+    const { original, source_lang, target_lang, case_sensitive, ...fields } = enriched;
+    await wordsRepository().updateWord(row.id, fields);
+    forgetWord(row);
+
+    console.log(`✅ Збагачено: "${row.original}" (${fields.cefr_level}, ${fields.difficulty_score}/100)`);
+  } catch (e) {
+    await wordsRepository().updateWord(row.id, { enrichment_status: 'failed' }).catch(() => {});
+    throw e;
+  }
+}
+
+module.exports = { enrichWord, provisionalWord, enrichSavedWord };
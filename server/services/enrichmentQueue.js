@@ -0,0 +1,107 @@
+/**
+ * server/services/enrichmentQueue.js — Черга фонового збагачення слів
+ *
+ * POST /api/translate відповідає одразу після перекладу (enrichment: "pending"),
+ * а ідіоми + AI-оцінка + senses виконуються тут, у процесі сервера.
+ *
+ * - задача ідентифікується id рядка words: повторний enqueue того самого слова не дублює роботу
+ * - одночасно виконується не більше ENRICHMENT_CONCURRENCY задач (за замовчуванням 2)
+ * - стан для клієнта — у words.enrichment_status (pending | done | failed);
+ *   черга лише виконує задачі і повідомляє підписників (SSE) про завершення
+ * - задача виконується в контексті запиту, який її поставив (облік витрат на користувача)
+ */
+
+const { EventEmitter } = require('events');
+const metrics = require('../lib/metrics');
+const { bindToCurrentContext } = require('../lib/requestContext');
+
+const DEFAULT_CONCURRENCY = 2;
+
+const events = new EventEmitter();
+// SSE-підписників може бути багато (кожен відкритий екран перекладу)
+events.setMaxListeners(0);
+
+// id → { run, status: 'queued' | 'running' }
+const jobs = new Map();
+const waiting = [];
+let running = 0;
+
+function getConcurrency() {
+  const n = parseInt(process.env.ENRICHMENT_CONCURRENCY, 10);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_CONCURRENCY;
+}
+
+function pump() {
+  while (running < getConcurrency() && waiting.length > 0) {
+    const id = waiting.shift();
+    const job = jobs.get(id);
+    if (!job) continue;
+
+    running++;
+    job.status = 'running';
+    Promise.resolve()
+      .then(job.run)
+      .then(
+        () => ({ status: 'done' }),
+        (e) => {
+          console.error(`❌ Enrichment job ${id} failed:`, e?.message || e);
+          return { status: 'failed', error: e?.message || String(e) };
+        }
+      )
+      .then((result) => {
+        running--;
+        jobs.delete(id);
+        metrics.increment(`enrichment_queue.${result.status}`);
+        events.emit(`done:${id}`, result);
+        pump();
+      });
+  }
+}
+
+/**
+ * Поставити задачу в чергу.
+ *
+ * @param {string} id — id рядка words
+ * @param {() => Promise<void>} run — збагатити й оновити рядок
+ * @returns {boolean} — false, якщо задача для цього id вже в черзі / виконується
+ */
+function enqueueEnrichment(id, run) {
+  if (jobs.has(id)) return false;
+  jobs.set(id, { run: bindToCurrentContext(run), status: 'queued' });
+  waiting.push(id);
+  pump();
+  return true;
+}
+
+/**
+ * @returns {'queued' | 'running' | null}
+ */
+function getJobStatus(id) {
+  return jobs.get(id)?.status || null;
+}
+
+/**
+ * Підписатися на завершення задачі. Повертає функцію відписки.
+ *
+ * @param {string} id
+ * @param {(result: { status: 'done' | 'failed', error?: string }) => void} listener
+ */
+function onEnrichmentDone(id, listener) {
+  const event = `done:${id}`;
+  events.once(event, listener);
+  return () => events.removeListener(event, listener);
+}
+
+/** Для моніторингу: скільки задач чекає / виконується */
+function queueStats() {
+  return { waiting: waiting.length, running };
+}
+
+metrics.registerGauge('enrichment_queue', queueStats);
+
+module.exports = {
+  enqueueEnrichment,
+  getJobStatus,
+  onEnrichmentDone,
+  queueStats,
+};
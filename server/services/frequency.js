@@ -0,0 +1,142 @@
+/**
+ * server/services/frequency.js — Частотні / CEFR-довідники слів
+ *
+ * Третій сигнал для оцінки складності (поряд з AI і базовим скорером):
+ * - чим частотніше слово в корпусі, тим нижчий рівень;
+ * - якщо у списку є явний CEFR — беремо його.
+ *
+ * Файли: data/frequency/<lang>.tsv (word, rank, cefr?), мова — DeepL-код у нижньому регістрі.
+ * Пошук — без урахування регістру, але написання зі списку зберігається (lexiconForm).
+ * Каталог можна перевизначити: FREQUENCY_DATA_DIR=/path/to/lists
+ *
+ * Слова, якого немає у списку, НЕ вважаємо рідкісним — просто немає сигналу.
+ *
+ * Вбудовані data/frequency/*.tsv — ЛИШЕ зразок (десятки слів на мову, для розробки й тестів):
+ * із ними сигнал частотності спрацьовує для одиниць слів, а лематизатор і визначення мови
+ * майже не мають лексикону. Повні списки (тисячі слів, з джерелом і ліцензією) кладуть
+ * в окремий каталог і задають FREQUENCY_DATA_DIR — формат і джерела: data/frequency/README.md.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { baseLang } = require('../lib/languageNames');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data', 'frequency');
+
+const CEFR_ORDER = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+// Межі рангу для CEFR, якщо у списку немає явного рівня
+const RANK_CEFR_BOUNDS = [
+  [800, 'A1'],
+  [1600, 'A2'],
+  [3200, 'B1'],
+  [6400, 'B2'],
+  [12800, 'C1'],
+];
+
+// Бал складності для CEFR-рівня (середина діапазону scoreToCefr у difficulty.js)
+const CEFR_SCORE = { A1: 12, A2: 28, B1: 43, B2: 58, C1: 73, C2: 90 };
+
+const lists = new Map(); // lang -> Map<word, { rank, cefr }> | null
+
+function normalizeWord(s) {
+  return (s || '').normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function normalizeCefr(v) {
+  const c = (v || '').trim().toUpperCase();
+  return CEFR_ORDER.includes(c) ? c : null;
+}
+
+function rankToCefr(rank) {
+  for (const [bound, level] of RANK_CEFR_BOUNDS) {
+    if (rank <= bound) return level;
+  }
+  return 'C2';
+}
+
+function loadList(lang) {
+  if (lists.has(lang)) return lists.get(lang);
+
+  const dir = (process.env.FREQUENCY_DATA_DIR || '').trim() || DEFAULT_DATA_DIR;
+  const file = path.join(dir, `${lang.toLowerCase()}.tsv`);
+
+  let map = null;
+  try {
+    const raw = fs.readFileSync(file, 'utf8');
+    map = new Map();
+    for (const line of raw.split(/\r?\n/)) {
+      if (!line.trim() || line.startsWith('#')) continue;
+      const [word, rankRaw, cefrRaw] = line.split('\t');
+      const rank = parseInt(rankRaw, 10);
+      if (!word || !Number.isFinite(rank)) continue; // у т.ч. заголовок
+      const key = normalizeWord(word);
+      // якщо слово трапляється двічі — лишаємо частотнішу форму
+      if (map.has(key) && map.get(key).rank <= rank) continue;
+      // form — написання зі списку (для німецьких іменників — з великої: Haus)
+      map.set(key, { rank, cefr: normalizeCefr(cefrRaw), form: word.trim() });
+    }
+    console.log(`📊 Frequency list ${lang}: ${map.size} words${dir === DEFAULT_DATA_DIR ? ' (вбудований зразок, див. data/frequency/README.md)' : ''}`);
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`⚠️ Frequency list ${lang}:`, e.message);
+    map = null;
+  }
+
+  lists.set(lang, map);
+  return map;
+}
+
+/**
+ * Знайти слово у частотному списку мови
+ *
+ * @param {string} word
+ * @param {string} sourceLang
+ * @returns {{ rank: number, cefr: string, score: number, list: string } | null}
+ */
+function lookupFrequency(word, sourceLang) {
+  const lang = baseLang(sourceLang);
+  const list = loadList(lang);
+  if (!list) return null;
+
+  const entry = list.get(normalizeWord(word));
+  if (!entry) return null;
+
+  const cefr = entry.cefr || rankToCefr(entry.rank);
+  return {
+    rank: entry.rank,
+    cefr,
+    score: CEFR_SCORE[cefr],
+    list: lang,
+  };
+}
+
+/**
+ * Чи є слово у частотному списку мови (використовується як лексикон, напр. у lemmatizer.js)
+ */
+function hasWord(word, sourceLang) {
+  const list = loadList(baseLang(sourceLang));
+  return !!list && list.has(normalizeWord(word));
+}
+
+/**
+ * Написання слова у списку (з регістром) або null
+ */
+function lexiconForm(word, sourceLang) {
+  const list = loadList(baseLang(sourceLang));
+  return list?.get(normalizeWord(word))?.form || null;
+}
+
+/**
+ * Обмежити CEFR-рівень діапазоном ±maxDistance навколо опорного рівня
+ *
+ * @returns {string} — рівень у межах
+ */
+function clampCefr(level, anchor, maxDistance = 1) {
+  const i = CEFR_ORDER.indexOf(level);
+  const a = CEFR_ORDER.indexOf(anchor);
+  if (i === -1 || a === -1) return level;
+  const clamped = Math.min(a + maxDistance, Math.max(a - maxDistance, i));
+  return CEFR_ORDER[clamped];
+}
+
+module.exports = { lookupFrequency, hasWord, lexiconForm, clampCefr, CEFR_ORDER };
@@ -0,0 +1,180 @@
+/**
+ * server/services/glossaries.js — Глосарії користувача (закріплені переклади термінів)
+ *
+ * Глосарій — таблиця glossaries: одна на користувача і пару мов (базові коди, EN>UK),
+ * entries: [{ source, target }].
+ *
+ * Як застосовується до перекладу (routes/translate.js):
+ * - слово / фраза точно збігається з терміном (без урахування регістру) — у відповіді
+ *   translation = закріплений переклад, без виклику провайдера;
+ * - фраза або речення-контекст містить термін — перекладаємо з glossary_id провайдера (DeepL).
+ * Спільний кеш words глосарії не змінюють: це персональна частина відповіді, як і context.
+ *
+ * Глосарії користувача кешуються в памʼяті на GLOSSARY_CACHE_TTL_MS; маршрути /api/glossaries
+ * скидають кеш користувача після кожної зміни.
+ */
+
+const { glossariesRepository } = require('../repositories');
+const { createLru } = require('../lib/lru');
+const translator = require('./translator');
+
+const MAX_GLOSSARY_ENTRIES = 1000;
+const MAX_TERM_LENGTH = 200;
+const GLOSSARY_CACHE_TTL_MS = 60 * 1000;
+
+// userId → масив глосаріїв користувача
+const cache = createLru({ max: 1000, ttlMs: GLOSSARY_CACHE_TTL_MS });
+
+function normalizeTerm(s) {
+  return String(s || '').trim().replace(/\s+/g, ' ');
+}
+
+function termKey(s) {
+  return normalizeTerm(s).toLowerCase();
+}
+
+/**
+ * Базовий код мови для глосарію: EN-GB → EN
+ */
+function glossaryLang(code) {
+  return String(code || '').trim().toUpperCase().split('-')[0];
+}
+
+/**
+ * Перевірити і нормалізувати entries з тіла запиту.
+ *
+ * @returns {{ entries: Array<{ source: string, target: string }> } | { error: string }}
+ */
+function normalizeEntries(raw) {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    return { error: 'entries має бути непорожнім масивом { source, target }' };
+  }
+  if (raw.length > MAX_GLOSSARY_ENTRIES) {
+    return { error: `Максимум ${MAX_GLOSSARY_ENTRIES} термінів у глосарії` };
+  }
+
+  const entries = [];
+  const seen = new Set();
+  for (const item of raw) {
+    if (!item || typeof item.source !== 'string' || typeof item.target !== 'string') {
+      return { error: 'Кожен термін має бути { source, target } з рядками' };
+    }
+    // DeepL приймає глосарій як TSV: табуляції й переноси всередині термінів неможливі
+    if (/[\t\r\n]/.test(item.source) || /[\t\r\n]/.test(item.target)) {
+      return { error: 'Терміни не можуть містити табуляцію або перенос рядка' };
+    }
+    const source = normalizeTerm(item.source);
+    const target = normalizeTerm(item.target);
+    if (!source || !target) {
+      return { error: 'Термін і переклад не можуть бути порожніми' };
+    }
+    if (source.length > MAX_TERM_LENGTH || target.length > MAX_TERM_LENGTH) {
+      return { error: `Термін або переклад довший за ${MAX_TERM_LENGTH} символів` };
+    }
+    if (seen.has(termKey(source))) {
+      return { error: `Термін "${source}" повторюється` };
+    }
+    seen.add(termKey(source));
+    entries.push({ source, target });
+  }
+
+  return { entries };
+}
+
+async function loadUserGlossaries(userId) {
+  const cached = cache.get(userId);
+  if (cached) return cached;
+
+  const glossaries = await glossariesRepository().listByUser(userId);
+  cache.set(userId, glossaries);
+  return glossaries;
+}
+
+/**
+ * Глосарій користувача для пари мов або null (помилка бази — теж null: переклад важливіший)
+ */
+async function findGlossary(userId, srcLang, tgtLang) {
+  if (!userId) return null;
+  try {
+    const glossaries = await loadUserGlossaries(userId);
+    return glossaries.find((g) => g.source_lang === glossaryLang(srcLang) && g.target_lang === glossaryLang(tgtLang)) || null;
+  } catch (e) {
+    console.warn('⚠️ Glossary lookup failed:', e?.message || e);
+    return null;
+  }
+}
+
+function forgetGlossaries(userId) {
+  cache.delete(userId);
+}
+
+/**
+ * Точний збіг тексту з терміном глосарію → { source, target } або null
+ */
+function lookupTerm(glossary, text) {
+  if (!glossary) return null;
+  const key = termKey(text);
+  return (glossary.entries || []).find((e) => termKey(e.source) === key) || null;
+}
+
+/**
+ * Чи містить текст хоча б один термін глосарію (цілим словом / фразою)
+ */
+function containsTerm(glossary, text) {
+  if (!glossary) return false;
+  const haystack = ` ${termKey(text).replace(/[^\p{L}\p{N}'-]+/gu, ' ')} `;
+  return (glossary.entries || []).some((e) => {
+    const needle = termKey(e.source).replace(/[^\p{L}\p{N}'-]+/gu, ' ').trim();
+    return needle && haystack.includes(` ${needle} `);
+  });
+}
+
+/**
+ * Id глосарію у провайдера, якщо глосарій створено саме в активному провайдері
+ */
+function providerGlossaryId(glossary) {
+  if (!glossary?.provider_glossary_id) return null;
+  return glossary.provider === translator.getProviderName() ? glossary.provider_glossary_id : null;
+}
+
+/**
+ * Створити копію глосарію в активному провайдері.
+ *
+ * @returns {Promise<{ provider: string|null, provider_glossary_id: string|null }>}
+ */
+async function createProviderGlossary({ name, source_lang, target_lang, entries }) {
+  const created = await translator.createGlossary({
+    name,
+    sourceLang: source_lang,
+    targetLang: target_lang,
+    entries,
+  });
+  return created
+    ? { provider: created.provider, provider_glossary_id: created.id }
+    : { provider: null, provider_glossary_id: null };
+}
+
+/**
+ * Видалити копію глосарію в провайдера; збій лише логуємо (глосарій у базі важливіший)
+ */
+async function dropProviderGlossary(glossary) {
+  if (!glossary?.provider_glossary_id) return;
+  try {
+    await translator.deleteGlossary(glossary.provider, glossary.provider_glossary_id);
+  } catch (e) {
+    console.warn(`⚠️ Не вдалося видалити глосарій ${glossary.provider_glossary_id}:`, e?.message || e);
+  }
+}
+
+module.exports = {
+  MAX_GLOSSARY_ENTRIES,
+  glossaryLang,
+  normalizeEntries,
+  findGlossary,
+  forgetGlossaries,
+  lookupTerm,
+  containsTerm,
+  providerGlossaryId,
+  createProviderGlossary,
+  dropProviderGlossary,
+};
@@ -1,5 +1,5 @@
 /**
- * server/services/idioms.js — Виявлення ідіом / сталих виразів через Claude
+ * server/services/idioms.js — Виявлення ідіом / сталих виразів через LLM (services/llm.js)
  *
  * Мета:
  * - НЕ ламати базову логіку перекладу (DeepL лишається primary)
@@ -9,43 +9,30 @@
  * {
  *   is_idiom: boolean,
  *   idiomatic_translations: string[],
- *   note: string
+ *   note: string,
+ *   prompt_version?: string   — лише якщо відповідь дала модель
  * }
+ *
+ * Підозріла відповідь (посилання, інструкції, переклад не тією писемністю — services/outputGuard.js)
+ * іде в карантин і вважається "не ідіомою": у кеш words потрапляє лише переклад провайдера.
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
-
-function initClient() {
-  const key = (process.env.ANTHROPIC_API_KEY || "").trim();
-  if (!key) return null;
-  try {
-    return new Anthropic({ apiKey: key });
-  } catch (e) {
-    console.warn("⚠️ Anthropic init failed:", e?.message);
-    return null;
-  }
-}
-
-const anthropic = initClient();
-
-function stripCodeFences(s) {
-  if (!s) return "";
-  // Removes ```json ... ``` or ``` ... ```
-  return s.replace(/```(?:json)?\s*/gi, "").replace(/```/g, "").trim();
-}
-
-function safeJsonParse(s) {
-  if (!s) return null;
-  const cleaned = stripCodeFences(s);
-  // try direct
-  try { return JSON.parse(cleaned); } catch {}
-  // try extract first {...} block
-  const m = cleaned.match(/\{[\s\S]*\}/);
-  if (m) {
-    try { return JSON.parse(m[0]); } catch {}
-  }
-  return null;
-}
+const llm = require('./llm');
+const { renderPrompt } = require('./prompts');
+const { languageName } = require('../lib/languageNames');
+const { checkIdiom, quarantine } = require('./outputGuard');
+const { object, boolean, array, string } = require('../lib/structuredOutput');
+
+// Схема відповіді Claude (tool use) — див. lib/structuredOutput.js
+const IDIOM_TOOL = {
+  name: "record_idiom",
+  description: "Record whether the input is an idiom and its idiomatic translations.",
+  spec: object({
+    is_idiom: boolean(),
+    idiomatic_translations: array(string({ maxLength: 120 }), { maxItems: 3 }),
+    note: string({ maxLength: 140, nullable: true }),
+  }),
+};
 
 function normalizeLang(code) {
   return (code || "").trim().toUpperCase();
@@ -57,7 +44,7 @@ async function detectIdioms({
   targetLang,
   literalTranslation,
 }) {
-  if (!anthropic) {
+  if (!llm.isEnabled()) {
     return {
       is_idiom: false,
       idiomatic_translations: [],
@@ -76,52 +63,52 @@ async function detectIdioms({
   const src = normalizeLang(sourceLang);
   const tgt = normalizeLang(targetLang);
 
-  const system = "You are a precise linguist. Return ONLY valid JSON. No markdown. No code fences.";
-  const prompt = `
-Task: Determine if the user's input is an idiom / fixed expression in the SOURCE language.
-If yes, provide 1-3 idiomatic translations into TARGET language that native speakers would use.
-If no, set is_idiom=false and return empty idiomatic_translations.
-
-SOURCE_LANG: ${src}
-TARGET_LANG: ${tgt}
-INPUT: "${o}"
-DEEPL_LITERAL_TRANSLATION: "${(literalTranslation || "").trim()}"
-
-Rules:
-- Return ONLY JSON object with keys: is_idiom (boolean), idiomatic_translations (array of strings), note (string).
-- note: Write the explanation in TARGET language (short, <= 140 chars). Empty string if not idiom.
-- idiomatic_translations: distinct, natural, no quotes in strings besides normal punctuation.
-`;
+  const { system, prompt, version } = renderPrompt("idiom", {
+    sourceLang: languageName(src),
+    targetLang: languageName(tgt),
+    input: o,
+    literalTranslation: (literalTranslation || "").trim(),
+  });
 
   try {
-    const resp = await anthropic.messages.create({
-      // Use env override when provided; keep a safe default that exists.
-      model: process.env.CLAUDE_MODEL_ID || "claude-haiku-4-5-20251001",
-      max_tokens: 300,
-      temperature: 0.2,
+    const { value: obj } = await llm.callTool("idiom", {
       system,
-      messages: [{ role: "user", content: prompt }],
+      prompt,
+      tool: IDIOM_TOOL,
+      fixtureKey: `${src}:${o.toLowerCase()}`,
     });
 
-    const text = resp?.content?.map((c) => c?.text || "").join("\n") || "";
-    const obj = safeJsonParse(text);
-
-    if (!obj || typeof obj.is_idiom !== "boolean") {
-      return { is_idiom: false, idiomatic_translations: [], note: "" };
-    }
+    const idioms = obj.idiomatic_translations;
 
-    const idioms = Array.isArray(obj.idiomatic_translations)
-      ? obj.idiomatic_translations
-          .map((x) => (typeof x === "string" ? x.trim() : ""))
-          .filter(Boolean)
-          .slice(0, 3)
+    const suspicious = obj.is_idiom
+      ? checkIdiom({ targetLang: tgt, literalTranslation, output: obj })
       : [];
+    if (suspicious.length > 0) {
+      await quarantine({
+        task: "idiom",
+        input: o,
+        sourceLang: src,
+        targetLang: tgt,
+        promptVersion: version,
+        output: obj,
+        reasons: suspicious,
+      });
+      return {
+        is_idiom: false,
+        idiomatic_translations: [],
+        note: "",
+        literal_translation: (literalTranslation || "").trim(),
+        prompt_version: version,
+      };
+    }
 
     return {
-      is_idiom: !!obj.is_idiom && idioms.length > 0,
+      is_idiom: obj.is_idiom && idioms.length > 0,
       idiomatic_translations: idioms,
-      note: typeof obj.note === "string" ? obj.note.trim().slice(0, 140) : "",
+      note: obj.note || "",
       literal_translation: (literalTranslation || "").trim(),
+      // версія промпту, яким отримано відповідь (words.prompt_versions.idiom)
+      prompt_version: version,
     };
   } catch (e) {
     console.warn("⚠️ Idiom detect error:", e?.message);
@@ -0,0 +1,92 @@
+/**
+ * server/services/languageDetect.js — Локальне (евристичне) визначення мови слова / речення
+ *
+ * Використовується для source_lang = "AUTO", коли провайдер сам не визначає мову
+ * (TRANSLATION_PROVIDER=local) або DeepL недоступний.
+ *
+ * Сигнали:
+ * - письмо: кирилиця → UK (або RU, якщо є ы/э/ъ/ё)
+ * - літери з діакритикою: чим менше мов мають літеру (ł, ő, ř, ș...), тим більша її вага
+ *   (алфавіти беремо з правил wordValidation.js)
+ * - частотні списки (frequency.js): слово є у списку мови
+ * - мова відпадає, якщо текст не проходить її looksLikeWord
+ *
+ * Повертає { language, confidence } або null, якщо визначити не вдалось.
+ */
+
+const { looksLikeWord, getValidationRule, SUPPORTED_LANGS } = require('./wordValidation');
+const { hasWord } = require('./frequency');
+
+const CYRILLIC = /\p{Script=Cyrillic}/u;
+const RUSSIAN_ONLY = /[ыэъё]/i;
+const ASCII_LETTER = /^[a-z]$/;
+
+// Без жодного сигналу обираємо англійську — найчастіший випадок
+const DEFAULT_LANG = 'EN';
+const DEFAULT_BONUS = 0.1;
+const NO_SIGNAL_CONFIDENCE = 0.2;
+// Вага збігу з частотним списком
+const FREQUENCY_WEIGHT = 1;
+
+const LATIN_LANGS = SUPPORTED_LANGS.filter((lang) => getValidationRule(lang).letters.test('a'));
+
+function tokenize(text) {
+  return (text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}'’ʼ-]+/u)
+    .filter((w) => w.length >= 2);
+}
+
+/**
+ * @param {string} text — слово або речення
+ * @returns {{ language: string, confidence: number } | null}
+ */
+function detectLanguageLocally(text) {
+  const words = tokenize(text);
+  if (words.length === 0) return null;
+
+  const joined = words.join(' ');
+
+  if (CYRILLIC.test(joined)) {
+    if (RUSSIAN_ONLY.test(joined)) return { language: 'RU', confidence: 0.9 };
+    return { language: 'UK', confidence: looksLikeWord(joined, 'UK') ? 0.9 : 0.5 };
+  }
+
+  // Кандидати: латинські мови, алфавіт яких покриває весь текст
+  const candidates = LATIN_LANGS.filter((lang) => words.every((w) => looksLikeWord(w, lang)));
+  if (candidates.length === 0) return null;
+
+  const scores = new Map(candidates.map((lang) => [lang, lang === DEFAULT_LANG ? DEFAULT_BONUS : 0]));
+
+  // Діакритика: вага 1/кількість мов, у яких є ця літера
+  for (const ch of new Set(joined.replace(/[\s'’ʼ-]/g, ''))) {
+    if (ASCII_LETTER.test(ch)) continue;
+    const owners = candidates.filter((lang) => getValidationRule(lang).letters.test(ch));
+    for (const lang of owners) {
+      scores.set(lang, scores.get(lang) + 1 / owners.length);
+    }
+  }
+
+  // Частотні списки
+  for (const lang of candidates) {
+    const hits = words.filter((w) => hasWord(w, lang)).length;
+    scores.set(lang, scores.get(lang) + (hits / words.length) * FREQUENCY_WEIGHT);
+  }
+
+  const ranked = Array.from(scores.entries()).sort((a, b) => b[1] - a[1]);
+  const [best, bestScore] = ranked[0];
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+
+  // Жодного сигналу, крім мови за замовчуванням, — це лише здогадка
+  if (total <= DEFAULT_BONUS) {
+    return { language: best, confidence: NO_SIGNAL_CONFIDENCE };
+  }
+
+  return {
+    language: best,
+    confidence: Math.round((bestScore / total) * 100) / 100,
+  };
+}
+
+module.exports = { detectLanguageLocally };
@@ -0,0 +1,271 @@
+/**
+ * server/services/lemmatizer.js — Зведення словоформи до леми (словникової форми)
+ *
+ * "running", "ran", "runs" → "run": один запис у кеші words, один виклик DeepL/Claude.
+ *
+ * Порядок:
+ * 1. Фрази (кілька слів) не чіпаємо
+ * 2. Таблиця неправильних форм мови (ran → run, went → go, mice → mouse)
+ * 3. Суфіксні правила мови → кандидати; беремо кандидата, якого знає лексикон
+ *    (частотний список, див. frequency.js). Для англійської, якщо лексикон мовчить,
+ *    беремо перший кандидат правила з guess: true (studies → study).
+ *    Для інших мов правила працюють ЛИШЕ з підтвердженням лексикону — без нього
+ *    відрізання закінчень дає більше шкоди, ніж користі.
+ * 4. Опційно — AI (LEMMATIZER_AI=1): LLM (services/llm.js) повертає лему; результат кешується в памʼяті.
+ *
+ * Повертає: { lemma, method: 'none' | 'irregular' | 'invariant' | 'rule' | 'lexicon' | 'ai' }
+ */
+
+const llm = require('./llm');
+const { renderPrompt } = require('./prompts');
+const { object, string } = require('../lib/structuredOutput');
+const { hasWord } = require('./frequency');
+const { looksLikeWord } = require('./wordValidation');
+const { languageName, baseLang } = require('../lib/languageNames');
+
+const EN_IRREGULAR = {
+  am: 'be', is: 'be', are: 'be', was: 'be', were: 'be', been: 'be', being: 'be',
+  has: 'have', had: 'have', does: 'do', did: 'do', done: 'do',
+  went: 'go', gone: 'go', goes: 'go',
+  ran: 'run', came: 'come', became: 'become', began: 'begin', begun: 'begin',
+  took: 'take', taken: 'take', saw: 'see', seen: 'see', ate: 'eat', eaten: 'eat',
+  wrote: 'write', written: 'write', made: 'make', said: 'say', got: 'get', gotten: 'get',
+  knew: 'know', known: 'know', thought: 'think', found: 'find', gave: 'give', given: 'give',
+  told: 'tell', felt: 'feel', left: 'leave', brought: 'bring', bought: 'buy',
+  caught: 'catch', taught: 'teach', spoke: 'speak', spoken: 'speak', broke: 'break', broken: 'break',
+  chose: 'choose', chosen: 'choose', drove: 'drive', driven: 'drive', flew: 'fly', flown: 'fly',
+  grew: 'grow', grown: 'grow', threw: 'throw', thrown: 'throw', swam: 'swim', swum: 'swim',
+  sang: 'sing', sung: 'sing', drank: 'drink', drunk: 'drink', forgot: 'forget', forgotten: 'forget',
+  kept: 'keep', slept: 'sleep', met: 'meet', sat: 'sit', stood: 'stand', understood: 'understand',
+  paid: 'pay', sold: 'sell', sent: 'send', spent: 'spend', built: 'build', lost: 'lose',
+  held: 'hold', led: 'lead', meant: 'mean', heard: 'hear', wore: 'wear', worn: 'wear',
+  better: 'good', best: 'good', worse: 'bad', worst: 'bad',
+  mice: 'mouse', children: 'child', feet: 'foot', teeth: 'tooth', geese: 'goose',
+  men: 'man', women: 'woman', people: 'person', lives: 'life', knives: 'knife', wives: 'wife',
+};
+
+// Слова, які виглядають як словоформи, але є лемами (news ≠ new + s, evening ≠ even + ing)
+const EN_INVARIANT = new Set([
+  'news', 'series', 'species', 'means', 'lens', 'always', 'perhaps', 'politics', 'physics',
+  'economics', 'mathematics', 'chaos', 'bias', 'canvas', 'atlas', 'christmas',
+  'evening', 'morning', 'nothing', 'something', 'anything', 'everything', 'during',
+  'ceiling', 'building', 'meeting', 'feeling', 'painting', 'wedding', 'pudding', 'ding',
+  'need', 'seed', 'feed', 'bed', 'red', 'shed', 'speed', 'hundred', 'sacred', 'naked', 'wicked',
+  'water', 'river', 'never', 'ever', 'over', 'under', 'after', 'paper', 'number', 'mother', 'father',
+  'brother', 'sister', 'winter', 'summer', 'finger', 'corner', 'interest', 'forest', 'honest', 'best',
+]);
+
+const DE_IRREGULAR = {
+  bin: 'sein', bist: 'sein', ist: 'sein', sind: 'sein', seid: 'sein', war: 'sein', waren: 'sein', gewesen: 'sein',
+  habe: 'haben', hast: 'haben', hat: 'haben', hatte: 'haben', gehabt: 'haben',
+  wird: 'werden', wurde: 'werden', geworden: 'werden',
+  ging: 'gehen', gegangen: 'gehen', kam: 'kommen', gekommen: 'kommen',
+  häuser: 'haus', äpfel: 'apfel', bücher: 'buch',
+};
+
+const UK_IRREGULAR = {
+  є: 'бути', був: 'бути', була: 'бути', було: 'бути', були: 'бути', буде: 'бути',
+  люди: 'людина', людей: 'людина', діти: 'дитина', дітей: 'дитина',
+};
+
+const PL_IRREGULAR = {
+  jest: 'być', są: 'być', był: 'być', była: 'być', było: 'być', byli: 'być',
+  ludzie: 'człowiek', ludzi: 'człowiek', dzieci: 'dziecko',
+};
+
+/**
+ * suffix   — закінчення словоформи
+ * replace  — на що замінити (кандидати по черзі)
+ * undouble — "running" → "run" (подвоєна приголосна перед суфіксом)
+ * minStem  — мінімальна довжина основи
+ * restoreE — англійське німе -e: "making" → "make", "hoped" → "hope"
+ *            (односкладова основа приголосна-голосна-приголосна або основа на -v / -c)
+ * guess    — можна брати перший кандидат без підтвердження лексикону
+ * only     — regex основ, до яких правило застосовне
+ * except   — regex основ-винятків
+ */
+const RULES = {
+  EN: {
+    irregular: EN_IRREGULAR,
+    invariant: EN_INVARIANT,
+    suffixes: [
+      { suffix: 'ies', replace: ['y'], minStem: 2, guess: true },
+      { suffix: 'ied', replace: ['y'], minStem: 2, guess: true },
+      { suffix: 'ier', replace: ['y'], minStem: 2 },
+      { suffix: 'iest', replace: ['y'], minStem: 2 },
+      { suffix: 'ing', replace: ['', 'e'], undouble: true, restoreE: true, minStem: 3, guess: true, except: /(th|^br|^spr|^str|^k|^s|^w|^r|^cl|^sl|^st)$/ },
+      { suffix: 'ed', replace: ['', 'e'], undouble: true, restoreE: true, minStem: 3, guess: true },
+      { suffix: 'es', replace: [''], minStem: 3, guess: true, only: /(ss|sh|ch|x|z|o)$/ },
+      { suffix: 's', replace: [''], minStem: 3, guess: true, except: /(s|u|i)$/ },
+      { suffix: 'er', replace: ['', 'e'], undouble: true, minStem: 3 },
+      { suffix: 'est', replace: ['', 'e'], undouble: true, minStem: 3 },
+    ],
+  },
+  DE: {
+    irregular: DE_IRREGULAR,
+    suffixes: [
+      { suffix: 'en', replace: ['', 'e', 'n'], minStem: 3 },
+      { suffix: 'st', replace: ['en', 'n'], minStem: 3 },
+      { suffix: 'er', replace: [''], minStem: 3 },
+      { suffix: 'es', replace: [''], minStem: 3 },
+      { suffix: 'e', replace: ['', 'en'], minStem: 3 },
+      { suffix: 'n', replace: [''], minStem: 3 },
+      { suffix: 's', replace: [''], minStem: 3 },
+      { suffix: 't', replace: ['en'], minStem: 3 },
+    ],
+  },
+  PL: {
+    irregular: PL_IRREGULAR,
+    suffixes: [
+      { suffix: 'ami', replace: ['', 'a', 'o'], minStem: 2 },
+      { suffix: 'ach', replace: ['', 'a', 'o'], minStem: 2 },
+      { suffix: 'ów', replace: [''], minStem: 2 },
+      { suffix: 'om', replace: ['', 'a', 'o'], minStem: 2 },
+      { suffix: 'y', replace: ['', 'a'], minStem: 2 },
+      { suffix: 'i', replace: ['', 'a'], minStem: 2 },
+      { suffix: 'e', replace: ['o', 'a'], minStem: 2 },
+      { suffix: 'ę', replace: ['a'], minStem: 2 },
+      { suffix: 'a', replace: [''], minStem: 2 },
+      { suffix: 'u', replace: ['', 'o'], minStem: 2 },
+    ],
+  },
+  UK: {
+    irregular: UK_IRREGULAR,
+    suffixes: [
+      { suffix: 'ами', replace: ['', 'а', 'о'], minStem: 2 },
+      { suffix: 'ах', replace: ['', 'а', 'о'], minStem: 2 },
+      { suffix: 'ів', replace: ['', 'а'], minStem: 2 },
+      { suffix: 'ам', replace: ['', 'а'], minStem: 2 },
+      { suffix: 'ою', replace: ['а'], minStem: 2 },
+      { suffix: 'и', replace: ['а', ''], minStem: 2 },
+      { suffix: 'і', replace: ['а', 'о', ''], minStem: 2 },
+      { suffix: 'у', replace: ['а', ''], minStem: 2 },
+      { suffix: 'ю', replace: ['я'], minStem: 2 },
+      { suffix: 'а', replace: ['о', ''], minStem: 2 },
+    ],
+  },
+};
+
+// Схема відповіді Claude (tool use) — див. lib/structuredOutput.js
+const LEMMA_TOOL = {
+  name: 'record_lemma',
+  description: 'Record the dictionary form (lemma) of the word.',
+  spec: object({ lemma: string({ maxLength: 40 }) }),
+};
+
+// AI-результати (surface → lemma) — щоб не питати Claude двічі
+const aiCache = new Map();
+const AI_CACHE_MAX = 5000;
+
+function isAiEnabled() {
+  return ['1', 'true', 'yes'].includes((process.env.LEMMATIZER_AI || '').trim().toLowerCase());
+}
+
+function undouble(stem) {
+  // runn → run, stopp → stop; але ll/ss/zz лишаємо (telling → tell)
+  return /([^aeiouls z])\1$/.test(stem) ? stem.slice(0, -1) : stem;
+}
+
+function needsSilentE(stem) {
+  if (/[vc]$/.test(stem) && !/[aeiou]c$/.test(stem)) return true;
+  const singleVowelGroup = (stem.match(/[aeiouy]+/g) || []).length === 1;
+  return singleVowelGroup && /[^aeiou][aeiou][^aeiouwxy]$/.test(stem);
+}
+
+function ruleCandidates(word, rule) {
+  if (!word.endsWith(rule.suffix)) return [];
+  let stem = word.slice(0, -rule.suffix.length);
+  if (stem.length < rule.minStem) return [];
+  if (rule.only && !rule.only.test(stem)) return [];
+  if (rule.except && rule.except.test(stem)) return [];
+
+  const candidates = [];
+  if (rule.undouble) {
+    const u = undouble(stem);
+    if (u !== stem) candidates.push(u);
+  }
+  if (rule.restoreE && candidates.length === 0 && needsSilentE(stem)) {
+    candidates.push(`${stem}e`);
+  }
+  for (const r of rule.replace) candidates.push(stem + r);
+  return Array.from(new Set(candidates));
+}
+
+/**
+ * Синхронна частина: таблиці + правила + лексикон
+ */
+function lemmatizeByRules(word, lang) {
+  const rules = RULES[lang];
+  if (!rules) return null;
+
+  if (rules.irregular[word]) return { lemma: rules.irregular[word], method: 'irregular' };
+  if (rules.invariant?.has(word)) return { lemma: word, method: 'invariant' };
+
+  // Форма вже є лемою в лексиконі (частотний список містить переважно леми)
+  if (hasWord(word, lang)) return { lemma: word, method: 'lexicon' };
+
+  for (const rule of rules.suffixes) {
+    const candidates = ruleCandidates(word, rule);
+    if (candidates.length === 0) continue;
+
+    const known = candidates.find((c) => hasWord(c, lang));
+    if (known) return { lemma: known, method: 'lexicon' };
+
+    if (rule.guess) return { lemma: candidates[0], method: 'rule' };
+  }
+
+  return null;
+}
+
+async function lemmatizeByAi(word, lang) {
+  const key = `${lang}:${word}`;
+  if (aiCache.has(key)) return aiCache.get(key);
+
+  if (!llm.isEnabled()) return null;
+
+  try {
+    const { value } = await llm.callTool('lemma', {
+      ...renderPrompt('lemma', { word, language: languageName(lang) }),
+      tool: LEMMA_TOOL,
+      fixtureKey: key,
+    });
+    const lemma = value.lemma.toLowerCase();
+
+    // Відкидаємо відповіді, що не схожі на слово цієї мови
+    const result = lemma && looksLikeWord(lemma, lang) && !/\s/.test(lemma)
+      ? { lemma, method: 'ai' }
+      : null;
+
+    if (aiCache.size >= AI_CACHE_MAX) aiCache.delete(aiCache.keys().next().value);
+    aiCache.set(key, result);
+    return result;
+  } catch (e) {
+    console.warn('⚠️ Lemmatizer AI error:', e?.message);
+    return null;
+  }
+}
+
+/**
+ * @param {string} word — нормалізоване слово (lowercase)
+ * @param {string} sourceLang
+ * @returns {Promise<{ lemma: string, method: string }>}
+ */
+async function lemmatize(word, sourceLang = 'EN') {
+  const w = (word || '').trim();
+  const lang = baseLang(sourceLang);
+
+  // Фрази та ідіоми лишаємо як є
+  if (!w || /[\s-]/.test(w)) return { lemma: w, method: 'none' };
+
+  const byRules = lemmatizeByRules(w, lang);
+  if (byRules) return byRules;
+
+  if (isAiEnabled()) {
+    const byAi = await lemmatizeByAi(w, lang);
+    if (byAi) return byAi;
+  }
+
+  return { lemma: w, method: 'none' };
+}
+
+module.exports = { lemmatize, lemmatizeByRules };
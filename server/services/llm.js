@@ -0,0 +1,131 @@
+/**
+ * server/services/llm.js — Єдина точка виклику LLM для збагачення слів
+ *
+ * difficulty / idioms / senses / lemmatizer працюють тільки через цей модуль.
+ * Бекенд задається змінною середовища:
+ *
+ *   LLM_PROVIDER=anthropic   (за замовчуванням) — services/llmProviders/anthropic.js
+ *   LLM_PROVIDER=openai      — OpenAI-сумісний endpoint (llama.cpp, Ollama, vLLM): LLM_BASE_URL, LLM_API_KEY
+ *   LLM_PROVIDER=mock        — детерміновані фікстури (LLM_FIXTURES_PATH), без мережі
+ *
+ * Спільні налаштування (раніше кожен сервіс задавав їх сам):
+ *   LLM_MODEL        — модель; для anthropic також читається старий CLAUDE_MODEL_ID
+ *   LLM_TIMEOUT_MS   — таймаут одного виклику (за замовчуванням 20000)
+ *   LLM_TEMPERATURE  — перевизначає температуру всіх задач
+ *
+ * Інтерфейс бекенду:
+ *   name: string
+ *   defaultModel: string
+ *   isConfigured() → boolean   (false — AI вимкнено, сервіси беруть свої fallback-и)
+ *   callTool({ model, prompt, system, maxTokens, temperature, timeoutMs, tool, fixtureKey })
+ *     → { input (сирий input інструмента), usage: { inputTokens, outputTokens } }
+ *
+ * callTool фасаду валідує відповідь за spec інструмента (lib/structuredOutput.js)
+ * і записує токени в облік витрат (services/usage.js). Якщо жорсткий бюджет токенів
+ * вичерпано, isEnabled() → false і сервіси беруть свої fallback-и.
+ *
+ * Виклик бекенду йде через lib/resilience.js: повтори 429 / 5xx / мережевих збоїв і
+ * circuit breaker з імʼям бекенду. Поки breaker відкритий, isEnabled() → false.
+ */
+
+const { toJsonSchema, validate } = require('../lib/structuredOutput');
+const { recordUsage, isOverHardBudget } = require('./usage');
+const { callWithResilience, isCircuitClosed } = require('../lib/resilience');
+
+const PROVIDERS = {
+  anthropic: () => require('./llmProviders/anthropic'),
+  openai: () => require('./llmProviders/openaiCompatible'),
+  mock: () => require('./llmProviders/mock'),
+};
+
+const DEFAULT_TIMEOUT_MS = 20000;
+
+// Параметри задач: скільки токенів потрібно відповіді і наскільки "творчою" вона може бути
+const TASKS = {
+  difficulty: { maxTokens: 500, temperature: 0.2 },
+  idiom: { maxTokens: 300, temperature: 0.2 },
+  senses: { maxTokens: 600, temperature: 0.2 },
+  sense_choice: { maxTokens: 100, temperature: 0 },
+  lemma: { maxTokens: 100, temperature: 0 },
+};
+
+function getProviderName() {
+  const name = (process.env.LLM_PROVIDER || 'anthropic').trim().toLowerCase();
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown LLM_PROVIDER: ${name} (expected: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return name;
+}
+
+function getProvider() {
+  return PROVIDERS[getProviderName()]();
+}
+
+function getModel() {
+  const provider = getProvider();
+  const legacy = provider.name === 'anthropic' ? process.env.CLAUDE_MODEL_ID : '';
+  return (process.env.LLM_MODEL || legacy || '').trim() || provider.defaultModel;
+}
+
+function getTimeoutMs() {
+  const n = Number(process.env.LLM_TIMEOUT_MS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TIMEOUT_MS;
+}
+
+function getTemperature(task) {
+  const raw = (process.env.LLM_TEMPERATURE || '').trim();
+  const n = Number(raw);
+  return raw && Number.isFinite(n) ? n : TASKS[task].temperature;
+}
+
+/**
+ * Чи є робочий LLM-бекенд (для anthropic — чи задано ANTHROPIC_API_KEY), чи не вичерпано бюджет
+ * і чи не вважається бекенд зараз недоступним (circuit breaker)
+ */
+function isEnabled() {
+  const provider = getProvider();
+  return provider.isConfigured() && !isOverHardBudget(provider.name) && isCircuitClosed(provider.name);
+}
+
+/**
+ * Виклик моделі з примусовим tool use + валідація відповіді.
+ *
+ * @param {keyof TASKS} task
+ * @param {Object} p
+ * @param {string} p.prompt
+ * @param {string} [p.system]
+ * @param {{ name: string, description: string, spec: Object }} p.tool
+ * @param {string} [p.fixtureKey] — ключ відповіді для mock-бекенду (напр. "EN:bank")
+ * @returns {Promise<{ value: Object, issues: string[] }>}
+ * @throws {StructuredOutputError} — відповідь не пройшла валідацію
+ * @throws {CircuitOpenError} — бекенд зараз недоступний (lib/resilience.js)
+ */
+async function callTool(task, { prompt, system, tool, fixtureKey }) {
+  if (!TASKS[task]) throw new Error(`Unknown LLM task: ${task}`);
+
+  const provider = getProvider();
+  const { input, usage } = await callWithResilience(provider.name, () => provider.callTool({
+    model: getModel(),
+    prompt,
+    system,
+    maxTokens: TASKS[task].maxTokens,
+    temperature: getTemperature(task),
+    timeoutMs: getTimeoutMs(),
+    tool: {
+      name: tool.name,
+      description: tool.description,
+      inputSchema: toJsonSchema(tool.spec),
+    },
+    fixtureKey,
+  }));
+  recordUsage(provider.name, usage);
+
+  return validate(input, tool.spec);
+}
+
+module.exports = {
+  getProviderName,
+  getModel,
+  isEnabled,
+  callTool,
+};
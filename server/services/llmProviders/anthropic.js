@@ -0,0 +1,72 @@
+/**
+ * server/services/llmProviders/anthropic.js — LLM-бекенд Anthropic (Claude)
+ *
+ * Одна з реалізацій інтерфейсу LLM-бекенду (див. services/llm.js).
+ * Структурована відповідь — через tool use з примусовим tool_choice.
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+const { StructuredOutputError } = require('../../lib/structuredOutput');
+
+let client = null;
+function getClient() {
+  if (client !== null) return client || null;
+  const key = (process.env.ANTHROPIC_API_KEY || '').trim();
+  try {
+    client = key ? new Anthropic({ apiKey: key }) : false;
+  } catch (e) {
+    console.warn('⚠️ Anthropic init failed:', e?.message);
+    client = false;
+  }
+  return client || null;
+}
+
+function isConfigured() {
+  return !!getClient();
+}
+
+/**
+ * @param {Object} p
+ * @param {string} p.model
+ * @param {string} p.prompt
+ * @param {string} [p.system]
+ * @param {number} p.maxTokens
+ * @param {number} [p.temperature]
+ * @param {number} p.timeoutMs
+ * @param {{ name: string, description: string, inputSchema: Object }} p.tool
+ * @returns {Promise<{ input: Object, usage: { inputTokens: number, outputTokens: number } }>} — сирий input інструмента
+ */
+async function callTool({ model, prompt, system, maxTokens, temperature, timeoutMs, tool }) {
+  const anthropic = getClient();
+  if (!anthropic) throw new Error('ANTHROPIC_API_KEY не налаштовано');
+
+  const resp = await anthropic.messages.create({
+    model,
+    max_tokens: maxTokens,
+    ...(temperature !== undefined ? { temperature } : {}),
+    ...(system ? { system } : {}),
+    tools: [{
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.inputSchema,
+    }],
+    tool_choice: { type: 'tool', name: tool.name },
+    messages: [{ role: 'user', content: prompt }],
+  }, { timeout: timeoutMs, maxRetries: 0 });
+
+  const block = (resp?.content || []).find((c) => c?.type === 'tool_use' && c.name === tool.name);
+  if (!block) {
+    throw new StructuredOutputError(`Model did not call ${tool.name} (stop_reason: ${resp?.stop_reason || 'unknown'})`);
+  }
+  return {
+    input: block.input,
+    usage: { inputTokens: resp.usage?.input_tokens || 0, outputTokens: resp.usage?.output_tokens || 0 },
+  };
+}
+
+module.exports = {
+  name: 'anthropic',
+  defaultModel: 'claude-haiku-4-5-20251001',
+  isConfigured,
+  callTool,
+};
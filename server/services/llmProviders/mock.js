@@ -0,0 +1,80 @@
+/**
+ * server/services/llmProviders/mock.js — Детермінований LLM-бекенд для тестів і офлайн-розробки
+ *
+ * Відповіді беруться з фікстур (JSON), шлях — LLM_FIXTURES_PATH
+ * (за замовчуванням data/llm-fixtures.json):
+ *
+ *   {
+ *     "record_difficulty": {
+ *       "EN:bank": { "cefr_level": "B1", ... },   ← за fixtureKey запиту
+ *       "*": { ... }                              ← для решти
+ *     }
+ *   }
+ *
+ * Якщо фікстури немає — мінімальна валідна відповідь, згенерована зі схеми інструмента
+ * (перше значення enum, мінімум діапазону, false, null / порожній масив).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, '..', '..', 'data', 'llm-fixtures.json');
+
+let fixtures = null;
+
+function loadFixtures() {
+  if (fixtures) return fixtures;
+  const file = (process.env.LLM_FIXTURES_PATH || '').trim() || DEFAULT_FIXTURES_PATH;
+  try {
+    fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.warn(`⚠️ LLM fixtures not loaded (${file}):`, e.message);
+    fixtures = {};
+  }
+  return fixtures;
+}
+
+/**
+ * Мінімальне валідне значення для JSON Schema інструмента
+ */
+function fromSchema(schema) {
+  const type = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (schema.enum) return schema.enum[0];
+  if (type.includes('null')) return null;
+  if (type.includes('object')) {
+    const out = {};
+    for (const key of schema.required || []) out[key] = fromSchema(schema.properties[key]);
+    return out;
+  }
+  if (type.includes('array')) return [];
+  if (type.includes('integer') || type.includes('number')) return schema.minimum ?? 0;
+  if (type.includes('boolean')) return false;
+  return 'mock';
+}
+
+function isConfigured() {
+  return true;
+}
+
+async function callTool({ tool, fixtureKey }) {
+  const byTool = loadFixtures()[tool.name] || {};
+  const fixture = (fixtureKey && byTool[fixtureKey]) || byTool['*'];
+  return {
+    // копія, щоб споживачі не змінили фікстуру
+    input: fixture ? JSON.parse(JSON.stringify(fixture)) : fromSchema(tool.inputSchema),
+    usage: { inputTokens: 0, outputTokens: 0 },
+  };
+}
+
+/** Для тестів: перечитати фікстури (після зміни LLM_FIXTURES_PATH) */
+function resetFixtures() {
+  fixtures = null;
+}
+
+module.exports = {
+  name: 'mock',
+  defaultModel: 'mock',
+  isConfigured,
+  callTool,
+  resetFixtures,
+};
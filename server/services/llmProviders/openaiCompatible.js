@@ -0,0 +1,90 @@
+/**
+ * server/services/llmProviders/openaiCompatible.js — LLM-бекенд з OpenAI-сумісним API
+ *
+ * Для локальних моделей: llama.cpp server, Ollama, vLLM, LM Studio...
+ *   LLM_BASE_URL=http://localhost:11434/v1   (Ollama, за замовчуванням)
+ *   LLM_API_KEY=...                          (необовʼязково; локальні сервери зазвичай без ключа)
+ *
+ * Структурована відповідь — через function calling (tools + tool_choice).
+ * Деякі локальні сервери ігнорують tool_choice і відповідають текстом: тоді приймаємо
+ * лише відповідь, яка ЦІЛКОМ є JSON-обʼєктом (без вирізання з тексту), і валідуємо її як завжди.
+ */
+
+const axios = require('axios');
+const { StructuredOutputError } = require('../../lib/structuredOutput');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+function getBaseUrl() {
+  return (process.env.LLM_BASE_URL || DEFAULT_BASE_URL).trim().replace(/\/+$/, '');
+}
+
+function isConfigured() {
+  return !!getBaseUrl();
+}
+
+function parseStrictJson(text, what) {
+  try {
+    const obj = JSON.parse(String(text || '').trim());
+    if (obj && typeof obj === 'object' && !Array.isArray(obj)) return obj;
+  } catch (e) {
+    // fallthrough
+  }
+  throw new StructuredOutputError(`${what} is not a JSON object`);
+}
+
+async function callTool({ model, prompt, system, maxTokens, temperature, timeoutMs, tool }) {
+  const apiKey = (process.env.LLM_API_KEY || '').trim();
+
+  let response;
+  try {
+    response = await axios.post(`${getBaseUrl()}/chat/completions`, {
+      model,
+      max_tokens: maxTokens,
+      ...(temperature !== undefined ? { temperature } : {}),
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content: prompt },
+      ],
+      tools: [{
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.inputSchema },
+      }],
+      tool_choice: { type: 'function', function: { name: tool.name } },
+    }, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      timeout: timeoutMs,
+    });
+  } catch (error) {
+    const wrapped = error.code === 'ECONNABORTED'
+      ? new Error(`LLM не відповідає (timeout ${timeoutMs}ms)`)
+      : new Error(`LLM error: ${error.response?.data?.error?.message || error.message}`);
+    // status / code / заголовки — для рішення про повтор (lib/resilience.js)
+    wrapped.status = error.response?.status;
+    wrapped.headers = error.response?.headers;
+    wrapped.code = error.code;
+    throw wrapped;
+  }
+
+  const message = response.data?.choices?.[0]?.message;
+  const usage = {
+    inputTokens: response.data?.usage?.prompt_tokens || 0,
+    outputTokens: response.data?.usage?.completion_tokens || 0,
+  };
+  const call = (message?.tool_calls || []).find((c) => c?.function?.name === tool.name);
+  if (call) {
+    const args = call.function.arguments;
+    return { input: typeof args === 'string' ? parseStrictJson(args, `${tool.name} arguments`) : args, usage };
+  }
+
+  if (message?.content) return { input: parseStrictJson(message.content, 'Model reply'), usage };
+
+  throw new StructuredOutputError(`Model did not call ${tool.name}`);
+}
+
+module.exports = {
+  name: 'openai',
+  defaultModel: 'llama3.1',
+  isConfigured,
+  callTool,
+};
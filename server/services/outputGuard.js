@@ -0,0 +1,204 @@
+/**
+ * server/services/outputGuard.js — Перевірка відповідей LLM перед записом у спільний кеш words
+ *
+ * Промпти ізолюють дані користувача (services/prompts.js), але відповідь моделі все одно
+ * звіряємо з входом: підозріла відповідь не потрапляє в words, а йде в карантин
+ * (таблиця llm_quarantine, лише service role) — для розбору вручну.
+ *
+ * Що вважаємо підозрілим:
+ * - посилання, email, розмітка / markdown, фрази-інструкції ("ignore previous instructions")
+ * - приклад-речення, яке не містить слова (з урахуванням словоформ, services/lemmatizer.js)
+ * - переклад / пояснення не тією писемністю (кирилиця для UK, латиниця для EN...)
+ * - ідіоматичний переклад, набагато довший за буквальний; багаторядкові значення
+ *
+ * check*() повертають масив причин ("example_sentence:missing_word"); порожній — відповідь чиста.
+ */
+
+const { quarantineRepository } = require('../repositories');
+const metrics = require('../lib/metrics');
+const { baseLang } = require('../lib/languageNames');
+const { lemmatizeByRules } = require('./lemmatizer');
+
+const SUSPICIOUS = [
+  ['url', /\bhttps?:\/\/|\bwww\.|\b[\p{L}\d-]+\.(?:com|net|org|io|ru|ua|xyz|ly|me|info|biz|app|dev)\b/iu],
+  ['email', /[^\s@]+@[^\s@]+\.[a-z]{2,}/i],
+  ['markup', /<\/?[a-z][^>]*>|```|\[[^\]]*\]\([^)]*\)|\{\{|\}\}/i],
+  ['instructions', /\b(?:ignore|disregard|forget|override)\b[^.]{0,40}\b(?:instructions?|rules|prompt|above|previous)\b|\bsystem prompt\b|\bas an ai\b|\blanguage model\b|user_data/i],
+  ['instructions', /(?:ігноруй|ігнорувати|забудь)[^.]{0,40}(?:інструкці|правил|промпт)/iu],
+];
+
+// Очікувана писемність мови; решта мов — латиниця
+const SCRIPTS = {
+  UK: /\p{Script=Cyrillic}/u,
+  RU: /\p{Script=Cyrillic}/u,
+  BG: /\p{Script=Cyrillic}/u,
+  EL: /\p{Script=Greek}/u,
+  JA: /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/u,
+  ZH: /\p{Script=Han}/u,
+  KO: /\p{Script=Hangul}/u,
+  AR: /\p{Script=Arabic}/u,
+};
+const LATIN = /\p{Script=Latin}/u;
+
+// частка літер очікуваної писемності, нижче якої текст вважаємо "не тією мовою"
+const MIN_SCRIPT_SHARE = 0.5;
+// ідіоматичний переклад не довший за стільки буквальних (але щонайменше IDIOM_MIN_LIMIT символів)
+const IDIOM_LENGTH_FACTOR = 4;
+const IDIOM_MIN_LIMIT = 60;
+
+function textReasons(field, text) {
+  if (typeof text !== 'string' || !text) return [];
+  const reasons = new Set();
+  for (const [reason, re] of SUSPICIOUS) {
+    if (re.test(text)) reasons.add(`${field}:${reason}`);
+  }
+  if (/[\r\n]/.test(text)) reasons.add(`${field}:multiline`);
+  return Array.from(reasons);
+}
+
+/**
+ * Чи написано текст писемністю мови (цифри й розділові знаки не рахуються)
+ */
+function matchesScript(text, lang) {
+  const letters = Array.from(String(text || '')).filter((ch) => /\p{L}/u.test(ch));
+  if (letters.length === 0) return true;
+  const script = SCRIPTS[baseLang(lang)] || LATIN;
+  const share = letters.filter((ch) => script.test(ch)).length / letters.length;
+  return share >= MIN_SCRIPT_SHARE;
+}
+
+function tokens(text) {
+  return String(text || '').toLowerCase().normalize('NFC').match(/[\p{L}\p{M}'’-]+/gu) || [];
+}
+
+function lemmaOf(token, lang) {
+  return lemmatizeByRules(token, baseLang(lang))?.lemma || token;
+}
+
+/**
+ * Чи вжито слово (або його форму) в реченні: збіг леми або спільна основа.
+ * Для фраз — кожне слово фрази.
+ */
+function mentionsWord(sentence, word, lang) {
+  const sentenceTokens = tokens(sentence);
+  const sentenceLemmas = new Set(sentenceTokens.map((t) => lemmaOf(t, lang)));
+
+  return tokens(word).every((w) => {
+    if (sentenceTokens.includes(w) || sentenceLemmas.has(lemmaOf(w, lang))) return true;
+    // спільна основа: bank → banking, книга → книгою
+    const stem = w.length <= 3 ? w : w.slice(0, Math.max(3, w.length - 2));
+    return sentenceTokens.some((t) => t.startsWith(stem));
+  });
+}
+
+/**
+ * Відповідь record_difficulty
+ *
+ * @param {Object} p
+ * @param {string} p.word
+ * @param {string} p.sourceLang
+ * @param {Object} p.output — { example_sentence, transcription, part_of_speech, ... }
+ */
+function checkDifficulty({ word, sourceLang, output }) {
+  const reasons = [
+    ...textReasons('example_sentence', output.example_sentence),
+    ...textReasons('transcription', output.transcription),
+    ...textReasons('part_of_speech', output.part_of_speech),
+  ];
+  if (output.example_sentence) {
+    if (!mentionsWord(output.example_sentence, word, sourceLang)) reasons.push('example_sentence:missing_word');
+    if (!matchesScript(output.example_sentence, sourceLang)) reasons.push('example_sentence:wrong_script');
+  }
+  if (output.part_of_speech && !/^[a-z][a-z ,/-]*$/i.test(output.part_of_speech)) {
+    reasons.push('part_of_speech:invalid');
+  }
+  if (output.transcription && /\d/.test(output.transcription)) {
+    reasons.push('transcription:invalid');
+  }
+  return reasons;
+}
+
+/**
+ * Відповідь record_idiom
+ *
+ * @param {Object} p
+ * @param {string} p.targetLang
+ * @param {string} p.literalTranslation — переклад провайдера
+ * @param {Object} p.output — { is_idiom, idiomatic_translations, note }
+ */
+function checkIdiom({ targetLang, literalTranslation, output }) {
+  const reasons = [...textReasons('note', output.note)];
+  if (output.note && !matchesScript(output.note, targetLang)) reasons.push('note:wrong_script');
+
+  const limit = Math.max(IDIOM_MIN_LIMIT, (literalTranslation || '').length * IDIOM_LENGTH_FACTOR);
+  (output.idiomatic_translations || []).forEach((t, i) => {
+    const field = `idiomatic_translations[${i}]`;
+    reasons.push(...textReasons(field, t));
+    if (!matchesScript(t, targetLang)) reasons.push(`${field}:wrong_script`);
+    if (t.length > limit) reasons.push(`${field}:too_long`);
+  });
+  return reasons;
+}
+
+/**
+ * Відповідь record_senses (вже нормалізовані значення)
+ *
+ * @param {Object} p
+ * @param {string} p.word
+ * @param {string} p.sourceLang
+ * @param {string} p.targetLang
+ * @param {Array<{ part_of_speech, translation, example }>} p.senses
+ */
+function checkSenses({ word, sourceLang, targetLang, senses }) {
+  const reasons = [];
+  senses.forEach((s, i) => {
+    const field = `senses[${i}]`;
+    reasons.push(
+      ...textReasons(`${field}.translation`, s.translation),
+      ...textReasons(`${field}.example`, s.example),
+      ...textReasons(`${field}.part_of_speech`, s.part_of_speech),
+    );
+    if (!matchesScript(s.translation, targetLang)) reasons.push(`${field}.translation:wrong_script`);
+    if (s.example && !mentionsWord(s.example, word, sourceLang)) reasons.push(`${field}.example:missing_word`);
+  });
+  return reasons;
+}
+
+/**
+ * Записати відхилену відповідь у карантин (збій запису лише логуємо)
+ *
+ * @param {Object} p
+ * @param {string} p.task — difficulty | idiom | senses
+ * @param {string} p.input — слово / фраза, для якої питали модель
+ * @param {string} p.sourceLang
+ * @param {string} p.targetLang
+ * @param {string} p.promptVersion
+ * @param {Object} p.output — відповідь моделі як є
+ * @param {string[]} p.reasons
+ */
+async function quarantine({ task, input, sourceLang, targetLang, promptVersion, output, reasons }) {
+  metrics.increment(`llm.quarantine.${task}`);
+  console.warn(`🚫 LLM output quarantined (${task} "${input}"):`, reasons.join('; '));
+
+  try {
+    await quarantineRepository().add({
+      task,
+      input,
+      source_lang: sourceLang,
+      target_lang: targetLang,
+      prompt_version: promptVersion,
+      output,
+      reasons,
+    });
+  } catch (e) {
+    console.warn('⚠️ Quarantine write failed:', e?.message || e);
+  }
+}
+
+module.exports = {
+  checkDifficulty,
+  checkIdiom,
+  checkSenses,
+  mentionsWord,
+  quarantine,
+};
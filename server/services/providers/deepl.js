@@ -0,0 +1,352 @@
+/**
+ * server/services/providers/deepl.js — Провайдер перекладу DeepL API
+ *
+ * Одна з реалізацій інтерфейсу провайдера (див. services/translator.js).
+ *
+ * Підтримує:
+ * - Переклад довільних пар мов (source_lang → target_lang)
+ * - Визначення мови оригіналу (запит без source_lang)
+ * - Контекст (параметр DeepL `context`): речення, у якому трапилось слово;
+ *   саме воно не перекладається, лише допомагає обрати значення
+ * - Формальність (formality: more | less) — лише для мов, які її підтримують (supportsFormality)
+ * - Глосарії (createGlossary / deleteGlossary, translateText з glossaryId) — закріплені переклади термінів
+ * - Отримання списку підтримуваних мов (source/target)
+ * - In-memory кеш списку мов, щоб не бити DeepL зайвий раз
+ * - Повтори тимчасових збоїв і circuit breaker "deepl" (lib/resilience.js);
+ *   таймаут одного запиту — DEEPL_TIMEOUT_MS (за замовчуванням 10000)
+ *
+ * Endpoint — за типом ключа: Free-ключі закінчуються на ":fx" (api-free.deepl.com),
+ * решта — Pro (api.deepl.com). DEEPL_API_URL перевизначає адресу (проксі / тести).
+ *
+ * Free план: 500,000 символів/місяць безкоштовно. Витрачені символи рахує services/usage.js.
+ */
+
+const axios = require('axios');
+const { recordUsage } = require('../usage');
+const { callWithResilience, CircuitOpenError } = require('../../lib/resilience');
+
+// DeepL API URL: Free-ключі (":fx") — api-free, Pro — api
+const DEEPL_FREE_API_BASE = 'https://api-free.deepl.com/v2';
+const DEEPL_PRO_API_BASE = 'https://api.deepl.com/v2';
+
+function getApiBase(apiKey) {
+  const override = (process.env.DEEPL_API_URL || '').trim().replace(/\/+$/, '');
+  if (override) return override;
+  return apiKey.endsWith(':fx') ? DEEPL_FREE_API_BASE : DEEPL_PRO_API_BASE;
+}
+
+// Мови перекладу з параметром formality (якщо список мов від DeepL ще не завантажено)
+const FORMALITY_TARGETS = new Set(['DE', 'FR', 'IT', 'ES', 'ES-419', 'NL', 'PL', 'PT-BR', 'PT-PT', 'JA', 'RU']);
+const FORMALITY_VALUES = new Set(['more', 'less']);
+
+// Простий in-memory кеш мов (на бекенді)
+const languagesCache = {
+  source: { at: 0, data: null },
+  target: { at: 0, data: null },
+};
+const LANG_CACHE_TTL_MS = 72 * 60 * 60 * 1000; // 72h
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+function getTimeoutMs() {
+  const n = Number(process.env.DEEPL_TIMEOUT_MS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TIMEOUT_MS;
+}
+
+function getApiKey() {
+  const apiKey = (process.env.DEEPL_API_KEY || "").trim();
+  console.log("DEEPL key present:", !!apiKey, "len:", apiKey.length, "suffix:", apiKey.slice(-3));
+  if (!apiKey) throw new Error('DEEPL_API_KEY не налаштовано в .env файлі');
+  return apiKey;
+}
+
+function normalizeLang(code) {
+  return (code || "").trim().toUpperCase();
+}
+
+// DeepL приймає до 50 текстів в одному запиті
+const DEEPL_MAX_TEXTS_PER_REQUEST = 50;
+
+function mapDeepLError(error) {
+  if (error instanceof CircuitOpenError) {
+    return error;
+  }
+  if (error.response?.status === 403) {
+    return new Error('Невірний DeepL API-ключ. Перевірте .env файл.');
+  }
+  if (error.response?.status === 456) {
+    return new Error('Перевищено ліміт DeepL (free). Спробуйте пізніше або перевірте тариф.');
+  }
+  if (error.response?.status === 429) {
+    return new Error('Забагато запитів до DeepL. Спробуйте за хвилину.');
+  }
+  if (error.code === "ECONNABORTED") {
+    return new Error('DeepL не відповідає (timeout). Спробуйте ще раз.');
+  }
+  return new Error(`DeepL error: ${error.response?.data?.message || error.message}`);
+}
+
+/**
+ * Чи підтримує мова перекладу параметр formality
+ * (за списком мов DeepL — supports_formality, інакше за FORMALITY_TARGETS)
+ */
+function supportsFormality(targetLang) {
+  const tgt = normalizeLang(targetLang);
+  const known = languagesCache.target.data;
+  if (known) {
+    const lang = known.find((x) => normalizeLang(x.language) === tgt);
+    if (lang && typeof lang.supports_formality === 'boolean') return lang.supports_formality;
+  }
+  return FORMALITY_TARGETS.has(tgt);
+}
+
+async function requestTranslations(texts, src, tgt, apiKey, { context, formality, glossaryId } = {}) {
+  try {
+    const form = new URLSearchParams();
+    for (const text of texts) form.append("text", text);
+    // без source_lang DeepL сам визначає мову (detected_source_language)
+    if (src) form.append("source_lang", src);
+    form.append("target_lang", tgt);
+    if (context) form.append("context", context);
+    // prefer_* не дає помилки, якщо DeepL вважає мову непідтримуваною
+    if (formality && FORMALITY_VALUES.has(formality) && supportsFormality(tgt)) {
+      form.append("formality", `prefer_${formality}`);
+    }
+    // глосарій працює лише з явно заданим source_lang
+    if (glossaryId && src) form.append("glossary_id", glossaryId);
+
+    const response = await callWithResilience('deepl', () => axios.post(`${getApiBase(apiKey)}/translate`, form, {
+      headers: {
+        "Authorization": `DeepL-Auth-Key ${apiKey}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      timeout: getTimeoutMs(),
+    }));
+
+    // DeepL рахує символи тексту (context не тарифікується)
+    recordUsage('deepl', { characters: texts.reduce((n, text) => n + String(text).length, 0) });
+    return response.data.translations || [];
+  } catch (error) {
+    throw mapDeepLError(error);
+  }
+}
+
+/**
+ * Перекласти текст
+ *
+ * @param {string} text
+ * @param {string} sourceLang — наприклад EN, DE, FR (для source зазвичай без регіонів)
+ * @param {string} targetLang — наприклад UK, PL, EN-GB, ES-419
+ * @param {Object} [options]
+ * @param {string} [options.context] — речення з цим словом (для вибору значення)
+ * @param {"more"|"less"} [options.formality] — формальність (ігнорується, якщо мова не підтримує)
+ * @param {string} [options.glossaryId] — id глосарію DeepL для цієї пари мов
+ */
+async function translateText(text, sourceLang = "EN", targetLang = "UK", options = {}) {
+  const apiKey = getApiKey();
+
+  const src = normalizeLang(sourceLang) || "EN";
+  const tgt = normalizeLang(targetLang) || "UK";
+
+  const [result] = await requestTranslations([text], src, tgt, apiKey, {
+    context: options.context,
+    formality: options.formality,
+    glossaryId: options.glossaryId,
+  });
+
+  return {
+    translation: result.text,
+    detectedLanguage: result.detected_source_language,
+  };
+}
+
+/**
+ * Визначити мову тексту: DeepL перекладає без source_lang і повертає detected_source_language.
+ * Переклад із цієї ж відповіді повертається разом із мовою — маршрут не перекладає текст удруге.
+ *
+ * @param {string} text — слово або речення
+ * @param {string} targetLang
+ * @returns {Promise<{ language: string, confidence: number, method: "deepl", translation: string }>}
+ */
+async function detectLanguage(text, targetLang = "UK") {
+  const apiKey = getApiKey();
+  const tgt = normalizeLang(targetLang) || "UK";
+
+  const [result] = await requestTranslations([text], null, tgt, apiKey);
+
+  return {
+    language: normalizeLang(result?.detected_source_language),
+    // DeepL не повертає впевненість
+    confidence: null,
+    method: "deepl",
+    translation: result?.text,
+  };
+}
+
+/**
+ * Перекласти кілька текстів (групами по 50 — ліміт DeepL на один запит)
+ *
+ * Помилка однієї групи (зокрема відсутній ключ) не валить інші: для її текстів повертається { error }.
+ *
+ * @param {string[]} texts
+ * @param {string} sourceLang
+ * @param {string} targetLang
+ * @returns {Promise<Array<{translation?: string, detectedLanguage?: string, error?: string}>>} — у тому ж порядку, що texts
+ */
+async function translateBatch(texts, sourceLang = "EN", targetLang = "UK") {
+  const src = normalizeLang(sourceLang) || "EN";
+  const tgt = normalizeLang(targetLang) || "UK";
+
+  const results = [];
+  for (let i = 0; i < texts.length; i += DEEPL_MAX_TEXTS_PER_REQUEST) {
+    const chunk = texts.slice(i, i + DEEPL_MAX_TEXTS_PER_REQUEST);
+    try {
+      // ключ — усередині: без ключа кожен текст отримує { error }, як при інших збоях групи
+      const translations = await requestTranslations(chunk, src, tgt, getApiKey());
+      chunk.forEach((_, idx) => {
+        const t = translations[idx];
+        results.push(t
+          ? { translation: t.text, detectedLanguage: t.detected_source_language }
+          : { error: 'DeepL returned no translation' });
+      });
+    } catch (error) {
+      chunk.forEach(() => results.push({ error: error.message }));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Отримати список мов від DeepL
+ *
+ * @param {"source"|"target"} type
+ * @returns {Promise<Array<{language: string, name: string}>>}
+ */
+async function getLanguages(type = "target") {
+  const apiKey = getApiKey();
+  const t = (type === "source") ? "source" : "target";
+
+  const cached = languagesCache[t];
+  const now = Date.now();
+  if (cached.data && (now - cached.at) < LANG_CACHE_TTL_MS) {
+    return cached.data;
+  }
+
+  try {
+    const response = await callWithResilience('deepl', () => axios.get(`${getApiBase(apiKey)}/languages`, {
+      params: { type: t },
+      headers: { "Authorization": `DeepL-Auth-Key ${apiKey}` },
+      timeout: getTimeoutMs(),
+    }));
+
+    const data = Array.isArray(response.data) ? response.data : [];
+    languagesCache[t] = { at: now, data };
+    return data;
+  } catch (error) {
+    // Якщо DeepL тимчасово недоступний — повертаємо кеш (навіть якщо прострочений),
+    // або fallback список (щоб UI не ламався).
+    if (cached.data) {
+      return cached.data;
+    }
+
+    const FALLBACK = {
+      source: [
+        { language: 'EN', name: 'English' },
+        { language: 'UK', name: 'Ukrainian' },
+        { language: 'PL', name: 'Polish' },
+        { language: 'DE', name: 'German' },
+        { language: 'FR', name: 'French' },
+        { language: 'IT', name: 'Italian' },
+        { language: 'ES', name: 'Spanish' },
+        { language: 'RO', name: 'Romanian' },
+        { language: 'CS', name: 'Czech' },
+        { language: 'HU', name: 'Hungarian' },
+        { language: 'SV', name: 'Swedish' },
+        { language: 'ET', name: 'Estonian' },
+        { language: 'LV', name: 'Latvian' },
+        { language: 'LT', name: 'Lithuanian' },
+      ],
+      target: [
+        { language: 'EN', name: 'English' },
+        { language: 'EN-GB', name: 'English (UK)' },
+        { language: 'EN-US', name: 'English (US)' },
+        { language: 'UK', name: 'Ukrainian' },
+        { language: 'PL', name: 'Polish' },
+        { language: 'DE', name: 'German' },
+        { language: 'FR', name: 'French' },
+        { language: 'IT', name: 'Italian' },
+        { language: 'ES', name: 'Spanish' },
+        { language: 'ES-419', name: 'Spanish (LatAm)' },
+        { language: 'RO', name: 'Romanian' },
+        { language: 'CS', name: 'Czech' },
+        { language: 'HU', name: 'Hungarian' },
+        { language: 'SV', name: 'Swedish' },
+        { language: 'ET', name: 'Estonian' },
+        { language: 'LV', name: 'Latvian' },
+        { language: 'LT', name: 'Lithuanian' },
+      ],
+    };
+
+    return FALLBACK[t];
+  }
+}
+
+/**
+ * Створити глосарій DeepL (глосарії DeepL незмінні: оновлення = новий глосарій + видалення старого)
+ *
+ * @param {Object} p
+ * @param {string} p.name
+ * @param {string} p.sourceLang — базовий код (EN, DE...)
+ * @param {string} p.targetLang — базовий код (UK, PL...)
+ * @param {Array<{ source: string, target: string }>} p.entries — без табуляцій і переносів рядка
+ * @returns {Promise<{ id: string }>}
+ */
+async function createGlossary({ name, sourceLang, targetLang, entries }) {
+  const apiKey = getApiKey();
+
+  try {
+    const response = await callWithResilience('deepl', () => axios.post(`${getApiBase(apiKey)}/glossaries`, {
+      name,
+      source_lang: normalizeLang(sourceLang).toLowerCase(),
+      target_lang: normalizeLang(targetLang).toLowerCase(),
+      entries: entries.map((e) => `${e.source}\t${e.target}`).join("\n"),
+      entries_format: "tsv",
+    }, {
+      headers: { "Authorization": `DeepL-Auth-Key ${apiKey}` },
+      timeout: getTimeoutMs(),
+    }));
+
+    return { id: response.data.glossary_id };
+  } catch (error) {
+    throw mapDeepLError(error);
+  }
+}
+
+/**
+ * Видалити глосарій DeepL (вже видалений — не помилка)
+ */
+async function deleteGlossary(id) {
+  const apiKey = getApiKey();
+
+  try {
+    await callWithResilience('deepl', () => axios.delete(`${getApiBase(apiKey)}/glossaries/${encodeURIComponent(id)}`, {
+      headers: { "Authorization": `DeepL-Auth-Key ${apiKey}` },
+      timeout: getTimeoutMs(),
+    }));
+  } catch (error) {
+    if (error.response?.status === 404) return;
+    throw mapDeepLError(error);
+  }
+}
+
+module.exports = {
+  name: 'deepl',
+  translateText,
+  translateBatch,
+  detectLanguage,
+  getLanguages,
+  supportsFormality,
+  createGlossary,
+  deleteGlossary,
+};
@@ -0,0 +1,173 @@
+/**
+ * server/services/providers/localDictionary.js — Локальний словниковий провайдер перекладу
+ *
+ * Детермінований провайдер без мережі: для dev і CI, щоб увесь translate-flow
+ * працював без DeepL-ключа. Словник читається з файлу один раз (лениво):
+ *
+ *   LOCAL_DICTIONARY_PATH=./data/local-dictionary.tsv   (за замовчуванням)
+ *
+ * Формати файлу:
+ * - TSV: source_lang<TAB>target_lang<TAB>original<TAB>translation (рядок-заголовок і # коментарі пропускаються)
+ * - JSON: [{ source_lang, target_lang, original, translation }, ...]
+ *         або { "EN": { "UK": { "apple": "яблуко" } } }
+ *
+ * Якщо слова немає у словнику — повертаємо сам текст (identity),
+ * і маршрут перекладу трактує це як "немає у словнику" (так само як з DeepL).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LANGUAGE_NAMES } = require('../../lib/languageNames');
+const { detectLanguageLocally } = require('../languageDetect');
+
+const DEFAULT_DICTIONARY_PATH = path.join(__dirname, '..', '..', 'data', 'local-dictionary.tsv');
+
+let dictionary = null; // Map<"EN→UK", Map<original, translation>>
+
+function normalizeLang(code) {
+  return (code || "").trim().toUpperCase();
+}
+
+function baseLang(code) {
+  return normalizeLang(code).split('-')[0];
+}
+
+function normalizeText(s) {
+  return (s || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function pairKey(src, tgt) {
+  return `${normalizeLang(src)}→${normalizeLang(tgt)}`;
+}
+
+function addEntry(map, src, tgt, original, translation) {
+  const o = normalizeText(original);
+  const t = (translation || '').trim();
+  if (!src || !tgt || !o || !t) return;
+  const key = pairKey(src, tgt);
+  if (!map.has(key)) map.set(key, new Map());
+  map.get(key).set(o, t);
+}
+
+function parseTsv(raw, map) {
+  const lines = raw.split(/\r?\n/);
+  for (const line of lines) {
+    if (!line.trim() || line.startsWith('#')) continue;
+    const [src, tgt, original, translation] = line.split('\t');
+    // заголовок
+    if (String(src).toLowerCase() === 'source_lang') continue;
+    addEntry(map, src, tgt, original, translation);
+  }
+}
+
+function parseJson(raw, map) {
+  const data = JSON.parse(raw);
+  if (Array.isArray(data)) {
+    for (const row of data) {
+      addEntry(map, row.source_lang, row.target_lang, row.original, row.translation);
+    }
+    return;
+  }
+  for (const [src, targets] of Object.entries(data || {})) {
+    for (const [tgt, words] of Object.entries(targets || {})) {
+      for (const [original, translation] of Object.entries(words || {})) {
+        addEntry(map, src, tgt, original, translation);
+      }
+    }
+  }
+}
+
+function loadDictionary() {
+  if (dictionary) return dictionary;
+
+  const file = (process.env.LOCAL_DICTIONARY_PATH || '').trim() || DEFAULT_DICTIONARY_PATH;
+  const map = new Map();
+
+  try {
+    const raw = fs.readFileSync(path.resolve(file), 'utf8');
+    if (file.toLowerCase().endsWith('.json')) parseJson(raw, map);
+    else parseTsv(raw, map);
+  } catch (e) {
+    throw new Error(`Local dictionary: не вдалось прочитати ${file}: ${e.message}`);
+  }
+
+  dictionary = map;
+  const total = Array.from(map.values()).reduce((n, m) => n + m.size, 0);
+  console.log(`📘 Local dictionary: ${total} entries, ${map.size} pairs (${file})`);
+  return dictionary;
+}
+
+function lookup(text, src, tgt) {
+  const dict = loadDictionary();
+  // EN-GB / ES-419 як target: спершу точна пара, потім базова мова
+  const words = dict.get(pairKey(src, tgt)) || dict.get(pairKey(src, baseLang(tgt)));
+  return words?.get(normalizeText(text)) || null;
+}
+
+/**
+ * Перекласти текст (той самий контракт, що й providers/deepl.js)
+ */
+// options.context ігнорується: словник не знає контексту
+async function translateText(text, sourceLang = "EN", targetLang = "UK") {
+  const src = normalizeLang(sourceLang) || "EN";
+  const tgt = normalizeLang(targetLang) || "UK";
+
+  return {
+    translation: lookup(text, src, tgt) || text,
+    detectedLanguage: src,
+  };
+}
+
+async function translateBatch(texts, sourceLang = "EN", targetLang = "UK") {
+  return Promise.all(texts.map((text) => translateText(text, sourceLang, targetLang)));
+}
+
+/**
+ * Визначити мову: спершу — в яких source-мовах словника є це слово (для цієї target),
+ * далі — евристика (services/languageDetect.js)
+ */
+async function detectLanguage(text, targetLang = "UK") {
+  const tgt = normalizeLang(targetLang) || "UK";
+  const dict = loadDictionary();
+  const key = normalizeText(text);
+
+  const found = new Set();
+  for (const [pair, words] of dict.entries()) {
+    const [src, pairTgt] = pair.split('→');
+    if ((pairTgt === tgt || pairTgt === baseLang(tgt)) && words.has(key)) found.add(baseLang(src));
+  }
+
+  const guess = detectLanguageLocally(text);
+  if (found.size === 1) {
+    return { language: Array.from(found)[0], confidence: 1, method: "dictionary" };
+  }
+  if (found.size > 1 && guess && found.has(guess.language)) {
+    return { ...guess, method: "dictionary" };
+  }
+  return guess ? { ...guess, method: "heuristic" } : null;
+}
+
+/**
+ * Мови, які є у словнику
+ *
+ * @param {"source"|"target"} type
+ */
+async function getLanguages(type = "target") {
+  const dict = loadDictionary();
+  const codes = new Set();
+  for (const key of dict.keys()) {
+    const [src, tgt] = key.split('→');
+    codes.add(type === 'source' ? baseLang(src) : tgt);
+  }
+  return Array.from(codes)
+    .sort()
+    .map((language) => ({ language, name: LANGUAGE_NAMES[language] || language }));
+}
+
+module.exports = {
+  name: 'local',
+  translateText,
+  translateBatch,
+  detectLanguage,
+  getLanguages,
+};
@@ -0,0 +1,113 @@
+/**
+ * server/services/quota.js — Денні квоти перекладу на користувача
+ *
+ * POST /api/translate і /api/translate/batch доступні лише з JWT Supabase: звичайний
+ * користувач або анонімна сесія (supabase.auth.signInAnonymously, user.is_anonymous).
+ * Кожне слово (і кожна мова перекладу) списує одиницю квоти; лічильник — таблиця
+ * translate_quota, списання атомарне (RPC consume_translate_quota), тож квоту не
+ * обійти паралельними запитами чи кількома інстансами сервера.
+ *
+ * Доба — за UTC; квота оновлюється опівночі UTC (reset_at у відповіді).
+ *
+ * Налаштування (0 — без ліміту):
+ *   TRANSLATE_DAILY_QUOTA=500       — користувач з акаунтом
+ *   TRANSLATE_DAILY_QUOTA_ANON=50   — анонімна сесія
+ *
+ * Збій бази не блокує переклад: квоту пропускаємо з попередженням у лог
+ * (IP-ліміт express-rate-limit у index.js лишається).
+ */
+
+// translate_quota: у Supabase — RPC consume_translate_quota (repositories/supabase.js)
+const { quotaRepository } = require('../repositories');
+const metrics = require('../lib/metrics');
+
+function envLimit(name, fallback) {
+  const raw = (process.env[name] || '').trim();
+  if (!raw) return fallback;
+  const n = parseInt(raw, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function isAnonymous(user) {
+  return !!user?.is_anonymous;
+}
+
+/**
+ * Денний ліміт користувача (0 — без ліміту)
+ */
+function quotaLimit(user) {
+  return isAnonymous(user)
+    ? envLimit('TRANSLATE_DAILY_QUOTA_ANON', 50)
+    : envLimit('TRANSLATE_DAILY_QUOTA', 500);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Коли квота оновиться — наступна північ UTC
+ */
+function resetAt(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString();
+}
+
+/**
+ * @returns {{ limit: number, used: number|null, remaining: number|null, reset_at: string, anonymous: boolean }}
+ *   limit 0 — без ліміту (remaining null); used null — лічильник недоступний (збій бази)
+ */
+function describe(user, used) {
+  const limit = quotaLimit(user);
+  return {
+    limit,
+    used,
+    remaining: limit > 0 && used != null ? Math.max(0, limit - used) : null,
+    reset_at: resetAt(),
+    anonymous: isAnonymous(user),
+  };
+}
+
+/**
+ * Списати amount перекладів з денної квоти.
+ *
+ * @param {Object} user — req.user
+ * @param {number} amount
+ * @returns {Promise<{ allowed: boolean, quota: Object }>} — quota як у describe()
+ */
+async function consumeQuota(user, amount) {
+  let result;
+  try {
+    result = await quotaRepository().consume(user.id, today(), amount, quotaLimit(user));
+  } catch (error) {
+    console.warn('⚠️ Quota check failed, allowing request:', error.message);
+    return { allowed: true, quota: describe(user, null) };
+  }
+
+  if (!result.allowed) metrics.increment('quota.exceeded');
+  return { allowed: result.allowed, quota: describe(user, result.total) };
+}
+
+/**
+ * Повернути списане (запит завершився помилкою); збій лише логуємо
+ */
+async function refundQuota(user, amount) {
+  try {
+    await quotaRepository().consume(user.id, today(), -amount, 0);
+  } catch (error) {
+    console.warn('⚠️ Quota refund failed:', error.message);
+  }
+}
+
+/**
+ * Поточний стан квоти без списання (GET /api/translate/quota)
+ */
+async function quotaStatus(user) {
+  return describe(user, await quotaRepository().used(user.id, today()));
+}
+
+module.exports = {
+  quotaLimit,
+  consumeQuota,
+  refundQuota,
+  quotaStatus,
+};
@@ -0,0 +1,179 @@
+/**
+ * server/services/reenrichment.js — Фонове перезбагачення застарілих рядків words
+ *
+ * Рядок words, збережений один раз, інакше більше не оцінюється. Перезбагачуємо:
+ * - оцінку складності без AI (factors.source = "algorithmic_fallback" під час збою API,
+ *   "algorithmic" — коли AI був вимкнений) і оцінки старою версією промпту;
+ * - ідіоми, отримані старою версією промпту.
+ * Відповіді в карантині (services/outputGuard.js) мають поточну версію і не повторюються,
+ * доки промпт не зміниться.
+ * Версії — у words.prompt_versions (див. services/prompts.js).
+ *
+ * Сюди ж потрапляють рядки enrichment_status = pending/failed, чия задача черги загубилась
+ * (перезапуск сервера); рядки, які черга зараз обробляє, пропускаємо.
+ *
+ * senses НЕ перезапитуємо, якщо вони вже є: на їхні індекси посилаються list_words.sense_index.
+ *
+ * Працює в процесі сервера невеликими партіями з паузою між ними (ліміти LLM):
+ *   REENRICH_ENABLED=1          — увімкнути (за замовчуванням вимкнено)
+ *   REENRICH_BATCH_SIZE=20      — рядків за партію
+ *   REENRICH_CONCURRENCY=2      — паралельних збагачень у партії
+ *   REENRICH_INTERVAL_MS=60000  — пауза між партіями
+ *   REENRICH_IDLE_MS=3600000    — пауза, коли пройшли всю таблицю
+ */
+
+const { wordsRepository } = require('../repositories');
+const { mapWithConcurrency } = require('../lib/concurrency');
+const llm = require('./llm');
+const { enrichWord } = require('./enrichment');
+const { getJobStatus } = require('./enrichmentQueue');
+const { forgetWord } = require('./wordCache');
+const { promptVersion } = require('./prompts');
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function isJobEnabled() {
+  return ['1', 'true', 'yes'].includes((process.env.REENRICH_ENABLED || '').trim().toLowerCase());
+}
+
+/**
+ * Рідна мова, для якої оцінювали рядок: factors.native_lang або "pair-v2:EN>UK/UK"
+ */
+function nativeLangOf(row) {
+  const fromFactors = row.difficulty_factors?.native_lang;
+  if (fromFactors) return fromFactors;
+  const match = /\/([A-Z]{2})$/.exec(row.assessment_variant || '');
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Перезбагатити один рядок. Повертає поля для update або null, якщо AI знову не відповів
+ * (тоді рядок лишається як є і потрапить у наступний прохід).
+ */
+async function reenrichRow(row) {
+  const enriched = await enrichWord({
+    cleanWord: row.original,
+    cleanWordRaw: row.original,
+    srcLang: row.source_lang,
+    tgtLang: row.target_lang,
+    nativeLang: nativeLangOf(row),
+    // для ідіом у translation — ідіоматичний варіант, а переклад провайдера — у literal
+    deeplTranslation: row.alt_translations?.literal || row.translation,
+    caseSensitive: row.case_sensitive,
+    translationProvider: row.translation_provider,
+    existingSenses: row.senses,
+  });
+
+  if (!enriched.prompt_versions.difficulty) return null;
+
+  // original / мовна пара / регістр — ключ кешу, їх не змінюємо
+  const { original, source_lang, target_lang, case_sensitive, ...fields } = enriched;
+  return {
+    ...fields,
+    prompt_versions: {
+      ...(row.prompt_versions?.senses ? { senses: row.prompt_versions.senses } : {}),
+      ...enriched.prompt_versions,
+    },
+  };
+}
+
+/**
+ * Одна партія: наступні batchSize застарілих рядків після afterId.
+ *
+ * @returns {Promise<{ scanned: number, updated: number, failed: number, lastId: string|null }>}
+ */
+async function runReenrichmentBatch({ afterId = null, batchSize = envInt('REENRICH_BATCH_SIZE', 20) } = {}) {
+  let rows;
+  try {
+    rows = await wordsRepository().findStale({
+      versions: { difficulty: promptVersion('difficulty'), idiom: promptVersion('idiom') },
+      afterId,
+      limit: batchSize,
+    });
+  } catch (error) {
+    throw new Error(`Re-enrichment select failed: ${error.message}`);
+  }
+  if (rows.length === 0) return { scanned: 0, updated: 0, failed: 0, lastId: null };
+
+  let updated = 0;
+  let failed = 0;
+  await mapWithConcurrency(rows, envInt('REENRICH_CONCURRENCY', 2), async (row) => {
+    if (getJobStatus(row.id)) return;
+    try {
+      const fields = await reenrichRow(row);
+      if (!fields) {
+        failed++;
+        return;
+      }
+      await wordsRepository().updateWord(row.id, fields);
+      forgetWord(row);
+      updated++;
+    } catch (e) {
+      failed++;
+      console.warn(`⚠️ Re-enrichment failed for "${row.original}":`, e?.message || e);
+    }
+  });
+
+  return { scanned: rows.length, updated, failed, lastId: rows[rows.length - 1].id };
+}
+
+let timer = null;
+
+/**
+ * Запустити фонове перезбагачення (якщо REENRICH_ENABLED і є LLM).
+ * Проходить таблицю курсором по id; дійшовши до кінця — чекає REENRICH_IDLE_MS і починає знову.
+ */
+function startReenrichmentJob() {
+  if (!isJobEnabled() || timer) return;
+  if (!llm.isEnabled()) {
+    console.warn('⚠️ Re-enrichment job not started: LLM is not configured');
+    return;
+  }
+
+  const interval = envInt('REENRICH_INTERVAL_MS', 60 * 1000);
+  const idle = envInt('REENRICH_IDLE_MS', 60 * 60 * 1000);
+  let cursor = null;
+
+  const tick = async () => {
+    let delay = interval;
+    try {
+      const result = await runReenrichmentBatch({ afterId: cursor });
+      if (result.scanned > 0) {
+        console.log(`🔁 Re-enrichment: ${result.updated} updated, ${result.failed} failed of ${result.scanned}`);
+      }
+      if (result.scanned === 0) {
+        // Прохід завершено — наступний з початку таблиці
+        cursor = null;
+        delay = idle;
+      } else {
+        cursor = result.lastId;
+        // Уся партія впала — схоже, LLM недоступний: довша пауза
+        if (result.updated === 0) delay = idle;
+      }
+    } catch (e) {
+      console.warn('⚠️ Re-enrichment batch error:', e?.message || e);
+      delay = idle;
+    }
+    timer = setTimeout(tick, delay);
+    timer.unref();
+  };
+
+  console.log(`🔁 Re-enrichment job started (every ${interval}ms)`);
+  timer = setTimeout(tick, interval);
+  timer.unref();
+}
+
+function stopReenrichmentJob() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  runReenrichmentBatch,
+  reenrichRow,
+  startReenrichmentJob,
+  stopReenrichmentJob,
+};
@@ -0,0 +1,225 @@
+/**
+ * server/services/senses.js — Значення (senses) багатозначних слів через LLM (services/llm.js)
+ *
+ * Мета:
+ * - для "bank", "spring", "fair" показати кілька значень, а не лише те, що обрав DeepL
+ * - користувач обирає значення при додаванні у список (list_words.sense_index),
+ *   і саме воно показується у списку та під час повторення
+ * - якщо користувач дав речення-контекст — підказати значення, яке в ньому вжито
+ *
+ * Значення з підозрілою відповіді моделі (services/outputGuard.js) не зберігаємо: карантин,
+ * слово вважаємо однозначним.
+ *
+ * Формат words.senses (jsonb або null, якщо значення одне):
+ * [
+ *   { part_of_speech: "noun", translation: "банк", example: "I went to the bank." },
+ *   { part_of_speech: "noun", translation: "берег", example: "We sat on the river bank." }
+ * ]
+ */
+
+const llm = require('./llm');
+const { renderPrompt } = require('./prompts');
+const { languageName } = require('../lib/languageNames');
+const { object, array, string, integer } = require('../lib/structuredOutput');
+const { checkSenses, quarantine } = require('./outputGuard');
+
+const MAX_SENSES = 5;
+
+// Схеми відповідей Claude (tool use) — див. lib/structuredOutput.js
+const SENSES_TOOL = {
+  name: "record_senses",
+  description: "Record the distinct common senses of the word.",
+  spec: object({
+    senses: array(object({
+      part_of_speech: string({ maxLength: 30, nullable: true }),
+      translation: string({ maxLength: 120 }),
+      example: string({ maxLength: 200, nullable: true }),
+    }), { maxItems: MAX_SENSES }),
+  }),
+};
+
+const SENSE_CHOICE_TOOL = {
+  name: "record_sense",
+  description: "Record which sense is used in the sentence (null if none fits).",
+  spec: object({
+    sense: integer(0, MAX_SENSES - 1, { required: false }),
+  }),
+};
+
+function cleanString(x, maxLen) {
+  return typeof x === "string" ? x.trim().slice(0, maxLen) : "";
+}
+
+/**
+ * Нормалізує масив значень: відкидає порожні та дублікати перекладів.
+ */
+function normalizeSenses(raw) {
+  if (!Array.isArray(raw)) return [];
+  const seen = new Set();
+  const senses = [];
+  for (const s of raw) {
+    const translation = cleanString(s?.translation, 120);
+    if (!translation) continue;
+    const key = `${cleanString(s?.part_of_speech, 30).toLowerCase()}|${translation.toLowerCase()}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    senses.push({
+      part_of_speech: cleanString(s?.part_of_speech, 30) || null,
+      translation,
+      example: cleanString(s?.example, 200) || null,
+    });
+    if (senses.length >= MAX_SENSES) break;
+  }
+  return senses;
+}
+
+/**
+ * Отримати значення слова.
+ * Повертає масив (2+ значень) або null — тоді слово вважаємо однозначним.
+ *
+ * @param {Object} p
+ * @param {string} p.word — слово мовою оригіналу
+ * @param {string} p.translation — переклад від провайдера (перше значення)
+ * @param {string} p.sourceLang
+ * @param {string} p.targetLang
+ * @param {number|null} [p.polysemy] — factors.polysemy з оцінки складності (1 = однозначне)
+ */
+async function extractSenses({ word, translation, sourceLang, targetLang, polysemy = null }) {
+  if (!llm.isEnabled()) return null;
+
+  const w = (word || "").trim();
+  if (!w) return null;
+
+  // AI-оцінка вже сказала, що значення одне — не витрачаємо ще один запит
+  if (typeof polysemy === "number" && polysemy < 2) return null;
+
+  const source = languageName(sourceLang);
+  const target = languageName(targetLang);
+
+  const { system, prompt, version } = renderPrompt("senses", {
+    word: w,
+    translation: (translation || "").trim(),
+    source,
+    target,
+    maxSenses: MAX_SENSES,
+  });
+
+  try {
+    const { value } = await llm.callTool("senses", {
+      system,
+      prompt,
+      tool: SENSES_TOOL,
+      fixtureKey: `${sourceLang}:${targetLang}:${w.toLowerCase()}`,
+    });
+    const senses = normalizeSenses(value.senses);
+    if (senses.length < 2) return null;
+
+    const suspicious = checkSenses({ word: w, sourceLang, targetLang, senses });
+    if (suspicious.length > 0) {
+      await quarantine({
+        task: "senses",
+        input: w,
+        sourceLang,
+        targetLang,
+        promptVersion: version,
+        output: value,
+        reasons: suspicious,
+      });
+      return null;
+    }
+
+    return senses;
+  } catch (e) {
+    console.warn("⚠️ Senses error:", e?.message);
+    return null;
+  }
+}
+
+/**
+ * Яке зі значень вжито в реченні-контексті.
+ * Спершу дешева перевірка: контекстний переклад DeepL збігається з перекладом значення.
+ * Якщо не вийшло — питаємо Claude. Повертає індекс у senses або null.
+ *
+ * @param {Object} p
+ * @param {string} p.word
+ * @param {string} p.context — речення користувача
+ * @param {Array} p.senses — words.senses
+ * @param {string} [p.contextTranslation] — переклад слова з урахуванням контексту
+ * @param {string} p.sourceLang
+ * @param {string} p.targetLang
+ */
+async function chooseSenseForContext({ word, context, senses, contextTranslation, sourceLang, targetLang }) {
+  if (!Array.isArray(senses) || senses.length < 2 || !context) return null;
+
+  const ct = (contextTranslation || "").trim().toLowerCase();
+  if (ct) {
+    const exact = senses.findIndex((s) => (s.translation || "").trim().toLowerCase() === ct);
+    if (exact !== -1) return exact;
+  }
+
+  if (!llm.isEnabled()) return null;
+
+  const source = languageName(sourceLang);
+  const target = languageName(targetLang);
+  const { system, prompt } = renderPrompt("sense_choice", {
+    word: (word || "").trim(),
+    context,
+    source,
+    target,
+    senses: senses.map((s, i) => ({
+      index: i,
+      part_of_speech: s.part_of_speech || null,
+      translation: s.translation,
+    })),
+  });
+
+  try {
+    const { value } = await llm.callTool("sense_choice", {
+      system,
+      prompt,
+      tool: SENSE_CHOICE_TOOL,
+      fixtureKey: `${sourceLang}:${(word || "").trim().toLowerCase()}`,
+    });
+    const index = value.sense;
+    return Number.isInteger(index) && index < senses.length ? index : null;
+  } catch (e) {
+    console.warn("⚠️ Sense-in-context error:", e?.message);
+    return null;
+  }
+}
+
+/**
+ * Підставити обране користувачем значення у рядок words
+ * (translation / part_of_speech / example_sentence), щоб списки й повторення
+ * показували саме його. Без вибору або з невалідним індексом — рядок як є.
+ */
+function applySense(word, senseIndex) {
+  if (!word) return word;
+  const senses = Array.isArray(word.senses) ? word.senses : [];
+  const sense = Number.isInteger(senseIndex) ? senses[senseIndex] : null;
+  if (!sense) return { ...word, sense_index: null };
+
+  return {
+    ...word,
+    translation: sense.translation || word.translation,
+    part_of_speech: sense.part_of_speech || word.part_of_speech,
+    example_sentence: sense.example || word.example_sentence,
+    sense_index: senseIndex,
+  };
+}
+
+/**
+ * Рядок list_words → слово, як його бачить користувач у списку / повторенні:
+ * обране значення + власне речення-приклад (user_example), якщо воно є.
+ */
+function applyListEntry(word, entry = {}) {
+  const withSense = applySense(word, entry.sense_index);
+  if (!withSense || !entry.user_example) return withSense;
+  return {
+    ...withSense,
+    example_sentence: entry.user_example,
+    user_example: entry.user_example,
+  };
+}
+
+module.exports = { extractSenses, chooseSenseForContext, applySense, applyListEntry, MAX_SENSES };
@@ -0,0 +1,124 @@
+/**
+ * server/services/translator.js — Вибір провайдера перекладу
+ *
+ * Маршрути працюють тільки через цей модуль, а не напряму з DeepL.
+ * Провайдер задається змінною середовища:
+ *
+ *   TRANSLATION_PROVIDER=deepl   (за замовчуванням) — services/providers/deepl.js
+ *   TRANSLATION_PROVIDER=local   — services/providers/localDictionary.js (без мережі)
+ *
+ * Інтерфейс провайдера:
+ *   name: string
+ *   translateText(text, sourceLang, targetLang, { context?, formality?, glossaryId? }) → { translation, detectedLanguage }
+ *   translateBatch(texts, sourceLang, targetLang) → [{ translation, detectedLanguage } | { error }]
+ *   detectLanguage(text, targetLang) → { language, confidence, method, translation? } | null   (необовʼязково;
+ *     translation — переклад text на targetLang, якщо провайдер визначає мову перекладом)
+ *   getLanguages("source"|"target") → [{ language, name }]
+ *   supportsFormality(targetLang) → boolean                                       (необовʼязково)
+ *   createGlossary({ name, sourceLang, targetLang, entries }) → { id }            (необовʼязково)
+ *   deleteGlossary(id)                                                             (необовʼязково)
+ *
+ * Провайдер без formality / глосаріїв просто їх не застосовує: глосарії користувача
+ * все одно працюють для точних збігів слова (services/glossaries.js).
+ *
+ * detectLanguage фасаду: провайдер, а якщо він не вміє або впав — локальна евристика
+ * (services/languageDetect.js).
+ *
+ * isTranslationAvailable() → false, коли вичерпано жорсткий бюджет провайдера (services/usage.js):
+ * маршрути тоді віддають лише кеш, а мову визначає евристика.
+ * Поки circuit breaker провайдера відкритий (lib/resilience.js), виклики одразу падають з
+ * CircuitOpenError, а detectLanguage одразу бере евристику.
+ *
+ * Кеш words спільний для всіх провайдерів: рядок зберігає, хто дав переклад (translation_provider).
+ * acceptsCachedTranslation() — пріоритет: deepl > local. Рядок слабшого провайдера, поки активний
+ * сильніший, — промах: слово перекладається знову, і upsert перезаписує рядок (той самий ключ).
+ * Переклад сильнішого провайдера віддається з кешу й тоді, коли активний слабший.
+ */
+
+const { detectLanguageLocally } = require('./languageDetect');
+const { isOverHardBudget } = require('./usage');
+const { isCircuitClosed } = require('../lib/resilience');
+
+const PROVIDERS = {
+  deepl: () => require('./providers/deepl'),
+  local: () => require('./providers/localDictionary'),
+};
+
+function getProviderName() {
+  const name = (process.env.TRANSLATION_PROVIDER || 'deepl').trim().toLowerCase();
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown TRANSLATION_PROVIDER: ${name} (expected: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return name;
+}
+
+// Від слабшого до сильнішого; рядки без translation_provider — з DeepL (до появи колонки)
+const PROVIDER_PRIORITY = ['local', 'deepl'];
+
+function getProvider() {
+  return PROVIDERS[getProviderName()]();
+}
+
+function isTranslationAvailable() {
+  return !isOverHardBudget(getProviderName());
+}
+
+/**
+ * Чи віддавати з кешу words переклад провайдера providerName: так, якщо він не слабший
+ * за активний або активний зараз недоступний (жорсткий бюджет) — тоді кеш кращий за нічого.
+ */
+function acceptsCachedTranslation(providerName) {
+  const cached = PROVIDER_PRIORITY.indexOf(providerName || 'deepl');
+  return cached >= PROVIDER_PRIORITY.indexOf(getProviderName()) || !isTranslationAvailable();
+}
+
+async function detectLanguage(text, targetLang) {
+  const provider = getProvider();
+  if (typeof provider.detectLanguage === 'function' && isTranslationAvailable() && isCircuitClosed(provider.name)) {
+    try {
+      const detected = await provider.detectLanguage(text, targetLang);
+      if (detected?.language) return detected;
+    } catch (e) {
+      console.warn(`⚠️ ${provider.name} language detection failed, using heuristic:`, e?.message || e);
+    }
+  }
+  const guess = detectLanguageLocally(text);
+  return guess ? { ...guess, method: 'heuristic' } : null;
+}
+
+function supportsFormality(targetLang) {
+  const provider = getProvider();
+  return typeof provider.supportsFormality === 'function' && provider.supportsFormality(targetLang);
+}
+
+/**
+ * @returns {Promise<{ provider: string, id: string } | null>} — null, якщо провайдер не має глосаріїв
+ */
+async function createGlossary(glossary) {
+  const provider = getProvider();
+  if (typeof provider.createGlossary !== 'function') return null;
+  const { id } = await provider.createGlossary(glossary);
+  return { provider: provider.name, id };
+}
+
+/**
+ * Видалити глосарій у провайдера, який його створив (якщо це активний провайдер)
+ */
+async function deleteGlossary(providerName, id) {
+  const provider = getProvider();
+  if (provider.name !== providerName || typeof provider.deleteGlossary !== 'function') return;
+  await provider.deleteGlossary(id);
+}
+
+module.exports = {
+  getProviderName,
+  supportsFormality,
+  createGlossary,
+  deleteGlossary,
+  isTranslationAvailable,
+  acceptsCachedTranslation,
+  translateText: (...args) => getProvider().translateText(...args),
+  translateBatch: (...args) => getProvider().translateBatch(...args),
+  detectLanguage,
+  getLanguages: (...args) => getProvider().getLanguages(...args),
+};
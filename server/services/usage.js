@@ -0,0 +1,272 @@
+/**
+ * server/services/usage.js — Облік витрат платних провайдерів і бюджети
+ *
+ * Що рахуємо (по днях і користувачах, таблиця provider_usage):
+ * - deepl     — символи тексту, відправленого на переклад (DeepL Free: 500,000 символів/місяць)
+ * - anthropic / openai / mock — вхідні і вихідні токени LLM
+ *
+ * Запис: recordUsage() накопичує в памʼяті, flushUsage() раз на USAGE_FLUSH_MS додає
+ * суми в базу (repositories: у Supabase — RPC record_provider_usage, інкремент без гонок
+ * між інстансами).
+ * Користувач — з контексту запиту (lib/requestContext.js); фонові задачі — без користувача.
+ *
+ * Бюджети (0 або не задано — без ліміту):
+ *   DEEPL_CHARS_SOFT_LIMIT   DEEPL_CHARS_HARD_LIMIT   — за календарний місяць; для Free-ключа
+ *                                                      (":fx") за замовчуванням 450000 / 500000
+ *   LLM_TOKENS_SOFT_LIMIT    LLM_TOKENS_HARD_LIMIT    — за добу, лише anthropic
+ * soft — попередження в лог і статус у GET /api/usage;
+ * hard — деградація: переклад лише з кешу, алгоритмічна складність, без ідіом / senses.
+ */
+
+const { usageRepository } = require('../repositories');
+const { currentUserId } = require('../lib/requestContext');
+const metrics = require('../lib/metrics');
+
+const DEFAULT_FLUSH_MS = 30 * 1000;
+// як часто перечитувати суми з бази (там і витрати інших інстансів)
+const RELOAD_MS = 5 * 60 * 1000;
+
+function envLimit(name, fallback) {
+  const raw = (process.env[name] || '').trim();
+  if (!raw) return fallback;
+  const n = parseInt(raw, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// Місячна квота DeepL Free; ключі Pro оплачуються за використання — без ліміту за замовчуванням
+function isDeeplFreeKey() {
+  return (process.env.DEEPL_API_KEY || '').trim().endsWith(':fx');
+}
+
+function budgets() {
+  const deeplFree = isDeeplFreeKey();
+  return {
+    deepl: {
+      period: 'month',
+      unit: 'characters',
+      soft: envLimit('DEEPL_CHARS_SOFT_LIMIT', deeplFree ? 450000 : 0),
+      hard: envLimit('DEEPL_CHARS_HARD_LIMIT', deeplFree ? 500000 : 0),
+    },
+    anthropic: {
+      period: 'day',
+      unit: 'tokens',
+      soft: envLimit('LLM_TOKENS_SOFT_LIMIT', 0),
+      hard: envLimit('LLM_TOKENS_HARD_LIMIT', 0),
+    },
+  };
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function periodStart(period, day = today()) {
+  return period === 'month' ? `${day.slice(0, 7)}-01` : day;
+}
+
+function emptyUsage() {
+  return { characters: 0, input_tokens: 0, output_tokens: 0, calls: 0 };
+}
+
+function addUsage(target, usage) {
+  target.characters += usage.characters || 0;
+  target.input_tokens += usage.input_tokens || 0;
+  target.output_tokens += usage.output_tokens || 0;
+  target.calls += usage.calls || 0;
+}
+
+// Ще не записане в базу: "day|user|provider" → { day, user_id, provider, ...usage }
+let pending = new Map();
+// Суми з бази за поточний місяць: "day|provider" → usage
+let stored = new Map();
+let storedAt = 0;
+// soft-попередження — один раз за період
+const warned = new Set();
+
+/**
+ * Записати витрату одного виклику.
+ *
+ * @param {string} provider — deepl | anthropic | openai | mock
+ * @param {{ characters?: number, inputTokens?: number, outputTokens?: number }} usage
+ */
+function recordUsage(provider, { characters = 0, inputTokens = 0, outputTokens = 0 } = {}) {
+  const day = today();
+  const userId = currentUserId();
+  const key = `${day}|${userId || ''}|${provider}`;
+
+  if (!pending.has(key)) pending.set(key, { day, user_id: userId, provider, ...emptyUsage() });
+  addUsage(pending.get(key), {
+    characters,
+    input_tokens: inputTokens,
+    output_tokens: outputTokens,
+    calls: 1,
+  });
+
+  metrics.increment(`usage.${provider}.calls`);
+  if (characters) metrics.increment(`usage.${provider}.characters`, characters);
+  if (inputTokens) metrics.increment(`usage.${provider}.input_tokens`, inputTokens);
+  if (outputTokens) metrics.increment(`usage.${provider}.output_tokens`, outputTokens);
+
+  warnIfSoftLimit(provider);
+}
+
+/**
+ * Скільки витрачено за поточний період бюджету (база + ще не записане)
+ */
+function usedInPeriod(provider, period) {
+  const from = periodStart(period);
+  const total = emptyUsage();
+  for (const [key, usage] of stored.entries()) {
+    const [day, p] = key.split('|');
+    if (p === provider && day >= from) addUsage(total, usage);
+  }
+  for (const usage of pending.values()) {
+    if (usage.provider === provider && usage.day >= from) addUsage(total, usage);
+  }
+  return total;
+}
+
+function budgetAmount(budget, usage) {
+  return budget.unit === 'characters' ? usage.characters : usage.input_tokens + usage.output_tokens;
+}
+
+/**
+ * @returns {{ period, unit, used, soft, hard, status: 'ok' | 'soft_limit' | 'hard_limit' } | null}
+ */
+function budgetStatus(provider) {
+  const budget = budgets()[provider];
+  if (!budget) return null;
+  const used = budgetAmount(budget, usedInPeriod(provider, budget.period));
+  let status = 'ok';
+  if (budget.hard && used >= budget.hard) status = 'hard_limit';
+  else if (budget.soft && used >= budget.soft) status = 'soft_limit';
+  return { ...budget, used, status };
+}
+
+/**
+ * true — жорсткий бюджет провайдера вичерпано: не викликати його до кінця періоду
+ */
+function isOverHardBudget(provider) {
+  return budgetStatus(provider)?.status === 'hard_limit';
+}
+
+function warnIfSoftLimit(provider) {
+  const status = budgetStatus(provider);
+  if (!status || status.status === 'ok') return;
+  const key = `${provider}|${status.status}|${periodStart(status.period)}`;
+  if (warned.has(key)) return;
+  warned.add(key);
+  console.warn(`⚠️ Бюджет ${provider}: ${status.used}/${status.status === 'hard_limit' ? status.hard : status.soft} ${status.unit} за ${status.period} (${status.status})`);
+}
+
+/**
+ * Перечитати суми поточного місяця з бази
+ */
+async function reloadUsage() {
+  let rows;
+  try {
+    rows = await usageRepository().list({ from: periodStart('month') });
+  } catch (error) {
+    console.warn('⚠️ Usage reload failed:', error.message);
+    return;
+  }
+
+  const next = new Map();
+  for (const row of rows) {
+    const key = `${row.day}|${row.provider}`;
+    if (!next.has(key)) next.set(key, emptyUsage());
+    addUsage(next.get(key), row);
+  }
+  stored = next;
+  storedAt = Date.now();
+}
+
+/**
+ * Записати накопичене в базу. Невдалі записи лишаються в pending до наступної спроби.
+ */
+async function flushUsage() {
+  const batch = pending;
+  pending = new Map();
+
+  for (const [key, usage] of batch.entries()) {
+    try {
+      await usageRepository().add(usage);
+    } catch (error) {
+      console.warn('⚠️ Usage flush failed:', error.message);
+      if (!pending.has(key)) pending.set(key, { ...usage, ...emptyUsage() });
+      addUsage(pending.get(key), usage);
+      continue;
+    }
+
+    const storedKey = `${usage.day}|${usage.provider}`;
+    if (!stored.has(storedKey)) stored.set(storedKey, emptyUsage());
+    addUsage(stored.get(storedKey), usage);
+  }
+
+  if (Date.now() - storedAt > RELOAD_MS) await reloadUsage();
+}
+
+let timer = null;
+
+/**
+ * Завантажити витрати поточного місяця і періодично записувати нові (index.js)
+ */
+async function startUsageTracking() {
+  if (timer) return;
+  await reloadUsage();
+
+  const interval = parseInt(process.env.USAGE_FLUSH_MS, 10) || DEFAULT_FLUSH_MS;
+  const tick = async () => {
+    try {
+      await flushUsage();
+    } catch (e) {
+      console.warn('⚠️ Usage flush error:', e?.message || e);
+    }
+    timer = setTimeout(tick, interval);
+    timer.unref();
+  };
+  timer = setTimeout(tick, interval);
+  timer.unref();
+}
+
+/**
+ * Звіт для GET /api/usage
+ *
+ * @param {{ from: string, to: string }} range — YYYY-MM-DD включно
+ */
+async function usageReport({ from, to }) {
+  // спершу записуємо накопичене, щоб звіт був актуальним
+  await flushUsage();
+
+  const rows = await usageRepository().list({ from, to });
+
+  const byDay = new Map();
+  const byUser = new Map();
+  for (const row of rows) {
+    const dayKey = `${row.day}|${row.provider}`;
+    if (!byDay.has(dayKey)) byDay.set(dayKey, { day: row.day, provider: row.provider, ...emptyUsage() });
+    addUsage(byDay.get(dayKey), row);
+
+    const userKey = `${row.user_id || ''}|${row.provider}`;
+    if (!byUser.has(userKey)) byUser.set(userKey, { user_id: row.user_id, provider: row.provider, ...emptyUsage() });
+    addUsage(byUser.get(userKey), row);
+  }
+
+  return {
+    from,
+    to,
+    budgets: Object.fromEntries(Object.keys(budgets()).map((p) => [p, budgetStatus(p)])),
+    days: Array.from(byDay.values()),
+    users: Array.from(byUser.values())
+      .sort((a, b) => (b.characters + b.input_tokens + b.output_tokens) - (a.characters + a.input_tokens + a.output_tokens)),
+  };
+}
+
+module.exports = {
+  recordUsage,
+  budgetStatus,
+  isOverHardBudget,
+  flushUsage,
+  startUsageTracking,
+  usageReport,
+};
@@ -0,0 +1,126 @@
+/**
+ * server/services/wordCache.js — Читання кешу перекладів words з LRU у памʼяті
+ *
+ * Гарячі слова ("the", "bank") читаються з бази на кожен запит — LRU перед нею
+ * знімає ці запити. У LRU потрапляють лише завершені рядки (enrichment_status = done):
+ * pending-рядок за секунду зміниться.
+ * Переклад слабшого провайдера, ніж активний (services/translator.js, acceptsCachedTranslation),
+ * вважається промахом — слово перекладеться знову.
+ *
+ *   WORD_CACHE_MAX=2000        — записів у LRU
+ *   WORD_CACHE_TTL_MS=600000   — скільки тримати копію (рядок могли оновити інші інстанси)
+ *
+ * Лічильники (GET /api/metrics): word_cache.lru_hit, word_cache.db_hit, word_cache.miss
+ */
+
+const { wordsRepository } = require('../repositories');
+const { createLru } = require('../lib/lru');
+const metrics = require('../lib/metrics');
+const { acceptsCachedTranslation } = require('./translator');
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const lru = createLru({
+  max: envInt('WORD_CACHE_MAX', 2000),
+  ttlMs: envInt('WORD_CACHE_TTL_MS', 10 * 60 * 1000),
+});
+
+metrics.registerGauge('word_cache.size', () => lru.size());
+
+function cacheKey(original, srcLang, tgtLang) {
+  return `${srcLang}>${tgtLang}:${original}`;
+}
+
+function isComplete(row) {
+  return (row?.enrichment_status || 'done') === 'done';
+}
+
+function isServable(row) {
+  return acceptsCachedTranslation(row.translation_provider);
+}
+
+/**
+ * Запамʼятати рядок words (після читання з бази або збереження)
+ */
+function rememberWord(row) {
+  if (!row?.original || !isComplete(row)) return;
+  lru.set(cacheKey(row.original, row.source_lang, row.target_lang), row);
+}
+
+/**
+ * Прибрати рядок з LRU (рядок оновили: збагачення, перезбагачення)
+ */
+function forgetWord({ original, source_lang, target_lang }) {
+  lru.delete(cacheKey(original, source_lang, target_lang));
+}
+
+/**
+ * @returns {Promise<Object|null>} — рядок words або null
+ */
+async function readCachedWord(original, srcLang, tgtLang) {
+  const hit = lru.get(cacheKey(original, srcLang, tgtLang));
+  if (hit && isServable(hit)) {
+    metrics.increment('word_cache.lru_hit');
+    return { ...hit };
+  }
+
+  let row = null;
+  try {
+    row = await wordsRepository().findWord(original, srcLang, tgtLang);
+  } catch (e) {
+    console.warn('⚠️ Cache read error:', e.message);
+  }
+
+  if (!row || !isServable(row)) {
+    metrics.increment('word_cache.miss');
+    return null;
+  }
+  metrics.increment('word_cache.db_hit');
+  rememberWord(row);
+  return row;
+}
+
+/**
+ * Кілька слів однієї пари: LRU, решта — одним запитом до бази.
+ *
+ * @returns {Promise<Map<string, Object>>} — original → рядок words (лише знайдені)
+ */
+async function readCachedWords(originals, srcLang, tgtLang) {
+  const found = new Map();
+  const rest = [];
+  for (const original of originals) {
+    const hit = lru.get(cacheKey(original, srcLang, tgtLang));
+    if (hit && isServable(hit)) found.set(original, { ...hit });
+    else rest.push(original);
+  }
+  metrics.increment('word_cache.lru_hit', found.size);
+
+  if (rest.length > 0) {
+    let rows = [];
+    try {
+      rows = await wordsRepository().findWords(rest, srcLang, tgtLang);
+    } catch (e) {
+      console.warn('⚠️ Batch cache read error:', e.message);
+    }
+
+    const servable = rows.filter(isServable);
+    for (const row of servable) {
+      found.set(row.original, row);
+      rememberWord(row);
+    }
+    metrics.increment('word_cache.db_hit', servable.length);
+    metrics.increment('word_cache.miss', rest.length - servable.length);
+  }
+
+  return found;
+}
+
+module.exports = {
+  readCachedWord,
+  readCachedWords,
+  rememberWord,
+  forgetWord,
+};
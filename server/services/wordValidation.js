@@ -0,0 +1,99 @@
+/**
+ * server/services/wordValidation.js — Евристична перевірка "чи схоже це на слово"
+ *
+ * Запускається ДО кешу і DeepL, щоб не перекладати і не кешувати сміття (xqzvprm, 12345, ...).
+ * Правила залежать від source_lang:
+ * - letters: дозволені літери мови (латиниця + діакритика / українська кирилиця)
+ * - vowels:  голосні; слово без жодної голосної відкидаємо
+ *            (для чеської r/l складотворчі: vlk, krk, čtvrť)
+ *
+ * Для мов без окремого правила — загальне: будь-які Unicode-літери,
+ * а для латиниці — вимога голосної.
+ *
+ * Таблиця прикладів (accepted / rejected) для кожної мови: data/word-validation-samples.json
+ */
+
+const { baseLang } = require('../lib/languageNames');
+
+// Спільне для всіх мов: пробіли, апострофи (' ’ ʼ) і дефіси між словами
+const SEPARATORS = "\\s'’ʼ-";
+
+const LATIN = 'a-z';
+
+const RULES = {
+  EN: { letters: LATIN, vowels: 'aeiouy' },
+  DE: { letters: `${LATIN}äöüß`, vowels: 'aeiouyäöü' },
+  PL: { letters: `${LATIN}ąćęłńóśźż`, vowels: 'aeiouyąęó' },
+  CS: { letters: `${LATIN}áčďéěíňóřšťúůýž`, vowels: 'aeiouyáéěíóúůýrl' },
+  HU: { letters: `${LATIN}áéíóöőúüű`, vowels: 'aeiouáéíóöőúüű' },
+  RO: { letters: `${LATIN}ăâîșțşţ`, vowels: 'aeiouăâî' },
+  LV: { letters: `${LATIN}āčēģīķļņšūž`, vowels: 'aeiouāēīū' },
+  LT: { letters: `${LATIN}ąčęėįšųūž`, vowels: 'aeiouyąęėįųū' },
+  ET: { letters: `${LATIN}äöõüšž`, vowels: 'aeiouäöõü' },
+  SV: { letters: `${LATIN}åäö`, vowels: 'aeiouyåäö' },
+  FR: { letters: `${LATIN}àâæçéèêëîïôœùûüÿ`, vowels: 'aeiouyàâæéèêëîïôœùûüÿ' },
+  IT: { letters: `${LATIN}àèéìíîòóùú`, vowels: 'aeiouàèéìíîòóùú' },
+  ES: { letters: `${LATIN}áéíñóúü`, vowels: 'aeiouyáéíóúü' },
+  // Українська: без ы/э/ъ/ё
+  UK: { letters: 'а-щьюяєіїґ', vowels: 'аеєиіїоуюя' },
+};
+
+// Загальне правило (невідома мова): будь-які літери + діакритичні знаки
+const GENERIC_LETTERS = /^[\p{L}\p{M}\s'’ʼ-]+$/u;
+const LATIN_ONLY = /^[a-z\s'’ʼ-]+$/i;
+const LATIN_VOWELS = /[aeiouy]/i;
+
+// 5+ однакових літер підряд — не слово (естонське jäääär має 4)
+const REPEATED_LETTER = /(\p{L})\1{4,}/u;
+
+const compiled = new Map();
+
+function normalize(s) {
+  return (s || '').normalize('NFC').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Правило для мови (скомпільовані regex) або null, якщо мова не має окремого правила
+ */
+function getValidationRule(sourceLang) {
+  const lang = baseLang(sourceLang);
+  if (!RULES[lang]) return null;
+
+  if (!compiled.has(lang)) {
+    const { letters, vowels } = RULES[lang];
+    compiled.set(lang, {
+      lang,
+      letters: new RegExp(`^[${letters}${SEPARATORS}]+$`, 'iu'),
+      vowel: new RegExp(`[${vowels}]`, 'iu'),
+    });
+  }
+  return compiled.get(lang);
+}
+
+/**
+ * @param {string} input
+ * @param {string} sourceLang — DeepL-код мови оригіналу (EN, PL, DE, ...)
+ * @returns {boolean}
+ */
+function looksLikeWord(input, sourceLang = 'EN') {
+  const s = normalize(input);
+  if (s.length < 2 || s.length > 40) return false;
+  if (REPEATED_LETTER.test(s)) return false;
+
+  const rule = getValidationRule(sourceLang);
+
+  if (rule) {
+    return rule.letters.test(s) && rule.vowel.test(s);
+  }
+
+  // Невідома мова: тільки літери; для латиниці відсікаємо слова без голосних (типу xqzvprm)
+  if (!GENERIC_LETTERS.test(s)) return false;
+  if (LATIN_ONLY.test(s) && !LATIN_VOWELS.test(s)) return false;
+  return true;
+}
+
+module.exports = {
+  looksLikeWord,
+  getValidationRule,
+  SUPPORTED_LANGS: Object.keys(RULES),
+};
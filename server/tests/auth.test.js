@@ -0,0 +1,39 @@
+/**
+ * middleware/requireAuth.js — локальна перевірка JWT Supabase (HS256, SUPABASE_JWT_SECRET)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/app');
+
+let app;
+before(async () => { app = await startTestApp(); });
+after(() => app.close());
+
+async function status(token) {
+  return (await app.request('GET', '/api/lists', { token })).status;
+}
+
+test('valid token is verified locally, without Supabase Auth', async () => {
+  assert.equal(await status(app.tokenFor('alice')), 200);
+  assert.deepEqual(app.supabase.authRequests, []);
+});
+
+test('expired, foreign-audience, foreign-issuer and issuer-less tokens are rejected', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  assert.equal(await status(app.tokenFor('alice', { iat: now - 7200, exp: now - 3600 })), 401);
+  assert.equal(await status(app.tokenFor('alice', { aud: 'another-project' })), 401);
+  assert.equal(await status(app.tokenFor('alice', { iss: 'https://evil.example.com/auth/v1' })), 401);
+  assert.equal(await status(app.tokenFor('alice', { iss: undefined })), 401);
+});
+
+test('unsigned and malformed tokens are rejected', async () => {
+  const [, payload] = app.tokenFor('alice').split('.');
+  const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+  assert.equal(await status(`${header}.${payload}.`), 401);
+  assert.equal(await status('not-a-jwt'), 401);
+
+  const res = await app.request('GET', '/api/lists', { user: undefined, token: undefined });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error, 'Не авторизовано');
+});
@@ -0,0 +1,42 @@
+/**
+ * DATA_BACKEND=memory без SUPABASE_URL / SUPABASE_ANON_KEY / SUPABASE_SERVICE_ROLE_KEY:
+ * сервер стартує, JWT перевіряється лише локально, requireAuth.remote — локальна перевірка
+ * заново плюс відкликані токени (requireAuth.revokeToken)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/app');
+
+let app;
+before(async () => {
+  app = await startTestApp({ env: { SUPABASE_URL: '', SUPABASE_ANON_KEY: '', SUPABASE_SERVICE_ROLE_KEY: '' } });
+});
+after(() => app.close());
+
+test('lists and translation work without Supabase', async () => {
+  const river = await app.translateWord('river');
+  const list = await app.request('POST', '/api/lists', { user: 'alice', body: { name: 'Nature' } });
+  assert.equal(list.status, 201);
+  const added = await app.request('POST', `/api/lists/${list.body.id}/words`, { user: 'alice', body: { wordId: river.id } });
+  assert.equal(added.status, 201);
+  assert.deepEqual(app.supabase.authRequests, []);
+});
+
+test('remote routes check the token locally, a revoked token is rejected everywhere', async () => {
+  const token = app.tokenFor('alice', { session_id: 'memory-logout' });
+  const list = await app.request('POST', '/api/lists', { token, body: { name: 'Temporary' } });
+  assert.equal(list.status, 201);
+
+  const now = Math.floor(Date.now() / 1000);
+  const expired = app.tokenFor('alice', { iat: now - 7200, exp: now - 3600 });
+  assert.equal((await app.request('DELETE', `/api/lists/${list.body.id}`, { token: expired })).status, 401);
+
+  require('../middleware/requireAuth').revokeToken(token);
+  assert.equal((await app.request('DELETE', `/api/lists/${list.body.id}`, { token })).status, 401);
+  assert.equal((await app.request('GET', '/api/lists', { token })).status, 401);
+
+  // адмінський маршрут (requireAuth.remote) — без Supabase Auth
+  assert.equal((await app.request('GET', '/api/metrics', { user: 'admin' })).status, 200);
+  assert.deepEqual(app.supabase.authRequests, []);
+});
@@ -0,0 +1,55 @@
+/**
+ * services/baseScorers.js — алгоритмічна оцінка на таблиці прикладів
+ *
+ * Для кожної мови: [слово, склади, бал]. Окремо — складні буквосполучення (і їхня межа),
+ * норми довжини мови і загальний скорер для мов без запису в реєстрі.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getBaseScore, countSyllables, getScorer } = require('../services/baseScorers');
+
+const SAMPLES = {
+  EN: [['cat', 1, 15], ['house', 1, 25], ['river', 2, 30], ['thoroughly', 3, 65], ['communication', 5, 80]],
+  DE: [['Haus', 1, 15], ['Apfel', 2, 25], ['Freundschaft', 2, 55], ['Schmetterling', 3, 60], ['Geschwindigkeitsbegrenzung', 7, 85]],
+  PL: [['dom', 1, 15], ['nie', 1, 15], ['szczęście', 2, 65], ['przyjaciel', 3, 60]],
+  UK: [['дім', 1, 15], ['вода', 2, 20], ['щастя', 2, 25], ['будинок', 3, 40], ['п’ятниця', 3, 45]],
+  CS: [['vlk', 1, 15], ['krk', 1, 15], ['zmrzlina', 3, 40]],
+  FR: [['table', 1, 25], ['chateau', 2, 35], ['oiseaux', 2, 45]],
+};
+
+for (const [lang, rows] of Object.entries(SAMPLES)) {
+  test(`${lang}: syllables and base score`, () => {
+    assert.equal(getScorer(lang).lang, lang);
+    for (const [word, syllables, score] of rows) {
+      assert.equal(countSyllables(word, lang), syllables, `${lang} "${word}": syllables`);
+      assert.equal(getBaseScore(word, lang), score, `${lang} "${word}": score`);
+    }
+  });
+}
+
+test('hard clusters: +5 each, capped at 20', () => {
+  // однакова довжина і склади — різниця лише в буквосполученнях
+  assert.equal(getBaseScore('think', 'EN') - getBaseScore('brick', 'EN'), 5);
+  assert.equal(getBaseScore('ząb', 'PL') - getBaseScore('kot', 'PL'), 5);
+  // szcz, cz, sz, ę, ś, ć — 30 балів, але не більше 20: 30 + 15 (довжина) + 0 (склади) + 20
+  assert.equal(getBaseScore('szczęście', 'PL'), 65);
+});
+
+test('length norms: the same word is long in English and medium in German', () => {
+  assert.equal(countSyllables('Kalender', 'EN'), countSyllables('Kalender', 'DE'));
+  assert.equal(getBaseScore('Kalender', 'EN'), 55);
+  assert.equal(getBaseScore('Kalender', 'DE'), 40);
+});
+
+test('generic scorer: unknown languages, regional codes go to the base language', () => {
+  for (const lang of ['JA', 'RU', 'XX', '', undefined]) assert.equal(getScorer(lang).lang, 'generic');
+  assert.equal(getScorer('en-gb').lang, 'EN');
+  assert.equal(getScorer('ES-419').lang, 'ES');
+
+  // групи голосних, зокрема кирилиця; без складних буквосполучень
+  assert.equal(countSyllables('молоко', 'RU'), 3);
+  assert.equal(countSyllables('sakura', 'JA'), 3);
+  assert.equal(getBaseScore('молоко', 'RU'), 40);
+  assert.equal(getBaseScore('', 'XX'), 15);
+});
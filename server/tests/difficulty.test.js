@@ -0,0 +1,76 @@
+/**
+ * services/difficulty.js — частотний сигнал (services/frequency.js) в оцінці складності через POST /api/translate
+ *
+ * Частотний список — tests/fixtures/frequency/en.tsv (FREQUENCY_DATA_DIR):
+ *   river — явний C1 (AI каже A2 → межа ±1 крок), apple — rank 300 без рівня (→ A1),
+ *   cat — rank 5000 без рівня (→ B2), house — немає у списку.
+ */
+
+const path = require('node:path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/app');
+const { getBaseScore } = require('../services/baseScorers');
+
+let app;
+before(async () => {
+  app = await startTestApp({ env: { FREQUENCY_DATA_DIR: path.join(__dirname, 'fixtures', 'frequency') } });
+});
+after(() => app.close());
+
+test('frequency: out-of-range AI level is clamped to one step from the list level', async () => {
+  const river = await app.translateWord('river');
+  const factors = river.difficulty_factors;
+
+  assert.equal(factors.source, 'ai+algorithmic+frequency');
+  assert.equal(factors.frequency_rank, 9000);
+  assert.equal(factors.frequency_cefr, 'C1');
+  assert.equal(factors.frequency_list, 'EN');
+  assert.equal(factors.cefr_ai, 'A2');
+  assert.equal(factors.cefr_bounded_by, 'frequency');
+  assert.equal(river.cefr_level, 'B2');
+  // 60% AI + 20% базова + 20% частотна (C1 → 73)
+  assert.equal(river.difficulty_score, Math.round(22 * 0.6 + getBaseScore('river', 'EN') * 0.2 + 73 * 0.2));
+});
+
+test('frequency: level derived from the rank, AI level within bounds is kept', async () => {
+  const apple = await app.translateWord('apple');
+  const factors = apple.difficulty_factors;
+
+  assert.equal(factors.source, 'ai+algorithmic+frequency');
+  assert.equal(factors.frequency_rank, 300);
+  assert.equal(factors.frequency_cefr, 'A1');
+  assert.equal(factors.cefr_bounded_by, undefined);
+  assert.equal(factors.cefr_ai, undefined);
+  assert.equal(apple.cefr_level, 'A1');
+});
+
+test('frequency: AI disabled — algorithmic score blended with the list', async () => {
+  // токени попередніх тестів уже понад жорсткий бюджет — AI вимкнено (services/usage.js)
+  process.env.LLM_TOKENS_HARD_LIMIT = '1';
+  let cat;
+  try {
+    cat = await app.translateWord('cat');
+  } finally {
+    process.env.LLM_TOKENS_HARD_LIMIT = '';
+  }
+  const factors = cat.difficulty_factors;
+
+  assert.equal(factors.source, 'algorithmic+frequency');
+  assert.equal(factors.frequency_rank, 5000);
+  assert.equal(factors.frequency_cefr, 'B2');
+  assert.equal(cat.assessment_variant, 'algorithmic:EN');
+  // 40% базова + 60% частотна (B2 → 58), рівень — не далі ніж ±1 крок від B2
+  assert.equal(cat.difficulty_score, Math.round(getBaseScore('cat', 'EN') * 0.4 + 58 * 0.6));
+  assert.ok(['B1', 'B2', 'C1'].includes(cat.cefr_level));
+});
+
+test('frequency: a word missing from the list gives no signal', async () => {
+  const house = await app.translateWord('house');
+  const factors = house.difficulty_factors;
+
+  assert.equal(factors.source, 'ai+algorithmic');
+  assert.equal(factors.frequency_rank, null);
+  assert.equal(factors.frequency_cefr, null);
+  assert.equal(house.cefr_level, 'A1');
+});
@@ -0,0 +1,160 @@
+/**
+ * /api/glossaries — глосарії користувача (repositories/memory.js, копія глосарію у фейковому DeepL)
+ * і як вони застосовуються до POST /api/translate(/batch)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/app');
+
+const UNKNOWN_ID = '11111111-1111-4111-8111-111111111111';
+
+let app;
+let glossary;
+
+before(async () => { app = await startTestApp(); });
+after(() => app.close());
+
+function create(user, body) {
+  return app.request('POST', '/api/glossaries', { user, body });
+}
+
+test('401 without a token', async () => {
+  assert.equal((await app.request('GET', '/api/glossaries')).status, 401);
+});
+
+test('create: 400 on invalid input', async () => {
+  const entries = [{ source: 'bank', target: 'берег' }];
+  assert.equal((await create('alice', { source_lang: 'EN', target_lang: 'UK', entries })).status, 400);
+  assert.equal((await create('alice', { name: 'Rivers', target_lang: 'UK', entries })).status, 400);
+
+  const same = await create('alice', { name: 'Rivers', source_lang: 'EN-GB', target_lang: 'en', entries });
+  assert.equal(same.status, 400);
+  assert.equal(same.body.error, 'Мови глосарію мають відрізнятися');
+
+  assert.equal((await create('alice', { name: 'Rivers', source_lang: 'EN', target_lang: 'UK', entries: [] })).status, 400);
+
+  const duplicate = await create('alice', {
+    name: 'Rivers',
+    source_lang: 'EN',
+    target_lang: 'UK',
+    entries: [{ source: 'bank', target: 'берег' }, { source: ' Bank ', target: 'банк' }],
+  });
+  assert.equal(duplicate.status, 400);
+  assert.equal(duplicate.body.error, 'Термін "Bank" повторюється');
+
+  assert.equal(app.memory.rows('glossaries').length, 0);
+  assert.equal(app.deepl.glossaries.size, 0);
+});
+
+test('create: saved for the caller with a copy in DeepL', async () => {
+  const res = await create('alice', {
+    name: '  Rivers ',
+    source_lang: 'en-gb',
+    target_lang: 'UK',
+    entries: [{ source: 'bank', target: 'берег' }],
+  });
+
+  assert.equal(res.status, 201);
+  glossary = res.body;
+  assert.equal(glossary.name, 'Rivers');
+  assert.equal(glossary.source_lang, 'EN');
+  assert.equal(glossary.entry_count, 1);
+  assert.equal(glossary.provider, 'deepl');
+  assert.equal('provider_glossary_id' in glossary, false);
+
+  const [row] = app.memory.rows('glossaries');
+  assert.equal(row.user_id, app.users.alice.sub);
+  const copy = app.deepl.glossaries.get(row.provider_glossary_id);
+  assert.equal(copy.source_lang, 'en');
+  assert.deepEqual(copy.entries, [['bank', 'берег']]);
+});
+
+test('create: 409 for a second glossary of the same pair', async () => {
+  const res = await create('alice', { name: 'Again', source_lang: 'EN', target_lang: 'UK', entries: [{ source: 'cat', target: 'кіт' }] });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.glossary_id, glossary.id);
+});
+
+test('create: 502 when DeepL rejects the glossary, nothing is saved', async () => {
+  app.deepl.failNext(400);
+  const res = await create('alice', { name: 'Polish', source_lang: 'EN', target_lang: 'PL', entries: [{ source: 'bank', target: 'brzeg' }] });
+
+  assert.equal(res.status, 502);
+  assert.match(res.body.error, /^Провайдер перекладу не прийняв глосарій/);
+  assert.equal(app.memory.rows('glossaries').length, 1);
+});
+
+test('read: own glossaries only', async () => {
+  const list = await app.request('GET', '/api/glossaries', { user: 'alice' });
+  assert.deepEqual(list.body.map((g) => [g.id, g.entry_count]), [[glossary.id, 1]]);
+  assert.equal(list.body[0].entries, undefined);
+
+  const one = await app.request('GET', `/api/glossaries/${glossary.id}`, { user: 'alice' });
+  assert.deepEqual(one.body.entries, [{ source: 'bank', target: 'берег' }]);
+
+  assert.deepEqual((await app.request('GET', '/api/glossaries', { user: 'bob' })).body, []);
+  const foreign = await app.request('GET', `/api/glossaries/${glossary.id}`, { user: 'bob' });
+  assert.equal(foreign.status, 404);
+  assert.equal(foreign.body.error, 'Глосарій не знайдено');
+});
+
+test('translate: exact term uses the glossary for its owner only', async () => {
+  const own = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'bank', enrichment: 'sync' } });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.translation, 'берег');
+  assert.equal(own.body.provider_translation, 'банк');
+  assert.deepEqual(own.body.glossary, { id: glossary.id, name: 'Rivers', term: 'bank' });
+
+  const other = await app.request('POST', '/api/translate', { user: 'bob', body: { word: 'bank' } });
+  assert.equal(other.body.translation, 'банк');
+  assert.equal(other.body.glossary, undefined);
+
+  // спільний кеш words не змінюється
+  assert.equal((await app.memory.words.findWord('bank', 'EN', 'UK')).translation, 'банк');
+
+  const batch = await app.request('POST', '/api/translate/batch', { user: 'alice', body: { words: ['bank', 'river'] } });
+  assert.equal(batch.body.items[0].translation, 'берег');
+  assert.equal(batch.body.items[1].glossary, undefined);
+});
+
+test('update: 404 / 400, rename keeps the DeepL copy, new entries replace it', async () => {
+  assert.equal((await app.request('PUT', `/api/glossaries/${glossary.id}`, { user: 'bob', body: { name: 'Mine' } })).status, 404);
+  assert.equal((await app.request('PUT', `/api/glossaries/${glossary.id}`, { user: 'alice', body: {} })).status, 400);
+  assert.equal((await app.request('PUT', `/api/glossaries/${glossary.id}`, { user: 'alice', body: { entries: [] } })).status, 400);
+
+  const oldCopy = app.memory.rows('glossaries')[0].provider_glossary_id;
+
+  const renamed = await app.request('PUT', `/api/glossaries/${glossary.id}`, { user: 'alice', body: { name: 'River words' } });
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.body.name, 'River words');
+  assert.equal(app.memory.rows('glossaries')[0].provider_glossary_id, oldCopy);
+
+  const replaced = await app.request('PUT', `/api/glossaries/${glossary.id}`, {
+    user: 'alice',
+    body: { entries: [{ source: 'bank', target: 'узбережжя' }, { source: 'cat', target: 'котик' }] },
+  });
+  assert.equal(replaced.status, 200);
+  assert.equal(replaced.body.entry_count, 2);
+
+  const newCopy = app.memory.rows('glossaries')[0].provider_glossary_id;
+  assert.notEqual(newCopy, oldCopy);
+  assert.deepEqual(Array.from(app.deepl.glossaries.keys()), [newCopy]);
+
+  // кеш глосаріїв користувача скинуто — переклад одразу з новим терміном
+  const res = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'bank' } });
+  assert.equal(res.body.translation, 'узбережжя');
+});
+
+test('delete: 404 for someone else\'s glossary, owner removes it with the DeepL copy', async () => {
+  assert.equal((await app.request('DELETE', `/api/glossaries/${glossary.id}`, { user: 'bob' })).status, 404);
+  assert.equal((await app.request('DELETE', `/api/glossaries/${UNKNOWN_ID}`, { user: 'alice' })).status, 404);
+
+  const res = await app.request('DELETE', `/api/glossaries/${glossary.id}`, { user: 'alice' });
+  assert.deepEqual(res.body, { success: true });
+  assert.equal(app.memory.rows('glossaries').length, 0);
+  assert.equal(app.deepl.glossaries.size, 0);
+
+  const translated = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'bank' } });
+  assert.equal(translated.body.translation, 'банк');
+});
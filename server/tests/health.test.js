@@ -0,0 +1,99 @@
+/**
+ * GET /api/health, GET /api/metrics, GET /api/languages
+ *
+ * Лічильники /api/metrics: обʼєднання однакових паралельних промахів (lib/inflight.js) і LRU слів.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/app');
+
+let app;
+before(async () => { app = await startTestApp(); });
+after(() => app.close());
+
+test('health: ok while both providers are reachable', async () => {
+  const res = await app.request('GET', '/api/health');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'ok');
+  assert.deepEqual(Object.keys(res.body.providers).sort(), ['anthropic', 'deepl']);
+  assert.equal(res.body.providers.deepl.state, 'closed');
+});
+
+test('metrics: process snapshot for admins only', async () => {
+  assert.equal((await app.request('GET', '/api/metrics')).status, 401);
+  assert.equal((await app.request('GET', '/api/metrics', { user: 'alice' })).status, 403);
+
+  const res = await app.request('GET', '/api/metrics', { user: 'admin' });
+  assert.equal(res.status, 200);
+  assert.equal(typeof res.body.counters, 'object');
+  assert.equal(res.body.gauges['translate.inflight'], 0);
+});
+
+test('coalescing: two identical concurrent misses — one DeepL call, one Claude run, one upsert', async () => {
+  const counters = async () => (await app.request('GET', '/api/metrics', { user: 'admin' })).body.counters;
+  const delta = (after, before, name) => (after[name] || 0) - (before[name] || 0);
+
+  const upsert = app.memory.words.upsertWords;
+  let upserts = 0;
+  app.memory.words.upsertWords = (rows) => {
+    upserts++;
+    return upsert(rows);
+  };
+
+  try {
+    const before = await counters();
+    const deeplCalls = app.deepl.translations().length;
+    const claudeCalls = app.anthropic.calls.length;
+
+    const body = { word: 'bank', enrichment: 'sync' };
+    const [first, second] = await Promise.all([
+      app.request('POST', '/api/translate', { user: 'alice', body }),
+      app.request('POST', '/api/translate', { user: 'bob', body }),
+    ]);
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    assert.equal(first.body.id, second.body.id);
+    assert.equal([first, second].filter((r) => r.body._coalesced).length, 1);
+    assert.equal(app.deepl.translations(deeplCalls).length, 1);
+    // record_difficulty + record_senses — один раз на обидва запити
+    assert.equal(app.anthropic.calls.length - claudeCalls, 2);
+    assert.equal(upserts, 1);
+
+    const afterMisses = await counters();
+    assert.equal(delta(afterMisses, before, 'translate.coalesced'), 1);
+    assert.equal(delta(afterMisses, before, 'word_cache.miss'), 2);
+    assert.equal(delta(afterMisses, before, 'word_cache.lru_hit'), 0);
+
+    // збережений рядок — уже в LRU
+    const cached = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'bank' } });
+    assert.equal(cached.body._source, 'cache');
+    const afterHit = await counters();
+    assert.equal(delta(afterHit, afterMisses, 'word_cache.lru_hit'), 1);
+    assert.equal(delta(afterHit, afterMisses, 'translate.coalesced'), 0);
+  } finally {
+    app.memory.words.upsertWords = upsert;
+  }
+});
+
+test('languages: DeepL down — fallback list, not cached', async () => {
+  app.deepl.failNext(503, 2);
+  const res = await app.request('GET', '/api/languages');
+  assert.equal(res.status, 200);
+  assert.ok(res.body.source.some((l) => l.language === 'UK'));
+  assert.ok(!res.body.source.some((l) => l.language === 'JA'), 'fallback list, not the recorded one');
+  app.resilience.resetCircuits();
+});
+
+test('languages: recorded DeepL lists, cached after the first call', async () => {
+  const res = await app.request('GET', '/api/languages');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.source.map((l) => l.language), ['DE', 'EN', 'JA', 'PL', 'UK']);
+  assert.equal(res.body.target.find((l) => l.language === 'DE').supports_formality, true);
+
+  const calls = app.deepl.requests.filter((r) => r.path === '/languages').length;
+  const again = await app.request('GET', '/api/languages');
+  assert.equal(again.status, 200);
+  assert.equal(app.deepl.requests.filter((r) => r.path === '/languages').length, calls);
+});
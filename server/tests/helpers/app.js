@@ -0,0 +1,209 @@
+/**
+ * tests/helpers/app.js — Express-застосунок з index.js поверх фейкових Supabase, DeepL і Anthropic
+ *
+ * Кожен файл тестів node --test виконується в окремому процесі, тож на файл — один застосунок:
+ *
+ *   const { startTestApp } = require('./helpers/app');
+ *   let app;
+ *   before(async () => { app = await startTestApp(); });
+ *   after(() => app.close());
+ *
+ *   const res = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'bank' } });
+ *   res.status; res.body; res.headers.get('retry-after');
+ *
+ * Змінні середовища задаються всі явно (порожній рядок — "не задано"), бо dotenv не
+ * перевизначає наявні змінні: локальний .env чи ключі з оболонки не потраплять у тести.
+ * Дані списків / слів / прогресу — DATA_BACKEND=memory (app.memory), решта — у fakeSupabase;
+ * startTestApp({ env: { DATA_BACKEND: 'supabase' } }) — усе у fakeSupabase (app.supabase.rows).
+ */
+
+const { signToken } = require('./tokens');
+const { createFakeSupabase } = require('./fakeSupabase');
+const { createFakeDeepl } = require('./fakeDeepl');
+const { createFakeAnthropic } = require('./fakeAnthropic');
+
+const JWT_SECRET = 'test-jwt-secret-with-at-least-32-characters';
+const ANON_KEY = 'test-anon-key';
+const SERVICE_KEY = 'test-service-role-key';
+
+// Тестові користувачі: request(..., { user: 'alice' })
+const USERS = {
+  alice: { sub: '00000000-0000-4000-8000-00000000a11c', email: 'alice@example.com' },
+  bob: { sub: '00000000-0000-4000-8000-000000000b0b', email: 'bob@example.com' },
+  admin: { sub: '00000000-0000-4000-8000-0000000ad111', email: 'admin@example.com' },
+  guest: { sub: '00000000-0000-4000-8000-00000000a707', is_anonymous: true, role: 'authenticated' },
+};
+
+function testEnv({ supabase, deepl, anthropic }) {
+  return {
+    PORT: '',
+    DATA_BACKEND: 'memory',
+
+    SUPABASE_URL: supabase.url,
+    SUPABASE_ANON_KEY: ANON_KEY,
+    SUPABASE_SERVICE_ROLE_KEY: SERVICE_KEY,
+    SUPABASE_JWT_SECRET: JWT_SECRET,
+    SUPABASE_JWKS_URL: '',
+    SUPABASE_JWT_AUDIENCE: '',
+    JWKS_CACHE_MS: '',
+    JWT_CLOCK_SKEW_S: '',
+    AUTH_CACHE_TTL_MS: '',
+    AUTH_REMOTE_CHECK: '',
+    ADMIN_EMAILS: USERS.admin.email,
+
+    TRANSLATION_PROVIDER: 'deepl',
+    DEEPL_API_KEY: 'test-deepl-key:fx',
+    DEEPL_API_URL: deepl.url,
+    DEEPL_TIMEOUT_MS: '5000',
+    DEEPL_CHARS_SOFT_LIMIT: '',
+    DEEPL_CHARS_HARD_LIMIT: '',
+    LOCAL_DICTIONARY_PATH: '',
+
+    LLM_PROVIDER: 'anthropic',
+    ANTHROPIC_API_KEY: 'test-anthropic-key',
+    ANTHROPIC_BASE_URL: anthropic.url,
+    ANTHROPIC_AUTH_TOKEN: '',
+    CLAUDE_MODEL_ID: '',
+    LLM_MODEL: '',
+    LLM_API_KEY: '',
+    LLM_BASE_URL: '',
+    LLM_FIXTURES_PATH: '',
+    LLM_TEMPERATURE: '',
+    LLM_TIMEOUT_MS: '5000',
+    LLM_TOKENS_SOFT_LIMIT: '',
+    LLM_TOKENS_HARD_LIMIT: '',
+    LEMMATIZER_AI: '',
+    FREQUENCY_DATA_DIR: '',
+
+    // збої провайдерів — одразу, без пауз між повторами
+    RESILIENCE_RETRIES: '0',
+    RESILIENCE_BASE_DELAY_MS: '1',
+    RESILIENCE_MAX_DELAY_MS: '1',
+    RESILIENCE_MAX_ELAPSED_MS: '',
+    RETRY_AFTER_MAX_MS: '1',
+    CIRCUIT_FAILURE_THRESHOLD: '',
+    CIRCUIT_COOLDOWN_MS: '',
+
+    TRANSLATE_RATE_LIMIT: '',
+    TRANSLATE_DAILY_QUOTA: '',
+    TRANSLATE_DAILY_QUOTA_ANON: '',
+    USAGE_FLUSH_MS: '',
+    WORD_CACHE_MAX: '',
+    WORD_CACHE_TTL_MS: '',
+    ENRICHMENT_CONCURRENCY: '',
+    REENRICH_ENABLED: '',
+    REENRICH_INTERVAL_MS: '',
+    REENRICH_IDLE_MS: '',
+    REENRICH_BATCH_SIZE: '',
+    REENRICH_CONCURRENCY: '',
+  };
+}
+
+/**
+ * Запустити фейки і застосунок.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] — перевизначити змінні середовища (до завантаження index.js)
+ */
+async function startTestApp({ env = {} } = {}) {
+  const supabase = await createFakeSupabase({ jwtSecret: JWT_SECRET, anonKey: ANON_KEY, serviceKey: SERVICE_KEY });
+  const deepl = await createFakeDeepl();
+  const anthropic = await createFakeAnthropic();
+
+  Object.assign(process.env, testEnv({ supabase, deepl, anthropic }), env);
+
+  // логи запитів і збагачення лише заважають читати вивід тестів
+  if (!process.env.TEST_VERBOSE) {
+    for (const method of ['log', 'warn', 'error']) console[method] = () => {};
+  }
+
+  const app = require('../../index');
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /** Access token тестового користувача (USERS) або довільних claims */
+  function tokenFor(user, claims = {}) {
+    const base = typeof user === 'string' ? USERS[user] : user;
+    if (!base) throw new Error(`Unknown test user: ${user}`);
+    return signToken({ iss: `${supabase.url}/auth/v1`, ...base, ...claims }, JWT_SECRET);
+  }
+
+  /**
+   * HTTP-запит до застосунку
+   *
+   * @param {string} method
+   * @param {string} path — /api/...
+   * @param {Object} [options]
+   * @param {Object} [options.body] — JSON
+   * @param {string} [options.user] — ключ USERS (Bearer-токен цього користувача)
+   * @param {string} [options.token] — готовий токен (має пріоритет над user)
+   * @returns {Promise<{ status: number, headers: Headers, body: any, text: string }>}
+   */
+  async function request(method, path, { body, user, token } = {}) {
+    const headers = {};
+    const bearer = token || (user ? tokenFor(user) : null);
+    if (bearer) headers.Authorization = `Bearer ${bearer}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let parsed = null;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch (e) {
+      parsed = null;
+    }
+    return { status: res.status, headers: res.headers, body: parsed, text };
+  }
+
+  /**
+   * Дочекатися, поки черга збагатить слово (GET /api/translate/enrichment/:id не pending)
+   */
+  async function waitForEnrichment(id, { user = 'alice', timeoutMs = 5000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const res = await request('GET', `/api/translate/enrichment/${id}`, { user });
+      if (res.status !== 200 || res.body.enrichment !== 'pending') return res;
+      if (Date.now() > deadline) throw new Error(`Enrichment of ${id} is still pending after ${timeoutMs}ms`);
+      await new Promise((r) => setTimeout(r, 20));
+    }
+  }
+
+  /**
+   * Перекласти й зберегти слово (enrichment: sync) — id для тестів списків і повторення
+   */
+  async function translateWord(word, { user = 'alice', ...body } = {}) {
+    const res = await request('POST', '/api/translate', { user, body: { word, enrichment: 'sync', ...body } });
+    if (res.status !== 200 || !res.body.id) {
+      throw new Error(`Translate "${word}" failed: ${res.status} ${res.text}`);
+    }
+    return res.body;
+  }
+
+  return {
+    baseUrl,
+    request,
+    tokenFor,
+    waitForEnrichment,
+    translateWord,
+    users: USERS,
+    supabase,
+    deepl,
+    anthropic,
+    memory: require('../../repositories/memory'),
+    resilience: require('../../lib/resilience'),
+    async close() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      await Promise.all([supabase.close(), deepl.close(), anthropic.close()]);
+    },
+  };
+}
+
+module.exports = { startTestApp, USERS };
@@ -0,0 +1,72 @@
+/**
+ * tests/helpers/fakeAnthropic.js — Фейковий Anthropic Messages API на записаних відповідях
+ *
+ * Сервер викликає Claude через справжній SDK (services/llmProviders/anthropic.js) з
+ * ANTHROPIC_BASE_URL на цей сервер. Відповідь — записана відповідь API з
+ * tests/fixtures/anthropic.json за ключем "<інструмент>:<слово>", де слово — поле word
+ * (або input для ідіом) з блоку <user_data> промпту; "<інструмент>:*" — для решти слів.
+ * Запису немає — 400 invalid_request_error (сервіси беруть свої fallback-и).
+ *
+ * anthropic.calls — журнал викликів: { tool, key, data } (data — розібраний <user_data>).
+ * anthropic.failNext(status, times) — збої API (529 overloaded, 500...).
+ */
+
+const { listen, readJson, sendJson } = require('./http');
+const fixtures = require('../fixtures/anthropic.json');
+
+const USER_DATA = /<user_data>\n([\s\S]*?)\n<\/user_data>/;
+
+function userData(prompt) {
+  const match = USER_DATA.exec(String(prompt || ''));
+  return match ? JSON.parse(match[1]) : {};
+}
+
+function apiError(status, type, message) {
+  return { status, body: { type: 'error', error: { type, message } } };
+}
+
+async function createFakeAnthropic() {
+  const calls = [];
+  const failures = [];
+
+  function respond(body) {
+    const tool = body.tool_choice?.name;
+    const data = userData(body.messages?.[0]?.content);
+    const key = String(data.word ?? data.input ?? '').toLowerCase();
+    calls.push({ tool, key, data });
+
+    if (failures.length > 0) {
+      const status = failures.shift();
+      return apiError(status, status === 529 ? 'overloaded_error' : 'api_error', `Fake Anthropic failure ${status}`);
+    }
+
+    const recorded = fixtures[`${tool}:${key}`] || fixtures[`${tool}:*`];
+    if (!recorded) return apiError(400, 'invalid_request_error', `No recorded response for ${tool}:${key}`);
+    return { status: 200, body: { ...recorded, model: body.model } };
+  }
+
+  const server = await listen(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method !== 'POST' || url.pathname !== '/v1/messages') {
+      return sendJson(res, 404, { type: 'error', error: { type: 'not_found_error', message: url.pathname } });
+    }
+    if (!req.headers['x-api-key']) {
+      return sendJson(res, 401, { type: 'error', error: { type: 'authentication_error', message: 'x-api-key header is required' } });
+    }
+    const { status, body } = respond(await readJson(req));
+    return sendJson(res, status, body);
+  });
+
+  return {
+    url: server.url,
+    close: server.close,
+    calls,
+    failNext: (status, times = 1) => {
+      for (let i = 0; i < times; i++) failures.push(status);
+    },
+    /** Виклики певного інструмента (record_difficulty, record_senses...) */
+    callsOf: (tool) => calls.filter((c) => c.tool === tool),
+  };
+}
+
+module.exports = { createFakeAnthropic };
@@ -0,0 +1,127 @@
+/**
+ * tests/helpers/fakeDeepl.js — Фейковий DeepL API v2 на записаних відповідях (tests/fixtures/deepl.json)
+ *
+ *   POST /translate   — переклад з фікстур за парою "EN>UK" і текстом (з context — спершу contexts);
+ *                       тексту немає у фікстурах — повертається як є (так DeepL поводиться з
+ *                       невідомими словами й назвами). glossary_id — точний збіг терміна має пріоритет
+ *   GET  /languages   — списки мов з фікстур (type=source | target)
+ *   POST /glossaries, DELETE /glossaries/:id — глосарії в памʼяті
+ *
+ * deepl.failNext(status, times, { retryAfter }) — наступні запити отримають помилку (збої провайдера),
+ *   retryAfter — заголовок Retry-After у секундах.
+ * deepl.requests — журнал запитів: { method, path, params, at } (params — поля форми / JSON, at — Date.now()).
+ */
+
+const crypto = require('crypto');
+const { listen, readBody, sendJson } = require('./http');
+const fixtures = require('../fixtures/deepl.json');
+
+function baseLang(code) {
+  return String(code || '').toUpperCase().split('-')[0];
+}
+
+// text може повторюватись (кілька текстів в одному запиті), решта полів — по одному
+function parseForm(raw) {
+  const form = new URLSearchParams(raw);
+  const params = {};
+  for (const key of new Set(form.keys())) params[key] = key === 'text' ? form.getAll(key) : form.get(key);
+  return params;
+}
+
+async function createFakeDeepl() {
+  const glossaries = new Map();
+  const requests = [];
+  const failures = [];
+
+  function translateOne(text, { source, target, context, glossaryId }) {
+    const pair = `${source}>${baseLang(target)}`;
+    const glossary = glossaryId ? glossaries.get(glossaryId) : null;
+    const term = glossary?.entries.find(([from]) => from.toLowerCase() === text.toLowerCase());
+    const inContext = context ? fixtures.contexts?.[pair]?.[text]?.[context] : undefined;
+    const recorded = fixtures.translations[pair]?.[text];
+    return {
+      detected_source_language: source,
+      text: term ? term[1] : inContext ?? recorded ?? text,
+    };
+  }
+
+  function detect(texts) {
+    const sample = texts.join(' ');
+    const match = Object.entries(fixtures.detect || {}).find(([, words]) => words.some((w) => sample.includes(w)));
+    return match ? match[0] : 'EN';
+  }
+
+  const server = await listen(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const raw = await readBody(req);
+    const isJson = String(req.headers['content-type'] || '').includes('application/json');
+    const params = isJson ? JSON.parse(raw || '{}') : parseForm(raw);
+    requests.push({ method: req.method, path: url.pathname, params, at: Date.now() });
+
+    if (!String(req.headers.authorization || '').startsWith('DeepL-Auth-Key ')) {
+      return sendJson(res, 403, { message: 'Authorization failure, check auth_key' });
+    }
+    if (failures.length > 0) {
+      const { status, retryAfter } = failures.shift();
+      const headers = retryAfter != null ? { 'Retry-After': String(retryAfter) } : {};
+      return sendJson(res, status, { message: `Fake DeepL failure ${status}` }, headers);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/translate') {
+      const texts = params.text || [];
+      const source = params.source_lang ? baseLang(params.source_lang) : detect(texts);
+      return sendJson(res, 200, {
+        translations: texts.map((text) => translateOne(text, {
+          source,
+          target: params.target_lang,
+          context: params.context,
+          glossaryId: params.glossary_id,
+        })),
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/languages') {
+      return sendJson(res, 200, fixtures.languages[url.searchParams.get('type') || 'source'] || []);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/glossaries') {
+      const id = crypto.randomUUID();
+      const entries = String(params.entries || '').split('\n').filter(Boolean).map((line) => line.split('\t'));
+      glossaries.set(id, { ...params, entries });
+      return sendJson(res, 201, {
+        glossary_id: id,
+        name: params.name,
+        ready: true,
+        source_lang: String(params.source_lang).toLowerCase(),
+        target_lang: String(params.target_lang).toLowerCase(),
+        creation_time: new Date().toISOString(),
+        entry_count: entries.length,
+      });
+    }
+
+    const glossaryPath = url.pathname.match(/^\/glossaries\/([^/]+)$/);
+    if (req.method === 'DELETE' && glossaryPath) {
+      if (!glossaries.delete(decodeURIComponent(glossaryPath[1]))) {
+        return sendJson(res, 404, { message: 'Glossary not found' });
+      }
+      return sendJson(res, 204);
+    }
+
+    return sendJson(res, 404, { message: `Not found: ${req.method} ${url.pathname}` });
+  });
+
+  return {
+    url: server.url,
+    close: server.close,
+    requests,
+    glossaries,
+    /** Наступні times запитів отримають HTTP status (retryAfter — секунди в Retry-After) */
+    failNext: (status, times = 1, { retryAfter = null } = {}) => {
+      for (let i = 0; i < times; i++) failures.push({ status, retryAfter });
+    },
+    /** Запити перекладу (POST /translate) з певного моменту: deepl.translations(since) */
+    translations: (since = 0) => requests.slice(since).filter((r) => r.path === '/translate'),
+  };
+}
+
+module.exports = { createFakeDeepl };
@@ -0,0 +1,482 @@
+/**
+ * tests/helpers/fakeSupabase.js — Фейковий Supabase: PostgREST (/rest/v1) + Auth (/auth/v1/user)
+ *
+ * Зазвичай дані тестів живуть у репозиторії DATA_BACKEND=memory, а сюди йдуть глосарії і
+ * віддалена перевірка токена. З DATA_BACKEND=supabase (tests/repositories.test.js) тут же —
+ * слова, списки, прогрес, квоти, облік витрат і карантин LLM (repositories/supabase.js).
+ *
+ * Ролі — як у Supabase: ключ service role бачить усе, anon-ключ — лише words,
+ * JWT користувача (HS256, спільний секрет) — words і власні рядки (RLS: lists / glossaries /
+ * user_word_progress — user_id = sub, list_words — через свій список).
+ * Таблиці без політик (translate_quota, provider_usage, llm_quarantine) — лише service role;
+ * RPC — теж лише service role, з тією ж семантикою, що функції з міграцій.
+ *
+ * PostgREST підтримано в межах того, що будує сервер: select (колонки через кому, вкладені
+ * ресурси lists → list_words → words, list_words(count)), фільтри eq / neq / gt / gte / lt /
+ * lte / in / is, or=(...), jsonb-шлях колонка->>ключ, order, limit, insert / upsert
+ * (on_conflict) / update / delete (каскад list_words разом зі списком), зовнішні ключі
+ * на words, Prefer: return=representation, Accept: application/vnd.pgrst.object+json.
+ *
+ *   const supabase = await createFakeSupabase({ jwtSecret, anonKey, serviceKey });
+ *   supabase.url; supabase.rows('glossaries'); supabase.revokeUser(id); await supabase.close();
+ */
+
+const crypto = require('crypto');
+const { listen, readJson, sendJson } = require('./http');
+const { verifyToken } = require('./tokens');
+
+const OBJECT_MEDIA_TYPE = 'application/vnd.pgrst.object+json';
+
+const TABLES = {
+  words: {
+    // читають усі (і anon), пише лише service role
+    publicRead: true,
+    unique: [['id'], ['original', 'source_lang', 'target_lang']],
+    defaults: () => ({ id: crypto.randomUUID(), created_at: new Date().toISOString() }),
+  },
+  lists: {
+    owner: 'user_id',
+    unique: [['id']],
+    cascade: [{ table: 'list_words', column: 'list_id' }],
+    defaults: () => ({
+      id: crypto.randomUUID(),
+      description: null,
+      language_mix_policy: 'ASK',
+      created_at: new Date().toISOString(),
+    }),
+  },
+  list_words: {
+    // RLS через список: list_id — список користувача
+    ownedBy: (row, uid, tables) => tables.get('lists').some((l) => l.id === row.list_id && l.user_id === uid),
+    unique: [['list_id', 'word_id']],
+    foreignKeys: [{ column: 'word_id', table: 'words' }],
+    defaults: () => ({ sense_index: null, user_example: null, added_at: new Date().toISOString() }),
+  },
+  user_word_progress: {
+    owner: 'user_id',
+    unique: [['user_id', 'word_id']],
+    foreignKeys: [{ column: 'word_id', table: 'words' }],
+    defaults: () => ({}),
+  },
+  glossaries: {
+    owner: 'user_id',
+    unique: [['id'], ['user_id', 'source_lang', 'target_lang']],
+    defaults: () => ({
+      id: crypto.randomUUID(),
+      entries: [],
+      provider: null,
+      provider_glossary_id: null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    }),
+  },
+  translate_quota: {
+    unique: [['user_id', 'day']],
+    defaults: () => ({ used: 0, updated_at: new Date().toISOString() }),
+  },
+  provider_usage: {
+    unique: [['id'], ['day', 'provider', 'user_id']],
+    defaults: () => ({ characters: 0, input_tokens: 0, output_tokens: 0, calls: 0, updated_at: new Date().toISOString() }),
+  },
+  llm_quarantine: {
+    unique: [['id']],
+    defaults: () => ({ id: crypto.randomUUID(), created_at: new Date().toISOString() }),
+  },
+};
+
+// Вкладені ресурси select: таблиця → назва → { table, local, foreign, many }
+const RELATIONS = {
+  lists: { list_words: { table: 'list_words', local: 'id', foreign: 'list_id', many: true } },
+  list_words: { words: { table: 'words', local: 'word_id', foreign: 'id', many: false } },
+};
+
+function pgError(status, code, message, details = null) {
+  return { status, body: { code, message, details, hint: null } };
+}
+
+// --- Запит PostgREST → фільтри / сортування / колонки ---
+
+function parseList(raw) {
+  // in.(a,"b,c") → ['a', 'b,c']
+  const out = [];
+  let current = '';
+  let quoted = false;
+  for (const ch of raw) {
+    if (ch === '"') quoted = !quoted;
+    else if (ch === ',' && !quoted) {
+      out.push(current);
+      current = '';
+    } else current += ch;
+  }
+  out.push(current);
+  return out;
+}
+
+function compare(a, b) {
+  const x = Number(a);
+  const y = Number(b);
+  if (a !== '' && b !== '' && Number.isFinite(x) && Number.isFinite(y)) return x - y;
+  return String(a).localeCompare(String(b));
+}
+
+// Розбити за комами верхнього рівня: "a,b(c,d)" → ['a', 'b(c,d)']
+function splitTopLevel(raw) {
+  const out = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of raw) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) {
+      out.push(current);
+      current = '';
+    } else current += ch;
+  }
+  if (current) out.push(current);
+  return out;
+}
+
+// колонка або jsonb-шлях "prompt_versions->>difficulty" (значення як текст, відсутній ключ — null)
+function fieldOf(column) {
+  const [name, key] = column.split('->>');
+  if (key === undefined) return (row) => row[name];
+  return (row) => (row[name]?.[key] == null ? null : String(row[name][key]));
+}
+
+function parseFilter(column, expression) {
+  const dot = expression.indexOf('.');
+  const op = expression.slice(0, dot);
+  const value = expression.slice(dot + 1);
+  const field = fieldOf(column);
+  switch (op) {
+    case 'eq': return (row) => field(row) != null && String(field(row)) === value;
+    case 'neq': return (row) => field(row) != null && String(field(row)) !== value;
+    case 'gt': return (row) => field(row) != null && compare(field(row), value) > 0;
+    case 'gte': return (row) => field(row) != null && compare(field(row), value) >= 0;
+    case 'lt': return (row) => field(row) != null && compare(field(row), value) < 0;
+    case 'lte': return (row) => field(row) != null && compare(field(row), value) <= 0;
+    case 'in': {
+      const values = new Set(parseList(value.replace(/^\(|\)$/g, '')));
+      return (row) => field(row) != null && values.has(String(field(row)));
+    }
+    case 'is': return (row) => (value === 'null' ? field(row) == null : String(field(row)) === value);
+    default: throw new Error(`Unsupported PostgREST operator: ${op}`);
+  }
+}
+
+// or=(a.is.null,b.neq.x) — хоча б одна умова
+function parseOr(value) {
+  const conditions = parseList(value.replace(/^\(|\)$/g, '')).map((part) => {
+    const dot = part.indexOf('.');
+    return parseFilter(part.slice(0, dot), part.slice(dot + 1));
+  });
+  return (row) => conditions.some((c) => c(row));
+}
+
+// select=*,list_words(word_id,words(*)) → [{ column: '*' }, { embed: 'list_words', select: [...] }]
+function parseSelect(raw) {
+  return splitTopLevel(raw).filter(Boolean).map((item) => {
+    const open = item.indexOf('(');
+    if (open === -1) return { column: item };
+    return { embed: item.slice(0, open), select: parseSelect(item.slice(open + 1, -1)) };
+  });
+}
+
+const RESERVED_PARAMS = new Set(['select', 'order', 'limit', 'offset', 'on_conflict', 'columns', 'or']);
+
+function parseQuery(searchParams) {
+  const filters = [];
+  for (const [key, value] of searchParams) {
+    if (key === 'or') filters.push(parseOr(value));
+    else if (!RESERVED_PARAMS.has(key)) filters.push(parseFilter(key, value));
+  }
+  const select = parseSelect(searchParams.get('select') || '*');
+  const order = (searchParams.get('order') || '').split(',').filter(Boolean).map((part) => {
+    const [column, direction] = part.split('.');
+    return { column, desc: direction === 'desc' };
+  });
+  const limit = searchParams.has('limit') ? Number(searchParams.get('limit')) : null;
+  return {
+    match: (row) => filters.every((f) => f(row)),
+    select,
+    order,
+    limit,
+    onConflict: (searchParams.get('on_conflict') || '').split(',').filter(Boolean),
+  };
+}
+
+function sortRows(rows, order) {
+  if (order.length === 0) return rows;
+  return [...rows].sort((a, b) => {
+    for (const { column, desc } of order) {
+      const diff = compare(a[column] ?? '', b[column] ?? '');
+      if (diff !== 0) return desc ? -diff : diff;
+    }
+    return 0;
+  });
+}
+
+// --- Сервер ---
+
+async function createFakeSupabase({ jwtSecret, anonKey, serviceKey }) {
+  const tables = new Map(Object.keys(TABLES).map((name) => [name, []]));
+  const revokedUsers = new Set();
+  const authRequests = [];
+
+  function roleOf(req) {
+    const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (bearer === serviceKey) return { role: 'service_role' };
+    if (!bearer || bearer === anonKey) return { role: 'anon' };
+    const claims = verifyToken(bearer, jwtSecret);
+    if (!claims) return null;
+    return { role: 'authenticated', uid: claims.sub };
+  }
+
+  // Чи бачить роль рядок (mode 'read') / чи може змінити або записати його ('write')
+  function allowed(table, role, row, mode = 'write') {
+    if (role.role === 'service_role') return true;
+    const def = TABLES[table];
+    if (mode === 'read' && def.publicRead) return true;
+    if (role.role !== 'authenticated') return false;
+    if (def.owner) return row[def.owner] === role.uid;
+    if (def.ownedBy) return def.ownedBy(row, role.uid, tables);
+    return false;
+  }
+
+  function project(table, row, select, role) {
+    let out = {};
+    for (const item of select) {
+      if (item.column === '*') out = { ...out, ...structuredClone(row) };
+      else if (item.column) out[item.column] = structuredClone(row[item.column] ?? null);
+      else {
+        const relation = RELATIONS[table]?.[item.embed];
+        if (!relation) throw new Error(`Unsupported embedded resource: ${table}.${item.embed}`);
+        const related = tables.get(relation.table)
+          .filter((r) => allowed(relation.table, role, r, 'read') && r[relation.foreign] === row[relation.local]);
+        if (item.select.length === 1 && item.select[0].column === 'count') {
+          out[item.embed] = [{ count: related.length }];
+        } else if (relation.many) {
+          out[item.embed] = related.map((r) => project(relation.table, r, item.select, role));
+        } else {
+          out[item.embed] = related[0] ? project(relation.table, related[0], item.select, role) : null;
+        }
+      }
+    }
+    return out;
+  }
+
+  function foreignKeyViolation(table, row) {
+    for (const fk of TABLES[table].foreignKeys || []) {
+      if (row[fk.column] == null) continue;
+      if (!tables.get(fk.table).some((r) => r.id === row[fk.column])) {
+        return pgError(409, '23503', `insert or update on table "${table}" violates foreign key constraint "${table}_${fk.column}_fkey"`);
+      }
+    }
+    return null;
+  }
+
+  function conflictWith(table, row, ignore) {
+    for (const columns of TABLES[table].unique) {
+      if (columns.some((c) => row[c] === undefined)) continue;
+      const other = tables.get(table).find((r) => r !== ignore && columns.every((c) => (r[c] ?? null) === (row[c] ?? null)));
+      if (other) return { columns, other };
+    }
+    return null;
+  }
+
+  function uniqueViolation(table, columns) {
+    return pgError(409, '23505', `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`);
+  }
+
+  function rlsViolation(table) {
+    return pgError(403, '42501', `new row violates row-level security policy for table "${table}"`);
+  }
+
+  function insertRows(table, role, rows, { upsert, onConflict }) {
+    const saved = [];
+    for (const input of rows) {
+      if (!allowed(table, role, input)) return { error: rlsViolation(table) };
+      const keyColumns = onConflict.length > 0 ? onConflict : TABLES[table].unique[0];
+      const existing = upsert
+        ? tables.get(table).find((r) => keyColumns.every((c) => (r[c] ?? null) === (input[c] ?? null)))
+        : null;
+      if (existing) {
+        if (!allowed(table, role, existing)) return { error: rlsViolation(table) };
+        Object.assign(existing, input);
+        saved.push(existing);
+        continue;
+      }
+      const row = { ...TABLES[table].defaults(), ...input };
+      const fkError = foreignKeyViolation(table, row);
+      if (fkError) return { error: fkError };
+      const conflict = conflictWith(table, row, null);
+      if (conflict) return { error: uniqueViolation(table, conflict.columns) };
+      tables.get(table).push(row);
+      saved.push(row);
+    }
+    return { rows: saved };
+  }
+
+  // --- RPC (security definer, виконує лише service role) ---
+
+  const RPC = {
+    consume_translate_quota({ p_user_id, p_day, p_amount, p_limit }) {
+      const rows = tables.get('translate_quota');
+      let row = rows.find((r) => r.user_id === p_user_id && r.day === p_day);
+      if (!row) {
+        row = { ...TABLES.translate_quota.defaults(), user_id: p_user_id, day: p_day };
+        rows.push(row);
+      }
+      if (p_amount <= 0 || p_limit <= 0 || row.used + p_amount <= p_limit) {
+        row.used = Math.max(0, row.used + p_amount);
+        row.updated_at = new Date().toISOString();
+        return [{ allowed: true, total: row.used }];
+      }
+      return [{ allowed: false, total: row.used }];
+    },
+
+    record_provider_usage({ p_day, p_user_id, p_provider, p_characters, p_input_tokens, p_output_tokens, p_calls }) {
+      const rows = tables.get('provider_usage');
+      let row = rows.find((r) => r.day === p_day && r.provider === p_provider && r.user_id === p_user_id);
+      if (!row) {
+        row = { ...TABLES.provider_usage.defaults(), id: rows.length + 1, day: p_day, provider: p_provider, user_id: p_user_id };
+        rows.push(row);
+      }
+      row.characters += p_characters;
+      row.input_tokens += p_input_tokens;
+      row.output_tokens += p_output_tokens;
+      row.calls += p_calls;
+      return undefined;
+    },
+  };
+
+  async function handleRest(req, res, url) {
+    const role = roleOf(req);
+    if (!role) return sendJson(res, 401, { code: 'PGRST301', message: 'JWT invalid', details: null, hint: null });
+
+    const path = url.pathname.replace(/^\/rest\/v1\//, '');
+    const body = ['POST', 'PATCH'].includes(req.method) ? await readJson(req) : null;
+
+    if (path.startsWith('rpc/')) {
+      const name = path.slice(4);
+      if (!RPC[name]) return sendJson(res, 404, { code: 'PGRST202', message: `Could not find the function public.${name}` });
+      if (role.role !== 'service_role') {
+        return sendJson(res, 403, { code: '42501', message: `permission denied for function ${name}` });
+      }
+      return sendJson(res, 200, RPC[name](body || {}) ?? null);
+    }
+
+    const table = path;
+    if (!TABLES[table]) {
+      return sendJson(res, 404, { code: 'PGRST205', message: `Could not find the table 'public.${table}' in the schema cache` });
+    }
+
+    const query = parseQuery(url.searchParams);
+    const prefer = String(req.headers.prefer || '');
+    const wantsObject = String(req.headers.accept || '').includes(OBJECT_MEDIA_TYPE);
+    const visible = (mode) => tables.get(table).filter((row) => allowed(table, role, row, mode) && query.match(row));
+
+    let result;
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      result = { rows: visible('read') };
+    } else if (req.method === 'POST') {
+      result = insertRows(table, role, Array.isArray(body) ? body : [body], {
+        upsert: prefer.includes('resolution=merge-duplicates'),
+        onConflict: query.onConflict,
+      });
+    } else if (req.method === 'PATCH') {
+      const rows = visible('write');
+      for (const row of rows) {
+        const updated = { ...row, ...body };
+        if (!allowed(table, role, updated)) {
+          result = { error: rlsViolation(table) };
+          break;
+        }
+        const conflict = conflictWith(table, updated, row);
+        if (conflict) {
+          result = { error: uniqueViolation(table, conflict.columns) };
+          break;
+        }
+      }
+      if (!result) {
+        rows.forEach((row) => Object.assign(row, body));
+        result = { rows };
+      }
+    } else if (req.method === 'DELETE') {
+      const rows = visible('write');
+      tables.set(table, tables.get(table).filter((row) => !rows.includes(row)));
+      for (const { table: child, column } of TABLES[table].cascade || []) {
+        const ids = new Set(rows.map((row) => row.id));
+        tables.set(child, tables.get(child).filter((row) => !ids.has(row[column])));
+      }
+      result = { rows };
+    } else {
+      return sendJson(res, 405, { message: `Method ${req.method} not allowed` });
+    }
+
+    if (result.error) return sendJson(res, result.error.status, result.error.body);
+
+    const isRead = req.method === 'GET' || req.method === 'HEAD';
+    if (!isRead && !prefer.includes('return=representation')) {
+      return sendJson(res, req.method === 'POST' ? 201 : 204);
+    }
+
+    let rows = sortRows(result.rows, query.order);
+    if (query.limit != null) rows = rows.slice(0, query.limit);
+    rows = rows.map((row) => project(table, row, query.select, role));
+
+    if (wantsObject) {
+      if (rows.length !== 1) {
+        return sendJson(res, 406, {
+          code: 'PGRST116',
+          message: 'JSON object requested, multiple (or no) rows returned',
+          details: `The result contains ${rows.length} rows`,
+          hint: null,
+        });
+      }
+      return sendJson(res, isRead ? 200 : 201, rows[0]);
+    }
+    return sendJson(res, isRead ? 200 : 201, rows);
+  }
+
+  function handleAuthUser(req, res) {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const claims = verifyToken(token, jwtSecret);
+    authRequests.push(claims?.sub || null);
+    if (!claims) return sendJson(res, 401, { code: 401, error_code: 'bad_jwt', msg: 'invalid JWT: unable to parse or verify signature' });
+    if (revokedUsers.has(claims.sub)) {
+      return sendJson(res, 403, { code: 403, error_code: 'user_not_found', msg: 'User from sub claim in JWT does not exist' });
+    }
+    return sendJson(res, 200, {
+      id: claims.sub,
+      aud: claims.aud,
+      role: claims.role,
+      email: claims.email || '',
+      phone: claims.phone || '',
+      is_anonymous: !!claims.is_anonymous,
+      app_metadata: claims.app_metadata || {},
+      user_metadata: claims.user_metadata || {},
+      created_at: new Date(claims.iat * 1000).toISOString(),
+    });
+  }
+
+  const server = await listen(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname.startsWith('/rest/v1/')) return handleRest(req, res, url);
+    if (url.pathname === '/auth/v1/user' && req.method === 'GET') return handleAuthUser(req, res);
+    return sendJson(res, 404, { message: `Not found: ${req.method} ${url.pathname}` });
+  });
+
+  return {
+    url: server.url,
+    close: server.close,
+    /** Копії рядків таблиці (для перевірок у тестах) */
+    rows: (table) => structuredClone(tables.get(table) || []),
+    /** Auth відповідатиме 403 на токени цього користувача (видалений / заблокований) */
+    revokeUser: (id) => revokedUsers.add(id),
+    /** sub токенів, з якими сервер звертався до /auth/v1/user */
+    authRequests,
+  };
+}
+
+module.exports = { createFakeSupabase };
@@ -0,0 +1,55 @@
+/**
+ * tests/helpers/http.js — Дрібниці для фейкових HTTP-серверів (Supabase, DeepL, Anthropic)
+ */
+
+const http = require('http');
+
+/**
+ * HTTP-сервер на випадковому порту
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+function listen(handler) {
+  const server = http.createServer((req, res) => {
+    Promise.resolve(handler(req, res)).catch((e) => {
+      if (!res.headersSent) sendJson(res, 500, { message: e.message });
+      else res.end();
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => {
+          server.closeAllConnections();
+          server.close(() => done());
+        }),
+      });
+    });
+  });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+async function readJson(req) {
+  const body = await readBody(req);
+  return body ? JSON.parse(body) : null;
+}
+
+function sendJson(res, status, body, headers = {}) {
+  if (body === undefined) {
+    res.writeHead(status, headers);
+    return res.end();
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  return res.end(JSON.stringify(body));
+}
+
+module.exports = { listen, readBody, readJson, sendJson };
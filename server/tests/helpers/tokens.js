@@ -0,0 +1,45 @@
+/**
+ * tests/helpers/tokens.js — Access token-и Supabase Auth для тестів (HS256, спільний секрет)
+ *
+ * signToken({ sub: 'user-1', email: 'a@b.c' }, secret) — як токен, виданий Supabase Auth:
+ * aud "authenticated", role "authenticated", exp через годину. Поля payload перевизначають типові.
+ */
+
+const crypto = require('crypto');
+
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function signToken(payload, secret) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = {
+    aud: 'authenticated',
+    role: 'authenticated',
+    iat: now,
+    exp: now + 3600,
+    is_anonymous: false,
+    ...payload,
+  };
+  const input = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url(body)}`;
+  const signature = crypto.createHmac('sha256', secret).update(input).digest('base64url');
+  return `${input}.${signature}`;
+}
+
+/**
+ * claims або null (підпис не той, токен прострочений)
+ */
+function verifyToken(token, secret) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest('base64url');
+  if (expected !== parts[2]) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return claims.exp * 1000 > Date.now() ? claims : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = { signToken, verifyToken };
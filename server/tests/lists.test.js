@@ -0,0 +1,246 @@
+/**
+ * /api/lists, /api/suggest-list — списки користувача (DATA_BACKEND=memory, правила власності як у RLS)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/app');
+
+const UNKNOWN_ID = '11111111-1111-4111-8111-111111111111';
+
+let app;
+let words;
+
+before(async () => {
+  app = await startTestApp();
+  // рядки кешу words — як після перекладу
+  const [bank, river, apple, rzeka] = await app.memory.words.upsertWords([
+    {
+      original: 'bank',
+      source_lang: 'EN',
+      target_lang: 'UK',
+      translation: 'банк',
+      cefr_level: 'A2',
+      part_of_speech: 'noun',
+      example_sentence: 'I keep my savings in the bank.',
+      senses: [
+        { part_of_speech: 'noun', translation: 'банк', example: 'She works at a bank.' },
+        { part_of_speech: 'noun', translation: 'берег', example: 'We had a picnic on the river bank.' },
+      ],
+    },
+    { original: 'river', source_lang: 'EN', target_lang: 'UK', translation: 'річка', cefr_level: 'A2', part_of_speech: 'noun', senses: null },
+    { original: 'apple', source_lang: 'EN', target_lang: 'UK', translation: 'яблуко', cefr_level: 'A1', part_of_speech: 'noun', senses: null },
+    { original: 'river', source_lang: 'EN', target_lang: 'PL', translation: 'rzeka', cefr_level: 'A2', part_of_speech: 'noun', senses: null },
+  ]);
+  words = { bank, river, apple, rzeka };
+});
+after(() => app.close());
+
+async function createList(user, name) {
+  const res = await app.request('POST', '/api/lists', { user, body: { name, emoji: '🌊' } });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+async function addWord(user, listId, body) {
+  return app.request('POST', `/api/lists/${listId}/words`, { user, body });
+}
+
+async function listPolicy(user, listId) {
+  const res = await app.request('GET', '/api/lists', { user });
+  return res.body.find((l) => l.id === listId).language_mix_policy;
+}
+
+test('401 without a token', async () => {
+  assert.equal((await app.request('GET', '/api/lists')).status, 401);
+  assert.equal((await app.request('POST', '/api/lists', { body: { name: 'x' } })).status, 401);
+});
+
+test('create: name is required, the list belongs to the caller', async () => {
+  const missing = await app.request('POST', '/api/lists', { user: 'alice', body: { name: '  ' } });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error, "Назва обов'язкова");
+
+  const list = await createList('alice', '  Travel  ');
+  assert.equal(list.name, 'Travel');
+  assert.equal(list.user_id, app.users.alice.sub);
+  assert.equal(list.language_mix_policy, 'ASK');
+
+  const own = await app.request('GET', '/api/lists', { user: 'alice' });
+  assert.deepEqual(own.body.map((l) => [l.name, l.word_count]), [['Travel', 0]]);
+  assert.deepEqual((await app.request('GET', '/api/lists', { user: 'bob' })).body, []);
+});
+
+test('add word: validation and 404s', async () => {
+  const list = await createList('alice', 'Validation');
+
+  assert.equal((await addWord('alice', list.id, {})).status, 400);
+  assert.equal((await addWord('alice', list.id, { wordId: words.bank.id, senseIndex: -1 })).status, 400);
+  assert.equal((await addWord('alice', list.id, { wordId: words.bank.id, userExample: 42 })).status, 400);
+
+  const noSense = await addWord('alice', list.id, { wordId: words.river.id, senseIndex: 0 });
+  assert.equal(noSense.status, 400);
+  assert.equal(noSense.body.error, 'Такого значення у слова немає');
+
+  const noList = await addWord('alice', UNKNOWN_ID, { wordId: words.bank.id });
+  assert.equal(noList.status, 404);
+  assert.equal(noList.body.error, 'Список не знайдено');
+
+  const noWord = await addWord('alice', list.id, { wordId: UNKNOWN_ID });
+  assert.equal(noWord.status, 404);
+  assert.equal(noWord.body.error, 'Слово не знайдено');
+
+  // чужий список — як неіснуючий
+  const foreign = await addWord('bob', list.id, { wordId: words.bank.id });
+  assert.equal(foreign.status, 404);
+});
+
+test('add word: chosen sense and own example are shown in the list', async () => {
+  const list = await createList('alice', 'Nature');
+
+  const added = await addWord('alice', list.id, {
+    wordId: words.bank.id,
+    senseIndex: 1,
+    userExample: '  We sat on the bank of the river.  ',
+  });
+  assert.equal(added.status, 201);
+  assert.equal(added.body.sense_index, 1);
+  assert.equal(added.body.user_example, 'We sat on the bank of the river.');
+
+  const res = await app.request('GET', `/api/lists/${list.id}`, { user: 'alice' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(Object.keys(res.body).sort(), ['created_at', 'emoji', 'id', 'name', 'word_count', 'words']);
+  assert.equal(res.body.word_count, 1);
+  const [bank] = res.body.words;
+  assert.equal(bank.translation, 'берег');
+  assert.equal(bank.sense_index, 1);
+  assert.equal(bank.example_sentence, 'We sat on the bank of the river.');
+
+  assert.equal((await app.request('GET', `/api/lists/${list.id}`, { user: 'bob' })).status, 404);
+  assert.equal((await app.request('GET', `/api/lists/${UNKNOWN_ID}`, { user: 'alice' })).status, 404);
+});
+
+test('LANG_MIX_CONFIRM: another language pair needs confirmation, rememberChoice allows mixing', async () => {
+  const list = await createList('alice', 'Rivers');
+  assert.equal((await addWord('alice', list.id, { wordId: words.river.id })).status, 201);
+
+  const conflict = await addWord('alice', list.id, { wordId: words.rzeka.id });
+  assert.equal(conflict.status, 409);
+  assert.equal(conflict.body.code, 'LANG_MIX_CONFIRM');
+  assert.equal(conflict.body.list_pair, 'EN→UK');
+  assert.equal(conflict.body.new_pair, 'EN→PL');
+
+  const confirmed = await addWord('alice', list.id, { wordId: words.rzeka.id, forceMix: true, rememberChoice: true });
+  assert.equal(confirmed.status, 201);
+  assert.equal(await listPolicy('alice', list.id), 'ALLOW');
+
+  const detail = await app.request('GET', `/api/lists/${list.id}`, { user: 'alice' });
+  assert.deepEqual(detail.body.words.map((w) => w.target_lang).sort(), ['PL', 'UK']);
+});
+
+test('LANG_MIX_CONFIRM: forceMix alone adds the word but keeps asking for the list', async () => {
+  const list = await createList('alice', 'Polish rivers');
+  assert.equal((await addWord('alice', list.id, { wordId: words.rzeka.id })).status, 201);
+
+  const forced = await addWord('alice', list.id, { wordId: words.apple.id, forceMix: true });
+  assert.equal(forced.status, 201);
+  assert.equal(await listPolicy('alice', list.id), 'ASK');
+});
+
+test('suggest-list: 400 / 404, then the list with the most similar words', async () => {
+  assert.equal((await app.request('GET', '/api/suggest-list', { user: 'alice' })).status, 400);
+  assert.equal((await app.request('GET', `/api/suggest-list?wordId=${UNKNOWN_ID}`, { user: 'alice' })).status, 404);
+
+  const res = await app.request('GET', `/api/suggest-list?wordId=${words.apple.id}`, { user: 'alice' });
+  assert.equal(res.status, 200);
+  // A1-іменник apple: найсхожий — список з apple (A1) і rzeka (іменник)
+  assert.equal(res.body.suggested_list_name, 'Polish rivers');
+  assert.equal(res.body.reason, 'Similar words by level and type');
+
+  const bob = await app.request('GET', `/api/suggest-list?wordId=${words.apple.id}`, { user: 'bob' });
+  assert.equal(bob.body.suggested_list_id, null);
+});
+
+test('move-words: validation, keeps sense and example, cannot move into another user\'s list', async () => {
+  const from = await createList('alice', 'Inbox');
+  const to = await createList('alice', 'Archive');
+  await addWord('alice', from.id, { wordId: words.bank.id, senseIndex: 1, userExample: 'A steep bank.' });
+  await addWord('alice', from.id, { wordId: words.apple.id });
+
+  const move = (user, body) => app.request('POST', '/api/lists/move-words', { user, body });
+  assert.equal((await move('alice', { toListId: to.id, wordIds: [words.bank.id] })).status, 400);
+  assert.equal((await move('alice', { fromListId: from.id, toListId: from.id, wordIds: [words.bank.id] })).status, 400);
+  assert.equal((await move('alice', { fromListId: from.id, toListId: to.id, wordIds: [] })).status, 400);
+
+  const moved = await move('alice', { fromListId: from.id, toListId: to.id, wordIds: [words.bank.id] });
+  assert.equal(moved.status, 200);
+  assert.deepEqual(moved.body, { success: true, moved: 1 });
+
+  const [target, source] = await Promise.all([
+    app.request('GET', `/api/lists/${to.id}`, { user: 'alice' }),
+    app.request('GET', `/api/lists/${from.id}`, { user: 'alice' }),
+  ]);
+  assert.equal(target.body.words[0].translation, 'берег');
+  assert.equal(target.body.words[0].user_example, 'A steep bank.');
+  assert.deepEqual(source.body.words.map((w) => w.original), ['apple']);
+
+  // вставка в чужий список — помилка RLS, зі старого списку нічого не зникає
+  const bobList = await createList('bob', 'Bob');
+  const foreign = await move('alice', { fromListId: from.id, toListId: bobList.id, wordIds: [words.apple.id] });
+  assert.equal(foreign.status, 500);
+  const after = await app.request('GET', `/api/lists/${from.id}`, { user: 'alice' });
+  assert.equal(after.body.word_count, 1);
+  assert.equal((await app.request('GET', `/api/lists/${bobList.id}`, { user: 'bob' })).body.word_count, 0);
+});
+
+test('remove words: one, bulk, validation', async () => {
+  const list = await createList('alice', 'Cleanup');
+  for (const word of [words.bank, words.river, words.apple]) await addWord('alice', list.id, { wordId: word.id });
+
+  const one = await app.request('DELETE', `/api/lists/${list.id}/words/${words.bank.id}`, { user: 'alice' });
+  assert.deepEqual(one.body, { success: true });
+
+  const empty = await app.request('POST', `/api/lists/${list.id}/words/bulk-delete`, { user: 'alice', body: { wordIds: [] } });
+  assert.equal(empty.status, 400);
+
+  const bulk = await app.request('POST', `/api/lists/${list.id}/words/bulk-delete`, {
+    user: 'alice',
+    body: { wordIds: [words.river.id, words.apple.id] },
+  });
+  assert.deepEqual(bulk.body, { success: true, deleted: 2 });
+  assert.equal((await app.request('GET', `/api/lists/${list.id}`, { user: 'alice' })).body.word_count, 0);
+});
+
+test('delete list: only the owner can, entries go with it', async () => {
+  const list = await createList('alice', 'Temporary');
+  await addWord('alice', list.id, { wordId: words.apple.id });
+
+  // чужий список — "не існує": відповідь успішна, але нічого не видалено
+  const foreign = await app.request('DELETE', `/api/lists/${list.id}`, { user: 'bob' });
+  assert.equal(foreign.status, 200);
+  assert.equal((await app.request('GET', `/api/lists/${list.id}`, { user: 'alice' })).status, 200);
+
+  const own = await app.request('DELETE', `/api/lists/${list.id}`, { user: 'alice' });
+  assert.deepEqual(own.body, { success: true });
+  assert.equal((await app.request('GET', `/api/lists/${list.id}`, { user: 'alice' })).status, 404);
+  assert.deepEqual(await app.memory.forUser({ user: { id: app.users.alice.sub } }).listEntries(list.id), []);
+});
+
+test('revoked session: sensitive routes ask Supabase Auth, the rest trust the signed token', async () => {
+  const carol = { sub: '00000000-0000-4000-8000-0000000ca201', email: 'carol@example.com' };
+  const token = app.tokenFor(carol);
+
+  const created = await app.request('POST', '/api/lists', { token, body: { name: 'Carol' } });
+  assert.equal(created.status, 201);
+  const added = await app.request('POST', `/api/lists/${created.body.id}/words`, { token, body: { wordId: words.apple.id } });
+  assert.equal(added.status, 201);
+
+  app.supabase.revokeUser(carol.sub);
+
+  const remote = await app.request('DELETE', `/api/lists/${created.body.id}/words/${words.apple.id}`, { token });
+  assert.equal(remote.status, 401);
+  assert.ok(app.supabase.authRequests.includes(carol.sub));
+
+  // токен, який Auth відхилив, більше не проходить і локальну перевірку
+  assert.equal((await app.request('GET', '/api/lists', { token })).status, 401);
+});
@@ -0,0 +1,60 @@
+/**
+ * lib/lru.js — витіснення найдавніше використаного запису і TTL
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLru } = require('../lib/lru');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+test('eviction: over max the least recently used entry goes first', () => {
+  const lru = createLru({ max: 2 });
+  lru.set('a', 1);
+  lru.set('b', 2);
+  assert.equal(lru.get('a'), 1); // a — тепер найсвіжіший
+  lru.set('c', 3);
+
+  assert.equal(lru.size(), 2);
+  assert.equal(lru.get('b'), undefined);
+  assert.equal(lru.get('a'), 1);
+  assert.equal(lru.get('c'), 3);
+});
+
+test('set: an existing key is updated and refreshed, not duplicated', () => {
+  const lru = createLru({ max: 2 });
+  lru.set('a', 1);
+  lru.set('b', 2);
+  lru.set('a', 10);
+  lru.set('c', 3);
+
+  assert.equal(lru.size(), 2);
+  assert.equal(lru.get('a'), 10);
+  assert.equal(lru.get('b'), undefined);
+});
+
+test('ttl: expired entries are missing and removed, get does not extend the ttl', async () => {
+  const lru = createLru({ max: 10, ttlMs: 40 });
+  lru.set('a', 1);
+  await sleep(25);
+  assert.equal(lru.get('a'), 1);
+  lru.set('b', 2);
+  await sleep(25);
+
+  assert.equal(lru.get('a'), undefined);
+  assert.equal(lru.get('b'), 2);
+  assert.equal(lru.size(), 1);
+});
+
+test('ttl 0: entries never expire; delete and clear', async () => {
+  const lru = createLru({ max: 10 });
+  lru.set('a', 1);
+  lru.set('b', 2);
+  await sleep(5);
+  assert.equal(lru.get('a'), 1);
+
+  assert.equal(lru.delete('a'), true);
+  assert.equal(lru.get('a'), undefined);
+  lru.clear();
+  assert.equal(lru.size(), 0);
+});
@@ -0,0 +1,133 @@
+/**
+ * /api/practice — слова для повторення, статистика і збереження результату
+ *
+ * Слово "до повторення" (due): прогресу ще немає або next_review уже настав.
+ * Вивчене (mastered): repetitions >= 5 і ease_factor >= 2.3.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/app');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let app;
+let words;
+let list;
+
+function progress(wordId, { daysFromNow, repetitions = 1, easeFactor = 2.5 }) {
+  return app.request('POST', '/api/practice/result', {
+    user: 'alice',
+    body: {
+      wordId,
+      quality: 4,
+      newProgress: {
+        ease_factor: easeFactor,
+        interval_days: Math.max(1, daysFromNow),
+        repetitions,
+        next_review: new Date(Date.now() + daysFromNow * DAY_MS).toISOString(),
+      },
+    },
+  });
+}
+
+before(async () => {
+  app = await startTestApp();
+  const rows = await app.memory.words.upsertWords(['cat', 'dog', 'book', 'house', 'apple'].map((original) => ({
+    original,
+    source_lang: 'EN',
+    target_lang: 'UK',
+    translation: `${original} (uk)`,
+    cefr_level: 'A1',
+    part_of_speech: 'noun',
+    senses: original === 'book'
+      ? [
+          { part_of_speech: 'noun', translation: 'книга', example: 'A good book.' },
+          { part_of_speech: 'verb', translation: 'бронювати', example: 'Book a table.' },
+        ]
+      : null,
+  })));
+  words = Object.fromEntries(rows.map((w) => [w.original, w]));
+
+  list = (await app.request('POST', '/api/lists', { user: 'alice', body: { name: 'Practice' } })).body;
+  const other = (await app.request('POST', '/api/lists', { user: 'alice', body: { name: 'Other' } })).body;
+  for (const word of ['cat', 'dog', 'book', 'house']) {
+    const body = { wordId: words[word].id, ...(word === 'book' ? { senseIndex: 1 } : {}) };
+    assert.equal((await app.request('POST', `/api/lists/${list.id}/words`, { user: 'alice', body })).status, 201);
+  }
+  // те саме слово у двох списках рахується один раз, apple — лише в іншому списку
+  await app.request('POST', `/api/lists/${other.id}/words`, { user: 'alice', body: { wordId: words.cat.id } });
+  await app.request('POST', `/api/lists/${other.id}/words`, { user: 'alice', body: { wordId: words.apple.id } });
+
+  // cat — без прогресу; dog — повторення прострочене; book — пізніше; house — вивчене
+  assert.equal((await progress(words.dog.id, { daysFromNow: -1 })).status, 200);
+  assert.equal((await progress(words.book.id, { daysFromNow: 3 })).status, 200);
+  assert.equal((await progress(words.house.id, { daysFromNow: 30, repetitions: 6, easeFactor: 2.6 })).status, 200);
+});
+after(() => app.close());
+
+test('401 without a token', async () => {
+  assert.equal((await app.request('GET', '/api/practice/stats')).status, 401);
+  assert.equal((await app.request('GET', `/api/practice/${list.id}`)).status, 401);
+});
+
+test('list: only due words — without progress or with next_review in the past', async () => {
+  const res = await app.request('GET', `/api/practice/${list.id}`, { user: 'alice' });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 4);
+  assert.equal(res.body.due, 2);
+  const byWord = Object.fromEntries(res.body.words.map((w) => [w.original, w]));
+  assert.deepEqual(Object.keys(byWord).sort(), ['cat', 'dog']);
+  assert.equal(byWord.cat.progress, null);
+  assert.equal(byWord.cat.is_due, true);
+  assert.equal(byWord.dog.progress.repetitions, 1);
+});
+
+test('all: every word of the list with the chosen sense', async () => {
+  const res = await app.request('GET', `/api/practice/${list.id}/all`, { user: 'alice' });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.words.length, 4);
+  const book = res.body.words.find((w) => w.original === 'book');
+  assert.equal(book.translation, 'бронювати');
+  assert.equal(book.part_of_speech, 'verb');
+});
+
+test('stats: unique words of all lists, due and mastered', async () => {
+  const res = await app.request('GET', '/api/practice/stats', { user: 'alice' });
+  assert.equal(res.status, 200);
+  // cat, dog, apple — до повторення; house — вивчене; book — пізніше
+  assert.deepEqual(res.body, { due: 3, mastered: 1, total: 5 });
+});
+
+test('another user sees neither the list nor the progress', async () => {
+  const practice = await app.request('GET', `/api/practice/${list.id}`, { user: 'bob' });
+  assert.deepEqual(practice.body, { total: 0, due: 0, words: [] });
+
+  const all = await app.request('GET', `/api/practice/${list.id}/all`, { user: 'bob' });
+  assert.deepEqual(all.body, { words: [] });
+
+  const stats = await app.request('GET', '/api/practice/stats', { user: 'bob' });
+  assert.deepEqual(stats.body, { due: 0, mastered: 0, total: 0 });
+});
+
+test('result: 400 without required fields', async () => {
+  const res = await app.request('POST', '/api/practice/result', { user: 'alice', body: { wordId: words.cat.id, quality: 5 } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "wordId, quality та newProgress обов'язкові");
+});
+
+test('result: saved progress moves the word out of the due list', async () => {
+  const saved = await progress(words.cat.id, { daysFromNow: 1 });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.word_id, words.cat.id);
+  assert.equal(saved.body.user_id, app.users.alice.sub);
+  assert.equal(saved.body.last_result, 4);
+
+  const res = await app.request('GET', `/api/practice/${list.id}`, { user: 'alice' });
+  assert.deepEqual(res.body.words.map((w) => w.original), ['dog']);
+
+  const stats = await app.request('GET', '/api/practice/stats', { user: 'alice' });
+  assert.deepEqual(stats.body, { due: 2, mastered: 1, total: 5 });
+});
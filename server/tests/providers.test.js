@@ -0,0 +1,186 @@
+/**
+ * Збої провайдерів: помилки DeepL / Claude, повтори і circuit breaker (lib/resilience.js), /api/health
+ *
+ * CIRCUIT_FAILURE_THRESHOLD=2 — breaker відкривається після двох збоїв поспіль.
+ * Повтори в тестах вимкнені (RESILIENCE_RETRIES=0); тести повторів вмикають їх через withRetries.
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/app');
+
+let app;
+before(async () => {
+  app = await startTestApp({ env: { CIRCUIT_FAILURE_THRESHOLD: '2', CIRCUIT_COOLDOWN_MS: '60000' } });
+});
+after(() => app.close());
+beforeEach(() => app.resilience.resetCircuits());
+
+const RETRY_ENV = {
+  RESILIENCE_RETRIES: '2',
+  RESILIENCE_BASE_DELAY_MS: '40',
+  RESILIENCE_MAX_DELAY_MS: '40',
+  RETRY_AFTER_MAX_MS: '2000',
+};
+
+// Налаштування lib/resilience.js читаються з env на кожен виклик
+async function withRetries(fn) {
+  const saved = Object.fromEntries(Object.keys(RETRY_ENV).map((name) => [name, process.env[name]]));
+  Object.assign(process.env, RETRY_ENV);
+  try {
+    return await fn();
+  } finally {
+    Object.assign(process.env, saved);
+  }
+}
+
+// Запити перекладу до DeepL під час fn і паузи між ними (мс)
+async function deeplAttempts(fn) {
+  const since = app.deepl.translations().length;
+  const res = await fn();
+  const attempts = app.deepl.translations(since);
+  return { res, attempts, gaps: attempts.slice(1).map((r, i) => r.at - attempts[i].at) };
+}
+
+test('DeepL 5xx → 500, then the open breaker → 503 provider_down without calling DeepL', async () => {
+  app.deepl.failNext(500, 2);
+
+  for (const word of ['bank', 'river']) {
+    const res = await app.request('POST', '/api/translate', { user: 'alice', body: { word } });
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /Fake DeepL failure 500/);
+  }
+
+  const before = app.deepl.translations().length;
+  const down = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'apple' } });
+  assert.equal(down.status, 503);
+  assert.equal(down.body._source, 'provider_down');
+  assert.equal(app.deepl.translations(before).length, 0);
+
+  const health = await app.request('GET', '/api/health');
+  assert.equal(health.status, 200);
+  assert.equal(health.body.status, 'degraded');
+  assert.equal(health.body.providers.deepl.state, 'open');
+  assert.ok(health.body.providers.deepl.retry_in_ms > 0);
+});
+
+test('DeepL 4xx does not open the breaker', async () => {
+  app.deepl.failNext(400, 2);
+
+  for (let i = 0; i < 2; i++) {
+    const res = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'bank' } });
+    assert.equal(res.status, 500);
+  }
+
+  const res = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'bank' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.translation, 'банк');
+});
+
+test('batch: DeepL down — each miss gets provider_error, the request succeeds', async () => {
+  // промахи списку — одним запитом до DeepL
+  app.deepl.failNext(503);
+
+  const res = await app.request('POST', '/api/translate/batch', { user: 'alice', body: { words: ['river', 'cat'] } });
+  assert.equal(res.status, 200);
+  assert.ok(res.body.items.every((i) => i._source === 'provider_error'));
+  assert.equal(res.body.stats.failed, 2);
+});
+
+test('batch: without a DeepL key each miss gets provider_error instead of a 500', async () => {
+  const key = process.env.DEEPL_API_KEY;
+  try {
+    process.env.DEEPL_API_KEY = '';
+    const res = await app.request('POST', '/api/translate/batch', { user: 'alice', body: { words: ['river', 'cat'] } });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.items.every((i) => i._source === 'provider_error'));
+    assert.equal(res.body.stats.failed, 2);
+  } finally {
+    process.env.DEEPL_API_KEY = key;
+  }
+});
+
+test('target_langs: an open breaker fails each language separately', async () => {
+  app.deepl.failNext(500, 2);
+  await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'book' } });
+  await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'book' } });
+
+  const res = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'house', target_langs: ['UK', 'DE'] } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.results.map((r) => r._source), ['provider_down', 'provider_down']);
+});
+
+test('Claude overloaded: translation still succeeds with the algorithmic score, breaker opens', async () => {
+  app.anthropic.failNext(529, 2);
+
+  const res = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'river', enrichment: 'sync' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.translation, 'річка');
+  assert.equal(res.body.difficulty_factors.source, 'algorithmic_fallback');
+  assert.equal(res.body.example_sentence, null);
+
+  const health = await app.request('GET', '/api/health');
+  assert.equal(health.body.status, 'degraded');
+  assert.equal(health.body.providers.anthropic.state, 'open');
+
+  // breaker відкритий — Claude більше не викликаємо
+  const calls = app.anthropic.calls.length;
+  const next = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'apple', enrichment: 'sync' } });
+  assert.equal(next.status, 200);
+  assert.match(next.body.difficulty_factors.source, /^algorithmic/);
+  assert.equal(app.anthropic.calls.length, calls);
+});
+
+test('health: ok again once the breakers are closed', async () => {
+  const res = await app.request('GET', '/api/health');
+  assert.equal(res.body.status, 'ok');
+});
+
+test('retry: DeepL 503 then 200 — one jittered retry, the word is translated', async (t) => {
+  // повний jitter: пауза = random() * min(max, base * 2^attempt) = 0.5 * 40
+  t.mock.method(Math, 'random', () => 0.5);
+
+  const { res, attempts, gaps } = await withRetries(async () => {
+    app.deepl.failNext(503);
+    return deeplAttempts(() => app.request('POST', '/api/translate', { user: 'alice', body: { word: 'dog' } }));
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.translation, 'собака');
+  assert.equal(attempts.length, 2);
+  assert.ok(gaps[0] >= 20, `retry after ${gaps[0]}ms, expected ≥ 20ms`);
+  assert.ok(gaps[0] < 1000, `retry after ${gaps[0]}ms, expected < 1000ms`);
+});
+
+test('retry: 429 with Retry-After — waits as long as DeepL asks', async () => {
+  const { res, attempts, gaps } = await withRetries(async () => {
+    app.deepl.failNext(429, 1, { retryAfter: 1 });
+    return deeplAttempts(() => app.request('POST', '/api/translate', { user: 'alice', body: { word: 'run' } }));
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.translation, 'бігти');
+  assert.equal(attempts.length, 2);
+  assert.ok(gaps[0] >= 950, `retry after ${gaps[0]}ms, expected ≥ 1000ms (Retry-After: 1)`);
+});
+
+test('retry: Retry-After longer than RETRY_AFTER_MAX_MS — no retry', async () => {
+  const { res, attempts } = await withRetries(async () => {
+    app.deepl.failNext(429, 1, { retryAfter: 60 });
+    return deeplAttempts(() => app.request('POST', '/api/translate', { user: 'alice', body: { word: 'polish' } }));
+  });
+
+  assert.equal(res.status, 500);
+  assert.equal(attempts.length, 1);
+});
+
+test('retry: DeepL 400 is not retried', async () => {
+  const { res, attempts } = await withRetries(async () => {
+    app.deepl.failNext(400);
+    return deeplAttempts(() => app.request('POST', '/api/translate', { user: 'alice', body: { word: 'house' } }));
+  });
+
+  assert.equal(res.status, 500);
+  assert.equal(attempts.length, 1);
+  assert.equal((await app.request('GET', '/api/health')).body.providers.deepl.state, 'closed');
+});
@@ -0,0 +1,122 @@
+/**
+ * GET /api/translate/quota і денна квота (middleware/requireQuota.js) для /api/translate(/batch)
+ *
+ * Поведінка самих маршрутів перекладу — у translate.test.js; тут лише облік квоти.
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/app');
+
+let app;
+before(async () => { app = await startTestApp(); });
+after(() => app.close());
+beforeEach(() => {
+  process.env.TRANSLATE_DAILY_QUOTA = '';
+  process.env.TRANSLATE_DAILY_QUOTA_ANON = '';
+});
+
+// Повернення квоти — після відповіді (res.on('finish')), тож чекаємо, поки лічильник зміниться
+// who — ключ USERS або { token }
+async function quotaUsed(who, expected) {
+  const auth = typeof who === 'string' ? { user: who } : who;
+  for (let i = 0; i < 50; i++) {
+    const res = await app.request('GET', '/api/translate/quota', auth);
+    if (res.body.used === expected) return res.body.used;
+    await new Promise((r) => setTimeout(r, 10));
+  }
+  return (await app.request('GET', '/api/translate/quota', auth)).body.used;
+}
+
+test('quota: 401 without a token, limits for accounts and anonymous sessions', async () => {
+  assert.equal((await app.request('GET', '/api/translate/quota')).status, 401);
+
+  const account = await app.request('GET', '/api/translate/quota', { user: 'bob' });
+  assert.equal(account.status, 200);
+  assert.equal(account.body.limit, 500);
+  assert.equal(account.body.used, 0);
+  assert.equal(account.body.remaining, 500);
+  assert.equal(account.body.anonymous, false);
+
+  const guest = await app.request('GET', '/api/translate/quota', { user: 'guest' });
+  assert.equal(guest.body.limit, 50);
+  assert.equal(guest.body.anonymous, true);
+});
+
+test('quota: failed requests are refunded', async () => {
+  const res = await app.request('POST', '/api/translate', { user: 'bob', body: { word: '' } });
+  assert.equal(res.status, 400);
+  assert.equal(await quotaUsed('bob', 0), 0);
+});
+
+test('quota: rejected word and "not found" do not consume quota', async () => {
+  const dave = app.tokenFor({ sub: '00000000-0000-4000-8000-00000000da1e', email: 'dave@example.com' });
+
+  const gibberish = await app.request('POST', '/api/translate', { token: dave, body: { word: 'xqzvprm' } });
+  assert.equal(gibberish.body._source, 'guard');
+  assert.equal(gibberish.headers.get('x-quota-remaining'), '500');
+
+  const identity = await app.request('POST', '/api/translate', { token: dave, body: { word: 'xerox' } });
+  assert.equal(identity.body._source, 'deepl_identity');
+
+  const same = await app.request('POST', '/api/translate', { token: dave, body: { word: 'river', target_langs: ['UK', 'EN'] } });
+  assert.equal(same.headers.get('x-quota-remaining'), '499');
+
+  assert.equal(await quotaUsed({ token: dave }, 1), 1);
+});
+
+test('quota: duplicates and word forms in batch are charged once', async () => {
+  process.env.TRANSLATE_DAILY_QUOTA = '2';
+  const erin = app.tokenFor({ sub: '00000000-0000-4000-8000-00000000e714', email: 'erin@example.com' });
+
+  const res = await app.request('POST', '/api/translate/batch', {
+    token: erin,
+    body: { words: ['cat', 'Cat', ' cat ', 'cats', 'xqzvprm'] },
+  });
+  // до перекладу лем ще немає: cat, cats, xqzvprm — 3 одиниці > 2
+  assert.equal(res.status, 429);
+
+  const dup = await app.request('POST', '/api/translate/batch', { token: erin, body: { words: ['cat', 'Cat', ' cat ', 'cats'] } });
+  assert.equal(dup.status, 200);
+  assert.equal(dup.body.stats.unique, 1);
+  assert.equal(dup.headers.get('x-quota-remaining'), '1');
+
+  assert.equal(await quotaUsed({ token: erin }, 1), 1);
+});
+
+test('quota: every target language is charged, exhausted quota → 429 with Retry-After', async () => {
+  process.env.TRANSLATE_DAILY_QUOTA = '3';
+
+  const one = await app.request('POST', '/api/translate', { user: 'bob', body: { word: 'cat' } });
+  assert.equal(one.status, 200);
+  assert.equal(one.headers.get('x-quota-limit'), '3');
+  assert.equal(one.headers.get('x-quota-remaining'), '2');
+
+  const two = await app.request('POST', '/api/translate', { user: 'bob', body: { word: 'river', target_langs: ['UK', 'PL'] } });
+  assert.equal(two.status, 200);
+  assert.equal(two.headers.get('x-quota-remaining'), '0');
+
+  const before = app.deepl.translations().length;
+  const over = await app.request('POST', '/api/translate', { user: 'bob', body: { word: 'book' } });
+  assert.equal(over.status, 429);
+  assert.equal(over.body.code, 'quota_exceeded');
+  assert.equal(over.body.quota.remaining, 0);
+  assert.ok(Number(over.headers.get('retry-after')) > 0);
+  assert.equal(app.deepl.translations(before).length, 0);
+
+  const status = await app.request('GET', '/api/translate/quota', { user: 'bob' });
+  assert.equal(status.body.used, 3);
+  assert.equal(status.body.remaining, 0);
+
+  // квота — на користувача
+  const other = await app.request('POST', '/api/translate', { user: 'admin', body: { word: 'book' } });
+  assert.equal(other.status, 200);
+});
+
+test('quota: batch is charged per word', async () => {
+  process.env.TRANSLATE_DAILY_QUOTA_ANON = '2';
+
+  const res = await app.request('POST', '/api/translate/batch', { user: 'guest', body: { words: ['bank', 'river', 'apple'] } });
+  assert.equal(res.status, 429);
+  assert.equal(res.body.quota.limit, 2);
+});
@@ -0,0 +1,111 @@
+/**
+ * repositories/supabase.js — ті самі маршрути з DATA_BACKEND=supabase поверх fakeSupabase
+ *
+ * Smoke-тест: запити supabase-js (RLS-клієнт користувача, service role, RPC, вкладені select)
+ * доходять до таблиць і повертають дані в тій формі, що й repositories/memory.js.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/app');
+
+let app;
+before(async () => { app = await startTestApp({ env: { DATA_BACKEND: 'supabase' } }); });
+after(() => app.close());
+
+test('words: translation is cached in the words table and read back', async () => {
+  const bank = await app.translateWord('bank');
+  assert.equal(bank.translation, 'банк');
+
+  const [row] = app.supabase.rows('words');
+  assert.equal(row.id, bank.id);
+  assert.equal(row.original, 'bank');
+
+  const before = app.deepl.translations().length;
+  const cached = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'bank' } });
+  assert.equal(cached.body._source, 'cache');
+  assert.equal(app.deepl.translations(before).length, 0);
+});
+
+test('lists, entries and progress: owner only, entries go with the list', async () => {
+  const river = await app.translateWord('river');
+
+  const list = (await app.request('POST', '/api/lists', { user: 'alice', body: { name: 'Nature' } })).body;
+  const added = await app.request('POST', `/api/lists/${list.id}/words`, { user: 'alice', body: { wordId: river.id } });
+  assert.equal(added.status, 201);
+
+  const lists = await app.request('GET', '/api/lists', { user: 'alice' });
+  assert.equal(lists.body[0].word_count, 1);
+  const detail = await app.request('GET', `/api/lists/${list.id}`, { user: 'alice' });
+  assert.equal(detail.body.words[0].translation, 'річка');
+
+  const result = await app.request('POST', '/api/practice/result', {
+    user: 'alice',
+    body: { wordId: river.id, quality: 4, newProgress: { ease_factor: 2.5, interval_days: 1, repetitions: 1, next_review: new Date().toISOString() } },
+  });
+  assert.equal(result.status, 200);
+  const stats = await app.request('GET', '/api/practice/stats', { user: 'alice' });
+  assert.equal(stats.body.total, 1);
+
+  // RLS: чужий список і прогрес "не існують"
+  assert.equal((await app.request('GET', `/api/lists/${list.id}`, { user: 'bob' })).status, 404);
+  assert.deepEqual((await app.request('GET', '/api/lists', { user: 'bob' })).body, []);
+  await app.request('DELETE', `/api/lists/${list.id}`, { user: 'bob' });
+  assert.equal(app.supabase.rows('lists').length, 1);
+
+  assert.equal((await app.request('DELETE', `/api/lists/${list.id}`, { user: 'alice' })).status, 200);
+  assert.equal(app.supabase.rows('lists').length, 0);
+  assert.equal(app.supabase.rows('list_words').length, 0);
+  assert.equal(app.supabase.rows('user_word_progress').length, 1);
+});
+
+test('quota, usage and quarantine go to the service tables', async () => {
+  const quota = await app.request('GET', '/api/translate/quota', { user: 'alice' });
+  assert.equal(quota.body.used, 3);
+  assert.deepEqual(app.supabase.rows('translate_quota').map((r) => r.used), [3]);
+
+  const dog = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'dog', enrichment: 'sync' } });
+  assert.equal(dog.body.difficulty_factors.quarantined, true);
+  const [quarantined] = app.supabase.rows('llm_quarantine');
+  assert.equal(quarantined.input, 'dog');
+
+  const report = await app.request('GET', '/api/usage', { user: 'admin' });
+  assert.equal(report.status, 200);
+  assert.equal(report.body.days.find((d) => d.provider === 'deepl').characters, 'bank'.length + 'river'.length + 'dog'.length);
+  assert.ok(app.supabase.rows('provider_usage').length > 0);
+});
+
+test('findStale: words scored without AI or with an old prompt version', async () => {
+  const { words } = require('../repositories/supabase');
+  const versions = { difficulty: 'current', idiom: 'current' };
+  const stale = await words.findStale({ versions, limit: 10 });
+  assert.deepEqual(stale.map((w) => w.original).sort(), ['bank', 'dog', 'river']);
+
+  const [first] = stale;
+  await words.updateWord(first.id, { prompt_versions: versions });
+  const rest = await words.findStale({ versions, afterId: null, limit: 10 });
+  assert.equal(rest.length, 2);
+  assert.ok(!rest.some((w) => w.id === first.id));
+});
+
+test('glossaries: owner-only rows through RLS, translation reads them with the service role', async () => {
+  const created = await app.request('POST', '/api/glossaries', {
+    user: 'alice',
+    body: { name: 'Rivers', source_lang: 'EN', target_lang: 'UK', entries: [{ source: 'bank', target: 'берег' }] },
+  });
+  assert.equal(created.status, 201);
+  const [row] = app.supabase.rows('glossaries');
+  assert.equal(row.id, created.body.id);
+  assert.equal(row.user_id, app.users.alice.sub);
+
+  assert.equal((await app.request('GET', `/api/glossaries/${row.id}`, { user: 'bob' })).status, 404);
+  assert.deepEqual((await app.request('GET', '/api/glossaries', { user: 'bob' })).body, []);
+
+  const own = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'bank' } });
+  assert.equal(own.body.translation, 'берег');
+
+  const renamed = await app.request('PUT', `/api/glossaries/${row.id}`, { user: 'alice', body: { name: 'Banks' } });
+  assert.equal(renamed.body.name, 'Banks');
+  assert.equal((await app.request('DELETE', `/api/glossaries/${row.id}`, { user: 'alice' })).status, 200);
+  assert.equal(app.supabase.rows('glossaries').length, 0);
+});
@@ -0,0 +1,421 @@
+/**
+ * POST /api/translate, POST /api/translate/batch, GET /api/translate/enrichment/:id(/events)
+ *
+ * Переклади — з tests/fixtures/deepl.json, збагачення — з tests/fixtures/anthropic.json.
+ * IP-ліміт index.js — 20 POST /api/translate за хвилину; тут їх більше, тож ліміт піднято.
+ * Облік квоти (зокрема для batch) — у quota.test.js.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/app');
+
+const NOT_FOUND_MSG = 'Цього слова немає у словнику';
+const CEFR = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+let app;
+before(async () => { app = await startTestApp({ env: { TRANSLATE_RATE_LIMIT: '40' } }); });
+after(() => app.close());
+
+test('401 without a token and with a token signed by another secret', async () => {
+  const anonymous = await app.request('POST', '/api/translate', { body: { word: 'bank' } });
+  assert.equal(anonymous.status, 401);
+
+  const forged = app.tokenFor('alice').replace(/\.[^.]+$/, '.c2lnbmF0dXJl');
+  const res = await app.request('POST', '/api/translate', { token: forged, body: { word: 'bank' } });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error, 'Не авторизовано');
+});
+
+test('400 on invalid body', async () => {
+  const empty = await app.request('POST', '/api/translate', { user: 'alice', body: { word: '   ' } });
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.error, 'Слово не може бути порожнім');
+
+  const enrichment = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'bank', enrichment: 'later' } });
+  assert.equal(enrichment.status, 400);
+
+  const langs = await app.request('POST', '/api/translate', {
+    user: 'alice',
+    body: { word: 'bank', target_langs: ['UK', 'PL', 'DE', 'FR', 'IT', 'ES'] },
+  });
+  assert.equal(langs.status, 400);
+  assert.match(langs.body.error, /Максимум 5/);
+});
+
+test('sync: DeepL translation + Claude difficulty and senses are saved to words', async () => {
+  const res = await app.request('POST', '/api/translate', {
+    user: 'alice',
+    body: { word: 'bank', source_lang: 'EN', target_lang: 'UK', enrichment: 'sync' },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body._source, 'ai');
+  assert.equal(res.body.enrichment, 'done');
+  assert.equal(res.body.original, 'bank');
+  assert.equal(res.body.translation, 'банк');
+  assert.equal(res.body.part_of_speech, 'noun');
+  assert.equal(res.body.transcription, '/bæŋk/');
+  assert.equal(res.body.example_sentence, 'I keep my savings in the bank.');
+  assert.ok(CEFR.includes(res.body.cefr_level));
+  assert.match(res.body.difficulty_factors.source, /^ai\+algorithmic/);
+  assert.deepEqual(res.body.senses.map((s) => s.translation), ['банк', 'берег']);
+
+  // у промпті — дані користувача в блоці <user_data>
+  const [difficultyCall] = app.anthropic.callsOf('record_difficulty');
+  assert.deepEqual(difficultyCall.data, { word: 'bank', translation: 'банк' });
+  assert.equal(app.anthropic.callsOf('record_senses').length, 1);
+
+  const saved = await app.memory.words.findWord('bank', 'EN', 'UK');
+  assert.equal(saved.id, res.body.id);
+});
+
+test('cache: another form of a cached lemma skips DeepL and Claude', async () => {
+  const deeplCalls = app.deepl.translations().length;
+  const claudeCalls = app.anthropic.calls.length;
+
+  const res = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'Banks', enrichment: 'sync' } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body._source, 'cache');
+  assert.equal(res.body.lemma, 'bank');
+  assert.equal(res.body.surface_form, 'Banks');
+  assert.equal(res.body.translation, 'банк');
+  assert.equal(app.anthropic.calls.length, claudeCalls);
+  // лише перевірка регістрозалежного варіанта "Banks" (переклад однаковий — варіанта немає)
+  assert.ok(app.deepl.translations(deeplCalls).every((r) => r.params.text.includes('Banks')));
+});
+
+test('context: provider translation in context picks the sense, the shared row is unchanged', async () => {
+  const context = 'We sat on the bank of the river.';
+  const res = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'bank', context } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.context, context);
+  assert.equal(res.body.context_translation, 'берег');
+  assert.equal(res.body.suggested_sense, 1);
+  assert.equal(res.body.translation, 'банк');
+  assert.equal(app.deepl.translations().at(-1).params.context, context);
+});
+
+test('identity guard: DeepL echoing the word is "not found" and is not cached', async () => {
+  const res = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'xerox', enrichment: 'sync' } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.error, NOT_FOUND_MSG);
+  assert.equal(res.body._source, 'deepl_identity');
+  assert.equal(await app.memory.words.findWord('xerox', 'EN', 'UK'), null);
+});
+
+test('word guard: gibberish never reaches DeepL', async () => {
+  const before = app.deepl.translations().length;
+  const res = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'xqzvprm' } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.error, NOT_FOUND_MSG);
+  assert.equal(res.body._source, 'guard');
+  assert.equal(app.deepl.translations(before).length, 0);
+});
+
+test('same language: EN → EN-GB is rejected without translation', async () => {
+  const res = await app.request('POST', '/api/translate', {
+    user: 'alice',
+    body: { word: 'river', source_lang: 'EN', target_lang: 'EN-GB' },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body._source, 'same_lang');
+  assert.equal(res.body.error, 'Слово вже мовою перекладу');
+});
+
+test('source_lang AUTO: one DeepL request detects the language and translates the word', async () => {
+  const before = app.deepl.translations().length;
+  const res = await app.request('POST', '/api/translate', {
+    user: 'alice',
+    body: { word: 'river', source_lang: 'AUTO', target_lang: 'DE', enrichment: 'sync' },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.detected_source_lang, 'EN');
+  assert.equal(res.body.detection_method, 'deepl');
+  assert.equal(res.body.translation, 'Fluss');
+  assert.equal(res.body.original, 'river');
+
+  const calls = app.deepl.translations(before);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].params.source_lang, undefined);
+  // мова з detected_source_language — ключ кешу: наступний запит з EN читає той самий рядок
+  const cached = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'river', source_lang: 'EN', target_lang: 'DE' } });
+  assert.equal(cached.body._source, 'cache');
+  assert.equal(cached.body.id, res.body.id);
+});
+
+test('source_lang AUTO: DeepL detection fails — local heuristic, the word is translated separately', async () => {
+  const before = app.deepl.translations().length;
+  app.deepl.failNext(503, 1);
+  const res = await app.request('POST', '/api/translate', {
+    user: 'alice',
+    body: { word: 'apple', source_lang: 'AUTO', target_lang: 'DE', enrichment: 'sync' },
+  });
+  app.resilience.resetCircuits();
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.detected_source_lang, 'EN');
+  assert.equal(res.body.detection_method, 'heuristic');
+  assert.equal(res.body.translation, 'Apfel');
+  const calls = app.deepl.translations(before);
+  assert.equal(calls.length, 2);
+  assert.equal(calls[1].params.source_lang, 'EN');
+});
+
+test('target_langs: one result per language', async () => {
+  const res = await app.request('POST', '/api/translate', {
+    user: 'alice',
+    body: { word: 'river', target_langs: ['uk', 'PL', 'UK'], enrichment: 'sync' },
+  });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.target_langs, ['UK', 'PL']);
+  const byLang = Object.fromEntries(res.body.results.map((r) => [r.target_lang, r]));
+  assert.equal(byLang.UK.translation, 'річка');
+  assert.equal(byLang.PL.translation, 'rzeka');
+});
+
+test('idiom: Claude idiomatic translation becomes primary, DeepL stays literal', async () => {
+  const res = await app.request('POST', '/api/translate', {
+    user: 'alice',
+    body: { word: 'break the ice', enrichment: 'sync' },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.translation_kind, 'idiom');
+  assert.equal(res.body.translation, 'розтопити кригу');
+  assert.equal(res.body.alt_translations.literal, 'розбити лід');
+  assert.equal(res.body.senses, null);
+  assert.deepEqual(app.anthropic.callsOf('record_idiom')[0].data, {
+    input: 'break the ice',
+    literal_translation: 'розбити лід',
+  });
+});
+
+test('output guard: suspicious Claude answer is quarantined, algorithmic score is cached', async () => {
+  const res = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'dog', enrichment: 'sync' } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.translation, 'собака');
+  assert.equal(res.body.example_sentence, null);
+  assert.equal(res.body.difficulty_factors.quarantined, true);
+
+  const [row] = app.memory.rows('llm_quarantine');
+  assert.equal(row.task, 'difficulty');
+  assert.equal(row.input, 'dog');
+  assert.ok(row.reasons.includes('example_sentence:missing_word'));
+});
+
+test('case-sensitive word: "Polish" is stored apart from "polish"', async () => {
+  const res = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'Polish', enrichment: 'sync' } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.original, 'Polish');
+  assert.equal(res.body.case_sensitive, true);
+  assert.equal(res.body.translation, 'польський');
+  // для "polish" записаної відповіді Claude немає — 400 від API, алгоритмічна оцінка
+  assert.equal(res.body.difficulty_factors.source.startsWith('algorithmic'), true);
+});
+
+test('case variant: "River" is compared with the cached "river" once, then only the cache is read', async () => {
+  await app.translateWord('river');
+  const before = app.deepl.translations().length;
+
+  const res = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'River', enrichment: 'sync' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.original, 'river');
+  assert.equal(res.body._source, 'cache');
+  // переклад "river" — з кешу, провайдер перекладає лише варіант з великої
+  assert.deepEqual(app.deepl.translations(before).map((r) => r.params.text), [['River']]);
+  assert.equal((await app.memory.words.findWord('river', 'EN', 'UK')).capitalized_same, true);
+
+  const again = app.deepl.translations().length;
+  const cached = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'River' } });
+  assert.equal(cached.body._source, 'cache');
+  assert.equal(app.deepl.translations(again).length, 0);
+});
+
+test('case variant: same meaning for a new word is remembered on the saved lowercase row', async () => {
+  const before = app.deepl.translations().length;
+
+  const res = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'Cat', enrichment: 'sync' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.original, 'cat');
+  assert.equal(res.body.translation, 'кіт');
+  assert.equal(res.body.case_sensitive, false);
+  // обидва варіанти — одним запитом; переклад "cat" з нього ж, без повторного виклику
+  assert.deepEqual(app.deepl.translations(before).map((r) => r.params.text), [['Cat', 'cat']]);
+  assert.equal((await app.memory.words.findWord('cat', 'EN', 'UK')).capitalized_same, true);
+
+  const again = app.deepl.translations().length;
+  const cached = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'Cat' } });
+  assert.equal(cached.body._source, 'cache');
+  assert.equal(app.deepl.translations(again).length, 0);
+});
+
+test('async: new word is saved as pending and enriched by the queue', async () => {
+  const res = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'apple' } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.enrichment, 'pending');
+  assert.equal(res.body._source, 'provider');
+  assert.equal(res.body.translation, 'яблуко');
+  assert.equal(res.body.example_sentence, null);
+
+  const done = await app.waitForEnrichment(res.body.id);
+  assert.equal(done.status, 200);
+  assert.equal(done.body.enrichment, 'done');
+  assert.equal(done.body.example_sentence, 'She ate an apple for lunch.');
+  assert.equal(done.body.part_of_speech, 'noun');
+});
+
+test('enrichment events: finished word is sent at once', async () => {
+  const word = await app.memory.words.findWord('apple', 'EN', 'UK');
+  const res = await app.request('GET', `/api/translate/enrichment/${word.id}/events`, { user: 'alice' });
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /text\/event-stream/);
+  assert.match(res.text, /^event: enrichment\n/);
+  const data = JSON.parse(res.text.split('\n')[1].replace(/^data: /, ''));
+  assert.equal(data.enrichment, 'done');
+  assert.equal(data.id, word.id);
+});
+
+test('enrichment: 401 without a token, 404 for an unknown id', async () => {
+  const unknown = '11111111-1111-4111-8111-111111111111';
+
+  const anonymous = await app.request('GET', `/api/translate/enrichment/${unknown}`);
+  assert.equal(anonymous.status, 401);
+
+  const missing = await app.request('GET', `/api/translate/enrichment/${unknown}`, { user: 'alice' });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error, 'Слово не знайдено');
+
+  const anonymousEvents = await app.request('GET', `/api/translate/enrichment/${unknown}/events`);
+  assert.equal(anonymousEvents.status, 401);
+
+  const events = await app.request('GET', `/api/translate/enrichment/${unknown}/events`, { user: 'alice' });
+  assert.equal(events.status, 404);
+});
+
+test('enrichment events: 401 without a token, a pending word is not queued for Claude', async () => {
+  // pending-рядок без задачі в черзі — як після перезапуску сервера
+  const [pending] = await app.memory.words.upsertWords([{
+    original: 'cat',
+    source_lang: 'EN',
+    target_lang: 'UK',
+    translation: 'кіт',
+    enrichment_status: 'pending',
+  }]);
+  const claudeCalls = app.anthropic.calls.length;
+
+  const res = await app.request('GET', `/api/translate/enrichment/${pending.id}/events`);
+  assert.equal(res.status, 401);
+
+  await new Promise((r) => setTimeout(r, 50));
+  assert.equal(app.anthropic.calls.length, claudeCalls);
+  assert.equal((await app.memory.words.getWord(pending.id)).enrichment_status, 'pending');
+});
+
+test('batch: 400 without words, 422 for the same language', async () => {
+  const missing = await app.request('POST', '/api/translate/batch', { user: 'alice', body: { words: [] } });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error, 'words має бути непорожнім масивом');
+
+  const same = await app.request('POST', '/api/translate/batch', {
+    user: 'alice',
+    body: { words: ['river'], source_lang: 'EN', target_lang: 'EN-US' },
+  });
+  assert.equal(same.status, 422);
+  assert.equal(same.body.error, 'Слово вже мовою перекладу');
+});
+
+test('batch: one DeepL request for misses, per-word results in input order', async () => {
+  const before = app.deepl.translations().length;
+  const res = await app.request('POST', '/api/translate/batch', {
+    user: 'alice',
+    body: { words: ['house', 'bank', 'xerox', 'xqzvprm', 'Houses', 'river'], source_lang: 'EN', target_lang: 'UK' },
+  });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.items.map((i) => i.input), ['house', 'bank', 'xerox', 'xqzvprm', 'Houses', 'river']);
+  const [house, bank, xerox, gibberish, houses, river] = res.body.items;
+  assert.equal(house.translation, 'будинок');
+  assert.equal(house._source, 'provider');
+  assert.equal(house.enrichment, 'pending');
+  assert.equal(bank._source, 'cache');
+  assert.equal(xerox._source, 'deepl_identity');
+  assert.equal(gibberish._source, 'guard');
+  assert.equal(houses.lemma, 'house');
+  assert.equal(houses.id, house.id);
+  assert.equal(river.translation, 'річка');
+  assert.deepEqual(res.body.stats, { total: 6, unique: 5, cached: 2, translated: 1, failed: 2 });
+
+  const calls = app.deepl.translations(before);
+  assert.equal(calls.length, 1);
+  assert.deepEqual(calls[0].params.text, ['house', 'xerox']);
+
+  // збагачення — у черзі, вже після відповіді
+  const done = await app.waitForEnrichment(house.id);
+  assert.equal(done.body.enrichment, 'done');
+  assert.equal(done.body.example_sentence, 'They live in a small house by the river.');
+});
+
+test('batch: cached words are not translated again', async () => {
+  const before = app.deepl.translations().length;
+  const res = await app.request('POST', '/api/translate/batch', { user: 'alice', body: { words: ['house', 'apple'] } });
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.items.every((i) => i._source === 'cache'));
+  assert.equal(res.body.stats.cached, 2);
+  assert.equal(app.deepl.translations(before).length, 0);
+});
+
+test('batch: source_lang AUTO detects one language for the list', async () => {
+  const res = await app.request('POST', '/api/translate/batch', {
+    user: 'alice',
+    body: { words: ['rzeka', 'jabłko'], source_lang: 'AUTO', target_lang: 'UK' },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.source_lang, 'PL');
+  assert.equal(res.body.detected_source_lang, 'PL');
+  assert.equal(res.body.detection_method, 'deepl');
+});
+
+test('provider: rows record who translated them, a local-dictionary row is re-translated by DeepL', async () => {
+  const [local] = await app.memory.words.upsertWords([{
+    original: 'book',
+    source_lang: 'EN',
+    target_lang: 'UK',
+    translation: 'книжка',
+    translation_provider: 'local',
+    enrichment_status: 'done',
+  }]);
+
+  const before = app.deepl.translations().length;
+  const res = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'book', enrichment: 'sync' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body._source, 'ai');
+  assert.equal(res.body.translation, 'книга');
+  assert.equal(res.body.translation_provider, 'deepl');
+  assert.equal(res.body.id, local.id);
+  assert.equal(app.deepl.translations(before).length, 1);
+
+  // активний local: переклад DeepL з кешу сильніший — віддається як є
+  const provider = process.env.TRANSLATION_PROVIDER;
+  try {
+    process.env.TRANSLATION_PROVIDER = 'local';
+    const cached = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'book' } });
+    assert.equal(cached.body._source, 'cache');
+    assert.equal(cached.body.translation, 'книга');
+  } finally {
+    process.env.TRANSLATION_PROVIDER = provider;
+  }
+});
@@ -0,0 +1,83 @@
+/**
+ * GET /api/usage — витрати провайдерів (лише ADMIN_EMAILS, токен перевіряється в Supabase Auth)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/app');
+
+let app;
+before(async () => { app = await startTestApp(); });
+after(() => app.close());
+
+test('401 without a token, 403 for users outside ADMIN_EMAILS', async () => {
+  assert.equal((await app.request('GET', '/api/usage')).status, 401);
+
+  const user = await app.request('GET', '/api/usage', { user: 'alice' });
+  assert.equal(user.status, 403);
+  assert.equal(user.body.error, 'Доступ заборонено');
+
+  assert.equal((await app.request('GET', '/api/usage', { user: 'guest' })).status, 403);
+});
+
+test('400 on invalid dates', async () => {
+  const bad = await app.request('GET', '/api/usage?from=2026-13-01', { user: 'admin' });
+  assert.equal(bad.status, 400);
+
+  const reversed = await app.request('GET', '/api/usage?from=2026-02-01&to=2026-01-01', { user: 'admin' });
+  assert.equal(reversed.status, 400);
+  assert.equal(reversed.body.error, 'from має бути не пізніше за to');
+});
+
+test('report: DeepL characters and Claude tokens by day and user', async () => {
+  const translated = await app.request('POST', '/api/translate', { user: 'alice', body: { word: 'bank', enrichment: 'sync' } });
+  assert.equal(translated.status, 200);
+
+  const res = await app.request('GET', '/api/usage', { user: 'admin' });
+  assert.equal(res.status, 200);
+
+  const day = (provider) => res.body.days.find((d) => d.provider === provider);
+  assert.equal(day('deepl').characters, 'bank'.length);
+  assert.equal(day('deepl').calls, 1);
+  // record_difficulty + record_senses з tests/fixtures/anthropic.json
+  assert.equal(day('anthropic').calls, 2);
+  assert.equal(day('anthropic').input_tokens, 412 + 388);
+  assert.equal(day('anthropic').output_tokens, 96 + 81);
+
+  const deeplUser = res.body.users.find((u) => u.provider === 'deepl');
+  assert.equal(deeplUser.user_id, app.users.alice.sub);
+  assert.equal(res.body.budgets.deepl.used, 'bank'.length);
+  assert.equal(res.body.budgets.deepl.status, 'ok');
+
+  // накопичене записано в provider_usage (DATA_BACKEND=memory)
+  assert.equal(app.memory.rows('provider_usage').length, 2);
+});
+
+test('budgets: DeepL Free limits by default only for a Free key', async () => {
+  const freeKey = process.env.DEEPL_API_KEY;
+  try {
+    const free = await app.request('GET', '/api/usage', { user: 'admin' });
+    assert.equal(free.body.budgets.deepl.soft, 450000);
+    assert.equal(free.body.budgets.deepl.hard, 500000);
+
+    process.env.DEEPL_API_KEY = 'test-deepl-pro-key';
+    const pro = await app.request('GET', '/api/usage', { user: 'admin' });
+    assert.equal(pro.body.budgets.deepl.soft, 0);
+    assert.equal(pro.body.budgets.deepl.hard, 0);
+
+    process.env.DEEPL_CHARS_HARD_LIMIT = '1000000';
+    const explicit = await app.request('GET', '/api/usage', { user: 'admin' });
+    assert.equal(explicit.body.budgets.deepl.hard, 1000000);
+  } finally {
+    process.env.DEEPL_API_KEY = freeKey;
+    process.env.DEEPL_CHARS_HARD_LIMIT = '';
+  }
+});
+
+test('revoked admin session is rejected by Supabase Auth', async () => {
+  const token = app.tokenFor('admin');
+  assert.equal((await app.request('GET', '/api/usage', { token })).status, 200);
+
+  app.supabase.revokeUser(app.users.admin.sub);
+  assert.equal((await app.request('GET', '/api/usage', { token })).status, 401);
+});
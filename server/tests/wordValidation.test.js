@@ -0,0 +1,17 @@
+/**
+ * services/wordValidation.js — looksLikeWord на таблиці прикладів data/word-validation-samples.json
+ *
+ * Для кожної мови: accept — слова / фрази цієї мови, reject — набір літер, інша мова, цифри.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { looksLikeWord } = require('../services/wordValidation');
+const samples = require('../data/word-validation-samples.json');
+
+for (const [lang, { accept, reject }] of Object.entries(samples)) {
+  test(`${lang}: accepts words of the language, rejects gibberish and other alphabets`, () => {
+    for (const word of accept) assert.equal(looksLikeWord(word, lang), true, `${lang} should accept "${word}"`);
+    for (const word of reject) assert.equal(looksLikeWord(word, lang), false, `${lang} should reject "${word}"`);
+  });
+}
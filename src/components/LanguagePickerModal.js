@@ -29,6 +29,7 @@ export default function LanguagePickerModal({
   recent = [],
   onTogglePin,
   onSelect,
+  autoOption = false, // показати "Визначити мову" (code AUTO) у режимі source
 }) {
   const { t } = useI18n();
   const [q, setQ] = useState("");
@@ -141,6 +142,21 @@ export default function LanguagePickerModal({
             />
           </View>
 
+          {/* Auto-detect — над усіма мовами */}
+          {autoOption && mode === "source" && (
+            <TouchableOpacity
+              activeOpacity={0.85}
+              onPress={() => onSelect("AUTO")}
+              style={[styles.row, String(selectedSource).toUpperCase() === "AUTO" && styles.rowSelected]}
+            >
+              <View style={styles.rowLeft}>
+                <Text style={styles.rowName}>{t("translate.lang_auto")}</Text>
+                <Text style={styles.rowCode}>AUTO</Text>
+              </View>
+              <Ionicons name="sparkles-outline" size={18} color={COLORS.textHint} />
+            </TouchableOpacity>
+          )}
+
           {/* Pinned — always first */}
           <Section label={t("translate.lang_pinned")} data={pinnedItems} />
           <Section label={t("translate.lang_recent")} data={recentItems} />
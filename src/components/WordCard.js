@@ -2,22 +2,28 @@
  * WordCard.js — Картка перекладеного слова
  * 
  * Показує результат перекладу з усіма деталями:
- * - слово та транскрипція
- * - CEFR-рівень
- * - переклад
+ * - вкладки мов перекладу (якщо перекладали одразу в кілька мов)
+ * - слово та транскрипція (і форма, яку ввів користувач, якщо сервер звів її до леми)
+ * - CEFR-рівень (поки сервер збагачує слово, word.enrichment === 'pending', — індикатор замість нього;
+ *   рівень, транскрипція і приклад зʼявляться, коли екран підтягне готовий результат)
+ * - переклад (і переклад у реченні-контексті, якщо користувач його дав)
+ * - значення багатозначного слова (word.senses) — користувач обирає, яке зберегти у список
  * - шкала складності
  * - приклад у реченні
  * - кнопка "Додати в список"
  * 
  * Використання:
  *   <WordCard word={wordObject} onAddToList={() => ...} />
+ *   <WordCard word={wordObject} selectedSense={i} onSelectSense={(i) => ...} onAddToList={...} />
+ *   <WordCard word={results[i]} tabs={results} activeTab="PL" onSelectTab={(code) => ...} />
  */
 
 import React, { useMemo, useState } from 'react';
-import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { View, Text, TouchableOpacity, StyleSheet, ActivityIndicator } from 'react-native';
 import CefrBadge from './CefrBadge';
 import DifficultyBar from './DifficultyBar';
 import { COLORS, CEFR_COLORS, SPACING, BORDER_RADIUS } from '../utils/constants';
+import { useI18n } from '../i18n';
 // --- Helpers: normalize idiom fields coming from Supabase/HTTP ---
 // --- Helpers: normalize idiom fields coming from Supabase/HTTP ---
 const parseAltTranslations = (v) => {
@@ -63,25 +69,84 @@ const isIdiomatic = (word) => {
   return kind.includes('idiom') || kind.includes('idiomatic') || pos === 'idiom';
 };
 
-export default function WordCard({ word, onAddToList, isAdded = false }) {
+export default function WordCard({
+  word,
+  onAddToList,
+  isAdded = false,
+  selectedSense = null,
+  onSelectSense,
+  tabs = null,
+  activeTab = null,
+  onSelectTab,
+}) {
+  const { t } = useI18n();
   if (!word) return null;
   const idiomMeta = useMemo(() => parseAltTranslations(word?.alt_translations), [word?.alt_translations]);
   const [idiomView, setIdiomView] = useState('idiomatic');
   const showIdiomToggle = isIdiomatic(word) && (idiomMeta.literal && idiomMeta.idiomatic.length > 0);
+  const senses = Array.isArray(word?.senses) ? word.senses : [];
+  // Переклад уже є, а AI-оцінка / приклад ще рахуються на сервері
+  const enriching = word?.enrichment === 'pending';
+
+  // Вкладки мов перекладу: { target_lang, error? }
+  const tabRow = Array.isArray(tabs) && tabs.length > 1 ? (
+    <View style={styles.tabRow}>
+      {tabs.map((tab) => {
+        const active = tab.target_lang === activeTab;
+        return (
+          <TouchableOpacity
+            key={tab.target_lang}
+            onPress={() => onSelectTab && onSelectTab(tab.target_lang)}
+            style={[styles.tab, active && styles.tabActive]}
+            activeOpacity={0.8}
+          >
+            <Text style={[styles.tabText, active && styles.tabTextActive, !!tab.error && styles.tabTextError]}>
+              {tab.target_lang}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  ) : null;
+
+  // Для цієї мови перекладу нічого не знайшли
+  if (word?.error) {
+    return (
+      <View style={styles.card}>
+        {tabRow}
+        <Text style={styles.tabError}>{word.error}</Text>
+      </View>
+    );
+  }
 
   return (
     <View style={styles.card}>
+      {tabRow}
+
       {/* Верхня частина: слово + бейдж */}
       <View style={styles.header}>
         <View style={styles.wordInfo}>
           <Text style={styles.original}>{word.original}</Text>
+          {!!word.surface_form && word.surface_form.toLowerCase() !== String(word.original || '').toLowerCase() && (
+            <Text style={styles.surfaceForm}>{t('word.from_surface', { surface: word.surface_form })}</Text>
+          )}
           <Text style={styles.transcription}>{word.transcription}</Text>
         </View>
         <View style={styles.badges}>
-          <CefrBadge level={word.cefr_level || word.cefr} />
+          {enriching ? (
+            <View style={styles.enrichingRow}>
+              <ActivityIndicator size="small" color={COLORS.textMuted} />
+              <Text style={styles.enrichingText}>{t('word.enriching')}</Text>
+            </View>
+          ) : (
+            <CefrBadge level={word.cefr_level || word.cefr} />
+          )}
           {(word.source_lang || word.target_lang) && (
             <Text style={styles.langPill}>{(word.source_lang || 'EN')} → {(word.target_lang || 'UK')}</Text>
           )}
+          {!!word.case_sensitive && (
+            <Text style={styles.langPill}>{t('word.case_sensitive')}</Text>
+          )}
           <Text style={styles.partOfSpeech}>{word.part_of_speech || word.pos}</Text>
         </View>
       </View>
@@ -89,6 +154,12 @@ export default function WordCard({ word, onAddToList, isAdded = false }) {
       {/* Переклад */}
       <View style={[styles.translationBox, { borderLeftColor: (CEFR_COLORS[word.cefr_level || word.cefr] || '#94a3b8') + '50' }]}>
         <Text style={styles.translation}>{word.translation}</Text>
+        {!!word.glossary && (
+          <Text style={styles.contextTranslation}>{t('word.from_glossary', { name: word.glossary.name })}</Text>
+        )}
+        {!!word.context_translation && word.context_translation.toLowerCase() !== String(word.translation || '').toLowerCase() && (
+          <Text style={styles.contextTranslation}>{t('word.in_context', { translation: word.context_translation })}</Text>
+        )}
       </View>
 
       {(isIdiomatic(word) && (idiomMeta.idiomatic.length > 0 || !!idiomMeta.literal)) && (
@@ -136,11 +207,40 @@ export default function WordCard({ word, onAddToList, isAdded = false }) {
   </View>
 )}
 
+      {/* Значення багатозначного слова */}
+      {senses.length > 1 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionLabel}>{t('word.senses')}</Text>
+          {senses.map((sense, i) => {
+            const active = selectedSense === i;
+            return (
+              <TouchableOpacity
+                key={`${i}-${sense.translation}`}
+                style={[styles.senseRow, active && styles.senseRowActive]}
+                // повторне натискання знімає вибір (лишається основний переклад)
+                onPress={() => onSelectSense && onSelectSense(active ? null : i)}
+                disabled={!onSelectSense || isAdded}
+                activeOpacity={0.7}
+              >
+                <Text style={[styles.senseTranslation, active && styles.senseTranslationActive]}>
+                  {active ? '● ' : '○ '}{sense.translation}
+                  {!!sense.part_of_speech && <Text style={styles.partOfSpeech}>  {sense.part_of_speech}</Text>}
+                </Text>
+                {!!sense.example && <Text style={styles.senseExample}>"{sense.example}"</Text>}
+              </TouchableOpacity>
+            );
+          })}
+          {!!onSelectSense && !isAdded && <Text style={styles.senseHint}>{t('word.senses_hint')}</Text>}
+        </View>
+      )}
+
       {/* Складність */}
-      <View style={styles.section}>
-        <Text style={styles.sectionLabel}>DIFFICULTY</Text>
-        <DifficultyBar score={word.difficulty_score || word.score || 50} />
-      </View>
+      {!enriching && (
+        <View style={styles.section}>
+          <Text style={styles.sectionLabel}>DIFFICULTY</Text>
+          <DifficultyBar score={word.difficulty_score || word.score || 50} />
+        </View>
+      )}
 
       {/* Приклад */}
       {(word.example_sentence || word.example) && (
@@ -194,6 +294,11 @@ const styles = StyleSheet.create({
     fontWeight: '400',
     color: COLORS.primary,
   },
+  surfaceForm: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
   transcription: {
     fontSize: 13,
     color: COLORS.textMuted,
@@ -232,6 +337,83 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     marginBottom: 6,
   },
+  tabRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginBottom: SPACING.lg,
+  },
+  tab: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  tabActive: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  tabText: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: COLORS.textSecondary,
+  },
+  tabTextActive: {
+    color: '#ffffff',
+  },
+  tabTextError: {
+    textDecorationLine: 'line-through',
+  },
+  tabError: {
+    fontSize: 14,
+    color: COLORS.textSecondary,
+  },
+  contextTranslation: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+    marginTop: 4,
+  },
+  senseRow: {
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+    borderRadius: BORDER_RADIUS.md,
+    borderWidth: 1,
+    borderColor: 'transparent',
+    marginBottom: 4,
+  },
+  senseRowActive: {
+    borderColor: COLORS.primary,
+    backgroundColor: '#fafbfc',
+  },
+  senseTranslation: {
+    fontSize: 15,
+    color: COLORS.textPrimary,
+  },
+  senseTranslationActive: {
+    fontWeight: '600',
+  },
+  senseExample: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+    fontStyle: 'italic',
+    marginTop: 2,
+    marginLeft: 16,
+  },
+  senseHint: {
+    fontSize: 11,
+    color: COLORS.textMuted,
+    marginTop: 2,
+  },
+  enrichingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  enrichingText: {
+    fontSize: 11,
+    color: COLORS.textMuted,
+  },
   example: {
     fontSize: 14,
     color: COLORS.textSecondary,
@@ -8,6 +8,7 @@
  * - signOut()
  * - signInWithGoogle()
  * - signInWithApple()
+ * - signInAnonymously() — гостьова сесія (менша денна квота перекладів на сервері)
  *
  * OAuth (Google/Apple):
  * - Expo Go → fixed proxy redirect → https://auth.expo.io/@bill_lava/LexiLevel
@@ -230,6 +231,16 @@ export function AuthProvider({ children }) {
         }
       },
 
+      async signInAnonymously() {
+        try {
+          const { data, error } = await supabase.auth.signInAnonymously();
+          if (error) throw error;
+          return data;
+        } catch (e) {
+          throw new Error(friendlyAuthError(e));
+        }
+      },
+
       async signOut() {
         const { error } = await supabase.auth.signOut();
         if (error) throw error;
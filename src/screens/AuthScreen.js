@@ -21,7 +21,7 @@ import { useI18n } from "../i18n";
 
 export default function AuthScreen() {
   const { t } = useI18n();
-  const { signIn, signUp, signInWithGoogle, signInWithApple } = useAuth();
+  const { signIn, signUp, signInWithGoogle, signInWithApple, signInAnonymously } = useAuth();
 
   const [mode, setMode] = useState("signin"); // signin | signup
   const isSignIn = mode === "signin";
@@ -73,6 +73,17 @@ export default function AuthScreen() {
     }
   }
 
+  async function onGuest() {
+    setBusy(true);
+    try {
+      await signInAnonymously();
+    } catch (e) {
+      Alert.alert(t("common.error"), e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
   return (
     <KeyboardAvoidingView
       style={styles.container}
@@ -149,6 +160,11 @@ export default function AuthScreen() {
           <Text style={styles.oauthText}>{t("auth.continue_apple")}</Text>
         </TouchableOpacity>
 
+        <TouchableOpacity style={styles.oauthBtn} onPress={onGuest} disabled={busy}>
+          <Ionicons name="person-outline" size={18} color={COLORS.text} />
+          <Text style={styles.oauthText}>{t("auth.continue_guest")}</Text>
+        </TouchableOpacity>
+
         <Text style={styles.hint}>
           Google/Apple: треба увімкнути провайдери в Supabase + налаштувати redirect scheme в app.json.
         </Text>
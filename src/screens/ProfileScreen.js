@@ -4,13 +4,22 @@
  * Показує: профіль (email/provider), стрік, розподіл слів за CEFR-рівнями, налаштування.
  */
 
-import React, { useMemo } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Image } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
 import { Ionicons } from "@expo/vector-icons";
 import { useAuth } from "../hooks/useAuth";
 import { useI18n } from "../i18n";
 import { COLORS, CEFR_COLORS, SPACING, BORDER_RADIUS } from "../utils/constants";
+import { getLanguageLabel } from "../utils/languagePairs";
+import {
+  getNativeLang,
+  setNativeLang,
+  NATIVE_LANG_OPTIONS,
+  getFormality,
+  setFormality,
+  FORMALITY_OPTIONS,
+} from "../services/settingsService";
 
 // Тимчасові дані
 const STREAK = 12;
@@ -27,6 +36,27 @@ export default function ProfileScreen() {
   const { t, locale, setLocale, availableLocales, localeLabel } = useI18n();
   const { user, signOut } = useAuth();
 
+  // Рідна мова для оцінки складності (null = авто, за мовою перекладу)
+  const [nativeLang, setNativeLangState] = useState(null);
+
+  // Типова формальність перекладу (екран перекладу може змінити її для окремої пари мов)
+  const [formality, setFormalityState] = useState("default");
+
+  useEffect(() => {
+    getNativeLang().then(setNativeLangState);
+    getFormality().then(setFormalityState);
+  }, []);
+
+  const chooseNativeLang = (code) => {
+    setNativeLangState(code);
+    setNativeLang(code);
+  };
+
+  const chooseFormality = (value) => {
+    setFormalityState(value);
+    setFormality(value);
+  };
+
   const profile = useMemo(() => {
     const email = user?.email || user?.user_metadata?.email || null;
 
@@ -57,9 +87,11 @@ export default function ProfileScreen() {
     };
   }, [user]);
 
-  const providerLabel = profile.provider
-    ? profile.provider.charAt(0).toUpperCase() + profile.provider.slice(1)
-    : t("profile.provider_email");
+  const providerLabel = user?.is_anonymous
+    ? t("profile.provider_guest")
+    : profile.provider
+      ? profile.provider.charAt(0).toUpperCase() + profile.provider.slice(1)
+      : t("profile.provider_email");
 
   return (
     <SafeAreaView style={styles.safeArea} edges={["top"]}>
@@ -174,6 +206,46 @@ export default function ProfileScreen() {
           </View>
         </View>
 
+        {/* Рідна мова (для оцінки складності слів) */}
+        <View style={styles.languageCard}>
+          <Text style={styles.sectionLabel}>{t('profile.native_language')}</Text>
+          <View style={styles.langRow}>
+            {[null, ...NATIVE_LANG_OPTIONS].map((code) => (
+              <TouchableOpacity
+                key={code || "auto"}
+                style={[styles.langBtn, code === nativeLang && styles.langBtnActive]}
+                onPress={() => chooseNativeLang(code)}
+                activeOpacity={0.7}
+              >
+                <Text style={[styles.langText, code === nativeLang && styles.langTextActive]}>
+                  {code ? getLanguageLabel(code, locale) : t('profile.native_language_auto')}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.languageHint}>{t('profile.native_language_hint')}</Text>
+        </View>
+
+        {/* Формальність перекладу (DE, FR, PL...: "Sie" / "du") */}
+        <View style={styles.languageCard}>
+          <Text style={styles.sectionLabel}>{t('profile.formality')}</Text>
+          <View style={styles.langRow}>
+            {FORMALITY_OPTIONS.map((value) => (
+              <TouchableOpacity
+                key={value}
+                style={[styles.langBtn, value === formality && styles.langBtnActive]}
+                onPress={() => chooseFormality(value)}
+                activeOpacity={0.7}
+              >
+                <Text style={[styles.langText, value === formality && styles.langTextActive]}>
+                  {t(`formality.${value}`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.languageHint}>{t('profile.formality_hint')}</Text>
+        </View>
+
         {/* Кнопка виходу */}
         <TouchableOpacity style={styles.signOutButton} onPress={signOut} activeOpacity={0.6}>
           <Text style={styles.signOutText}>{t("profile.sign_out")}</Text>
@@ -267,6 +339,28 @@ const styles = StyleSheet.create({
   settingLeft: { flexDirection: "row", alignItems: "center", gap: 12 },
   settingLabel: { fontSize: 14, color: COLORS.textSecondary },
 
+  // Мова інтерфейсу / рідна мова
+  languageCard: {
+    backgroundColor: COLORS.surface,
+    borderRadius: BORDER_RADIUS.lg,
+    padding: SPACING.xl,
+    marginTop: 10,
+    borderWidth: 1,
+    borderColor: COLORS.borderLight,
+  },
+  langRow: { flexDirection: "row", flexWrap: "wrap", gap: 8 },
+  langBtn: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: BORDER_RADIUS.full,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  langBtnActive: { backgroundColor: COLORS.primary, borderColor: COLORS.primary },
+  langText: { fontSize: 13, color: COLORS.textSecondary },
+  langTextActive: { color: "#ffffff", fontWeight: "600" },
+  languageHint: { fontSize: 11, color: COLORS.textHint, marginTop: 10, lineHeight: 16 },
+
   // Вихід
   signOutButton: {
     marginTop: SPACING.xxl,
@@ -3,6 +3,9 @@
  *
  * Користувач вводить слово → отримує переклад + оцінку складності → може додати в список.
  * Додавання в список: через модалку вибору списку (реальні дані з бекенду).
+ *
+ * Режим "список": вставити багато слів одразу (рядками / через кому) →
+ * POST /translate/batch → таблиця результатів + "Додати всі в список".
  */
 
 import React, { useEffect, useMemo, useRef, useState } from 'react';
@@ -16,8 +19,13 @@ import { Ionicons } from '@expo/vector-icons';
 import WordCard from '../components/WordCard';
 import AddToListModal from '../components/AddToListModal';
 import LanguagePickerModal from '../components/LanguagePickerModal';
-import { translateWord, suggestList, fetchLanguages } from '../services/translateService';
+import CefrBadge from '../components/CefrBadge';
+import {
+  translateWord, translateBatch, parsePastedList, suggestList, fetchLanguages, fetchEnrichment,
+  fetchQuota, getLastQuota,
+} from '../services/translateService';
 import { fetchLists, createList, addWordToList } from '../services/listsService';
+import { getFormality, setFormality, FORMALITY_OPTIONS } from '../services/settingsService';
 import { COLORS, SPACING, BORDER_RADIUS } from '../utils/constants';
 import { useI18n } from '../i18n';
 
@@ -31,7 +39,7 @@ export default function TranslateScreen() {
 const [sourceLang, setSourceLang] = useState('EN');
 const [targetLang, setTargetLang] = useState('UK');
 const [langModalVisible, setLangModalVisible] = useState(false);
-const [langModalMode, setLangModalMode] = useState('source'); // 'source' | 'target'
+const [langModalMode, setLangModalMode] = useState('source'); // 'source' | 'target' | 'extra'
 const [deeplSource, setDeeplSource] = useState([]);
 const [deeplTarget, setDeeplTarget] = useState([]);
 
@@ -45,7 +53,28 @@ const [recentTarget, setRecentTarget] = useState([]);
   const [suggestedListName, setSuggestedListName] = useState(null);
   const [suggestedListId, setSuggestedListId] = useState(null);
 
-  const [isAdded, setIsAdded] = useState(false);
+  // id слів (рядків words), уже доданих у список — окремо для кожної вкладки мови
+  const [addedIds, setAddedIds] = useState([]);
+  const isAdded = !!result?.id && addedIds.includes(result.id);
+  // Додаткові мови перекладу (target_langs) і результати по вкладках
+  const [extraTargets, setExtraTargets] = useState([]);
+  const [multiResults, setMultiResults] = useState(null);
+  const [activeTarget, setActiveTarget] = useState(null);
+  // Формальність для поточної пари мов (лише якщо мова перекладу її підтримує)
+  const [formality, setFormalityState] = useState('default');
+  // Денна квота перекладів: { limit, remaining, reset_at, anonymous } (limit 0 — без ліміту)
+  const [quota, setQuota] = useState(null);
+  // Обране значення багатозначного слова (індекс у result.senses)
+  const [selectedSense, setSelectedSense] = useState(null);
+  // Речення-контекст (розгортається за кнопкою)
+  const [contextOpen, setContextOpen] = useState(false);
+  const [contextText, setContextText] = useState('');
+
+  // режим "вставити список"
+  const [mode, setMode] = useState('single'); // 'single' | 'list'
+  const [listText, setListText] = useState('');
+  const [batchResult, setBatchResult] = useState(null);
+  const [batchAdded, setBatchAdded] = useState(false);
 
   // toast
   const [toast, setToast] = useState(null);
@@ -66,12 +95,14 @@ useEffect(() => {
       const savedPinned = await AsyncStorage.getItem('PINNED_LANGS');
       const savedRecentSource = await AsyncStorage.getItem('RECENT_SOURCE_LANGS');
       const savedRecentTarget = await AsyncStorage.getItem('RECENT_TARGET_LANGS');
+      const savedExtraTargets = await AsyncStorage.getItem('TRANSLATE_EXTRA_TARGETS');
 
       if (savedSource) setSourceLang(savedSource);
       if (savedTarget) setTargetLang(savedTarget);
       if (savedPinned) setPinnedLangs(JSON.parse(savedPinned) || []);
       if (savedRecentSource) setRecentSource(JSON.parse(savedRecentSource) || []);
       if (savedRecentTarget) setRecentTarget(JSON.parse(savedRecentTarget) || []);
+      if (savedExtraTargets) setExtraTargets(JSON.parse(savedExtraTargets) || []);
     } catch (e) {
       // ignore
     }
@@ -87,6 +118,19 @@ useEffect(() => {
   })();
 }, []);
 
+useEffect(() => {
+  fetchQuota().then(setQuota).catch(() => {});
+}, []);
+
+// Помилка перекладу: для вичерпаної квоти — коли вона оновиться
+const translateErrorText = (err) => {
+  if (err?.code !== 'quota_exceeded') return err.message;
+  const time = err.quota?.reset_at
+    ? new Date(err.quota.reset_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : '—';
+  return t('translate.quota_exceeded', { time });
+};
+
 useEffect(() => {
   AsyncStorage.setItem('TRANSLATE_SOURCE_LANG', sourceLang).catch(() => {});
 }, [sourceLang]);
@@ -95,6 +139,36 @@ useEffect(() => {
   AsyncStorage.setItem('TRANSLATE_TARGET_LANG', targetLang).catch(() => {});
 }, [targetLang]);
 
+useEffect(() => {
+  AsyncStorage.setItem('TRANSLATE_EXTRA_TARGETS', JSON.stringify(extraTargets)).catch(() => {});
+}, [extraTargets]);
+
+useEffect(() => {
+  getFormality(sourceLang, targetLang).then(setFormalityState);
+}, [sourceLang, targetLang]);
+
+const targetSupportsFormality = useMemo(
+  () => deeplTarget.some((l) => String(l.language || '').toUpperCase() === targetLang && l.supports_formality),
+  [deeplTarget, targetLang]
+);
+
+const cycleFormality = () => {
+  const next = FORMALITY_OPTIONS[(FORMALITY_OPTIONS.indexOf(formality) + 1) % FORMALITY_OPTIONS.length];
+  setFormalityState(next);
+  setFormality(next, sourceLang, targetLang);
+};
+
+// Сервер приймає до 5 мов перекладу: основна + 4 додаткові
+const MAX_EXTRA_TARGETS = 4;
+
+const toggleExtraTarget = (code) => {
+  const c = String(code || '').toUpperCase();
+  if (!c || c === targetLang) return;
+  setExtraTargets((prev) => (prev.includes(c)
+    ? prev.filter((x) => x !== c)
+    : [...prev, c].slice(0, MAX_EXTRA_TARGETS)));
+};
+
 const togglePin = async (code) => {
   const c = String(code || '').toUpperCase();
   const next = pinnedLangs.includes(c)
@@ -125,7 +199,20 @@ const openLangModal = (mode) => {
 
 const normalizeToSource = (code) => String(code || '').toUpperCase().split('-')[0];
 
+const isAutoSource = sourceLang === 'AUTO';
+
+// source_lang=AUTO: сервер визначив мову — перемикаємо селектор на неї
+const applyDetectedSource = (data) => {
+  const detected = data?.detected_source_lang;
+  if (!isAutoSource || !detected) return;
+  setSourceLang(detected);
+  pushRecent('source', detected);
+  showToast(t('translate.detected', { lang: detected }));
+};
+
 const handleSwap = () => {
+  // "Авто" не може бути мовою перекладу
+  if (isAutoSource) return;
   const newSource = normalizeToSource(targetLang);
   const newTarget = sourceLang;
 
@@ -140,6 +227,76 @@ const handleSwap = () => {
 };
 
   const canTranslate = useMemo(() => !!query.trim(), [query]);
+  const pastedWords = useMemo(() => parsePastedList(listText), [listText]);
+  const batchWordIds = useMemo(
+    () => (batchResult?.items || []).filter((x) => x?.id && !x.error).map((x) => x.id),
+    [batchResult]
+  );
+
+  // Нове слово сервер повертає одразу після перекладу (enrichment: 'pending'),
+  // а CEFR / транскрипцію / приклад підтягуємо опитуванням
+  const ENRICHMENT_POLL_MS = 1500;
+  const ENRICHMENT_POLL_ATTEMPTS = 20;
+  const enrichmentContext = useRef('');
+  const resultRef = useRef(null);
+  resultRef.current = result;
+
+  const pendingIds = useMemo(() => {
+    const items = multiResults || (result ? [result] : []);
+    return items
+      .filter((r) => r && !r.error && r.id && r.enrichment === 'pending')
+      .map((r) => r.id)
+      .join(',');
+  }, [multiResults, result]);
+
+  const applyEnriched = (freshList) => {
+    const byId = new Map(freshList.map((w) => [w.id, w]));
+    const merge = (item) => (item?.id && byId.has(item.id) ? { ...item, ...byId.get(item.id) } : item);
+
+    const active = resultRef.current?.id ? byId.get(resultRef.current.id) : null;
+    setResult((prev) => merge(prev));
+    setMultiResults((prev) => (prev ? prev.map(merge) : prev));
+    // Значення з речення-контексту стало відоме лише тепер (senses рахуються у фоні)
+    if (active && Number.isInteger(active.suggested_sense)) {
+      setSelectedSense((prev) => (prev === null ? active.suggested_sense : prev));
+    }
+  };
+
+  useEffect(() => {
+    if (!pendingIds) return undefined;
+    const ids = pendingIds.split(',');
+    let cancelled = false;
+    let attempts = 0;
+    let timer = null;
+
+    const poll = async () => {
+      attempts += 1;
+      const fresh = await Promise.all(
+        ids.map((id) => fetchEnrichment(id, { context: enrichmentContext.current }).catch(() => null))
+      );
+      if (cancelled) return;
+
+      const done = fresh.filter((w) => w && w.enrichment !== 'pending');
+      if (done.length === ids.length) {
+        applyEnriched(done);
+        return;
+      }
+      if (attempts >= ENRICHMENT_POLL_ATTEMPTS) {
+        // Не дочекались — лишаємо попередню (алгоритмічну) оцінку, без індикатора
+        const doneIds = new Set(done.map((w) => w.id));
+        applyEnriched([...done, ...ids.filter((id) => !doneIds.has(id)).map((id) => ({ id, enrichment: 'timeout' }))]);
+        return;
+      }
+      if (done.length > 0) applyEnriched(done);
+      timer = setTimeout(poll, ENRICHMENT_POLL_MS);
+    };
+
+    timer = setTimeout(poll, ENRICHMENT_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [pendingIds]);
 
   const handleTranslate = async () => {
     if (!query.trim()) return;
@@ -147,10 +304,20 @@ const handleSwap = () => {
     setLoading(true);
     setError(null);
     setResult(null);
-    setIsAdded(false);
+    setMultiResults(null);
+    setAddedIds([]);
+    setSelectedSense(null);
+
+    const targets = [targetLang, ...extraTargets.filter((x) => x !== targetLang)];
+    const multi = targets.length > 1;
+
+    enrichmentContext.current = contextOpen ? contextText : '';
 
     try {
-      const data = await translateWord(query, sourceLang, targetLang);
+      const data = await translateWord(query, sourceLang, targetLang, {
+        context: enrichmentContext.current,
+        targetLangs: multi ? targets : null,
+      });
 
       if (data?.error) {
         setError(data.error); // "Цього слова немає у словнику"
@@ -158,15 +325,77 @@ const handleSwap = () => {
         return;
       }
 
+      if (multi) {
+        const results = Array.isArray(data?.results) ? data.results : [];
+        const first = results.find((r) => !r.error);
+        if (!first) {
+          setError(results[0]?.error || t('translate.not_found'));
+          return;
+        }
+        setMultiResults(results);
+        setActiveTarget(first.target_lang);
+        setResult(first);
+        applyDetectedSource(data);
+        setSelectedSense(Number.isInteger(first.suggested_sense) ? first.suggested_sense : null);
+        return;
+      }
+
       setResult(data);
+      applyDetectedSource(data);
+      // Значення, вжите в реченні-контексті, обираємо заздалегідь
+      setSelectedSense(Number.isInteger(data?.suggested_sense) ? data.suggested_sense : null);
     } catch (err) {
-      setError(err.message);
+      setError(translateErrorText(err));
     } finally {
+      setQuota(getLastQuota());
+      setLoading(false);
+    }
+  };
+
+  // Вкладка мови перекладу (коли перекладали в кілька мов)
+  const handleSelectTarget = (code) => {
+    const next = (multiResults || []).find((r) => r.target_lang === code);
+    if (!next) return;
+    setActiveTarget(code);
+    setResult(next);
+    setSelectedSense(Number.isInteger(next.suggested_sense) ? next.suggested_sense : null);
+  };
+
+  const handleTranslateList = async () => {
+    if (pastedWords.length === 0) return;
+
+    setLoading(true);
+    setError(null);
+    setBatchResult(null);
+    setBatchAdded(false);
+
+    try {
+      const data = await translateBatch(pastedWords, sourceLang, targetLang);
+      setBatchResult(data);
+      applyDetectedSource(data);
+    } catch (err) {
+      setError(translateErrorText(err));
+    } finally {
+      setQuota(getLastQuota());
       setLoading(false);
     }
   };
 
   const openAddToListModal = async () => {
+    if (mode === 'list') {
+      if (batchWordIds.length === 0) return;
+      setShowModal(true);
+      setSuggestedListName(null);
+      setSuggestedListId(null);
+      try {
+        const listsData = await fetchLists();
+        setLists(Array.isArray(listsData) ? listsData : []);
+      } catch (e) {
+        console.warn('Failed to open modal:', e?.message);
+      }
+      return;
+    }
+
     if (!result?.id) return;
 
     setShowModal(true);
@@ -192,14 +421,44 @@ const handleSwap = () => {
     }
   };
 
+  const handleAddAllToList = async (listId, { forceMix = false } = {}) => {
+    setShowModal(false);
+    const listName = (lists || []).find((l) => l.id === listId)?.name;
+    let added = 0;
+    for (const wordId of batchWordIds) {
+      try {
+        await addWordToList(listId, wordId, { forceMix });
+        added++;
+      } catch (e) {
+        // Список з іншою парою мов: питаємо один раз і повторюємо для решти з forceMix
+        if (e?.status === 409 && e?.data?.code === 'LANG_MIX_CONFIRM' && added === 0) {
+          Alert.alert(t('lists.mix_title'), `${e.data.list_pair} / ${e.data.new_pair}`, [
+            { text: t('common.cancel'), style: 'cancel' },
+            { text: t('common.continue'), onPress: () => handleAddAllToList(listId, { forceMix: true }) },
+          ]);
+          return;
+        }
+        // дублікати / помилки окремих слів не зупиняють решту
+        console.warn('Add to list failed:', e?.message);
+      }
+    }
+    setBatchAdded(true);
+    showToast(t('translate.batch_added', { count: added, name: listName || '' }));
+  };
+
   const handleAddToList = async (listId) => {
+    if (mode === 'list') return handleAddAllToList(listId);
+
     try {
       if (!result?.id) return;
 
-      await addWordToList(listId, result.id);
+      await addWordToList(listId, result.id, {
+        senseIndex: selectedSense,
+        userExample: result.context || null,
+      });
 
       setShowModal(false);
-      setIsAdded(true);
+      setAddedIds((prev) => [...prev, result.id]);
       const listName = (lists || []).find((l) => l.id === listId)?.name;
       showToast(listName ? `✓ Додано у «${listName}»` : '✓ Додано у список');
     } catch (e) {
@@ -256,14 +515,15 @@ const handleSwap = () => {
       onPress={() => openLangModal('source')}
       style={styles.langBubble}
     >
-      <Text style={styles.langBubbleText}>{sourceLang}</Text>
+      <Text style={styles.langBubbleText}>{isAutoSource ? t('translate.lang_auto_short') : sourceLang}</Text>
       <Ionicons name="chevron-down" size={14} color={COLORS.textHint} />
     </TouchableOpacity>
 
     <TouchableOpacity
       activeOpacity={0.9}
       onPress={handleSwap}
-      style={styles.swapBtn}
+      disabled={isAutoSource}
+      style={[styles.swapBtn, isAutoSource && { opacity: 0.4 }]}
     >
       <Ionicons name="swap-horizontal" size={18} color={COLORS.primary} />
     </TouchableOpacity>
@@ -276,14 +536,66 @@ const handleSwap = () => {
       <Text style={styles.langBubbleText}>{targetLang}</Text>
       <Ionicons name="chevron-down" size={14} color={COLORS.textHint} />
     </TouchableOpacity>
+
+    {mode === 'single' && extraTargets.length < MAX_EXTRA_TARGETS && (
+      <TouchableOpacity
+        activeOpacity={0.85}
+        onPress={() => openLangModal('extra')}
+        style={styles.swapBtn}
+      >
+        <Ionicons name="add" size={18} color={COLORS.primary} />
+      </TouchableOpacity>
+    )}
   </View>
 
+  {mode === 'single' && extraTargets.length > 0 && (
+    <View style={styles.extraTargetsRow}>
+      <Text style={styles.extraTargetsLabel}>{t('translate.also_into')}</Text>
+      {extraTargets.map((code) => (
+        <TouchableOpacity
+          key={code}
+          onPress={() => toggleExtraTarget(code)}
+          style={styles.extraTargetChip}
+          hitSlop={6}
+        >
+          <Text style={styles.extraTargetText}>{code} ×</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  )}
+
+  {mode === 'single' && targetSupportsFormality && (
+    <View style={styles.extraTargetsRow}>
+      <Text style={styles.extraTargetsLabel}>{t('translate.formality')}</Text>
+      <TouchableOpacity onPress={cycleFormality} style={styles.extraTargetChip} hitSlop={6}>
+        <Text style={styles.extraTargetText}>{t(`formality.${formality}`)}</Text>
+      </TouchableOpacity>
+    </View>
+  )}
+
   <Text style={styles.subtitle} numberOfLines={1}>
-    {sourceLang} → {targetLang} · {t('translate.powered_by_ai')}
+    {isAutoSource ? t('translate.lang_auto_short') : sourceLang} → {targetLang} · {t('translate.powered_by_ai')}
   </Text>
 </View>
 
 <View style={styles.inputCard}>
+  <View style={styles.modeRow}>
+    {['single', 'list'].map((m) => (
+      <TouchableOpacity
+        key={m}
+        onPress={() => { setMode(m); setError(null); }}
+        style={[styles.modeBtn, mode === m && styles.modeBtnActive]}
+        activeOpacity={0.85}
+      >
+        <Text style={[styles.modeBtnText, mode === m && styles.modeBtnTextActive]}>
+          {t(m === 'single' ? 'translate.mode_single' : 'translate.mode_list')}
+        </Text>
+      </TouchableOpacity>
+    ))}
+  </View>
+
+  {mode === 'single' ? (
+  <>
   <Text style={styles.inputLabel}>{t('translate.input_label')}</Text>
             <View style={styles.inputWrap}>
     <TextInput
@@ -308,6 +620,30 @@ const handleSwap = () => {
     )}
   </View>
 
+  <TouchableOpacity
+    onPress={() => setContextOpen((v) => !v)}
+    style={styles.contextToggle}
+    hitSlop={8}
+  >
+    <Text style={styles.contextToggleText}>
+      {contextOpen ? t('translate.context_hide') : t('translate.context_add')}
+    </Text>
+  </TouchableOpacity>
+
+  {contextOpen && (
+    <TextInput
+      style={styles.contextInput}
+      value={contextText}
+      onChangeText={setContextText}
+      placeholder={t('translate.context_placeholder')}
+      placeholderTextColor={COLORS.textHint}
+      multiline
+      maxLength={500}
+      textAlignVertical="top"
+      autoCorrect={false}
+    />
+  )}
+
   <TouchableOpacity
     style={[styles.primaryBtn, !canTranslate && styles.primaryBtnDisabled]}
     onPress={handleTranslate}
@@ -322,6 +658,45 @@ const handleSwap = () => {
   </TouchableOpacity>
 
   <Text style={styles.hint}>{t('translate.hint')}</Text>
+  </>
+  ) : (
+  <>
+  <Text style={styles.inputLabel}>{t('translate.list_label')}</Text>
+  <TextInput
+    style={styles.listInput}
+    value={listText}
+    onChangeText={setListText}
+    placeholder={t('translate.list_placeholder')}
+    placeholderTextColor={COLORS.textHint}
+    multiline
+    textAlignVertical="top"
+    autoCorrect={false}
+    autoCapitalize="none"
+  />
+
+  <TouchableOpacity
+    style={[styles.primaryBtn, pastedWords.length === 0 && styles.primaryBtnDisabled]}
+    onPress={handleTranslateList}
+    disabled={pastedWords.length === 0 || loading}
+    activeOpacity={0.8}
+  >
+    {loading ? (
+      <ActivityIndicator size="small" color="#ffffff" />
+    ) : (
+      <Text style={styles.primaryBtnText}>{t('translate.list_button', { count: pastedWords.length })}</Text>
+    )}
+  </TouchableOpacity>
+
+  <Text style={styles.hint}>{t('translate.list_hint')}</Text>
+  </>
+  )}
+
+  {quota?.limit > 0 && quota.remaining != null && (
+    <Text style={[styles.quotaText, quota.remaining === 0 && styles.quotaTextEmpty]}>
+      {t('translate.quota_left', { remaining: quota.remaining, limit: quota.limit })}
+      {quota.anonymous ? ` · ${t('translate.quota_guest')}` : ''}
+    </Text>
+  )}
 </View>
 
 {error && (
@@ -330,12 +705,55 @@ const handleSwap = () => {
             </View>
           )}
 
-          {result && (
+          {mode === 'list' && batchResult && (
+            <View style={styles.batchCard}>
+              <Text style={styles.batchSummary}>
+                {t('translate.batch_summary', {
+                  ok: batchResult.items.length - batchResult.stats.failed,
+                  failed: batchResult.stats.failed,
+                })}
+              </Text>
+
+              {batchResult.items.map((item, i) => (
+                <View key={`${i}-${item.input}`} style={styles.batchRow}>
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.batchOriginal} numberOfLines={1}>{item.original || item.input}</Text>
+                    {item.error ? (
+                      <Text style={styles.batchError} numberOfLines={2}>{item.error}</Text>
+                    ) : (
+                      <Text style={styles.batchTranslation} numberOfLines={2}>{item.translation}</Text>
+                    )}
+                  </View>
+                  {!item.error && !!item.cefr_level && <CefrBadge level={item.cefr_level} />}
+                </View>
+              ))}
+
+              <TouchableOpacity
+                style={[styles.primaryBtn, (batchWordIds.length === 0 || batchAdded) && styles.primaryBtnDisabled]}
+                onPress={openAddToListModal}
+                disabled={batchWordIds.length === 0 || batchAdded}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.primaryBtnText}>
+                  {batchAdded
+                    ? t('lists.added_to_list')
+                    : t('translate.add_all_to_list', { count: batchWordIds.length })}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {mode === 'single' && result && (
             <View style={styles.resultContainer}>
               <WordCard
                 word={result}
+                tabs={multiResults}
+                activeTab={activeTarget}
+                onSelectTab={handleSelectTarget}
                 onAddToList={openAddToListModal}
                 isAdded={isAdded}
+                selectedSense={selectedSense}
+                onSelectSense={setSelectedSense}
               />
             </View>
           )}
@@ -345,7 +763,7 @@ const handleSwap = () => {
 <LanguagePickerModal
   visible={langModalVisible}
   onClose={() => setLangModalVisible(false)}
-  mode={langModalMode}
+  mode={langModalMode === 'extra' ? 'target' : langModalMode}
   languagesSource={deeplSource}
   languagesTarget={deeplTarget}
   selectedSource={sourceLang}
@@ -353,12 +771,15 @@ const handleSwap = () => {
   pinned={pinnedLangs}
   recent={langModalMode === 'source' ? recentSource : recentTarget}
   onTogglePin={togglePin}
+  autoOption
   onSelect={(code) => {
     setLangModalVisible(false);
-    if (langModalMode === 'source') {
+    if (langModalMode === 'extra') {
+      toggleExtraTarget(code);
+    } else if (langModalMode === 'source') {
       const v = String(code).toUpperCase().split('-')[0];
       setSourceLang(v);
-      pushRecent('source', v);
+      if (v !== 'AUTO') pushRecent('source', v);
     } else {
       const v = String(code).toUpperCase();
       setTargetLang(v);
@@ -460,6 +881,14 @@ const styles = StyleSheet.create({
     flex: 1,
     marginTop: SPACING.md,
   },
+  quotaText: {
+    fontSize: 11,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.sm,
+  },
+  quotaTextEmpty: {
+    color: COLORS.error,
+  },
   translateButton: {
     backgroundColor: COLORS.primary,
     borderRadius: 10,
@@ -528,6 +957,31 @@ langBubble: {
   borderWidth: 1,
   borderColor: COLORS.border,
 },
+extraTargetsRow: {
+  flexDirection: 'row',
+  flexWrap: 'wrap',
+  alignItems: 'center',
+  justifyContent: 'center',
+  gap: 6,
+  marginTop: SPACING.sm,
+},
+extraTargetsLabel: {
+  fontSize: 12,
+  color: COLORS.textHint,
+},
+extraTargetChip: {
+  paddingHorizontal: 10,
+  paddingVertical: 4,
+  borderRadius: 999,
+  borderWidth: 1,
+  borderColor: COLORS.border,
+  backgroundColor: COLORS.surface,
+},
+extraTargetText: {
+  fontSize: 12,
+  fontWeight: '700',
+  color: COLORS.primary,
+},
 langBubbleText: {
   fontSize: 13,
   fontWeight: '700',
@@ -583,4 +1037,95 @@ inputLabel: {
   letterSpacing: 0.3,
 },
 
+modeRow: {
+  flexDirection: 'row',
+  alignSelf: 'flex-start',
+  borderWidth: 1,
+  borderColor: COLORS.border,
+  borderRadius: 999,
+  overflow: 'hidden',
+  marginBottom: SPACING.md,
+},
+modeBtn: {
+  paddingHorizontal: 14,
+  paddingVertical: 6,
+},
+modeBtnActive: {
+  backgroundColor: COLORS.primary,
+},
+modeBtnText: {
+  color: COLORS.textSecondary,
+  fontSize: 12,
+  fontWeight: '700',
+},
+modeBtnTextActive: {
+  color: '#ffffff',
+},
+contextToggle: {
+  alignSelf: 'flex-start',
+  marginTop: SPACING.sm,
+},
+contextToggleText: {
+  color: COLORS.textSecondary,
+  fontSize: 12,
+  fontWeight: '700',
+},
+contextInput: {
+  minHeight: 64,
+  maxHeight: 140,
+  marginTop: SPACING.sm,
+  borderWidth: 1,
+  borderColor: COLORS.border,
+  borderRadius: BORDER_RADIUS.md,
+  padding: SPACING.md,
+  fontSize: 14,
+  color: COLORS.primary,
+},
+listInput: {
+  minHeight: 140,
+  maxHeight: 260,
+  borderWidth: 1,
+  borderColor: COLORS.border,
+  borderRadius: BORDER_RADIUS.md,
+  padding: SPACING.md,
+  fontSize: 15,
+  color: COLORS.primary,
+},
+batchCard: {
+  backgroundColor: COLORS.surface,
+  borderRadius: BORDER_RADIUS.lg,
+  padding: 16,
+  borderWidth: 1,
+  borderColor: COLORS.border,
+  marginBottom: SPACING.lg,
+},
+batchSummary: {
+  color: COLORS.textSecondary,
+  fontSize: 12,
+  fontWeight: '700',
+  marginBottom: SPACING.sm,
+},
+batchRow: {
+  flexDirection: 'row',
+  alignItems: 'center',
+  gap: 10,
+  paddingVertical: 10,
+  borderBottomWidth: 1,
+  borderBottomColor: COLORS.borderLight,
+},
+batchOriginal: {
+  fontSize: 15,
+  color: COLORS.primary,
+},
+batchTranslation: {
+  fontSize: 13,
+  color: COLORS.textSecondary,
+  marginTop: 2,
+},
+batchError: {
+  fontSize: 12,
+  color: COLORS.error,
+  marginTop: 2,
+},
+
 });
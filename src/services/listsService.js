@@ -5,7 +5,7 @@
  * - GET    /lists
  * - POST   /lists
  * - GET    /lists/:id
- * - POST   /lists/:id/words   { wordId }
+ * - POST   /lists/:id/words   { wordId, senseIndex?, userExample? }
  * - DELETE /lists/:id/words/:wordId
  */
 
@@ -30,6 +30,10 @@ export async function addWordToList(listId, wordId, opts = {}) {
   try {
     const res = await api.post(`/lists/${listId}/words`, {
       wordId,
+      // індекс обраного значення (words.senses); null — основний переклад
+      senseIndex: Number.isInteger(opts.senseIndex) ? opts.senseIndex : null,
+      // речення-контекст користувача — зберігається як його власний приклад
+      userExample: opts.userExample || null,
       forceMix: !!opts.forceMix,
       rememberChoice: !!opts.rememberChoice,
     });
@@ -0,0 +1,79 @@
+/**
+ * settingsService.js — Локальні налаштування навчання (AsyncStorage)
+ *
+ * - NATIVE_LANG: рідна мова студента для оцінки складності слів.
+ *   null = "авто" (сервер бере мову перекладу target_lang).
+ * - FORMALITY: формальність перекладу { "*": типово для всіх пар, "EN>DE": для пари }.
+ *   'default' | 'more' | 'less'; діє лише для мов, які її підтримують (DeepL: DE, FR, PL...).
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const NATIVE_LANG_KEY = 'NATIVE_LANG';
+const FORMALITY_KEY = 'FORMALITY';
+const DEFAULT_PAIR = '*';
+
+export const FORMALITY_OPTIONS = ['default', 'more', 'less'];
+
+// Мови, які пропонуємо як рідні (DeepL-коди без регіонів)
+export const NATIVE_LANG_OPTIONS = ['UK', 'EN', 'PL', 'DE', 'FR', 'IT', 'ES', 'CS', 'RO', 'HU', 'SV', 'ET', 'LV', 'LT'];
+
+export async function getNativeLang() {
+  try {
+    const v = await AsyncStorage.getItem(NATIVE_LANG_KEY);
+    return v ? String(v).toUpperCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function setNativeLang(code) {
+  try {
+    if (!code) await AsyncStorage.removeItem(NATIVE_LANG_KEY);
+    else await AsyncStorage.setItem(NATIVE_LANG_KEY, String(code).toUpperCase());
+  } catch {
+    // ignore
+  }
+}
+
+function pairKey(sourceLang, targetLang) {
+  return `${String(sourceLang || '').toUpperCase()}>${String(targetLang || '').toUpperCase()}`;
+}
+
+async function readFormalityMap() {
+  try {
+    const v = await AsyncStorage.getItem(FORMALITY_KEY);
+    const map = v ? JSON.parse(v) : {};
+    return map && typeof map === 'object' ? map : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Формальність для пари мов: вибір для пари, інакше типовий (профіль), інакше 'default'
+ *
+ * @param {string} [sourceLang] — без мов повертає типовий вибір
+ * @param {string} [targetLang]
+ */
+export async function getFormality(sourceLang, targetLang) {
+  const map = await readFormalityMap();
+  const own = sourceLang && targetLang ? map[pairKey(sourceLang, targetLang)] : null;
+  const value = own || map[DEFAULT_PAIR];
+  return FORMALITY_OPTIONS.includes(value) ? value : 'default';
+}
+
+/**
+ * Зберегти формальність: для пари мов або (без мов) типову для всіх пар
+ */
+export async function setFormality(value, sourceLang, targetLang) {
+  try {
+    const map = await readFormalityMap();
+    const key = sourceLang && targetLang ? pairKey(sourceLang, targetLang) : DEFAULT_PAIR;
+    if (!FORMALITY_OPTIONS.includes(value)) delete map[key];
+    else map[key] = value;
+    await AsyncStorage.setItem(FORMALITY_KEY, JSON.stringify(map));
+  } catch {
+    // ignore
+  }
+}
@@ -8,18 +8,104 @@
  */
 
 import { api } from "./apiClient";
+import { getNativeLang, getFormality } from "./settingsService";
+
+// Остання відома денна квота перекладів: { limit, remaining, reset_at, anonymous } (GET /translate/quota + заголовки X-Quota-*)
+let lastQuota = null;
+
+function rememberQuota(headers) {
+  const limit = Number(headers?.["x-quota-limit"]);
+  if (!limit) return;
+  const remaining = Number(headers["x-quota-remaining"]);
+  lastQuota = {
+    ...lastQuota,
+    limit,
+    remaining: Number.isFinite(remaining) ? remaining : null,
+    reset_at: headers["x-quota-reset"] || null,
+  };
+}
+
+/**
+ * Помилка відповіді сервера; для вичерпаної квоти (429) — з code: 'quota_exceeded' і quota
+ */
+function responseError(response) {
+  const data = response.data || {};
+  const err = new Error(data.error || "Помилка перекладу");
+  if (data.code === "quota_exceeded") {
+    err.code = data.code;
+    err.quota = data.quota;
+    lastQuota = data.quota;
+  }
+  return err;
+}
+
+/**
+ * Квота, отримана з останнього перекладу (або null, якщо ще не перекладали)
+ */
+export function getLastQuota() {
+  return lastQuota;
+}
+
+/**
+ * Поточна денна квота перекладів: { limit, used, remaining, reset_at, anonymous }
+ * limit 0 — без ліміту
+ */
+export async function fetchQuota() {
+  const response = await api.get("/translate/quota");
+  lastQuota = response.data;
+  return response.data;
+}
 
 /**
  * Перекласти слово з англійської на українську + отримати оцінку складності
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.context] — речення, у якому зустрілось слово (для вибору значення)
+ * @param {string[]} [opts.targetLangs] — кілька мов перекладу; тоді відповідь — { source_lang, target_langs, results: [...] }
  */
-export async function translateWord(word, sourceLang = 'EN', targetLang = 'UK') {
+export async function translateWord(word, sourceLang = 'EN', targetLang = 'UK', opts = {}) {
   try {
+    const nativeLang = await getNativeLang();
+    const formality = await getFormality(sourceLang, targetLang);
+    const context = (opts.context || '').trim();
     const response = await api.post("/translate", {
       word: word.trim(),
       source_lang: sourceLang,
       target_lang: targetLang,
+      ...(nativeLang ? { native_lang: nativeLang } : {}),
+      ...(formality !== 'default' ? { formality } : {}),
+      ...(context ? { context } : {}),
+      ...(Array.isArray(opts.targetLangs) && opts.targetLangs.length > 0 ? { target_langs: opts.targetLangs } : {}),
     });
 
+    rememberQuota(response.headers);
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      throw responseError(error.response);
+    }
+    if (error.request) {
+      throw new Error("Немає з'єднання з сервером. Перевірте інтернет.");
+    }
+    throw new Error("Невідома помилка: " + error.message);
+  }
+}
+
+/**
+ * Поточний стан збагачення слова (сервер відповідає на переклад одразу, з enrichment: 'pending',
+ * а CEFR / транскрипцію / приклад дораховує у фоні)
+ *
+ * @param {string} wordId — id рядка words
+ * @param {Object} [opts]
+ * @param {string} [opts.context] — речення-контекст: після збагачення сервер підкаже suggested_sense
+ * @returns {Object} — рядок words + enrichment: 'pending' | 'done' | 'failed'
+ */
+export async function fetchEnrichment(wordId, opts = {}) {
+  try {
+    const context = (opts.context || '').trim();
+    const response = await api.get(`/translate/enrichment/${encodeURIComponent(wordId)}`, {
+      params: context ? { context } : {},
+    });
     return response.data;
   } catch (error) {
     if (error.response) {
@@ -32,6 +118,47 @@ export async function translateWord(word, sourceLang = 'EN', targetLang = 'UK')
   }
 }
 
+/**
+ * Перекласти одразу список слів (режим "вставити список")
+ *
+ * @param {string[]} words — слова як є (сервер сам нормалізує і прибирає дублікати)
+ * @returns {{ items: Array, stats: Object, source_lang: string, target_lang: string }}
+ *   items[i] — або рядок words (нові слова — з enrichment: 'pending', CEFR поки алгоритмічний),
+ *   або { input, error, _source }
+ */
+export async function translateBatch(words, sourceLang = 'EN', targetLang = 'UK') {
+  try {
+    const nativeLang = await getNativeLang();
+    const response = await api.post("/translate/batch", {
+      words,
+      source_lang: sourceLang,
+      target_lang: targetLang,
+      ...(nativeLang ? { native_lang: nativeLang } : {}),
+    });
+
+    rememberQuota(response.headers);
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      throw responseError(error.response);
+    }
+    if (error.request) {
+      throw new Error("Немає з'єднання з сервером. Перевірте інтернет.");
+    }
+    throw new Error("Невідома помилка: " + error.message);
+  }
+}
+
+/**
+ * Розбити вставлений текст на слова/фрази: по рядках, комах, крапках з комою і табах
+ */
+export function parsePastedList(text) {
+  return String(text || '')
+    .split(/[\n\r,;\t]+/)
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
 /**
  * Рекомендація списку для слова (без userId у параметрах — сервер бере його з JWT)
  *
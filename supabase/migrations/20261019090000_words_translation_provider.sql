@@ -0,0 +1,9 @@
+-- Який провайдер перекладу дав рядок кешу words (deepl | local).
+-- Див. server/services/translator.js
+
+alter table public.words
+  add column if not exists translation_provider text;
+
+update public.words
+  set translation_provider = 'deepl'
+  where translation_provider is null;
@@ -0,0 +1,12 @@
+-- Яким варіантом оцінки складності пораховано рядок words:
+--   "pair-v1:EN>UK/UK" — AI-оцінка для пари EN→UK, рідна мова студента UK
+--   "algorithmic:EN"   — лише алгоритмічна оцінка
+-- Старі рядки оцінювались англійським промптом "для українськомовного студента".
+-- Див. server/services/difficulty.js
+
+alter table public.words
+  add column if not exists assessment_variant text;
+
+update public.words
+  set assessment_variant = 'legacy-en-uk'
+  where assessment_variant is null;
@@ -0,0 +1,7 @@
+-- Регістрозалежні рядки кешу words: "Polish" (польський) і "polish" (полірувати)
+-- тепер окремі записи; німецькі іменники зберігаються з великої (Haus).
+-- UNIQUE(original, source_lang, target_lang) у Postgres і так чутливий до регістру.
+-- Див. server/services/casing.js
+
+alter table public.words
+  add column if not exists case_sensitive boolean not null default false;
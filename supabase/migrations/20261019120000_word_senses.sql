@@ -0,0 +1,11 @@
+-- Значення багатозначних слів ("bank" → банк / берег).
+-- words.senses: [{ part_of_speech, translation, example }] або null, якщо значення одне.
+-- list_words.sense_index: яке значення користувач обрав для цього списку
+-- (null — основний переклад words.translation). Див. server/services/senses.js
+
+alter table public.words
+  add column if not exists senses jsonb;
+
+alter table public.list_words
+  add column if not exists sense_index smallint
+    check (sense_index is null or sense_index >= 0);
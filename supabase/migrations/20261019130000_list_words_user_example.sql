@@ -0,0 +1,6 @@
+-- Власний приклад користувача: речення, у якому він зустрів слово (context у POST /api/translate).
+-- Належить запису списку, а не спільному кешу words. Див. server/routes/lists.js
+
+alter table public.list_words
+  add column if not exists user_example text
+    check (user_example is null or char_length(user_example) <= 500);
@@ -0,0 +1,24 @@
+-- Версії промптів, якими отримано AI-частини рядка words:
+--   { "difficulty": "pair-v2", "idiom": "idiom-v1", "senses": "senses-v1" }
+-- Ключа немає — цю частину AI не давав (алгоритмічна оцінка, не ідіома, одне значення).
+-- Фонове перезбагачення бере рядки без поточної версії difficulty / зі старою версією idiom.
+-- Див. server/services/prompts.js, server/services/reenrichment.js
+
+alter table public.words
+  add column if not exists prompt_versions jsonb not null default '{}'::jsonb;
+
+-- Існуючі AI-оцінки: версія — префікс assessment_variant ("pair-v2:EN>UK/UK")
+update public.words
+  set prompt_versions = prompt_versions || jsonb_build_object('difficulty', split_part(assessment_variant, ':', 1))
+  where assessment_variant like 'pair-v%';
+
+update public.words
+  set prompt_versions = prompt_versions || '{"idiom": "idiom-v1"}'::jsonb
+  where translation_kind = 'idiom';
+
+update public.words
+  set prompt_versions = prompt_versions || '{"senses": "senses-v1"}'::jsonb
+  where senses is not null;
+
+create index if not exists words_prompt_versions_difficulty_idx
+  on public.words ((prompt_versions->>'difficulty'));
@@ -0,0 +1,9 @@
+-- Стан фонового збагачення рядка words (ідіоми + AI-оцінка + senses):
+--   pending — збережено переклад і алгоритмічну оцінку, збагачення в черзі сервера
+--   done    — збагачено
+--   failed  — задача впала; рядок підхопить фонове перезбагачення
+-- Див. server/services/enrichment.js, server/services/enrichmentQueue.js
+
+alter table public.words
+  add column if not exists enrichment_status text not null default 'done'
+    check (enrichment_status in ('pending', 'done', 'failed'));
@@ -0,0 +1,51 @@
+-- Облік витрат платних провайдерів по днях і користувачах:
+--   deepl     — символи тексту (characters)
+--   anthropic — токени (input_tokens / output_tokens)
+-- user_id null — фонові задачі (перезбагачення) або запити без авторизації.
+-- Пише лише сервер (service role) через record_provider_usage; звіт — GET /api/usage.
+-- Див. server/services/usage.js
+
+create table if not exists public.provider_usage (
+  id bigint generated always as identity primary key,
+  day date not null,
+  user_id uuid references auth.users (id) on delete set null,
+  provider text not null,
+  characters bigint not null default 0,
+  input_tokens bigint not null default 0,
+  output_tokens bigint not null default 0,
+  calls integer not null default 0,
+  updated_at timestamptz not null default now(),
+  unique nulls not distinct (day, provider, user_id)
+);
+
+create index if not exists provider_usage_user_day_idx
+  on public.provider_usage (user_id, day);
+
+-- Без політик: клієнти (anon / authenticated) не читають і не пишуть
+alter table public.provider_usage enable row level security;
+
+-- Інкремент лічильників одним запитом (кілька інстансів сервера пишуть одночасно)
+create or replace function public.record_provider_usage(
+  p_day date,
+  p_user_id uuid,
+  p_provider text,
+  p_characters bigint,
+  p_input_tokens bigint,
+  p_output_tokens bigint,
+  p_calls integer
+) returns void
+language sql
+security definer
+set search_path = public
+as $$
+  insert into public.provider_usage (day, user_id, provider, characters, input_tokens, output_tokens, calls)
+  values (p_day, p_user_id, p_provider, p_characters, p_input_tokens, p_output_tokens, p_calls)
+  on conflict (day, provider, user_id) do update set
+    characters = provider_usage.characters + excluded.characters,
+    input_tokens = provider_usage.input_tokens + excluded.input_tokens,
+    output_tokens = provider_usage.output_tokens + excluded.output_tokens,
+    calls = provider_usage.calls + excluded.calls,
+    updated_at = now();
+$$;
+
+revoke all on function public.record_provider_usage(date, uuid, text, bigint, bigint, bigint, integer) from public, anon, authenticated;
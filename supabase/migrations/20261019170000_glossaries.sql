@@ -0,0 +1,35 @@
+-- Глосарії користувача: закріплені переклади термінів для однієї пари мов.
+-- entries: [{ source, target }]; мови — базові коди (EN, UK, DE...).
+-- provider / provider_glossary_id — копія глосарію у провайдера перекладу (DeepL),
+-- через яку він застосовується до речень і фраз; null — провайдер глосаріїв не має.
+-- Один глосарій на пару мов (DeepL приймає лише один glossary_id на запит).
+-- Див. server/services/glossaries.js, server/routes/glossaries.js
+
+create table if not exists public.glossaries (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null check (char_length(name) between 1 and 100),
+  source_lang text not null,
+  target_lang text not null,
+  entries jsonb not null default '[]'::jsonb check (jsonb_typeof(entries) = 'array'),
+  provider text,
+  provider_glossary_id text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, source_lang, target_lang),
+  check (source_lang <> target_lang)
+);
+
+alter table public.glossaries enable row level security;
+
+create policy "glossaries_select_own" on public.glossaries
+  for select using (auth.uid() = user_id);
+
+create policy "glossaries_insert_own" on public.glossaries
+  for insert with check (auth.uid() = user_id);
+
+create policy "glossaries_update_own" on public.glossaries
+  for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+create policy "glossaries_delete_own" on public.glossaries
+  for delete using (auth.uid() = user_id);
@@ -0,0 +1,22 @@
+-- Карантин відповідей LLM, які не пройшли перевірку (server/services/outputGuard.js):
+-- посилання / інструкції в полях, приклад-речення без слова, переклад не тією писемністю.
+-- Такі відповіді не потрапляють у спільний кеш words — лише сюди, для розбору вручну.
+-- Пише лише сервер (service role).
+
+create table if not exists public.llm_quarantine (
+  id bigint generated always as identity primary key,
+  task text not null,
+  input text not null,
+  source_lang text,
+  target_lang text,
+  prompt_version text,
+  output jsonb not null,
+  reasons text[] not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists llm_quarantine_created_idx
+  on public.llm_quarantine (created_at desc);
+
+-- Без політик: клієнти (anon / authenticated) не читають і не пишуть
+alter table public.llm_quarantine enable row level security;
@@ -0,0 +1,51 @@
+-- Денні квоти перекладу на користувача (POST /api/translate, /api/translate/batch).
+-- Анонімні сесії Supabase (auth.users.is_anonymous) — теж користувачі, з меншою квотою.
+-- Пише лише сервер (service role) через consume_translate_quota; див. server/services/quota.js
+
+create table if not exists public.translate_quota (
+  user_id uuid not null references auth.users (id) on delete cascade,
+  day date not null,
+  used integer not null default 0,
+  updated_at timestamptz not null default now(),
+  primary key (user_id, day)
+);
+
+-- Без політик: клієнти (anon / authenticated) не читають і не пишуть
+alter table public.translate_quota enable row level security;
+
+-- Атомарно списати p_amount перекладів, якщо не перевищено p_limit (0 — без ліміту).
+-- Відʼємний p_amount — повернення (запит не вдався). Повертає (allowed, total) — використано за день.
+create or replace function public.consume_translate_quota(
+  p_user_id uuid,
+  p_day date,
+  p_amount integer,
+  p_limit integer
+) returns table (allowed boolean, total integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_used integer;
+begin
+  insert into public.translate_quota (user_id, day, used)
+  values (p_user_id, p_day, 0)
+  on conflict (user_id, day) do nothing;
+
+  update public.translate_quota q
+     set used = greatest(0, q.used + p_amount),
+         updated_at = now()
+   where q.user_id = p_user_id
+     and q.day = p_day
+     and (p_amount <= 0 or p_limit <= 0 or q.used + p_amount <= p_limit)
+  returning q.used into v_used;
+
+  if v_used is not null then
+    return query select true, v_used;
+  else
+    return query select false, (select q.used from public.translate_quota q where q.user_id = p_user_id and q.day = p_day);
+  end if;
+end;
+$$;
+
+revoke all on function public.consume_translate_quota(uuid, date, integer, integer) from public, anon, authenticated;
@@ -0,0 +1,7 @@
+-- Результат порівняння "Bank" / "bank" запамʼятовується на рядку в нижньому регістрі:
+-- true — з великої літери слово означає те саме, провайдера для варіанта більше не кличемо.
+-- Регістрозалежні значення (Polish ≠ polish) і далі — окремі рядки з case_sensitive = true.
+-- Див. resolveCaseVariant у server/routes/translate.js
+
+alter table public.words
+  add column if not exists capitalized_same boolean not null default false;